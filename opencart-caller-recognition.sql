@@ -0,0 +1,21 @@
+-- =====================================================
+-- Audico Call System - OpenCart caller recognition index
+-- Run once against the OpenCart database (MySQL 5.7+).
+-- Change the oc_ prefix if OPENCART_TABLE_PREFIX is different.
+-- =====================================================
+
+-- Telephone numbers are free text ("082 111 0002", "+27 82-111-0002"), so
+-- telephone_suffix keeps their last nine digits without separators. MySQL
+-- keeps the STORED generated column up to date on every insert and update, so
+-- OpenCart doesn't need to know about it. The index lets an incoming call find
+-- the caller without scanning every customer and order.
+
+ALTER TABLE oc_customer
+  ADD COLUMN telephone_suffix CHAR(9)
+    AS (RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(telephone, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), 9)) STORED,
+  ADD INDEX idx_customer_telephone_suffix (telephone_suffix);
+
+ALTER TABLE oc_order
+  ADD COLUMN telephone_suffix CHAR(9)
+    AS (RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(telephone, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), 9)) STORED,
+  ADD INDEX idx_order_telephone_suffix (telephone_suffix);
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Offline call simulator
+ *
+ * Drives the real voice webhooks with scripted caller turns - no phone needed.
+ *
+ * Usage:
+ *   node scripts/simulate-call.js scenarios/track-order.yaml
+ *   node scripts/simulate-call.js --url http://localhost:3000 scenarios/
+ *   node scripts/simulate-call.js --start scenarios/        (boots src/index.js itself)
+ *   node scripts/simulate-call.js --start --sandbox         (no network, fake providers)
+ *
+ * Options:
+ *   --url <baseUrl>   Server to drive (default http://localhost:3000 or SIMULATOR_URL)
+ *   --start           Start src/index.js on a spare port for the run
+ *   --sandbox         Start it with SANDBOX=true (in-memory fakes for every provider)
+ *   --verbose         Print every webhook request and TwiML response
+ *
+ * Requests are signed with TWILIO_AUTH_TOKEN when it is set, and transcripts are
+ * read with ADMIN_TOKEN, so the simulator also works against a real (non-sandbox) server.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { loadScenario } from '../src/simulator/scenario.js';
+import { CallSimulator } from '../src/simulator/call-simulator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+
+const SANDBOX_STREAM_NUMBER = '+27870000999';
+// Calls to this number transfer with a plain <Dial> instead of the hold queue (scenarios/transfer-*.yaml)
+const SANDBOX_DIRECT_TRANSFER_NUMBER = '+27870000998';
+// Staff transfer chains for the sandbox: sales → operator (scenarios/handoff-*.yaml)
+const SANDBOX_STAFF_NUMBERS = { AGENT_SALES_NUMBER: '+27115550101', AGENT_OPERATOR_NUMBER: '+27115550100' };
+// A Tuesday morning, when every department is open (scenarios can set their own `at`)
+const SANDBOX_CLOCK = '2025-03-04T10:00:00+02:00';
+const SANDBOX_LLM_SCRIPT = path.join(projectRoot, 'scenarios', 'llm', 'rules.yaml');
+
+function parseArgs(argv) {
+  const options = { url: process.env.SIMULATOR_URL || null, start: false, sandbox: false, verbose: false, targets: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--start') {
+      options.start = true;
+    } else if (arg === '--sandbox') {
+      options.sandbox = true;
+    } else if (arg === '--verbose' || arg === '-v') {
+      options.verbose = true;
+    } else {
+      options.targets.push(arg);
+    }
+  }
+
+  if (options.targets.length === 0) {
+    options.targets.push(path.join(projectRoot, 'scenarios'));
+  }
+
+  return options;
+}
+
+/** Expand directories into scenario files */
+async function findScenarioFiles(targets) {
+  const files = [];
+
+  for (const target of targets) {
+    const stats = await fs.stat(target);
+    if (stats.isDirectory()) {
+      const entries = await fs.readdir(target);
+      files.push(...entries
+        .filter(file => /\.(ya?ml|json)$/i.test(file))
+        .sort()
+        .map(file => path.join(target, file)));
+    } else {
+      files.push(target);
+    }
+  }
+
+  return files;
+}
+
+/** Ask the OS for a free port */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/** Boot src/index.js and wait until it answers */
+async function startServer({ sandbox }) {
+  const port = await getFreePort();
+  const env = { ...process.env, PORT: String(port) };
+  if (sandbox) {
+    env.SANDBOX = 'true';
+    // Calls to this number use the Media Streams pipeline (scenarios/stream-*.yaml)
+    env.MEDIA_STREAM_NUMBERS = env.MEDIA_STREAM_NUMBERS || SANDBOX_STREAM_NUMBER;
+    env.DIRECT_TRANSFER_NUMBERS = env.DIRECT_TRANSFER_NUMBERS || SANDBOX_DIRECT_TRANSFER_NUMBER;
+    for (const [name, number] of Object.entries(SANDBOX_STAFF_NUMBERS)) {
+      env[name] = env[name] || number;
+    }
+    env.SANDBOX_CLOCK = env.SANDBOX_CLOCK || SANDBOX_CLOCK;
+    // Scenarios dial callbacks themselves (POST /sandbox/callbacks/run), not the poller
+    env.CALLBACK_POLL_SECONDS = env.CALLBACK_POLL_SECONDS || '86400';
+    // Slow and failing model replies for scenarios/turn-*.yaml, which outlast this limit
+    env.ASYNC_TURNS = env.ASYNC_TURNS || 'true';
+    env.SANDBOX_LLM_SCRIPT = env.SANDBOX_LLM_SCRIPT || SANDBOX_LLM_SCRIPT;
+    env.ASYNC_TURN_MAX_SECONDS = env.ASYNC_TURN_MAX_SECONDS || '8';
+  }
+
+  const child = spawn(process.execPath, ['src/index.js'], {
+    cwd: projectRoot,
+    env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 30000;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+    }
+    try {
+      await axios.get(`${baseUrl}/`, { timeout: 1000 });
+      return { child, baseUrl, getOutput: () => output };
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  child.kill();
+  throw new Error(`Server did not start within 30s:\n${output}`);
+}
+
+function printResult(result) {
+  const icon = result.passed ? '✅' : '❌';
+  console.log(`\n${icon} ${result.name} (${result.callSid})`);
+
+  for (const turn of result.turns) {
+    const label = turn.index === 0 ? 'greeting' : `step ${turn.index}`;
+    if (turn.input) {
+      console.log(`   🗣️  [${label}] Caller: ${turn.input}`);
+    }
+    const heard = turn.aiText.length > 0
+      ? turn.aiText
+      : turn.spoken.map(item => item.text || `<play ${item.url}>`);
+    heard.forEach(text => console.log(`   🤖 [${label}] ${turn.agent || 'IVR'}: ${text}`));
+    if (turn.tools.length > 0) {
+      console.log(`   🔧 [${label}] Tools: ${turn.tools.join(', ')}`);
+    }
+  }
+
+  for (const call of result.staff || []) {
+    console.log(`   ☎️  Staff ${call.to}: ${call.outcome}${call.heard.length > 0 ? ` - heard "${call.heard.join(' ')}"` : ''}`);
+  }
+
+  for (const attempt of result.callbacks || []) {
+    console.log(`   🔁 Callback ${attempt.to}: ${attempt.outcome}${attempt.heard.length > 0 ? ` - heard "${attempt.heard.join(' ')}"` : ''}`);
+  }
+  if (result.callback) {
+    console.log(`   🔁 Callback ${result.callback.id}: ${result.callback.status} after ${result.callback.attempts.length} attempt(s)`);
+  }
+
+  console.log(`   📴 Ended: ${result.ended?.reason}${result.ended?.detail ? ` (${result.ended.detail})` : ''}`);
+  result.failures.forEach(failure => console.log(`   ⚠️  ${failure}`));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const files = await findScenarioFiles(options.targets);
+
+  if (files.length === 0) {
+    console.error('No scenario files found');
+    process.exit(1);
+  }
+
+  let server = null;
+  if (options.start) {
+    server = await startServer(options);
+    options.url = server.baseUrl;
+  }
+
+  console.log('📞 Audico Call Simulator');
+  console.log(`   Target: ${options.url || 'http://localhost:3000'}`);
+  console.log(`   Scenarios: ${files.length}`);
+
+  const simulator = new CallSimulator({
+    baseUrl: options.url || undefined,
+    verbose: options.verbose,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    adminToken: process.env.ADMIN_TOKEN,
+  });
+  const results = [];
+
+  try {
+    for (const file of files) {
+      try {
+        const scenario = await loadScenario(file);
+        const result = await simulator.run(scenario);
+        results.push(result);
+        printResult(result);
+      } catch (error) {
+        results.push({ name: file, passed: false, failures: [error.message] });
+        console.log(`\n❌ ${file}\n   ⚠️  ${error.message}`);
+      }
+    }
+  } finally {
+    if (server) {
+      server.child.kill('SIGTERM');
+      if (results.some(result => !result.passed)) {
+        console.log('\n--- server output ---\n' + server.getOutput().split('\n').slice(-40).join('\n'));
+      }
+    }
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  console.log(`\n${passed}/${results.length} scenarios passed`);
+  process.exit(passed === results.length ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Simulator error:', error.message);
+  process.exit(1);
+});
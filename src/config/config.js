@@ -6,12 +6,43 @@ export const config = {
   // Server configuration
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Proxies in front of the server (Railway: 1). X-Forwarded-For is only believed for these
+  trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS) || 0,
+
+  // Sandbox mode - every provider is replaced by an in-memory fake (src/sandbox)
+  sandbox: {
+    enabled: process.env.SANDBOX === 'true',
+    llmScript: process.env.SANDBOX_LLM_SCRIPT || null,
+    clock: process.env.SANDBOX_CLOCK || null, // start time for opening hours and callbacks (ISO 8601)
+  },
+
+  // Call state store (memory, file or redis) - see src/services/state-store.js
+  stateStore: {
+    backend: process.env.STATE_STORE || 'memory',
+    filePath: process.env.STATE_STORE_FILE || './data/call-state.json',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: process.env.STATE_STORE_PREFIX || 'audico:',
+    callTtlMinutes: parseInt(process.env.CALL_STATE_TTL_MINUTES) || 120,
+    sweepIntervalSeconds: parseInt(process.env.STATE_SWEEP_INTERVAL_SECONDS) || 60,
+  },
+
+  // Business records that must survive restarts (do-not-call list, marketing consent,
+  // voicemails, scheduled callbacks, payment links):
+  // supabase keeps them in RECORD_STORE_TABLE, state uses the call state store above
+  recordStore: {
+    backend: process.env.RECORD_STORE ||
+      (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SANDBOX === 'true' ? 'supabase' : 'state'),
+    table: process.env.RECORD_STORE_TABLE || 'call_center_records',
+  },
 
   // Twilio configuration
   twilio: {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+    whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER || null, // WhatsApp-enabled sender, E.164
+    // Reject webhooks without a valid X-Twilio-Signature (always off in sandbox mode)
+    validateSignatures: process.env.TWILIO_VALIDATE_SIGNATURES !== 'false',
   },
 
   // OpenAI configuration (Whisper)
@@ -19,18 +50,36 @@ export const config = {
     apiKey: process.env.OPENAI_API_KEY,
   },
 
+  // Deepgram configuration (streaming STT for Media Streams - optional)
+  deepgram: {
+    apiKey: process.env.DEEPGRAM_API_KEY,
+    model: process.env.DEEPGRAM_MODEL || 'nova-2',
+  },
+
+  // Twilio Media Streams (real-time audio with barge-in)
+  // Numbers listed here answer with <Connect><Stream>; '*' streams every number
+  mediaStreams: {
+    numbers: (process.env.MEDIA_STREAM_NUMBERS || '').split(',').map(number => number.trim()).filter(Boolean),
+    path: '/media-stream',
+    // Voice activity detection for the Whisper fallback recogniser
+    vadThreshold: parseInt(process.env.VAD_ENERGY_THRESHOLD) || 900,
+    vadSilenceMs: parseInt(process.env.VAD_SILENCE_MS) || 700,
+  },
+
+  // <Gather> calls: answer Twilio at once with a filler and finish the turn in the background (opt-in)
+  asyncTurns: {
+    enabled: process.env.ASYNC_TURNS === 'true',
+    waitMs: parseInt(process.env.ASYNC_TURN_WAIT_MS) || 900, // reply directly if it is ready by then
+    pollWaitMs: 4000, // /voice/turn holds the request this long for the result
+    maxSeconds: parseInt(process.env.ASYNC_TURN_MAX_SECONDS) || 45, // then apologise and ask again
+  },
+
   // ElevenLabs configuration
   elevenlabs: {
     apiKey: process.env.ELEVENLABS_API_KEY,
     voiceId: process.env.RECEPTIONIST_VOICE_ID || process.env.ELEVENLABS_VOICE_ID, // Use receptionist voice as default
     model: 'eleven_multilingual_v2', // Supports multiple accents
-    // Department-specific voices (optional - falls back to default if not set)
-    departmentVoices: {
-      Sales: process.env.SALES_VOICE_ID || process.env.RECEPTIONIST_VOICE_ID || process.env.ELEVENLABS_VOICE_ID,
-      Shipping: process.env.SHIPPING_VOICE_ID || process.env.RECEPTIONIST_VOICE_ID || process.env.ELEVENLABS_VOICE_ID,
-      Support: process.env.SUPPORT_VOICE_ID || process.env.RECEPTIONIST_VOICE_ID || process.env.ELEVENLABS_VOICE_ID,
-      Accounts: process.env.ACCOUNTS_VOICE_ID || process.env.RECEPTIONIST_VOICE_ID || process.env.ELEVENLABS_VOICE_ID,
-    },
+    // Department voices live in the agent registry (src/config/agents.yaml)
   },
 
   // Anthropic Claude configuration
@@ -39,12 +88,47 @@ export const config = {
     model: 'claude-3-5-sonnet-20241022',
   },
 
+  // Tool rounds per reply: Claude can chain tools (search, then check stock) up to these budgets
+  agentLoop: {
+    maxSteps: parseInt(process.env.AGENT_MAX_TOOL_STEPS) || 5,
+    timeBudgetMs: (parseInt(process.env.AGENT_TOOL_TIME_BUDGET_SECONDS) || 20) * 1000,
+  },
+
   // CRM configuration
   crm: {
     apiUrl: process.env.CRM_API_URL,
     apiKey: process.env.CRM_API_KEY,
   },
 
+  // Outgoing email (SendGrid) - invoices and proof of payment
+  email: {
+    sendgridApiKey: process.env.SENDGRID_API_KEY,
+    from: process.env.EMAIL_FROM || 'accounts@audico.co.za',
+    fromName: process.env.EMAIL_FROM_NAME || 'Audico Accounts',
+  },
+
+  // Payment links for unpaid orders (create_payment_link) - PayFast, or a local
+  // mock gateway outside production; the provider's notification marks the order paid
+  payments: {
+    provider: process.env.PAYMENT_PROVIDER || null, // payfast or mock (default: payfast when configured)
+    // Public URL of this server, for the payment pages and provider notifications.
+    // Required for payment links; the sandbox falls back to localhost
+    publicUrl: (process.env.PUBLIC_BASE_URL
+      || (process.env.SANDBOX === 'true' ? `http://localhost:${process.env.PORT || 3000}` : '')).replace(/\/$/, '') || null,
+    linkExpiryHours: parseInt(process.env.PAYMENT_LINK_EXPIRY_HOURS) || 48,
+    paidStatusId: parseInt(process.env.PAYMENT_PAID_ORDER_STATUS_ID) || 2, // OpenCart status once paid (Processing)
+    followUpDays: parseInt(process.env.PAYMENT_FOLLOW_UP_DAYS) || 7, // agents mention the payment on calls this long after
+    payfast: {
+      merchantId: process.env.PAYFAST_MERCHANT_ID,
+      merchantKey: process.env.PAYFAST_MERCHANT_KEY,
+      passphrase: process.env.PAYFAST_PASSPHRASE,
+      testMode: process.env.PAYFAST_TEST_MODE === 'true', // sandbox.payfast.co.za
+    },
+    mock: {
+      secret: process.env.PAYMENT_MOCK_SECRET, // signs mock gateway notifications (required outside the sandbox)
+    },
+  },
+
   // Supabase configuration (Product Knowledge & RAG)
   supabase: {
     url: process.env.SUPABASE_URL || 'https://ajdehycoypilsegmxbto.supabase.co',
@@ -52,6 +136,19 @@ export const config = {
     anonKey: process.env.SUPABASE_ANON_KEY,
   },
 
+  // AI-extracted product details (enhanced_knowledge, built by scripts/daily-sync.js)
+  productKnowledge: {
+    staleDays: parseInt(process.env.PRODUCT_KNOWLEDGE_STALE_DAYS) || 90,
+  },
+
+  // Support knowledge base: manuals, setup guides and FAQs (pgvector in Supabase)
+  knowledgeBase: {
+    chunkSize: parseInt(process.env.KNOWLEDGE_CHUNK_SIZE) || 1200, // characters
+    chunkOverlap: parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP) || 200,
+    matchThreshold: parseFloat(process.env.KNOWLEDGE_MATCH_THRESHOLD) || 0.5,
+    maxUploadMb: parseInt(process.env.KNOWLEDGE_MAX_UPLOAD_MB) || 10,
+  },
+
   // Call recording & compliance
   recording: {
     enabled: process.env.ENABLE_CALL_RECORDING === 'true',
@@ -59,26 +156,29 @@ export const config = {
       'This call will be recorded for quality and training purposes.',
   },
 
-  // IVR Menu Options
-  ivr: {
-    options: {
-      1: { name: 'Sales', description: 'Connect to our sales team' },
-      2: { name: 'Shipping', description: 'Track your order or shipping inquiries' },
-      3: { name: 'Support', description: 'Technical support and troubleshooting' },
-      4: { name: 'Accounts', description: 'Billing and account inquiries' },
-      0: { name: 'Operator', description: 'Speak to a human operator' },
-    },
+  // Human transfers. Calls to the numbers listed here (or '*' for all) ring staff with a
+  // plain <Dial> down the department's transfer chain instead of the hold queue
+  transfers: {
+    directNumbers: (process.env.DIRECT_TRANSFER_NUMBERS || '').split(',').map(number => number.trim()).filter(Boolean),
+    dialTimeout: parseInt(process.env.TRANSFER_DIAL_TIMEOUT) || 20, // seconds each number rings
+  },
+
+  // Agent registry - departments, IVR digits, voices, prompts, tools and
+  // human transfer numbers (AGENT_*_NUMBER are referenced from the file)
+  // IMPORTANT: without staff numbers, transfers will fail (calls will disconnect)
+  agentRegistry: {
+    file: process.env.AGENT_REGISTRY_FILE || null, // default: src/config/agents.yaml
   },
 
-  // Human Agent Configuration (for HITL transfers)
-  // IMPORTANT: Set these environment variables with real phone numbers
-  // If not set, transfers will fail (calls will disconnect)
-  agents: {
-    sales: process.env.AGENT_SALES_NUMBER || null,
-    shipping: process.env.AGENT_SHIPPING_NUMBER || null,
-    support: process.env.AGENT_SUPPORT_NUMBER || null,
-    accounts: process.env.AGENT_ACCOUNTS_NUMBER || null,
-    operator: process.env.AGENT_OPERATOR_NUMBER || null,
+  // Business hours - opening hours per department live in the agent registry;
+  // SA public holidays are built in, ad-hoc closures are set via /admin/closures
+  businessHours: {
+    timezone: process.env.BUSINESS_TIMEZONE || 'Africa/Johannesburg',
+  },
+
+  // Admin API (closures etc.) - requests need "Authorization: Bearer <ADMIN_TOKEN>"
+  admin: {
+    token: process.env.ADMIN_TOKEN,
   },
 
   // Queue Configuration (for when agents are busy)
@@ -86,11 +186,81 @@ export const config = {
     maxWaitTime: parseInt(process.env.QUEUE_MAX_WAIT_TIME) || 300, // 5 minutes in seconds
     holdMusicUrl: process.env.QUEUE_HOLD_MUSIC_URL || '',
     callbackThreshold: parseInt(process.env.QUEUE_CALLBACK_THRESHOLD) || 180, // 3 minutes
+    announceInterval: parseInt(process.env.QUEUE_ANNOUNCE_INTERVAL) || 60, // position/wait announcements, seconds
+  },
+
+  // Scheduled callbacks
+  callbacks: {
+    pollSeconds: parseInt(process.env.CALLBACK_POLL_SECONDS) || 30, // how often due callbacks are dialled
+    slotMinutes: parseInt(process.env.CALLBACK_SLOT_MINUTES) || 15,
+    slotCapacity: parseInt(process.env.CALLBACK_SLOT_CAPACITY) || 4, // callbacks per department per slot
+    maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 3,
+    retryMinutes: (process.env.CALLBACK_RETRY_MINUTES || '10,30,120').split(',').map(Number), // backoff after no answer
+  },
+
+  // SMS and WhatsApp conversations with the same agents as calls
+  messaging: {
+    sessionTimeoutMinutes: parseInt(process.env.MESSAGING_SESSION_TIMEOUT_MINUTES) || 30, // idle time before the next message starts over
+  },
+
+  // Greet known customers by name and give the agents their orders and tickets
+  callerRecognition: {
+    enabled: process.env.CALLER_RECOGNITION !== 'false',
+  },
+
+  // Callers prove who they are before order details, balances or address changes
+  verification: {
+    pinExpiryMinutes: parseInt(process.env.VERIFICATION_PIN_EXPIRY_MINUTES) || 10,
+    maxAttempts: parseInt(process.env.VERIFICATION_MAX_ATTEMPTS) || 3, // failed checks before the call is locked
+  },
+
+  // Web chat on the Audico website (WebSocket + embeddable widget)
+  webChat: {
+    path: '/web-chat',
+    // Sites allowed to open the chat (Origin header): the shop (STORE_URL) unless set; * allows any
+    allowedOrigins: (process.env.WEB_CHAT_ORIGINS || new URL(process.env.STORE_URL || 'https://www.audico.co.za').origin)
+      .split(',').map(origin => origin.trim()).filter(Boolean),
+    sessionTimeoutMinutes: parseInt(process.env.WEB_CHAT_SESSION_TIMEOUT_MINUTES) || 30, // idle time before the transcript is saved
+    maxMessageLength: 1000,
+    // "Call me" dials whatever number was typed in, so it is rationed
+    callMeLimits: {
+      perSessionHourly: parseInt(process.env.WEB_CHAT_CALL_ME_PER_SESSION) || 2,
+      perIpHourly: parseInt(process.env.WEB_CHAT_CALL_ME_PER_IP) || 5,
+      perNumberHourly: parseInt(process.env.WEB_CHAT_CALL_ME_PER_NUMBER) || 2,
+      perNumberDaily: parseInt(process.env.WEB_CHAT_CALL_ME_DAILY_PER_NUMBER) || 3,
+    },
+  },
+
+  // SMS recap sent to the caller when a call ends (orders, tickets, callbacks, products)
+  callRecap: {
+    enabled: process.env.CALL_RECAP_SMS !== 'false',
+    storeUrl: process.env.STORE_URL || 'https://www.audico.co.za', // product links
+    maxCallerMessages: parseInt(process.env.CALLER_SMS_LIMIT) || 3, // send_sms_to_caller per call
+  },
+
+  // ShipLogic shipment webhook (/webhooks/shiplogic) - register the URL with
+  // ?secret=<SHIPLOGIC_WEBHOOK_SECRET>; requests without it are refused
+  shipLogic: {
+    webhookSecret: process.env.SHIPLOGIC_WEBHOOK_SECRET,
+  },
+
+  // Customer SMS/WhatsApp when ShipLogic reports a shipment update - which
+  // statuses notify and the message templates live in the notifications file
+  shipmentNotifications: {
+    enabled: process.env.SHIPMENT_NOTIFICATIONS !== 'false',
+    file: process.env.SHIPMENT_NOTIFICATIONS_FILE || null, // default: src/config/shipment-notifications.yaml
+    channel: process.env.SHIPMENT_NOTIFICATION_CHANNEL || 'sms', // sms or whatsapp
+    quietHours: process.env.SHIPMENT_QUIET_HOURS || '20:00-08:00', // business time zone; held until they end
+    pollSeconds: parseInt(process.env.SHIPMENT_NOTIFICATION_POLL_SECONDS) || 60, // held messages are checked this often
   },
 };
 
 // Validate required configuration
 export function validateConfig() {
+  if (config.sandbox.enabled) {
+    return;
+  }
+
   const required = [
     'TWILIO_ACCOUNT_SID',
     'TWILIO_AUTH_TOKEN',
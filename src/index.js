@@ -7,14 +7,43 @@
 
 import express from 'express';
 import axios from 'axios';
-import { Anthropic } from '@anthropic-ai/sdk';
-import { createClient } from '@supabase/supabase-js';
-import mysql from 'mysql2/promise';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import syncRoutes from './routes/sync.js';
+import adminRoutes from './routes/admin.js';
+import paymentRoutes from './routes/payments.js';
+import voiceRoutes, { humanHandoffResponse } from './routes/voice.js';
+import analyticsRoutes from './routes/analytics.js';
+import { createMessagingRoutes } from './routes/messaging.js';
+import { config } from './config/config.js';
+import { createAnthropicClient, createSupabaseClient, createMysqlPool } from './utils/clients.js';
+import { stateStore, recordStore } from './services/state-store.js';
+import { agentRegistry } from './services/agent-registry.js';
+import { businessHoursService } from './services/business-hours.js';
+import { ivrService } from './services/ivr.js';
+import { telephonyService } from './services/telephony.js';
+import { callbackService } from './services/callbacks.js';
+import { shipmentNotificationService } from './services/shipment-notifications.js';
+import { callRecapService } from './services/call-recap.js';
+import { callerRecognitionService } from './services/caller-recognition.js';
+import { verificationService } from './services/verification.js';
+import { paymentService } from './services/payments.js';
+import { toolRegistry } from './tools/index.js';
+import { runAgentLoop, trimHistory } from './services/agent-loop.js';
+import { voiceTurnService } from './services/voice-turns.js';
+import { attachMediaStreamServer } from './services/media-stream.js';
+import { attachWebChatServer } from './services/web-chat.js';
+import { validateTwilioSignature } from './middleware/twilio-signature.js';
+import { requireAdminToken } from './middleware/admin-auth.js';
+import { requireWebhookSecret } from './middleware/webhook-secret.js';
+import { getBaseUrl } from './utils/url.js';
+import { clock } from './utils/clock.js';
+import { logger } from './utils/logger.js';
+import { sandboxOutbox } from './sandbox/index.js';
+import { silentMp3, estimateSpeechMs } from './sandbox/audio.js';
 
 dotenv.config();
 
@@ -23,15 +52,19 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// req.ip only believes X-Forwarded-For from our own proxies (same rule as getClientIp)
+if (config.trustProxyHops) {
+  app.set('trust proxy', config.trustProxyHops);
+}
 
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-const supabase = createClient(
+const anthropic = createAnthropicClient(process.env.ANTHROPIC_API_KEY);
+const supabase = createSupabaseClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
 // OpenCart MySQL Database Connection
-const mysqlPool = mysql.createPool({
+const mysqlPool = createMysqlPool({
   host: process.env.OPENCART_DB_HOST,
   port: parseInt(process.env.OPENCART_DB_PORT || '3306'),
   user: process.env.OPENCART_DB_USER,
@@ -45,29 +78,140 @@ const mysqlPool = mysql.createPool({
 
 const TABLE_PREFIX = process.env.OPENCART_TABLE_PREFIX || 'oc_';
 
-// Voice IDs
-const AGENT_VOICES = {
-  receptionist: process.env.RECEPTIONIST_VOICE_ID || 'tFbs0XxZ7TP2yWyrfBty',
-  sales: process.env.SALES_VOICE_ID || 'fPVZbr0RJBH9KL47pnxU',
-  shipping: process.env.SHIPPING_VOICE_ID || 'YPtbPhafrxFTDAeaPP4w',
-  support: process.env.SUPPORT_VOICE_ID || 'fPVZbr0RJBH9KL47pnxU',
-  accounts: process.env.ACCOUNTS_VOICE_ID || 'xeBpkkuzgxa0IwKt7NTP',
+// Departments, voices, prompts and tools come from the agent registry (src/config/agents.yaml)
+const GREETING = agentRegistry.entry().greeting;
+
+// The receptionist hands over by saying this; callers end the call with these
+const ROUTING_PATTERN = agentRegistry.routingPattern();
+const GOODBYE_PATTERN = /goodbye|bye|thank you|thanks/i;
+
+// Played while an asynchronous turn is still running (see voice-turns.js)
+const TURN_FILLERS = {
+  start: ['One moment.', 'Sure, one moment.', 'Okay, let me see.'],
+  waiting: ['Still checking, thanks for holding.', 'Nearly there, thanks for your patience.'],
 };
 
-const callStates = new Map();
-const callTranscripts = new Map(); // Store completed call transcripts
+// Written channels, as named to the agents
+const TEXT_CHANNELS = { sms: 'SMS', whatsapp: 'WhatsApp', web: 'web chat on the Audico website' };
+
 const audioDir = path.join(__dirname, 'audio-cache');
 const transcriptsDir = path.join(__dirname, 'transcripts');
 await fs.mkdir(audioDir, { recursive: true });
 await fs.mkdir(transcriptsDir, { recursive: true });
 
+// Call state lives in the shared state store so a redeploy (or a second
+// instance) can pick up a call mid-conversation. Calls whose /voice/status
+// callback never arrives are swept after CALL_STATE_TTL_MINUTES of silence.
+const callStates = stateStore.namespace('calls', {
+  ttlMs: config.stateStore.callTtlMinutes * 60 * 1000,
+  onExpire: async (callSid, state) => {
+    console.log(`🧹 [STATE] Call ${callSid} expired without a status callback`);
+    await saveTranscript(callSid, state, 'expired');
+  },
+});
+const callTranscripts = stateStore.namespace('transcripts', { ttlMs: 24 * 60 * 60 * 1000 }); // Recently completed calls
+await stateStore.ready();
+
+// Opt-outs, voicemails, callbacks and payment links (a Supabase table unless RECORD_STORE=state)
+if (recordStore !== stateStore) {
+  try {
+    await recordStore.ready();
+  } catch (error) {
+    console.error(`❌ [STATE] ${error.message} - run supabase-setup-safe.sql`);
+  }
+}
+if (!recordStore.durable && !config.sandbox.enabled) {
+  console.warn('⚠️  [STATE] Business records are kept in memory (RECORD_STORE=state with STATE_STORE=memory) - voicemails, callbacks and payment links are lost on restart, and shipment notifications and recap SMS are off');
+}
+
 app.use(express.urlencoded({ extended: true }));
+// Manuals uploaded to the knowledge base are bigger than the default 100kb
+app.use('/admin/knowledge', express.json({ limit: `${config.knowledgeBase.maxUploadMb}mb` }));
 app.use(express.json());
 app.use('/audio', express.static(audioDir));
 
+// Only Twilio may drive the voice and messaging webhooks
+app.use('/voice', validateTwilioSignature());
+app.use('/messaging', validateTwilioSignature());
+
 // Register sync routes for automated daily product sync
 app.use(syncRoutes);
 
+// Admin API: business hours, closures, voicemail, callbacks, the messaging inbox and the knowledge base
+app.use(adminRoutes);
+
+// Payment links: provider notifications, return pages and the mock gateway
+app.use(paymentRoutes);
+
+// Human handoff: hold queue, staff whisper, after-hours options, callbacks and voicemail
+// (the AI call itself is handled below)
+app.use('/voice', voiceRoutes);
+
+// Call and hold queue statistics
+app.use('/analytics', requireAdminToken(), analyticsRoutes);
+
+if (config.sandbox.enabled) {
+  // Opening hours and callbacks follow the sandbox clock (SANDBOX_CLOCK, else real time)
+  clock.set(config.sandbox.clock);
+
+  // Inspect the SMS and outbound calls the fake Twilio client "sent"
+  app.get('/sandbox/outbox', (req, res) => {
+    res.json(sandboxOutbox);
+  });
+
+  // Move the clock: { "at": "2025-12-25T10:00:00+02:00" }; no time goes back to SANDBOX_CLOCK
+  app.post('/sandbox/clock', (req, res) => {
+    try {
+      clock.set(req.body.at || config.sandbox.clock);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ now: clock.now().toISOString() });
+  });
+
+  // What the server still holds for a call: { live, pendingTurns }. Once a hung-up
+  // call's turns have finished, it should hold nothing.
+  app.get('/sandbox/calls/:callSid', async (req, res) => {
+    const { callSid } = req.params;
+    const [state, pending] = await Promise.all([callStates.get(callSid), voiceTurnService.pending(callSid)]);
+    res.json({ live: Boolean(state), pendingTurns: pending.length });
+  });
+
+  // A customer's callbacks, newest first: ?phoneNumber=+27821110020
+  app.get('/sandbox/callbacks', async (req, res) => {
+    const callbacks = await callbackService.list({ phoneNumber: req.query.phoneNumber });
+    res.json({ callbacks: callbacks.sort((a, b) => b.createdAt.localeCompare(a.createdAt)) });
+  });
+
+  // Dial a customer's due callbacks now, first moving the clock on to the next one:
+  // { "phoneNumber": "+27821110020" }. Two pollers run at once, as on two instances,
+  // so a callback dialled twice shows up here as two calls.
+  app.post('/sandbox/callbacks/run', async (req, res) => {
+    const { phoneNumber } = req.body;
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'phoneNumber is required' });
+    }
+
+    try {
+      const [next] = await callbackService.list({ status: 'scheduled', phoneNumber });
+      if (next && new Date(next.scheduledFor) > clock.now()) {
+        clock.set(next.scheduledFor);
+      }
+
+      const placed = sandboxOutbox.calls.length;
+      const dialled = await Promise.all([1, 2].map(() => callbackService.processDue(clock.now(), { phoneNumber })));
+      res.json({
+        now: clock.now().toISOString(),
+        dialled: dialled.reduce((sum, count) => sum + count, 0),
+        calls: sandboxOutbox.calls.slice(placed).filter(call => call.url.includes('/voice/callback/answer')),
+      });
+    } catch (error) {
+      console.error('[Sandbox] Callback run failed:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
 // ============================================
 // SHIPLOGIC WEBHOOK HANDLER
 // ============================================
@@ -75,9 +219,10 @@ app.use(syncRoutes);
 /**
  * ShipLogic webhook endpoint
  * Receives notifications when shipments are created/updated
- * Stores tracking info in OpenCart database
+ * Stores tracking info in OpenCart database and notifies the customer
+ * (only with the shared secret - the customer is texted on its say-so)
  */
-app.post('/webhooks/shiplogic', async (req, res) => {
+app.post('/webhooks/shiplogic', requireWebhookSecret('shiplogic', () => config.shipLogic.webhookSecret), async (req, res) => {
   try {
     console.log('📦 [SHIPLOGIC WEBHOOK] Received:', JSON.stringify(req.body, null, 2));
 
@@ -102,14 +247,16 @@ app.post('/webhooks/shiplogic', async (req, res) => {
 
     // Look up order in OpenCart
     let orderId = null;
+    let customer = null;
     if (orderNumber) {
       const [rows] = await mysqlPool.execute(
-        `SELECT order_id FROM ${TABLE_PREFIX}order WHERE order_id = ? LIMIT 1`,
+        `SELECT order_id, firstname, telephone FROM ${TABLE_PREFIX}order WHERE order_id = ? LIMIT 1`,
         [parseInt(orderNumber)]
       );
 
       if (rows.length > 0) {
         orderId = rows[0].order_id;
+        customer = { firstname: rows[0].firstname, telephone: rows[0].telephone };
         console.log(`✅ [SHIPLOGIC WEBHOOK] Matched to OpenCart order ${orderId}`);
       } else {
         console.log(`⚠️  [SHIPLOGIC WEBHOOK] Order ${orderNumber} not found in OpenCart`);
@@ -242,6 +389,16 @@ app.post('/webhooks/shiplogic', async (req, res) => {
       }
     }
 
+    // Let the customer know - a failed SMS mustn't fail the webhook
+    let notification = null;
+    if (orderId) {
+      try {
+        notification = await shipmentNotificationService.handleShipmentUpdate({ shipment, orderId, customer });
+      } catch (error) {
+        console.error('❌ [SHIPLOGIC WEBHOOK] Notification error:', error.message);
+      }
+    }
+
     console.log(`✅ [SHIPLOGIC WEBHOOK] Tracking stored for order ${orderNumber || 'UNKNOWN'}`);
     console.log(`   ShipLogic ID: ${shipment.shipment_id}`);
     console.log(`   TCG Waybill: ${shipment.custom_tracking_reference || 'Not yet assigned'}`);
@@ -251,7 +408,8 @@ app.post('/webhooks/shiplogic', async (req, res) => {
       success: true,
       message: 'Webhook received and processed',
       order_number: orderNumber,
-      shiplogic_id: shipment.shipment_id
+      shiplogic_id: shipment.shipment_id,
+      notification: notification?.status || null
     });
 
   } catch (error) {
@@ -297,6 +455,11 @@ const productCount = await checkDatabase();
 /** Generate speech */
 async function generateSpeech(text, filename, voiceId) {
   try {
+    if (config.sandbox.enabled) {
+      await fs.writeFile(path.join(audioDir, filename), silentMp3(estimateSpeechMs(text)));
+      return filename;
+    }
+
     const response = await axios({
       method: 'POST',
       url: `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
@@ -327,413 +490,176 @@ async function generateSpeech(text, filename, voiceId) {
   }
 }
 
-/** Search products in database - used by AI tools */
-async function searchProducts(query, limit = 10) {
-  console.log(`[DB SEARCH] Query: "${query}"`);
-
-  const { data, error } = await supabase
-    .from('products')
-    .select('product_name, sku, brand, category_name, selling_price, total_stock')
-    .eq('active', true)
-    .gt('total_stock', 0)
-    .or(`product_name.ilike.%${query}%,brand.ilike.%${query}%,sku.ilike.%${query}%`)
-    .limit(limit);
-
-  if (error) {
-    console.error('[DB SEARCH] Error:', error);
-    return [];
-  }
-
-  console.log(`[DB SEARCH] Found ${data?.length || 0} results`);
-  return data || [];
-}
-
-/** Look up OpenCart order by ID */
-async function lookupOrder(orderId) {
-  console.log(`[OPENCART] Looking up order ${orderId}`);
-
-  const [rows] = await mysqlPool.execute(
-    `SELECT order_id, customer_id, firstname, lastname, email, telephone,
-            order_status_id, total, currency_code, date_added, shipping_method
-     FROM ${TABLE_PREFIX}order
-     WHERE order_id = ?
-     LIMIT 1`,
-    [parseInt(orderId)]
-  );
-
-  if (rows.length === 0) {
-    console.log(`[OPENCART] Order ${orderId} not found`);
-    return null;
+/**
+ * Call Claude, streaming text to onText as it arrives when given (Media Streams)
+ * @param {object} params - messages.create params
+ * @param {object} options - { onText(delta), signal }
+ */
+async function createMessage(params, { onText, signal } = {}) {
+  if (!onText) {
+    return anthropic.messages.create(params);
   }
 
-  console.log(`[OPENCART] Order ${orderId} found`);
-  return rows[0];
-}
+  const stream = anthropic.messages.stream(params, { signal });
 
-/** Get order products */
-async function getOrderProducts(orderId) {
-  const [rows] = await mysqlPool.execute(
-    `SELECT order_product_id, product_id, name, model, quantity, price, total
-     FROM ${TABLE_PREFIX}order_product
-     WHERE order_id = ?`,
-    [parseInt(orderId)]
-  );
-
-  console.log(`[OPENCART] Found ${rows.length} products for order ${orderId}`);
-  return rows;
-}
+  // This SDK version drops input_json_delta events from the final message,
+  // so collect tool inputs ourselves
+  const toolInputs = new Map();
+  stream.on('streamEvent', event => {
+    if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+      toolInputs.set(event.index, (toolInputs.get(event.index) || '') + event.delta.partial_json);
+    }
+  });
+  stream.on('text', delta => onText(delta));
 
-/** Get order history */
-async function getOrderHistory(orderId) {
-  const [rows] = await mysqlPool.execute(
-    `SELECT order_history_id, order_status_id, notify, comment, date_added
-     FROM ${TABLE_PREFIX}order_history
-     WHERE order_id = ?
-     ORDER BY date_added DESC`,
-    [parseInt(orderId)]
-  );
-
-  console.log(`[OPENCART] Found ${rows.length} history entries for order ${orderId}`);
-  return rows;
+  const message = await stream.finalMessage();
+  message.content.forEach((block, index) => {
+    if (block.type === 'tool_use' && toolInputs.has(index)) {
+      block.input = JSON.parse(toolInputs.get(index) || '{}');
+    }
+  });
+  return message;
 }
 
-/** Extract tracking number from order history */
-function extractTrackingNumber(history) {
-  if (!history || history.length === 0) return null;
+/**
+ * Get AI response with product knowledge
+ * options.onText streams the reply as it is generated; returns null if
+ * options.signal aborts it (caller barged in). options.channel is 'voice'
+ * (default), 'sms', 'whatsapp' or 'web' - text channels get written replies.
+ * options.acknowledged means the caller has already heard a filler.
+ */
+async function getAgentResponse(userMessage, callSid, agentType, state, options = {}) {
+  const history = state.history;
+  const channel = options.channel || 'voice';
 
-  for (const entry of history) {
-    if (!entry.comment) continue;
+  history.push({ role: 'user', content: userMessage });
 
-    // Check for tracking URLs
-    const urlMatch = entry.comment.match(/https?:\/\/[^\s]+/);
-    if (urlMatch) return urlMatch[0];
+  const agent = agentRegistry.get(agentType) || agentRegistry.entry();
+  let systemPrompt = agentRegistry.promptFor(agent.id);
 
-    // Check for tracking ref numbers
-    const refMatch = entry.comment.match(/ref[=:]\s*([A-Z0-9\-]+)/i);
-    if (refMatch) return refMatch[1];
+  // Outside business hours the department tells callers when staff are back
+  if (agent.id !== agentRegistry.entry().id) {
+    const hours = await businessHoursService.getStatus(agent.id);
+    if (!hours.open) {
+      systemPrompt += `\n\nSTAFF AVAILABILITY: ${businessHoursService.closedMessage(hours)} If the caller asks for a person, tell them when the team is open.`;
+    }
   }
 
-  return null;
-}
-
-/** Check if order needs shipping update (>2 days old without tracking) */
-function needsShippingUpdate(order, history) {
-  if (!order || !order.date_added) return false;
-
-  const orderDate = new Date(order.date_added);
-  const now = new Date();
-  const daysDiff = (now - orderDate) / (1000 * 60 * 60 * 24);
-
-  if (daysDiff < 2) return false;
-
-  const hasTracking = extractTrackingNumber(history) !== null;
-  return !hasTracking;
-}
-
-/** Format comprehensive shipping response */
-function formatShippingResponse(order, products, history) {
-  if (!order) {
-    return { text: 'Order not found', needsUpdate: false };
+  // Recognised caller: what we know, limited until they are verified
+  if (state.caller) {
+    systemPrompt += `\n\n${callerRecognitionService.contextFor(state.caller, { verified: Boolean(state.identityVerified) })}`;
   }
 
-  const orderId = order.order_id;
-  const orderDate = new Date(order.date_added);
-  const dateStr = orderDate.toLocaleDateString('en-ZA', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  });
-  const total = `R${parseFloat(order.total || 0).toFixed(2)}`;
-
-  const trackingInfo = extractTrackingNumber(history);
-  const needsUpdate = needsShippingUpdate(order, history);
-
-  let response = 'Let me check that for you. ';
-
-  // Confirm product
-  if (products && products.length > 0) {
-    const productNames = products.map(p => `${p.name} quantity ${p.quantity}`).join(', ');
-    response += `I can confirm your order for ${productNames}. `;
+  // Agents that can verify callers are told where that stands
+  if (agent.tools.includes('verify_identity')) {
+    systemPrompt += `\n\n${await verificationService.promptFor(callSid)}`;
   }
 
-  response += `This order was placed on ${dateStr} with a total of ${total}. `;
-
-  // Status
-  const statusMap = {
-    1: 'pending payment',
-    2: 'being processed',
-    3: 'shipped',
-    5: 'complete',
-    7: 'cancelled',
-    10: 'failed',
-    11: 'refunded',
-    18: 'shipped',
-    29: 'awaiting collection',
-  };
-
-  const statusName = statusMap[order.order_status_id] || 'being processed';
-  response += `The current status is ${statusName}. `;
-
-  // Tracking
-  if (trackingInfo) {
-    if (trackingInfo.startsWith('http')) {
-      // Extract tracking number from URL (after ref= or ref:)
-      const refMatch = trackingInfo.match(/ref[=:]([A-Z0-9\-]+)/i);
-      if (refMatch) {
-        response += `Shipped with The Courier Guy. Tracking ${refMatch[1]}. `;
-      } else {
-        response += `Your tracking information is available at: ${trackingInfo}. `;
-      }
-    } else {
-      response += `Tracking reference ${trackingInfo}. `;
-    }
+  // A payment link we sent this number has been paid since
+  const payments = state.from ? await paymentService.promptFor(state.from) : null;
+  if (payments) {
+    systemPrompt += `\n\n${payments}`;
   }
 
-  // Check if needs update
-  if (needsUpdate) {
-    response += `I notice this order is more than 2 days old and doesn't have shipping information yet. I will request an immediate update from our logistics team and have them send you the tracking details as soon as possible. `;
+  if (channel !== 'voice') {
+    systemPrompt += `\n\nCHANNEL: This conversation is over ${TEXT_CHANNELS[channel]}, not a phone call. Ignore instructions about speaking. Write short text messages - order numbers, prices and links can be written as they are. Never mention transferring a call or putting anyone on hold.`;
+  }
+  if (channel === 'web') {
+    systemPrompt += ' Products you find are shown to the customer as cards with links, so name them instead of pasting links.';
   }
 
-  return { text: response, needsUpdate, tracking: trackingInfo };
-}
-
-/** Get AI response with product knowledge */
-async function getAgentResponse(userMessage, callSid, agentType) {
-  const state = callStates.get(callSid) || { history: [], agent: 'receptionist' };
-  const history = state.history;
-
-  history.push({ role: 'user', content: userMessage });
-
-  const systemPrompts = {
-    receptionist: `You are the friendly receptionist for Audico, a South African electronics retailer.
-
-Route customers to the right department:
-- Sales: Product questions, purchases, pricing
-- Shipping: Order tracking, delivery
-- Support: Technical issues, troubleshooting
-- Accounts: Billing, invoices
-
-Keep responses VERY SHORT (1 sentence).
-
-When you know the department, say: "Let me connect you to our [department] team."`,
-
-    sales: `You are a sales specialist for Audico, a South African electronics retailer.
-
-We have 15,000+ products in stock. You have access to REAL-TIME product search via the search_products tool.
-
-Your job:
-- Help customers find products using the search_products tool
-- Provide accurate pricing and stock information from search results
-- Answer questions enthusiastically
-- Close sales
-
-CRITICAL PRONUNCIATION RULES:
-- ALWAYS write prices as "X thousand Y hundred rand" or "X rand" (NOT "R123" or "ZAR")
-- Example: 8990 = "eight thousand nine hundred and ninety rand"
-- Example: 164290 = "one hundred and sixty-four thousand two hundred and ninety rand"
-- Example: 10190 = "ten thousand one hundred and ninety rand"
-
-RESPONSE STYLE:
-- When customer asks for a product, ALWAYS use search_products tool first
-- IMMEDIATELY say: "Let me check that for you..." then use the tool
-- Keep responses SHORT (2-3 sentences max)
-- Be natural and conversational
-- Use search results as your source of truth!
-
-If search returns no results, suggest they speak with a specialist or ask for similar products.`,
-
-    shipping: `You are a shipping specialist for Audico, a South African electronics retailer.
-
-When a customer asks about their order, follow this EXACT sequence:
-
-1. IMMEDIATELY say: "Let me login to our system"
-2. Ask for: order number (if not already provided)
-3. Use the track_order tool to look up the order in OpenCart database
-4. Read the tool result CAREFULLY - it contains the REAL order information
-5. Repeat back ONLY what the tool result says - do not make up ANY information
-6. DO NOT invent delivery dates, signed-for names, or tracking numbers
-7. If the tool says "Order not found", tell the customer exactly that
-
-CRITICAL: NEVER make up information. ONLY say what the track_order tool returns.
-
-Keep responses SHORT and based ONLY on the tool result.`,
-
-    support: `You are a technical support specialist for Audico.
-Help with product troubleshooting and technical questions.
-Keep responses SHORT (2-3 sentences).`,
+  // The agent's tools that work on this channel (see src/tools)
+  const agentTools = toolRegistry.definitionsFor(agent, { channel });
+  const tools = agentTools.length > 0 ? agentTools : undefined;
 
-    accounts: `You are an accounts specialist for Audico.
-Help with billing and payment questions.
-Keep responses SHORT (2-3 sentences).`
+  const params = {
+    model: 'claude-3-5-sonnet-20241022',
+    max_tokens: 1024,
+    system: systemPrompt,
+    tools: tools,
   };
 
-  // Define tools based on agent type
-  let tools = undefined;
-
-  if (agentType === 'sales') {
-    tools = [
-      {
-        name: 'search_products',
-        description: 'Search Audico product catalog in real-time. Use this EVERY TIME a customer asks about a product. Search by brand name, model number, product type, or SKU.',
-        input_schema: {
-          type: 'object',
-          properties: {
-            query: {
-              type: 'string',
-              description: 'Search query - brand, model, product type, or SKU (e.g., "Denon AVR-X1800H", "wireless headphones", "JBL")'
-            },
-            limit: {
-              type: 'integer',
-              description: 'Maximum number of results (default 10)',
-              default: 10
-            }
-          },
-          required: ['query']
-        }
-      }
-    ];
-  } else if (agentType === 'shipping') {
-    tools = [
-      {
-        name: 'track_order',
-        description: 'Look up an order in OpenCart database by order ID. Returns REAL order information including products, date, status, and tracking number. DO NOT make up information - only use what this tool returns.',
-        input_schema: {
-          type: 'object',
-          properties: {
-            order_id: {
-              type: 'string',
-              description: 'Order ID number (e.g., "28630", "28645")'
-            }
-          },
-          required: ['order_id']
-        }
-      }
-    ];
-  }
-
   try {
-    let response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 1024,
-      system: systemPrompts[agentType] || systemPrompts.receptionist,
-      messages: history,
-      tools: tools,
-    });
+    const response = await createMessage({ ...params, messages: history }, options);
 
-    // Handle tool use (product search)
+    // Check if there's any text response alongside the tool call
     if (response.stop_reason === 'tool_use') {
-      // Check if there's any text response alongside the tool call
       const textBlocks = response.content.filter(block => block.type === 'text');
       const hasAcknowledgment = textBlocks.length > 0 && textBlocks.some(b => b.text.length > 10);
 
-      // If no acknowledgment text, force one
-      if (!hasAcknowledgment) {
-        console.log('[FORCING ACKNOWLEDGMENT] AI used tool without speaking first');
-        // Return immediate acknowledgment, don't use tool yet
-        return "Let me check that for you - give me just a moment...";
-      }
-
-      const assistantMessage = response.content;
-      history.push({ role: 'assistant', content: assistantMessage });
-
-      const toolResults = [];
-
-      for (const block of response.content) {
-        if (block.type === 'tool_use') {
-          console.log(`[TOOL CALL] ${block.name} with:`, block.input);
-
-          let toolResult;
-          if (block.name === 'search_products') {
-            const products = await searchProducts(block.input.query, block.input.limit || 10);
-            toolResult = products.length > 0 ? products : [{ message: 'No products found matching that search' }];
-          } else if (block.name === 'track_order') {
-            const orderId = block.input.order_id;
-            const order = await lookupOrder(orderId);
-
-            if (!order) {
-              toolResult = { error: `Order ${orderId} not found in our system` };
-            } else {
-              const products = await getOrderProducts(orderId);
-              const history = await getOrderHistory(orderId);
-
-              // Check ShipLogic tracking database first
-              const [trackingRows] = await mysqlPool.execute(
-                `SELECT tcg_waybill, shiplogic_reference, status, status_message, last_updated_at
-                 FROM oc_order_shiplogic_tracking
-                 WHERE order_id = ?
-                 ORDER BY last_updated_at DESC
-                 LIMIT 1`,
-                [parseInt(orderId)]
-              );
-
-              // If we have ShipLogic tracking, add it to the response
-              if (trackingRows.length > 0) {
-                const tracking = trackingRows[0];
-                console.log(`✅ [TRACKING] Found ShipLogic tracking for order ${orderId}: ${tracking.tcg_waybill || tracking.shiplogic_reference}`);
-
-                // Add tracking to history for the formatter
-                if (tracking.tcg_waybill) {
-                  history.unshift({
-                    comment: `Tracking: ${tracking.tcg_waybill} - Status: ${tracking.status || 'pending'}`,
-                    date_added: tracking.last_updated_at
-                  });
-                }
-              }
-
-              const response = formatShippingResponse(order, products, history);
-              toolResult = response;
-            }
-          }
-
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: block.id,
-            content: JSON.stringify(toolResult, null, 2)
-          });
+      // If no acknowledgment text, force one (callers shouldn't sit in silence).
+      // Asynchronous turns have already played a filler, so the tools just run;
+      // media streams speak it straight away and carry on with the tools
+      if (!hasAcknowledgment && channel === 'voice' && !options.acknowledged) {
+        const acknowledgment = "Let me check that for you - give me just a moment...";
+        if (options.onText) {
+          options.onText(acknowledgment);
+        } else {
+          console.log('[FORCING ACKNOWLEDGMENT] AI used tool without speaking first');
+          // Return immediate acknowledgment, don't use tool yet
+          return acknowledgment;
         }
       }
+    }
 
-      // Send tool results back to Claude
-      history.push({ role: 'user', content: toolResults });
+    // Tool rounds until Claude answers (or the step/time budget runs out)
+    const result = await runAgentLoop({
+      createMessage: loopParams => createMessage(loopParams, options),
+      params,
+      history,
+      response,
+      signal: options.signal,
+      label: `AI-${agentType}`,
+      executeTool: async block => {
+        // Record tool activity on the call (shown in transcripts and the simulator)
+        const toolCall = {
+          timestamp: new Date(),
+          agent: agentType,
+          name: block.name,
+          input: toolRegistry.redactInput(block.name, block.input)
+        };
+        state.toolCalls = state.toolCalls || [];
+        state.toolCalls.push(toolCall);
+
+        const result = await toolRegistry.execute(block.name, block.input, {
+          callSid,
+          agent: agent.id,
+          channel,
+          state
+        });
+
+        // The call keeps the tool's summary (enough for the SMS recap), not the customer data
+        toolCall.result = toolRegistry.summarize(block.name, result);
+        return result;
+      },
+    });
 
-      response = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 1024,
-        system: systemPrompts[agentType] || systemPrompts.receptionist,
-        messages: history,
-        tools: tools,
-      });
+    if (result.aborted) {
+      console.log(`[AI-${agentType}] Interrupted by caller`);
+      return null;
     }
 
-    const aiMessage = response.content
-      .filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join(' ');
+    const aiMessage = result.text;
+    if (result.response.stop_reason === 'tool_use') {
+      options.onText?.(aiMessage);
+    }
 
     console.log(`[AI-${agentType}] Response:`, aiMessage.substring(0, 100) + '...');
 
     history.push({ role: 'assistant', content: aiMessage });
+    state.history = trimHistory(history, 10);
 
-    if (history.length > 10) {
-      state.history = history.slice(-10);
-    } else {
-      state.history = history;
-    }
-
-    callStates.set(callSid, state);
     return aiMessage;
   } catch (error) {
+    if (options.signal?.aborted) {
+      console.log(`[AI-${agentType}] Interrupted by caller`);
+      return null;
+    }
     console.error(`[AI-${agentType}] Error:`, error.message);
     return 'I apologize, I need to transfer you to a specialist.';
   }
 }
 
-function getBaseUrl(req) {
-  const protocol = req.get('x-forwarded-proto') || req.protocol || 'https';
-  const host = req.get('x-forwarded-host') || req.get('host');
-  return `${protocol}://${host}`;
-}
-
 function createTwiML(message, audioFile, nextUrl, req) {
   const baseUrl = getBaseUrl(req);
   let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
@@ -763,7 +689,7 @@ app.get('/', (req, res) => {
 });
 
 // View all transcripts
-app.get('/admin/transcripts', async (req, res) => {
+app.get('/admin/transcripts', requireAdminToken(), async (req, res) => {
   try {
     const files = await fs.readdir(transcriptsDir);
     const transcriptFiles = files.filter(f => f.endsWith('.json'));
@@ -786,13 +712,31 @@ app.get('/admin/transcripts', async (req, res) => {
 });
 
 // View specific transcript
-app.get('/admin/transcript/:callSid', async (req, res) => {
+app.get('/admin/transcript/:callSid', requireAdminToken(), async (req, res) => {
   try {
     const { callSid } = req.params;
 
-    // Check memory first
-    if (callTranscripts.has(callSid)) {
-      return res.json({ success: true, transcript: callTranscripts.get(callSid) });
+    // Check recent transcripts first
+    const recent = await callTranscripts.get(callSid);
+    if (recent) {
+      return res.json({ success: true, transcript: recent });
+    }
+
+    // Call still in progress - return the live transcript
+    const liveState = await callStates.get(callSid);
+    if (liveState) {
+      return res.json({
+        success: true,
+        live: true,
+        transcript: {
+          callSid,
+          from: liveState.from,
+          startTime: liveState.startTime,
+          agent: liveState.agent,
+          transcript: liveState.transcript || [],
+          toolCalls: liveState.toolCalls || []
+        }
+      });
     }
 
     // Search files
@@ -810,6 +754,12 @@ app.get('/admin/transcript/:callSid', async (req, res) => {
   }
 });
 
+/** Does this number answer with a Media Stream instead of <Gather>? */
+function isStreamingNumber(number) {
+  const numbers = config.mediaStreams.numbers;
+  return numbers.includes('*') || numbers.includes(number);
+}
+
 app.post('/voice/incoming', async (req, res) => {
   const callSid = req.body.CallSid;
   const from = req.body.From;
@@ -817,24 +767,69 @@ app.post('/voice/incoming', async (req, res) => {
   console.log('');
   console.log('📞 INCOMING CALL:', callSid, 'from', from);
 
-  callStates.set(callSid, {
-    agent: 'receptionist',
+  // Known customers are greeted by first name; the rest waits for verification
+  const caller = await callerRecognitionService.recognize(from);
+
+  const state = {
+    agent: agentRegistry.entry().id,
     history: [],
     from,
+    caller,
+    identityVerified: false,
     transcript: [],
+    toolCalls: [],
     startTime: new Date()
-  });
+  };
 
-  const greeting = 'Welcome to Audico. How may I direct your call today?';
-  const audioFile = await generateSpeech(greeting, `${callSid}-greeting.mp3`, AGENT_VOICES.receptionist);
+  // Closed (after hours, public holiday or a closure for everyone): no one to route
+  // to, so go straight to the callback/voicemail offer
+  const hours = await businessHoursService.getStatus(agentRegistry.entry().id);
+  if (!hours.open) {
+    const message = businessHoursService.closedMessage(hours, 'Audico');
+    console.log(`📞 ${callSid}: closed (${hours.reason}) - offering callback/voicemail`);
+
+    state.transcript.push({ timestamp: new Date(), speaker: `AI-${agentRegistry.entry().id}`, text: message });
+    await callStates.set(callSid, state);
+    await ivrService.initializeCall(callSid, { from });
+    await ivrService.updateCallState(callSid, { selectedDepartment: agentRegistry.fallback().name, closedReason: hours.reason });
+
+    return res.type('text/xml').send(telephonyService.createAfterHoursResponse(message, getBaseUrl(req)));
+  }
+
+  const greeting = callerRecognitionService.greetingFor(caller, GREETING);
+
+  // Real-time mode: audio both ways over a WebSocket, greeting spoken on connect
+  if (isStreamingNumber(req.body.To)) {
+    state.mode = 'stream';
+    state.streamToken = crypto.randomBytes(16).toString('hex');
+    state.greeting = greeting;
+    state.transcript.push({
+      timestamp: new Date(),
+      speaker: `AI-${agentRegistry.entry().id}`,
+      text: greeting
+    });
+    await callStates.set(callSid, state);
+
+    const baseUrl = getBaseUrl(req);
+    const streamUrl = `${baseUrl.replace(/^http/, 'ws')}${config.mediaStreams.path}`;
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+    twiml += `<Connect><Stream url="${streamUrl}"><Parameter name="token" value="${state.streamToken}"/></Stream></Connect>`;
+    twiml += `<Redirect method="POST">${baseUrl}/voice/stream-ended</Redirect>`;
+    twiml += '</Response>';
+
+    console.log(`🎧 Streaming call ${callSid} via ${streamUrl}`);
+    return res.type('text/xml').send(twiml);
+  }
+
+  const audioFile = await generateSpeech(greeting, `${callSid}-greeting.mp3`, agentRegistry.entry().voice);
 
   // Log transcript
-  const state = callStates.get(callSid);
   state.transcript.push({
     timestamp: new Date(),
-    speaker: 'AI-receptionist',
+    speaker: `AI-${agentRegistry.entry().id}`,
     text: greeting
   });
+  await callStates.set(callSid, state);
 
   const twiml = createTwiML(greeting, audioFile, '/voice/conversation', req);
   res.type('text/xml').send(twiml);
@@ -851,7 +846,75 @@ app.post('/voice/conversation', async (req, res) => {
     return res.type('text/xml').send(twiml);
   }
 
-  const state = callStates.get(callSid) || { agent: 'receptionist', history: [], transcript: [] };
+  if (!voiceTurnService.enabled) {
+    return res.type('text/xml').send(await conversationTurn(req, callSid, speechResult));
+  }
+
+  // Answer Twilio now; the reply (Claude, tools, TTS) is played once it's ready
+  const turn = await voiceTurnService.start(callSid, () => conversationTurn(req, callSid, speechResult, { acknowledged: true }));
+  const settled = await voiceTurnService.wait(turn.id, voiceTurnService.waitMs);
+  if (settled.status !== 'pending') {
+    await voiceTurnService.finish(turn.id);
+    return res.type('text/xml').send(settled.twiml || turnFailedTwiML(req));
+  }
+
+  const state = await callStates.get(callSid);
+  res.type('text/xml').send(await turnFillerTwiML(req, turn, state?.agent, 'start'));
+});
+
+// Twilio follows the <Redirect> here until the turn's reply is ready
+app.post('/voice/turn/:turnId', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const turn = await voiceTurnService.wait(req.params.turnId, voiceTurnService.pollWaitMs);
+
+  if (!turn || turn.callSid !== callSid) {
+    console.log(`[Turns] ${callSid}: unknown turn ${req.params.turnId}`);
+    return res.type('text/xml').send(turnFailedTwiML(req));
+  }
+
+  if (turn.status === 'pending' && voiceTurnService.expired(turn)) {
+    console.log(`[Turns] ${callSid}: gave up on turn ${turn.id} after ${voiceTurnService.maxMs / 1000}s`);
+    await voiceTurnService.finish(turn.id);
+    return res.type('text/xml').send(turnFailedTwiML(req));
+  }
+
+  // The reply may have landed since wait() returned - then the poll isn't counted and it plays now
+  const polled = turn.status === 'pending' ? await voiceTurnService.recordPoll(turn.id) : turn;
+  if (!polled) {
+    return res.type('text/xml').send(turnFailedTwiML(req));
+  }
+  if (polled.status !== 'pending') {
+    await voiceTurnService.finish(polled.id);
+    return res.type('text/xml').send(polled.twiml || turnFailedTwiML(req));
+  }
+
+  const state = await callStates.get(callSid);
+  res.type('text/xml').send(await turnFillerTwiML(req, polled, state?.agent, 'waiting'));
+});
+
+/**
+ * Save a call's state at the end of a turn - but only while the call is still
+ * live. A turn can finish after /voice/status has saved the transcript and
+ * deleted the state; writing it back then would leave it for the sweeper to
+ * save again as an expired call.
+ * @param {string} callSid
+ * @param {object} state
+ * @returns {Promise<boolean>} - false when the call has already ended
+ */
+async function saveLiveCallState(callSid, state) {
+  const saved = await callStates.update(callSid, current => (current ? state : undefined));
+  if (!saved) {
+    console.log(`[STATE] Call ${callSid} ended before its turn finished - state not saved`);
+  }
+  return Boolean(saved);
+}
+
+/**
+ * One caller utterance on a <Gather> call: the agent's reply, routing or
+ * goodbye, as TwiML. options go to getAgentResponse.
+ */
+async function conversationTurn(req, callSid, speechResult, options = {}) {
+  const state = (await callStates.get(callSid)) || { agent: agentRegistry.entry().id, history: [], transcript: [] };
 
   // Log customer speech to transcript
   if (state.transcript) {
@@ -862,7 +925,14 @@ app.post('/voice/conversation', async (req, res) => {
     });
   }
 
-  const aiResponse = await getAgentResponse(speechResult, callSid, state.agent);
+  // Asked for a person: the department's hold queue (or callback/voicemail when closed)
+  if (ivrService.detectsHumanRequest(speechResult)) {
+    state.handoff = handoffDepartment(state.agent);
+    await saveLiveCallState(callSid, state);
+    return humanHandoffResponse(req, { callSid, from: state.from, department: state.handoff, transcript: state.transcript });
+  }
+
+  const aiResponse = await getAgentResponse(speechResult, callSid, state.agent, state, options);
 
   // Log AI response to transcript
   if (state.transcript) {
@@ -874,17 +944,17 @@ app.post('/voice/conversation', async (req, res) => {
   }
 
   // Check for routing
-  const routingMatch = aiResponse.match(/connect you to our (sales|shipping|support|accounts) team/i);
+  const routingMatch = aiResponse.match(ROUTING_PATTERN);
 
-  if (routingMatch && state.agent === 'receptionist') {
+  if (routingMatch && state.agent === agentRegistry.entry().id) {
     const department = routingMatch[1].toLowerCase();
     console.log(`🔄 ROUTING TO: ${department}`);
 
     state.agent = department;
     state.history = [];
-    callStates.set(callSid, state);
+    await saveLiveCallState(callSid, state);
 
-    const audioFile = await generateSpeech(aiResponse, `${callSid}-routing.mp3`, AGENT_VOICES.receptionist);
+    const audioFile = await generateSpeech(aiResponse, `${callSid}-routing.mp3`, agentRegistry.entry().voice);
 
     const baseUrl = getBaseUrl(req);
     let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
@@ -895,8 +965,8 @@ app.post('/voice/conversation', async (req, res) => {
 
     twiml += '<Pause length="1"/>';
 
-    const agentGreeting = `Hello, this is ${department}. How can I help you today?`;
-    const agentAudioFile = await generateSpeech(agentGreeting, `${callSid}-${department}-greeting.mp3`, AGENT_VOICES[department]);
+    const agentGreeting = agentRegistry.get(department).greeting;
+    const agentAudioFile = await generateSpeech(agentGreeting, `${callSid}-${department}-greeting.mp3`, agentRegistry.voiceFor(department));
 
     if (agentAudioFile) {
       twiml += `<Play>${baseUrl}/audio/${agentAudioFile}</Play>`;
@@ -907,12 +977,14 @@ app.post('/voice/conversation', async (req, res) => {
     twiml += '</Gather>';
     twiml += '</Response>';
 
-    return res.type('text/xml').send(twiml);
+    return twiml;
   }
 
+  await saveLiveCallState(callSid, state);
+
   // Check for goodbye
-  if (/goodbye|bye|thank you|thanks/i.test(speechResult)) {
-    const audioFile = await generateSpeech(aiResponse, `${callSid}-goodbye.mp3`, AGENT_VOICES[state.agent]);
+  if (GOODBYE_PATTERN.test(speechResult)) {
+    const audioFile = await generateSpeech(aiResponse, `${callSid}-goodbye.mp3`, agentRegistry.voiceFor(state.agent));
 
     const baseUrl = getBaseUrl(req);
     let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
@@ -923,70 +995,360 @@ app.post('/voice/conversation', async (req, res) => {
 
     twiml += '<Hangup/></Response>';
 
-    callStates.delete(callSid);
-    return res.type('text/xml').send(twiml);
+    // Keep the state until /voice/status so the transcript gets saved
+    return twiml;
   }
 
   // Continue conversation
-  const audioFile = await generateSpeech(aiResponse, `${callSid}-${Date.now()}.mp3`, AGENT_VOICES[state.agent]);
+  const audioFile = await generateSpeech(aiResponse, `${callSid}-${Date.now()}.mp3`, agentRegistry.voiceFor(state.agent));
 
-  const twiml = createTwiML(aiResponse, audioFile, '/voice/conversation', req);
+  return createTwiML(aiResponse, audioFile, '/voice/conversation', req);
+}
+
+/** Staff who take a call handed over by an agent - the receptionist's go to the fallback agent's */
+function handoffDepartment(agentId) {
+  return agentId === agentRegistry.entry().id ? agentRegistry.fallback().id : agentId;
+}
+
+/**
+ * Filler while a turn runs, then back to /voice/turn for the result. The
+ * first filler always plays; while waiting, every other poll says something
+ * so the caller knows we're still there.
+ */
+async function turnFillerTwiML(req, turn, agentId, kind) {
+  const baseUrl = getBaseUrl(req);
+  const agent = agentRegistry.get(agentId) || agentRegistry.entry();
+  let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+  if (kind === 'start' || turn.polls % 2 === 1) {
+    const phrases = TURN_FILLERS[kind];
+    const index = Math.floor(Math.random() * phrases.length);
+    const audioFile = await fillerSpeech(phrases[index], `${kind}-${index}`, agent);
+    twiml += audioFile
+      ? `<Play>${baseUrl}/audio/${audioFile}</Play>`
+      : `<Say voice="Polly.Joanna" language="en-ZA">${phrases[index]}</Say>`;
+  } else {
+    twiml += '<Pause length="1"/>';
+  }
+
+  twiml += `<Redirect method="POST">${baseUrl}/voice/turn/${turn.id}</Redirect>`;
+  twiml += '</Response>';
+  return twiml;
+}
+
+/** Filler audio is the same every time - generated once per voice */
+async function fillerSpeech(text, key, agent) {
+  const voiceId = agentRegistry.voiceFor(agent.id);
+  const filename = `filler-${voiceId || 'default'}-${key}.mp3`;
+  try {
+    await fs.access(path.join(audioDir, filename));
+    return filename;
+  } catch (error) {
+    return generateSpeech(text, filename, voiceId);
+  }
+}
+
+/** The turn was lost or took too long: ask the caller again */
+function turnFailedTwiML(req) {
+  return createTwiML("Sorry, that's taking longer than it should. Could you say that again?", null, '/voice/conversation', req);
+}
+
+// Twilio continues here when a media stream closes
+app.post('/voice/stream-ended', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const state = await callStates.get(callSid);
+
+  if (state?.handoff) {
+    return res.type('text/xml').send(await humanHandoffResponse(req, { callSid, from: state.from, department: state.handoff, transcript: state.transcript }));
+  }
+
+  if (!state || state.hangup) {
+    return res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+
+  // The stream dropped mid-call - carry on with the <Gather> flow
+  console.log(`⚠️  Media stream for ${callSid} ended early - falling back to speech gather`);
+  state.mode = 'gather';
+  await callStates.set(callSid, state);
+
+  const message = 'Sorry, the line dropped for a moment. How can I help you?';
+  const audioFile = await generateSpeech(message, `${callSid}-${Date.now()}.mp3`, agentRegistry.voiceFor(state.agent));
+  const twiml = createTwiML(message, audioFile, '/voice/conversation', req);
   res.type('text/xml').send(twiml);
 });
 
+// ============================================
+// MEDIA STREAM HANDLERS
+// ============================================
+
+const mediaStreamHandlers = {
+  async onStart({ callSid, customParameters, ip, speak }) {
+    const state = await callStates.get(callSid);
+
+    // Only streams we opened from /voice/incoming (token in the TwiML)
+    if (!state || !state.streamToken || customParameters.token !== state.streamToken) {
+      logger.logSecurity({
+        type: 'media_stream_token_invalid',
+        path: config.mediaStreams.path,
+        ip,
+        callSid,
+        details: { knownCall: Boolean(state) },
+      });
+      return false;
+    }
+
+    speak(state.greeting || GREETING, agentRegistry.entry().voice);
+    return true;
+  },
+
+  async onUtterance({ callSid, text, signal, speak }) {
+    const state = await callStates.get(callSid);
+    if (!state) return { hangup: true };
+
+    console.log('💬', callSid, ':', text);
+    state.transcript.push({
+      timestamp: new Date(),
+      speaker: 'Customer',
+      text
+    });
+
+    // Asked for a person: close the stream, /voice/stream-ended hands the call over
+    if (ivrService.detectsHumanRequest(text)) {
+      state.handoff = handoffDepartment(state.agent);
+      await saveLiveCallState(callSid, state);
+      return { hangup: true };
+    }
+
+    const agent = state.agent;
+    let spoken = '';
+    const aiResponse = await getAgentResponse(text, callSid, agent, state, {
+      signal,
+      onText: delta => {
+        spoken += delta;
+        speak(delta, agentRegistry.voiceFor(agent));
+      },
+    });
+
+    // Caller talked over the reply before it finished generating
+    if (aiResponse === null) {
+      state.history.push({ role: 'assistant', content: spoken.trim() || '...' });
+      state.transcript.push({
+        timestamp: new Date(),
+        speaker: `AI-${agent}`,
+        text: spoken.trim(),
+        interrupted: true
+      });
+      await saveLiveCallState(callSid, state);
+      return {};
+    }
+
+    state.transcript.push({
+      timestamp: new Date(),
+      speaker: `AI-${agent}`,
+      text: aiResponse,
+      ...(signal.aborted && { interrupted: true })
+    });
+
+    const routingMatch = aiResponse.match(ROUTING_PATTERN);
+    if (routingMatch && agent === agentRegistry.entry().id) {
+      const department = routingMatch[1].toLowerCase();
+      console.log(`🔄 ROUTING TO: ${department}`);
+
+      state.agent = department;
+      state.history = [];
+      speak(agentRegistry.get(department).greeting, agentRegistry.voiceFor(department));
+    }
+
+    if (GOODBYE_PATTERN.test(text)) {
+      state.hangup = true;
+    }
+
+    const live = await saveLiveCallState(callSid, state);
+    return { hangup: !live || Boolean(state.hangup) };
+  },
+};
+
+/** Save a finished call's transcript to disk and the recent-transcripts store */
+async function saveTranscript(callSid, state, endReason = 'completed') {
+  if (!state || !state.transcript || state.transcript.length === 0) return;
+
+  const transcriptData = {
+    callSid,
+    channel: state.channel || 'voice',
+    from: state.from,
+    startTime: state.startTime,
+    endTime: new Date(),
+    duration: state.startTime ? Math.floor((new Date() - new Date(state.startTime)) / 1000) : 0,
+    agent: state.agent,
+    endReason,
+    handoff: state.handoff || null, // department whose staff the caller asked for
+    transcript: state.transcript,
+    toolCalls: state.toolCalls || []
+  };
+
+  // Save to file
+  const filename = `${callSid}-${Date.now()}.json`;
+  const filepath = path.join(transcriptsDir, filename);
+  await fs.writeFile(filepath, JSON.stringify(transcriptData, null, 2));
+
+  // Keep recent transcripts in the store for quick access
+  await callTranscripts.set(callSid, transcriptData);
+
+  console.log(`📝 Transcript saved: ${filename}`);
+}
+
 app.post('/voice/status', async (req, res) => {
   const callSid = req.body.CallSid;
   const callStatus = req.body.CallStatus;
 
+  let state = null;
   if (callStatus === 'completed') {
-    const state = callStates.get(callSid);
+    state = await callStates.get(callSid);
 
     // Save transcript before deleting
-    if (state && state.transcript && state.transcript.length > 0) {
-      const transcriptData = {
-        callSid,
-        from: state.from,
-        startTime: state.startTime,
-        endTime: new Date(),
-        duration: state.startTime ? Math.floor((new Date() - state.startTime) / 1000) : 0,
-        agent: state.agent,
-        transcript: state.transcript
-      };
-
-      // Save to file
-      const filename = `${callSid}-${Date.now()}.json`;
-      const filepath = path.join(transcriptsDir, filename);
-      await fs.writeFile(filepath, JSON.stringify(transcriptData, null, 2));
-
-      // Store in memory for quick access
-      callTranscripts.set(callSid, transcriptData);
-
-      console.log(`📝 Transcript saved: ${filename}`);
-    }
-
-    callStates.delete(callSid);
+    await saveTranscript(callSid, state);
+    await callStates.delete(callSid);
+    // IVR state from a human handoff
+    await ivrService.cleanupCall(callSid);
   }
 
   res.status(200).send('OK');
+
+  // Text the caller what came out of the call (after responding - it waits on the LLM)
+  if (state) {
+    callRecapService.sendRecap({
+      callSid,
+      phoneNumber: state.from,
+      toolCalls: state.toolCalls,
+      conversation: (state.transcript || []).map(entry => ({
+        role: entry.speaker === 'Customer' ? 'customer' : 'agent',
+        content: entry.text
+      }))
+    }).catch(error => console.error('[Call Recap] Error:', error.message));
+  }
 });
 
-app.listen(PORT, () => {
+/**
+ * One customer message on a written channel (SMS, WhatsApp, web chat)
+ * The receptionist hands over; the department answers the same message so
+ * the customer doesn't have to repeat it. options.onText streams the reply,
+ * options.onHandover(agentId) is told when the department takes over.
+ */
+async function getTextChannelResponse(session, text, options = {}) {
+  const label = session.channel.toUpperCase();
+  console.log(`💬 [${label}]`, session.from || session.id, ':', text);
+  session.transcript.push({
+    timestamp: new Date(),
+    speaker: 'Customer',
+    text
+  });
+
+  const agentOptions = { channel: session.channel, onText: options.onText };
+  let reply = await getAgentResponse(text, session.id, session.agent, session, agentOptions);
+
+  const routingMatch = reply.match(ROUTING_PATTERN);
+  if (routingMatch && session.agent === agentRegistry.entry().id) {
+    // Streamed replies have already been seen; SMS and WhatsApp only get the department's
+    if (options.onText) {
+      session.transcript.push({
+        timestamp: new Date(),
+        speaker: `AI-${session.agent}`,
+        text: reply
+      });
+    }
+    session.agent = routingMatch[1].toLowerCase();
+    session.history = [];
+    console.log(`🔄 [${label}] ROUTING TO: ${session.agent}`);
+    options.onHandover?.(session.agent);
+    reply = await getAgentResponse(text, session.id, session.agent, session, agentOptions);
+  }
+
+  session.transcript.push({
+    timestamp: new Date(),
+    speaker: `AI-${session.agent}`,
+    text: reply
+  });
+  return reply;
+}
+
+// SMS and WhatsApp conversations run the same agents as calls
+const messagingHandlers = {
+  async onMessage({ session, text }) {
+    return getTextChannelResponse(session, text);
+  },
+};
+
+// So does the web chat widget, streaming replies as they are written
+const webChatHandlers = {
+  async onMessage({ session, text, onText, onHandover }) {
+    return getTextChannelResponse(session, text, { onText, onHandover });
+  },
+
+  async onEnd(session, reason) {
+    // Nothing worth keeping if the visitor never wrote
+    if (!session.transcript.some(entry => entry.speaker === 'Customer')) return;
+    await saveTranscript(session.id, session, reason);
+  },
+};
+
+// Embeddable widget: <script src="https://<server>/web-chat/widget.js" async></script>
+app.get(`${config.webChat.path}/widget.js`, (req, res) => {
+  res.type('application/javascript');
+  res.sendFile(path.join(__dirname, 'public', 'web-chat-widget.js'));
+});
+
+app.use(createMessagingRoutes(messagingHandlers));
+
+const server = app.listen(PORT, () => {
   console.log('');
   console.log('========================================');
   console.log('  MULTI-AGENT WITH REAL-TIME SEARCH!');
   console.log('========================================');
   console.log(`  Port: ${PORT}`);
+  console.log(`  State store: ${stateStore.backend.name}`);
+  console.log(`  Record store: ${recordStore.backend.name}${recordStore.backend.table ? ` (${recordStore.backend.table})` : ''}`);
+  if (config.sandbox.enabled) {
+    console.log('  🧪 SANDBOX MODE - fake LLM, TTS, database and Twilio (no network)');
+  }
   console.log('');
   console.log(`  ✅ Database: ${productCount} products available`);
   console.log('  ✅ Real-time product search enabled');
   console.log('  ✅ Full catalog access (15,000+ products)');
   console.log('  ✅ Call transcription enabled');
   console.log('');
-  console.log('  Voice IDs:');
-  for (const [agent, voiceId] of Object.entries(AGENT_VOICES)) {
-    console.log(`  - ${agent}: ${voiceId}`);
+  console.log('  Agents (voice):');
+  for (const agent of agentRegistry.all()) {
+    console.log(`  - ${agent.id}${agent.digit !== null ? ` [${agent.digit}]` : ''}: ${agent.voice}`);
   }
   console.log('');
+  if (config.mediaStreams.numbers.length > 0) {
+    console.log(`  🎧 Media Streams: ${config.mediaStreams.numbers.join(', ')}`);
+  }
   console.log('  Ready for calls!');
   console.log('========================================');
+
+  callbackService.start();
+  shipmentNotificationService.start();
 });
+
+attachMediaStreamServer(server, mediaStreamHandlers);
+attachWebChatServer(server, webChatHandlers);
+
+// Flush in-flight call state before Railway stops this instance, so the
+// next one can resume calls from the file/redis store
+async function shutdown(signal) {
+  console.log(`[Server] ${signal} received - flushing call state`);
+  callbackService.stop();
+  shipmentNotificationService.stop();
+  server.close();
+  try {
+    await stateStore.close();
+    if (recordStore !== stateStore) await recordStore.close();
+  } catch (error) {
+    console.error('[Server] Error flushing call state:', error.message);
+  }
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
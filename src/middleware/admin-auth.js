@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Admin API authentication
+ *
+ * Requires "Authorization: Bearer <ADMIN_TOKEN>". Without ADMIN_TOKEN set every
+ * request is refused (except in sandbox mode). Failures go to the security log.
+ * @returns {function} - Express middleware
+ */
+export function requireAdminToken() {
+  return (req, res, next) => {
+    if (config.sandbox.enabled) {
+      return next();
+    }
+
+    const token = req.get('authorization')?.replace(/^Bearer\s+/i, '') || '';
+    const expected = config.admin.token || '';
+    const valid = expected.length > 0 && token.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+
+    if (!valid) {
+      logger.logSecurity({
+        type: expected ? 'admin_token_invalid' : 'admin_token_unconfigured',
+        path: req.originalUrl,
+        ip: req.ip,
+      });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,52 @@
+import twilio from 'twilio';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { getBaseUrl } from '../utils/url.js';
+
+/**
+ * Twilio webhook signature validation
+ *
+ * Checks X-Twilio-Signature against the public URL of the request (see
+ * getBaseUrl) and the form parameters. Forged or unsigned requests get a 403
+ * and are written to the security log.
+ *
+ * Bypassed in sandbox mode and when TWILIO_VALIDATE_SIGNATURES=false (local
+ * development against the simulator).
+ * @returns {function} - Express middleware
+ */
+export function validateTwilioSignature() {
+  return (req, res, next) => {
+    if (req.twilioSignatureValidated || config.sandbox.enabled || !config.twilio.validateSignatures) {
+      return next();
+    }
+
+    const signature = req.get('x-twilio-signature');
+    const url = `${getBaseUrl(req)}${req.originalUrl}`;
+    const reject = (type, details) => {
+      logger.logSecurity({
+        type,
+        path: req.originalUrl,
+        ip: req.ip,
+        callSid: req.body?.CallSid,
+        details,
+      });
+      res.status(403).type('text/plain').send('Forbidden');
+    };
+
+    if (!config.twilio.authToken) {
+      console.error('[Security] TWILIO_AUTH_TOKEN is not set - cannot validate webhooks');
+      return reject('twilio_signature_unverifiable', { url });
+    }
+
+    if (!signature) {
+      return reject('twilio_signature_missing', { url });
+    }
+
+    if (!twilio.validateRequest(config.twilio.authToken, signature, url, req.body || {})) {
+      return reject('twilio_signature_invalid', { url });
+    }
+
+    req.twilioSignatureValidated = true;
+    next();
+  };
+}
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Shared-secret check for webhooks from services that don't sign requests
+ *
+ * The secret goes in the webhook URL registered with the service
+ * (?secret=...) or in an "Authorization: Bearer ..." or X-Webhook-Secret
+ * header. Without a secret configured every request is refused (except in
+ * sandbox mode). Failures go to the security log.
+ * @param {string} name - Webhook name for the security log, e.g. 'shiplogic'
+ * @param {function(): string} getSecret - Reads the configured secret
+ * @returns {function} - Express middleware
+ */
+export function requireWebhookSecret(name, getSecret) {
+  return (req, res, next) => {
+    if (config.sandbox.enabled) {
+      return next();
+    }
+
+    const provided = String(req.query.secret || req.get('x-webhook-secret') ||
+      req.get('authorization')?.replace(/^Bearer\s+/i, '') || '');
+    const expected = getSecret() || '';
+    const valid = expected.length > 0 && provided.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+    if (!valid) {
+      logger.logSecurity({
+        type: expected ? `${name}_webhook_secret_invalid` : `${name}_webhook_secret_unconfigured`,
+        path: req.path,
+        ip: req.ip,
+      });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
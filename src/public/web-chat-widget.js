@@ -0,0 +1,312 @@
+/**
+ * Audico web chat widget
+ *
+ * Embed on any page of an allowed site (WEB_CHAT_ORIGINS):
+ *   <script src="https://<server>/web-chat/widget.js" async></script>
+ *
+ * Opens a chat bubble in the corner that talks to the same agents as the phone
+ * line over a WebSocket to the server the script was loaded from. The session
+ * id is kept in sessionStorage, so the conversation carries on across pages.
+ */
+(function () {
+  'use strict';
+
+  if (window.AudicoChat) return;
+
+  // The chat socket sits next to this script: /web-chat/widget.js → /web-chat
+  const script = document.currentScript;
+  const socketUrl = new URL(script ? script.src.replace(/\/widget\.js(\?.*)?$/, '') : '/web-chat', window.location.href);
+  socketUrl.protocol = socketUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+
+  const SESSION_KEY = 'audico-chat-session';
+  const MAX_RECONNECT_DELAY_MS = 30000;
+
+  const STYLES = `
+    .audico-chat-launcher { position: fixed; right: 20px; bottom: 20px; z-index: 2147483000;
+      width: 56px; height: 56px; border: 0; border-radius: 50%; background: #c8102e; color: #fff;
+      font: 600 24px/56px sans-serif; cursor: pointer; box-shadow: 0 4px 12px rgba(0,0,0,.25); }
+    .audico-chat-panel { position: fixed; right: 20px; bottom: 88px; z-index: 2147483000;
+      width: 340px; max-width: calc(100vw - 40px); height: 480px; max-height: calc(100vh - 120px);
+      display: none; flex-direction: column; background: #fff; border-radius: 12px; overflow: hidden;
+      box-shadow: 0 8px 24px rgba(0,0,0,.25); font: 14px/1.4 sans-serif; color: #222; }
+    .audico-chat-panel.open { display: flex; }
+    .audico-chat-header { display: flex; align-items: center; justify-content: space-between;
+      padding: 12px 14px; background: #c8102e; color: #fff; font-weight: 600; }
+    .audico-chat-header button { border: 1px solid #fff; border-radius: 14px; background: transparent;
+      color: #fff; padding: 3px 10px; cursor: pointer; font: inherit; font-weight: 400; }
+    .audico-chat-header button.highlight { background: #fff; color: #c8102e; }
+    .audico-chat-log { flex: 1; overflow-y: auto; padding: 12px; background: #f6f6f6; }
+    .audico-chat-message { max-width: 85%; margin: 0 0 8px; padding: 8px 11px; border-radius: 12px;
+      white-space: pre-wrap; word-wrap: break-word; }
+    .audico-chat-message.agent { background: #fff; border: 1px solid #e2e2e2; }
+    .audico-chat-message.customer { margin-left: auto; background: #c8102e; color: #fff; }
+    .audico-chat-notice { margin: 0 0 8px; text-align: center; color: #777; font-size: 12px; }
+    .audico-chat-cards { display: flex; gap: 8px; overflow-x: auto; margin: 0 0 8px; }
+    .audico-chat-card { flex: 0 0 150px; padding: 8px; background: #fff; border: 1px solid #e2e2e2;
+      border-radius: 8px; color: inherit; text-decoration: none; }
+    .audico-chat-card strong { display: block; font-size: 13px; }
+    .audico-chat-card span { display: block; color: #555; font-size: 12px; }
+    .audico-chat-form { display: flex; gap: 6px; padding: 8px; border-top: 1px solid #e2e2e2; }
+    .audico-chat-form input { flex: 1; min-width: 0; padding: 8px; border: 1px solid #ccc;
+      border-radius: 6px; font: inherit; }
+    .audico-chat-form button { padding: 8px 12px; border: 0; border-radius: 6px; background: #c8102e;
+      color: #fff; cursor: pointer; font: inherit; }
+    .audico-chat-callback { display: none; flex-direction: column; gap: 6px; padding: 8px;
+      border-top: 1px solid #e2e2e2; background: #fafafa; }
+    .audico-chat-callback.open { display: flex; }
+    .audico-chat-callback input { padding: 8px; border: 1px solid #ccc; border-radius: 6px; font: inherit; }
+    .audico-chat-callback button { padding: 8px; border: 0; border-radius: 6px; background: #c8102e;
+      color: #fff; cursor: pointer; font: inherit; }
+  `;
+
+  /** Create an element with a class and optional text */
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function input(name, placeholder, type) {
+    const field = element('input');
+    field.name = name;
+    field.placeholder = placeholder;
+    field.type = type || 'text';
+    return field;
+  }
+
+  /** Only web links are clickable in product cards */
+  function safeLink(link) {
+    try {
+      const url = new URL(link);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function formatPrice(price) {
+    return `R${Number(price).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  // ============================================
+  // LAYOUT
+  // ============================================
+
+  const style = element('style');
+  style.textContent = STYLES;
+  document.head.appendChild(style);
+
+  const launcher = element('button', 'audico-chat-launcher', '💬');
+  launcher.setAttribute('aria-label', 'Chat with Audico');
+
+  const panel = element('div', 'audico-chat-panel');
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Audico chat');
+
+  const header = element('div', 'audico-chat-header');
+  const title = element('span', null, 'Audico');
+  const callMeButton = element('button', null, '📞 Call me');
+  callMeButton.type = 'button';
+  header.append(title, callMeButton);
+
+  const log = element('div', 'audico-chat-log');
+  log.setAttribute('aria-live', 'polite');
+
+  const callbackForm = element('form', 'audico-chat-callback');
+  const nameField = input('name', 'Your name (optional)');
+  const phoneField = input('phoneNumber', 'Phone number, e.g. 082 123 4567', 'tel');
+  phoneField.required = true;
+  const whenField = input('when', 'When suits you? e.g. tomorrow morning (optional)');
+  callbackForm.append(nameField, phoneField, whenField, element('button', null, 'Call me'));
+
+  const messageForm = element('form', 'audico-chat-form');
+  const messageField = input('text', 'Type a message…');
+  messageField.maxLength = 1000;
+  messageForm.append(messageField, element('button', null, 'Send'));
+
+  panel.append(header, log, callbackForm, messageForm);
+
+  // ============================================
+  // CONVERSATION
+  // ============================================
+
+  let started = false;
+  let socket = null;
+  let reconnectDelay = 1000;
+  let streaming = null; // agent message being written
+  const outbox = []; // sent while disconnected
+
+  function scrollDown() {
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function addMessage(from, text) {
+    const message = element('div', `audico-chat-message ${from}`, text);
+    log.appendChild(message);
+    scrollDown();
+    return message;
+  }
+
+  function addNotice(text) {
+    log.appendChild(element('div', 'audico-chat-notice', text));
+    scrollDown();
+  }
+
+  function addProducts(products) {
+    if (!products || products.length === 0) return;
+
+    const cards = element('div', 'audico-chat-cards');
+    for (const product of products) {
+      const link = safeLink(product.link);
+      const card = element(link ? 'a' : 'div', 'audico-chat-card');
+      if (link) {
+        card.href = link;
+        card.target = '_blank';
+        card.rel = 'noopener';
+      }
+      card.appendChild(element('strong', null, product.name));
+      if (product.price !== null && product.price !== undefined) {
+        card.appendChild(element('span', null, formatPrice(product.price)));
+      }
+      card.appendChild(element('span', null, product.inStock ? 'In stock' : 'Out of stock'));
+      cards.appendChild(card);
+    }
+    log.appendChild(cards);
+    scrollDown();
+  }
+
+  function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    } else {
+      outbox.push(message);
+    }
+  }
+
+  function handle(message) {
+    switch (message.type) {
+      case 'session':
+        sessionStorage.setItem(SESSION_KEY, message.sessionId);
+        title.textContent = `Audico · ${message.agent.name}`;
+        // Fresh connection: redraw the conversation so far
+        log.textContent = '';
+        message.messages.forEach(entry => addMessage(entry.from, entry.text));
+        while (outbox.length > 0) {
+          const pending = outbox.shift();
+          if (pending.type === 'message') addMessage('customer', pending.text);
+          send(pending);
+        }
+        break;
+
+      case 'token':
+        if (!streaming) streaming = addMessage('agent', '');
+        streaming.textContent += message.text;
+        scrollDown();
+        break;
+
+      case 'handover':
+        streaming = null;
+        title.textContent = `Audico · ${message.agent.name}`;
+        addNotice(`You're now chatting with our ${message.agent.name.toLowerCase()} team`);
+        break;
+
+      case 'message':
+        (streaming || addMessage('agent', '')).textContent = message.text;
+        streaming = null;
+        title.textContent = `Audico · ${message.agent.name}`;
+        addProducts(message.products);
+        callMeButton.classList.toggle('highlight', Boolean(message.offerCallback));
+        break;
+
+      case 'callback':
+        callbackForm.classList.remove('open');
+        addMessage('agent', message.text);
+        break;
+
+      case 'error':
+        streaming = null;
+        addNotice(message.error);
+        break;
+    }
+  }
+
+  function connect() {
+    started = true;
+    socket = new WebSocket(socketUrl.href);
+
+    socket.addEventListener('open', () => {
+      reconnectDelay = 1000;
+      socket.send(JSON.stringify({ type: 'hello', sessionId: sessionStorage.getItem(SESSION_KEY) }));
+    });
+
+    socket.addEventListener('message', event => {
+      try {
+        handle(JSON.parse(event.data));
+      } catch (error) {
+        console.error('[AudicoChat] Bad message from server', error);
+      }
+    });
+
+    // Reconnect with backoff; the session picks up where it left off
+    socket.addEventListener('close', () => {
+      socket = null;
+      streaming = null;
+      setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    });
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  launcher.addEventListener('click', () => {
+    panel.classList.toggle('open');
+    if (!started) connect();
+    if (panel.classList.contains('open')) messageField.focus();
+  });
+
+  callMeButton.addEventListener('click', () => {
+    callbackForm.classList.toggle('open');
+    if (callbackForm.classList.contains('open')) phoneField.focus();
+  });
+
+  messageForm.addEventListener('submit', event => {
+    event.preventDefault();
+    const text = messageField.value.trim();
+    if (!text) return;
+
+    streaming = null;
+    addMessage('customer', text);
+    send({ type: 'message', text });
+    messageField.value = '';
+  });
+
+  callbackForm.addEventListener('submit', event => {
+    event.preventDefault();
+    send({
+      type: 'call_me',
+      phoneNumber: phoneField.value.trim(),
+      name: nameField.value.trim(),
+      when: whenField.value.trim(),
+    });
+  });
+
+  function mount() {
+    document.body.append(launcher, panel);
+  }
+
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener('DOMContentLoaded', mount);
+  }
+
+  window.AudicoChat = {
+    open() {
+      panel.classList.add('open');
+      if (!started) connect();
+    },
+  };
+})();
@@ -0,0 +1,459 @@
+/**
+ * Admin Routes
+ * Business hours, ad-hoc closures, the voicemail inbox, scheduled callbacks,
+ * the SMS/WhatsApp inbox and the support knowledge base (bearer ADMIN_TOKEN)
+ */
+
+import express from 'express';
+import { requireAdminToken } from '../middleware/admin-auth.js';
+import { businessHoursService } from '../services/business-hours.js';
+import { voicemailService, VOICEMAIL_STATUSES } from '../services/voicemail.js';
+import { callbackService, CALLBACK_STATUSES } from '../services/callbacks.js';
+import { messagingService, INBOX_STATUSES } from '../services/messaging.js';
+import { knowledgeBaseService, DOCUMENT_TYPES } from '../services/knowledge-base.js';
+import { agentRegistry } from '../services/agent-registry.js';
+import { southAfricanHolidays } from '../utils/calendar.js';
+import { getBaseUrl } from '../utils/url.js';
+import { clock } from '../utils/clock.js';
+
+const router = express.Router();
+
+router.use('/admin/business-hours', requireAdminToken());
+router.use('/admin/closures', requireAdminToken());
+router.use('/admin/voicemails', requireAdminToken());
+router.use('/admin/callbacks', requireAdminToken());
+router.use('/admin/inbox', requireAdminToken());
+router.use('/admin/knowledge', requireAdminToken());
+
+/**
+ * GET /admin/business-hours
+ * Open/closed status per department and this year's public holidays
+ */
+router.get('/admin/business-hours', async (req, res) => {
+  try {
+    const now = clock.now();
+    const departments = [];
+
+    for (const agent of agentRegistry.departments()) {
+      const status = await businessHoursService.getStatus(agent.id, now);
+      departments.push({
+        id: agent.id,
+        name: agent.name,
+        open: status.open,
+        reason: status.reason,
+        nextOpen: status.nextOpen || null,
+      });
+    }
+
+    res.json({
+      success: true,
+      timezone: businessHoursService.timezone,
+      departments,
+      holidays: southAfricanHolidays(now.getFullYear()),
+      closures: await businessHoursService.listClosures(now),
+    });
+  } catch (error) {
+    console.error('[Admin] Error fetching business hours:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/closures
+ * Current and upcoming closures
+ */
+router.get('/admin/closures', async (req, res) => {
+  try {
+    const closures = await businessHoursService.listClosures();
+    res.json({ success: true, count: closures.length, closures });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/closures
+ * Close one or more departments: { date, endDate } for whole days or
+ * { start, end } (ISO 8601), optional departments (default all) and reason
+ */
+router.post('/admin/closures', async (req, res) => {
+  let closure;
+  try {
+    closure = businessHoursService.createClosure(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await businessHoursService.addClosure(closure);
+    res.status(201).json({ success: true, closure });
+  } catch (error) {
+    console.error('[Admin] Error saving closure:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/closures/:id
+ * Reopen early / cancel a closure
+ */
+router.delete('/admin/closures/:id', async (req, res) => {
+  try {
+    const removed = await businessHoursService.removeClosure(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/voicemails
+ * Voicemail inbox, newest first - optional ?department= and ?status=new|assigned|handled
+ */
+router.get('/admin/voicemails', async (req, res) => {
+  const { department, status } = req.query;
+  if (status && !VOICEMAIL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${VOICEMAIL_STATUSES.join(', ')}` });
+  }
+  if (department && !agentRegistry.get(department)) {
+    return res.status(400).json({ error: `Unknown department "${department}"` });
+  }
+
+  try {
+    const voicemails = await voicemailService.list({ department, status });
+    res.json({ success: true, count: voicemails.length, voicemails });
+  } catch (error) {
+    console.error('[Admin] Error listing voicemails:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/voicemails/:id
+ * One voicemail with its transcription
+ */
+router.get('/admin/voicemails/:id', async (req, res) => {
+  try {
+    const voicemail = await voicemailService.get(req.params.id);
+    if (!voicemail) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+    res.json({ success: true, voicemail });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/voicemails/:id/recording
+ * Play the message (MP3, fetched from Twilio with the account credentials)
+ */
+router.get('/admin/voicemails/:id/recording', async (req, res) => {
+  try {
+    const voicemail = await voicemailService.get(req.params.id);
+    if (!voicemail) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+
+    const audio = await voicemailService.fetchRecording(voicemail);
+    res.set({
+      'Content-Type': 'audio/mpeg',
+      'Content-Length': audio.length,
+    });
+    res.send(audio);
+  } catch (error) {
+    console.error('[Admin] Error fetching voicemail recording:', error.message);
+    res.status(502).json({ error: 'Could not fetch the recording' });
+  }
+});
+
+/**
+ * POST /admin/voicemails/:id/assign
+ * Assign to a staff member: { assignee }
+ */
+router.post('/admin/voicemails/:id/assign', async (req, res) => {
+  let voicemail;
+  try {
+    voicemail = await voicemailService.assign(req.params.id, req.body?.assignee);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!voicemail) {
+    return res.status(404).json({ error: 'Voicemail not found' });
+  }
+  res.json({ success: true, voicemail });
+});
+
+/**
+ * POST /admin/voicemails/:id/handled
+ * Mark handled: optional { handledBy, notes }
+ */
+router.post('/admin/voicemails/:id/handled', async (req, res) => {
+  try {
+    const voicemail = await voicemailService.markHandled(req.params.id, req.body || {});
+    if (!voicemail) {
+      return res.status(404).json({ error: 'Voicemail not found' });
+    }
+    res.json({ success: true, voicemail });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/callbacks
+ * Pending and overdue callbacks; ?status= lists every callback with that status
+ */
+router.get('/admin/callbacks', async (req, res) => {
+  const { status, department } = req.query;
+  if (status && !CALLBACK_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${CALLBACK_STATUSES.join(', ')}` });
+  }
+
+  try {
+    if (status) {
+      const callbacks = await callbackService.list({ status, department });
+      return res.json({ success: true, count: callbacks.length, callbacks });
+    }
+
+    const { pending, overdue } = await callbackService.overview();
+    res.json({ success: true, pending, overdue });
+  } catch (error) {
+    console.error('[Admin] Error listing callbacks:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/callbacks
+ * Book a callback: { phoneNumber, department, when ("tomorrow after lunch" or ISO),
+ * reason (read to the customer), customerName }
+ */
+router.post('/admin/callbacks', async (req, res) => {
+  try {
+    const callback = await callbackService.schedule({
+      ...req.body,
+      source: 'admin',
+      baseUrl: getBaseUrl(req),
+    });
+    res.status(201).json({ success: true, callback });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/callbacks/:id
+ * Cancel a pending callback
+ */
+router.delete('/admin/callbacks/:id', async (req, res) => {
+  let callback;
+  try {
+    callback = await callbackService.cancel(req.params.id);
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+
+  if (!callback) {
+    return res.status(404).json({ error: 'Callback not found' });
+  }
+  res.json({ success: true, callback });
+});
+
+/**
+ * GET /admin/inbox
+ * SMS/WhatsApp conversations handed to staff, most recently active first -
+ * optional ?department= and ?status=open|closed
+ */
+router.get('/admin/inbox', async (req, res) => {
+  const { department, status } = req.query;
+  if (status && !INBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${INBOX_STATUSES.join(', ')}` });
+  }
+  if (department && !agentRegistry.get(department)) {
+    return res.status(400).json({ error: `Unknown department "${department}"` });
+  }
+
+  try {
+    const conversations = await messagingService.listInbox({ department, status });
+    res.json({ success: true, count: conversations.length, conversations });
+  } catch (error) {
+    console.error('[Admin] Error listing inbox:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/inbox/:id
+ * One conversation with its messages
+ */
+router.get('/admin/inbox/:id', async (req, res) => {
+  try {
+    const conversation = await messagingService.getConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/inbox/:id/reply
+ * Message the customer on their channel: { message, staff }
+ */
+router.post('/admin/inbox/:id/reply', async (req, res) => {
+  if (!req.body?.message || typeof req.body.message !== 'string' || !req.body.message.trim()) {
+    return res.status(400).json({ error: 'message is required' });
+  }
+
+  let conversation;
+  try {
+    conversation = await messagingService.reply(req.params.id, req.body);
+  } catch (error) {
+    const status = /closed/i.test(error.message) ? 409 : 502;
+    return res.status(status).json({ error: error.message });
+  }
+
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json({ success: true, conversation });
+});
+
+/**
+ * POST /admin/inbox/:id/close
+ * Close the conversation - the customer's next message goes to the agents: optional { closedBy }
+ */
+router.post('/admin/inbox/:id/close', async (req, res) => {
+  try {
+    const conversation = await messagingService.close(req.params.id, req.body || {});
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/knowledge
+ * Support documents (without their text), newest first - optional ?sku=, ?brand=
+ * and ?type=manual|setup_guide|faq
+ */
+router.get('/admin/knowledge', async (req, res) => {
+  const { sku, brand, type } = req.query;
+  if (type && !DOCUMENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${DOCUMENT_TYPES.join(', ')}` });
+  }
+
+  try {
+    const documents = await knowledgeBaseService.listDocuments({ sku, brand, type });
+    res.json({ success: true, count: documents.length, documents });
+  } catch (error) {
+    console.error('[Admin] Error listing knowledge documents:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/knowledge
+ * Upload and index a document: { title, content, format (markdown|html|pdf|text,
+ * pdf being pdftotext output), type (manual|setup_guide|faq), source, skus, brands }.
+ * A document that fails to index is kept (status failed) for a re-index.
+ */
+router.post('/admin/knowledge', async (req, res) => {
+  try {
+    knowledgeBaseService.createDocument(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const document = await knowledgeBaseService.addDocument(req.body);
+    if (document.status === 'failed') {
+      return res.status(502).json({ error: `Saved but not indexed: ${document.index_error}`, document });
+    }
+    res.status(201).json({ success: true, document });
+  } catch (error) {
+    console.error('[Admin] Error adding knowledge document:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/knowledge/reindex
+ * Re-chunk and re-embed every document
+ */
+router.post('/admin/knowledge/reindex', async (req, res) => {
+  try {
+    const result = await knowledgeBaseService.reindexAll();
+    res.json({ success: result.failed === 0, ...result });
+  } catch (error) {
+    console.error('[Admin] Error re-indexing knowledge base:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/knowledge/:id
+ * One document with its original text
+ */
+router.get('/admin/knowledge/:id', async (req, res) => {
+  try {
+    const document = await knowledgeBaseService.getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, document });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/knowledge/:id/reindex
+ * Re-chunk and re-embed one document - optionally with any upload fields replaced
+ * (e.g. a corrected { content } or new { skus })
+ */
+router.post('/admin/knowledge/:id/reindex', async (req, res) => {
+  let document;
+  try {
+    document = await knowledgeBaseService.reindexDocument(req.params.id, req.body || {});
+  } catch (error) {
+    const status = /required|must be/.test(error.message) ? 400 : 500;
+    return res.status(status).json({ error: error.message });
+  }
+
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (document.status === 'failed') {
+    return res.status(502).json({ error: `Not indexed: ${document.index_error}`, document });
+  }
+  res.json({ success: true, document });
+});
+
+/**
+ * DELETE /admin/knowledge/:id
+ * Remove a document and its passages
+ */
+router.delete('/admin/knowledge/:id', async (req, res) => {
+  try {
+    const removed = await knowledgeBaseService.deleteDocument(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
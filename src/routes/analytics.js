@@ -1,6 +1,7 @@
 import express from 'express';
 import { crmService } from '../services/crm.js';
 import { ivrService } from '../services/ivr.js';
+import { queueService } from '../services/queue.js';
 
 const router = express.Router();
 
@@ -8,9 +9,9 @@ const router = express.Router();
  * GET /analytics/calls
  * Get call analytics and logs
  */
-router.get('/calls', (req, res) => {
+router.get('/calls', async (req, res) => {
   try {
-    const logs = crmService.getAllCallLogs();
+    const logs = await crmService.getAllCallLogs();
 
     // Calculate statistics
     const stats = {
@@ -21,6 +22,7 @@ router.get('/calls', (req, res) => {
       byUrgency: {},
       resolvedCalls: logs.filter(log => log.resolved).length,
       unresolvedCalls: logs.filter(log => !log.resolved).length,
+      failedTransfers: {},
     };
 
     // Count by department
@@ -33,6 +35,11 @@ router.get('/calls', (req, res) => {
 
       const urgency = log.urgency || 'unknown';
       stats.byUrgency[urgency] = (stats.byUrgency[urgency] || 0) + 1;
+
+      // Transfer attempts that were busy, unanswered or declined, by status
+      (log.failedTransfers || []).forEach(attempt => {
+        stats.failedTransfers[attempt.status] = (stats.failedTransfers[attempt.status] || 0) + 1;
+      });
     });
 
     res.json({
@@ -49,14 +56,36 @@ router.get('/calls', (req, res) => {
   }
 });
 
+/**
+ * GET /analytics/queues
+ * Hold queue statistics per department
+ */
+router.get('/queues', async (req, res) => {
+  try {
+    const queues = await queueService.getStats();
+
+    res.json({
+      success: true,
+      waiting: queues.reduce((sum, queue) => sum + queue.waiting, 0),
+      queues,
+    });
+  } catch (error) {
+    console.error('[Analytics] Error fetching queue stats:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 /**
  * GET /analytics/calls/:callSid
  * Get details for a specific call
  */
-router.get('/calls/:callSid', (req, res) => {
+router.get('/calls/:callSid', async (req, res) => {
   try {
     const { callSid } = req.params;
-    const logs = crmService.getAllCallLogs();
+    const logs = await crmService.getAllCallLogs();
     const call = logs.find(log => log.id === callSid);
 
     if (!call) {
@@ -83,9 +112,9 @@ router.get('/calls/:callSid', (req, res) => {
  * GET /analytics/dashboard
  * Get dashboard data
  */
-router.get('/dashboard', (req, res) => {
+router.get('/dashboard', async (req, res) => {
   try {
-    const logs = crmService.getAllCallLogs();
+    const logs = await crmService.getAllCallLogs();
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 
@@ -110,7 +139,8 @@ router.get('/dashboard', (req, res) => {
       }).length,
       avgResponseTime,
       satisfactionScore,
-      activeCalls: Array.from(ivrService.callState.keys()).length,
+      activeCalls: (await ivrService.callState.keys()).length,
+      queuedCalls: (await queueService.callers.keys()).length,
       topDepartments: getTopDepartments(logs),
       recentActivity: logs.slice(-5).reverse(),
     };
@@ -149,9 +179,9 @@ function getTopDepartments(logs) {
  * GET /analytics/performance
  * Get performance metrics
  */
-router.get('/performance', (req, res) => {
+router.get('/performance', async (req, res) => {
   try {
-    const logs = crmService.getAllCallLogs();
+    const logs = await crmService.getAllCallLogs();
 
     const performance = {
       totalCalls: logs.length,
@@ -1,5 +1,6 @@
 import express from 'express';
 import { ttsService } from '../services/tts.js';
+import { agentRegistry } from '../services/agent-registry.js';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
@@ -15,7 +16,7 @@ const audioCache = new Map();
 const COMMON_PHRASES = {
   'greeting': 'This call will be recorded for quality and training purposes. Welcome to Audico. How may I assist you today? You may also say menu to hear our department options.',
   'greeting_short': 'Welcome to Audico. How may I assist you today? You may also say menu to hear our department options.',
-  'menu': 'Welcome to Audico how may I direct your call - press 1 for sales, 2 for shipping, 3 for technical support and 4 for accounts.',
+  'menu': agentRegistry.menuText(),
   'sales_intro': "I'll be happy to help you with your sales inquiry.",
   'shipping_intro': "Let me help you with your shipping question.",
   'support_intro': "I'm here to provide technical support.",
@@ -0,0 +1,84 @@
+/**
+ * Messaging Routes
+ * Incoming SMS and WhatsApp messages (Twilio messaging webhook). Opt-out
+ * keywords are handled first; everything else is a conversation with the
+ * agents, or goes to the staff inbox once the customer has been handed over.
+ */
+
+import express from 'express';
+import twilio from 'twilio';
+import { messagingService } from '../services/messaging.js';
+import { shipmentNotificationService } from '../services/shipment-notifications.js';
+
+const MessagingResponse = twilio.twiml.MessagingResponse;
+
+/**
+ * Build the messaging router
+ * @param {object} handlers - { onMessage({ session, text }) → reply text }. Runs the
+ *   agents for one customer message and updates the session (agent, history, transcript)
+ * @returns {express.Router}
+ */
+export function createMessagingRoutes(handlers) {
+  const router = express.Router();
+
+  /**
+   * Handle one customer message and send the reply
+   * @param {object} message - { From, To, Body }
+   */
+  async function converse({ From, To, Body }) {
+    const text = String(Body || '').trim();
+    const session = await messagingService.getSession(From, To);
+
+    // Handed over - staff answer from the inbox
+    if (session.inboxId && await messagingService.addCustomerMessage(session.inboxId, text)) {
+      await messagingService.saveSession(session);
+      return;
+    }
+    session.inboxId = null;
+
+    let reply;
+    if (messagingService.wantsHuman(text)) {
+      session.transcript.push({ timestamp: new Date(), speaker: 'Customer', text });
+      ({ reply } = await messagingService.handoff(session, 'customer_request'));
+    } else {
+      reply = await handlers.onMessage({ session, text });
+
+      // The agents fall back to this when something went wrong
+      if (!reply || /need to transfer you to a specialist/i.test(reply)) {
+        ({ reply } = await messagingService.handoff(session, 'agent_error'));
+      }
+    }
+
+    await messagingService.saveSession(session);
+    await messagingService.send(session, reply);
+  }
+
+  /**
+   * POST /messaging/incoming
+   * Twilio SMS and WhatsApp webhook. Replies are sent through the REST API once
+   * the agents have answered, so slow tool calls can't time the webhook out.
+   */
+  router.post('/messaging/incoming', async (req, res) => {
+    const twiml = new MessagingResponse();
+    const { From, To, Body } = req.body;
+
+    try {
+      // STOP / START are answered straight away
+      const keywordReply = await shipmentNotificationService.handleKeyword(From, Body);
+      if (keywordReply) {
+        twiml.message(keywordReply);
+      } else if (From && String(Body || '').trim()) {
+        const { channel, number } = messagingService.parseAddress(From);
+        messagingService.enqueue(`${channel}:${number}`, { From, To, Body }, converse)
+          .catch(error => console.error('[Messaging] Error queueing message:', error.message));
+      }
+    } catch (error) {
+      console.error('[Messaging] Error handling incoming message:', error.message);
+    }
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+  });
+
+  return router;
+}
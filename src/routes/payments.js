@@ -0,0 +1,163 @@
+/**
+ * Payment Routes
+ * Provider notifications (PayFast ITN) that mark orders paid, the pages the
+ * customer comes back to after paying or cancelling, and the mock gateway's
+ * checkout page used in sandbox mode (or with PAYMENT_PROVIDER=mock).
+ */
+
+import express from 'express';
+import { paymentService } from '../services/payments.js';
+
+const router = express.Router();
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[char]);
+
+/**
+ * A small standalone page for the customer
+ * @param {string} title
+ * @param {string} body - HTML
+ * @returns {string}
+ */
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - Audico</title>
+<style>
+  body { margin: 0; padding: 32px 16px; background: #f6f6f6; font: 16px/1.5 sans-serif; color: #222; }
+  main { max-width: 420px; margin: 0 auto; padding: 24px; background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,.1); }
+  h1 { margin-top: 0; font-size: 22px; color: #c8102e; }
+  button { width: 100%; margin-top: 12px; padding: 12px; border: 0; border-radius: 6px; background: #c8102e; color: #fff; font: inherit; cursor: pointer; }
+  button.secondary { background: #fff; color: #c8102e; border: 1px solid #c8102e; }
+</style>
+</head>
+<body><main><h1>${escapeHtml(title)}</h1>${body}</main></body>
+</html>`;
+}
+
+/**
+ * Log a failed customer page and show a generic error instead of Express's stack page
+ * @param {object} res - Express response
+ * @param {string} what - Page, for the log
+ * @param {Error} error
+ */
+function pageFailed(res, what, error) {
+  console.error(`[Payments] ${what} failed:`, error.message);
+  res.status(500).type('html').send(page('Something went wrong', '<p>Please try again in a moment, or contact Audico if you need help.</p>'));
+}
+
+const amountOf = link => `R${link.amount.toFixed(2)}`;
+
+/**
+ * POST /payments/notify/:provider
+ * Payment notification from the provider. Always 200 once read - the provider
+ * retries otherwise, and rejected notifications are in the security log.
+ */
+router.post('/payments/notify/:provider', async (req, res) => {
+  try {
+    await paymentService.handleNotification(req.params.provider, req.body, { ip: req.ip });
+  } catch (error) {
+    console.error('[Payments] Notification failed:', error.message);
+    return res.status(500).send('');
+  }
+  res.status(200).send('');
+});
+
+/**
+ * GET /payments/return/:id
+ * Where the customer lands after paying. The notification may not be in yet.
+ */
+router.get('/payments/return/:id', async (req, res) => {
+  try {
+    const link = await paymentService.get(req.params.id);
+    if (!link) {
+      return res.status(404).type('html').send(page('Payment link not found', '<p>Please contact Audico if you need help.</p>'));
+    }
+
+    const body = link.status === 'paid'
+      ? `<p>We've received your payment of ${amountOf(link)} for order ${escapeHtml(link.orderId)}. Thank you!</p>`
+      : `<p>Thanks! We're confirming your payment for order ${escapeHtml(link.orderId)} - you'll get an SMS once it comes through.</p>`;
+    res.type('html').send(page('Thank you', body));
+  } catch (error) {
+    pageFailed(res, 'Return page', error);
+  }
+});
+
+/**
+ * GET /payments/cancel/:id
+ * The customer backed out at the provider; the link still works
+ */
+router.get('/payments/cancel/:id', async (req, res) => {
+  try {
+    const link = await paymentService.get(req.params.id);
+    if (!link || link.status !== 'pending') {
+      return res.type('html').send(page('Payment cancelled', '<p>Please contact Audico if you still want to pay.</p>'));
+    }
+
+    res.type('html').send(page('Payment cancelled', `<p>No money was taken. You can pay for order ${escapeHtml(link.orderId)} with the same link until ${escapeHtml(new Date(link.expiresAt).toLocaleString('en-ZA'))}.</p><p><a href="${escapeHtml(link.url)}">Try again</a></p>`));
+  } catch (error) {
+    pageFailed(res, 'Cancel page', error);
+  }
+});
+
+/**
+ * GET /payments/mock/:id
+ * Mock gateway checkout page (sandbox, or PAYMENT_PROVIDER=mock)
+ */
+router.get('/payments/mock/:id', async (req, res) => {
+  if (paymentService.provider?.name !== 'mock') {
+    return res.status(404).send('Not found');
+  }
+
+  try {
+    const link = await paymentService.get(req.params.id);
+    if (!link) {
+      return res.status(404).type('html').send(page('Payment link not found', '<p>This link does not exist.</p>'));
+    }
+    if (link.status !== 'pending') {
+      return res.type('html').send(page('Link no longer valid', `<p>This payment link is ${escapeHtml(link.status)}.</p>`));
+    }
+
+    const action = `/payments/mock/${encodeURIComponent(link.id)}`;
+    res.type('html').send(page('Mock payment', `
+<p>Test gateway - no money changes hands.</p>
+<p>Order ${escapeHtml(link.orderId)}<br><strong>${amountOf(link)}</strong></p>
+<form method="post" action="${action}"><input type="hidden" name="outcome" value="paid"><button>Pay ${amountOf(link)}</button></form>
+<form method="post" action="${action}"><input type="hidden" name="outcome" value="cancelled"><button class="secondary">Cancel</button></form>`));
+  } catch (error) {
+    pageFailed(res, 'Mock checkout', error);
+  }
+});
+
+/**
+ * POST /payments/mock/:id
+ * Customer paid or cancelled on the mock page: send the signed notification
+ * through the same path as a provider's, then redirect like a gateway would
+ */
+router.post('/payments/mock/:id', async (req, res) => {
+  const provider = paymentService.provider;
+  if (provider?.name !== 'mock') {
+    return res.status(404).send('Not found');
+  }
+
+  try {
+    const link = await paymentService.get(req.params.id);
+    if (!link) {
+      return res.status(404).send('Not found');
+    }
+
+    const outcome = req.body.outcome === 'paid' ? 'paid' : 'cancelled';
+    await paymentService.handleNotification('mock', provider.notificationFor(link, outcome), { ip: req.ip });
+
+    const urls = paymentService.urlsFor(link);
+    res.redirect(303, outcome === 'paid' ? urls.returnUrl : urls.cancelUrl);
+  } catch (error) {
+    pageFailed(res, 'Mock payment', error);
+  }
+});
+
+export default router;
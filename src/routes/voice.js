@@ -5,53 +5,117 @@ import { llmService } from '../services/llm.js';
 import { ttsService } from '../services/tts.js';
 import { sttService } from '../services/stt.js';
 import { crmService } from '../services/crm.js';
+import { agentRegistry } from '../services/agent-registry.js';
+import { businessHoursService } from '../services/business-hours.js';
+import { queueService } from '../services/queue.js';
+import { voicemailService } from '../services/voicemail.js';
+import { callbackService } from '../services/callbacks.js';
 import { config } from '../config/config.js';
 import { prepareAudioUrl } from './audio.js';
+import { getBaseUrl } from '../utils/url.js';
+import { parseCallbackTime } from '../utils/natural-time.js';
+import { clock } from '../utils/clock.js';
+
+/**
+ * Voice routes for the IVR menu and everything after a human handoff: hold
+ * queue, staff whisper, after-hours options, scheduled callbacks and voicemail.
+ * Mounted at /voice next to the AI call handlers in src/index.js, which also
+ * checks the Twilio signature for the whole path.
+ */
 
 const router = express.Router();
 
-// Get base URL for webhooks
-const getBaseUrl = (req) => {
-  // Railway/Vercel/other proxies set x-forwarded-proto header
-  const protocol = req.get('x-forwarded-proto') || req.protocol || 'https';
-  return `${protocol}://${req.get('host')}`;
-};
+/**
+ * Does a call to this Twilio number transfer with a plain <Dial> (DIRECT_TRANSFER_NUMBERS)?
+ * @param {string} number - Number the caller dialled (To)
+ * @returns {boolean}
+ */
+function isDirectTransferNumber(number) {
+  const numbers = config.transfers.directNumbers;
+  return numbers.includes('*') || numbers.includes(number);
+}
 
 /**
- * POST /voice/incoming
- * Handle incoming calls
+ * TwiML ringing one number of a department's transfer chain directly
+ * @param {string} department - Agent id or name
+ * @param {number} attempt - Position in the transfer chain
+ * @param {string} message - What the caller hears while it rings
+ * @param {string} baseUrl - Base URL for the dial action
+ * @returns {string} - TwiML XML
  */
-router.post('/incoming', async (req, res) => {
-  try {
-    const callSid = req.body.CallSid;
-    const from = req.body.From;
-    const to = req.body.To;
+function directTransferResponse(department, attempt, message, baseUrl) {
+  const agent = agentRegistry.get(department) || agentRegistry.fallback();
+  const number = agentRegistry.transferChainFor(agent.id)[attempt];
+  const actionUrl = `${baseUrl}/voice/dial-complete?department=${encodeURIComponent(agent.id)}&attempt=${attempt}`;
 
-    console.log('[Voice] Incoming call:', { callSid, from, to });
+  console.log(`[Voice] Dialling ${agent.id} staff (attempt ${attempt + 1}): ${number}`);
+  return telephonyService.createDialResponse(number, message, actionUrl);
+}
 
-    // Initialize call in IVR system
-    ivrService.initializeCall(callSid, {
-      from,
-      fromCity: req.body.FromCity,
-      fromState: req.body.FromState,
-      fromCountry: req.body.FromCountry,
-    });
+/**
+ * TwiML for a human routing decision: hold queue (or a direct dial), or the
+ * after-hours options
+ * @param {object} routing - From ivrService.determineRouting/routeToHuman
+ * @param {object} req - Twilio webhook request
+ * @param {object|Promise<object>} handoff - Handoff summary, if already generated (or on its way)
+ * @returns {Promise<string>} - TwiML XML
+ */
+async function humanRoutingResponse(routing, req, handoff = null) {
+  const baseUrl = getBaseUrl(req);
+  const callSid = req.body.CallSid;
 
-    const baseUrl = getBaseUrl(req);
+  if (routing.routeType === 'closed') {
+    return telephonyService.createAfterHoursResponse(routing.message, baseUrl);
+  }
 
-    // SIMPLE FIX: Skip pre-caching, use Twilio TTS with South African voice FOR NOW
-    // This ensures calls don't drop while we debug ElevenLabs integration
-    const twiml = telephonyService.createGreetingResponse(baseUrl);
-    res.type('text/xml');
-    res.send(twiml);
-  } catch (error) {
-    console.error('[Voice] Error handling incoming call:', error);
-    const baseUrl = getBaseUrl(req);
-    const twiml = telephonyService.createGreetingResponse(baseUrl);
-    res.type('text/xml');
-    res.send(twiml);
+  if (routing.agentNumber && isDirectTransferNumber(req.body.To)) {
+    const department = (agentRegistry.get(routing.department)?.name || routing.department).toLowerCase();
+    return directTransferResponse(routing.department, 0, `Transferring you to our ${department} team. Please hold.`, baseUrl);
   }
-});
+
+  if (routing.agentNumber) {
+    await queueService.enter(callSid, routing.department, {
+      callerNumber: req.body.From,
+      baseUrl,
+    });
+
+    // Summary for the staff whisper - don't hold up the transfer for it
+    Promise.resolve(handoff || ivrService.generateHandoffSummary(callSid))
+      .then(summary => queueService.setHandoff(callSid, summary))
+      .catch(error => console.error('[Voice] Error preparing handoff summary:', error.message));
+  }
+  return telephonyService.createTransferResponse(routing.agentNumber, routing.department, baseUrl);
+}
+
+/**
+ * Hand an AI call (src/index.js /voice/conversation or a media stream) to staff
+ * when the caller asks for a person: the department's hold queue, or the
+ * after-hours options while it is closed
+ * @param {object} req - Twilio webhook request
+ * @param {object} call - { callSid, from, department (agent id), transcript }
+ * @returns {Promise<string>} - TwiML XML
+ */
+export async function humanHandoffResponse(req, { callSid, from, department, transcript = [] }) {
+  const agent = agentRegistry.get(department) || agentRegistry.fallback();
+
+  await ivrService.initializeCall(callSid, { from });
+  await ivrService.updateCallState(callSid, {
+    selectedDepartment: agent.name,
+    escalationReason: 'customer_requested_human',
+  });
+
+  const routing = await ivrService.routeToHuman(callSid, agent.id);
+  console.log(`[Voice] ${callSid} asked for a person - ${routing.routeType === 'closed' ? `${agent.id} is closed` : `queueing for ${agent.id}`}`);
+
+  // The AI conversation so far, summarised for the staff whisper
+  const conversation = transcript.map(entry => ({
+    role: entry.speaker === 'Customer' ? 'customer' : 'agent',
+    content: entry.text,
+  }));
+  const handoff = routing.agentNumber ? ivrService.generateHandoffSummary(callSid, { conversation }) : null;
+
+  return humanRoutingResponse(routing, req, handoff);
+}
 
 /**
  * POST /voice/process-input
@@ -79,7 +143,7 @@ router.post('/process-input', async (req, res) => {
       const baseUrl = getBaseUrl(req);
 
       // Try ElevenLabs with pre-cached menu audio
-      const menuText = 'Welcome to Audico how may I direct your call - press 1 for sales, 2 for shipping, 3 for technical support and 4 for accounts.';
+      const menuText = agentRegistry.menuText();
       const audioUrl = await prepareAudioUrl(menuText, callSid, 'menu.mp3', baseUrl);
 
       if (audioUrl) {
@@ -102,18 +166,14 @@ router.post('/process-input', async (req, res) => {
     // Determine routing
     const routing = await ivrService.determineRouting(callSid, intentAnalysis.department);
 
-    if (routing.routeType === 'human') {
-      // Transfer to human agent
-      const twiml = telephonyService.createTransferResponse(
-        routing.agentNumber,
-        routing.department
-      );
+    if (routing.routeType !== 'ai') {
+      // Transfer to human agent (or after-hours options if the department is closed)
       res.type('text/xml');
-      res.send(twiml);
+      res.send(await humanRoutingResponse(routing, req));
     } else {
       // Route to AI agent
       const baseUrl = getBaseUrl(req);
-      const state = ivrService.getCallState(callSid);
+      const state = await ivrService.getCallState(callSid);
 
       // Generate AI response with product knowledge tools
       const aiResponse = await llmService.generateResponseWithTools(
@@ -145,7 +205,7 @@ router.post('/process-input', async (req, res) => {
       );
 
       // Update conversation turn count
-      ivrService.updateCallState(callSid, {
+      await ivrService.updateCallState(callSid, {
         conversationTurns: (state.conversationTurns || 0) + 1,
       });
 
@@ -168,7 +228,7 @@ router.post('/ivr-menu', async (req, res) => {
     const baseUrl = getBaseUrl(req);
 
     // Try ElevenLabs with pre-cached menu (instant playback)
-    const menuText = 'Welcome to Audico how may I direct your call - press 1 for sales, 2 for shipping, 3 for technical support and 4 for accounts.';
+    const menuText = agentRegistry.menuText();
 
     const audioUrl = await prepareAudioUrl(
       menuText,
@@ -225,14 +285,10 @@ router.post('/ivr-selection', async (req, res) => {
     // Route based on selection
     const routing = await ivrService.determineRouting(callSid, result.department);
 
-    if (routing.routeType === 'human') {
-      // Transfer to human
-      const twiml = telephonyService.createTransferResponse(
-        routing.agentNumber,
-        routing.department
-      );
+    if (routing.routeType !== 'ai') {
+      // Transfer to human (or after-hours options)
       res.type('text/xml');
-      res.send(twiml);
+      res.send(await humanRoutingResponse(routing, req));
     } else {
       // Continue with AI agent
       const baseUrl = getBaseUrl(req);
@@ -251,98 +307,333 @@ router.post('/ivr-selection', async (req, res) => {
 });
 
 /**
- * POST /voice/conversation
- * Handle ongoing conversation with AI agent
+ * POST /voice/after-hours
+ * Caller's choice when the department is closed (or no one could take the
+ * transfer): callback (1, or a time like "tomorrow after lunch") or voicemail (2)
  */
-router.post('/conversation', async (req, res) => {
+router.post('/after-hours', async (req, res) => {
   try {
     const callSid = req.body.CallSid;
-    const speechResult = req.body.SpeechResult || '';
-
-    console.log('[Voice] Conversation turn:', { callSid, speechResult });
+    const choice = (req.query.choice || req.body.Digits || req.body.SpeechResult || '').toLowerCase();
+    const baseUrl = getBaseUrl(req);
+    const wantsVoicemail = choice === '2' || /message|voicemail/.test(choice);
+    const requestedFor = wantsVoicemail
+      ? null
+      : parseCallbackTime(req.body.SpeechResult, { now: clock.now(), timeZone: businessHoursService.timezone });
+
+    console.log('[Voice] After-hours choice:', { callSid, choice });
+
+    if (!wantsVoicemail && (choice === '1' || choice.includes('call') || requestedFor)) {
+      const state = await ivrService.getCallState(callSid);
+
+      // Slotted into opening hours, so "as soon as possible" means when we open
+      const callback = await callbackService.schedule({
+        phoneNumber: state?.callerNumber || req.body.From,
+        department: state?.selectedDepartment,
+        when: requestedFor,
+        urgency: state?.urgency,
+        source: 'after_hours',
+        callSid,
+        baseUrl,
+      });
 
-    const state = ivrService.getCallState(callSid);
+      await crmService.logCall({
+        callSid,
+        callerNumber: state?.callerNumber,
+        department: state?.selectedDepartment || 'Unknown',
+        callbackRequested: true,
+        callbackAfter: callback.scheduledFor,
+        failedTransfers: state?.failedTransfers,
+      });
 
-    if (!speechResult) {
-      // No speech, ask again
-      const twiml = telephonyService.createSpeechResponse(
-        'Sorry, I did not hear that. Could you please repeat?',
-        null,
-        `${getBaseUrl(req)}/voice/conversation`
+      const twiml = telephonyService.createHangupResponse(
+        `Thank you. We'll call you back on this number ${callbackService.describeTime(callback)}. Goodbye!`
       );
       res.type('text/xml');
       return res.send(twiml);
     }
 
-    // Check if escalation is needed (pass speech input for human request detection)
-    const shouldEscalate = await ivrService.shouldEscalate(callSid, speechResult);
+    res.type('text/xml');
+    res.send(telephonyService.createRecordingResponse(baseUrl));
+  } catch (error) {
+    console.error('[Voice] Error handling after-hours choice:', error);
+    res.status(500).send('Error processing choice');
+  }
+});
+
+/**
+ * POST /voice/dial-complete
+ * <Dial> action for direct transfers: a busy, unanswered or failed staff line
+ * moves on to the next number in the chain, then to the callback/voicemail offer
+ */
+router.post('/dial-complete', async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const status = req.body.DialCallStatus;
+    const agent = agentRegistry.get(req.query.department) || agentRegistry.fallback();
+    const attempt = parseInt(req.query.attempt) || 0;
+    const chain = agentRegistry.transferChainFor(agent.id);
+    const baseUrl = getBaseUrl(req);
 
-    if (shouldEscalate) {
-      // Generate handoff summary
-      const summary = await ivrService.generateHandoffSummary(callSid);
+    console.log('[Voice] Dial complete:', { callSid, department: agent.id, attempt, status });
+    res.type('text/xml');
 
-      // Log to CRM
-      await crmService.logCall(summary);
+    if (status === 'completed' || status === 'answered') {
+      // Staff took the call and it's over
+      return res.send(telephonyService.createHangupResponse(null));
+    }
 
-      // Transfer to human
-      const routing = await ivrService.determineRouting(callSid, state.selectedDepartment);
-      const twiml = telephonyService.createTransferResponse(
-        routing.agentNumber,
-        state.selectedDepartment
-      );
+    await ivrService.recordFailedTransfer(callSid, {
+      department: agent.id,
+      number: chain[attempt] || null,
+      status: status || 'failed',
+      at: new Date().toISOString(),
+    });
 
-      res.type('text/xml');
-      return res.send(twiml);
+    if (status === 'canceled') {
+      // The caller hung up while it rang
+      return res.send(telephonyService.createHangupResponse(null));
     }
 
-    // Generate AI response with product knowledge tools
-    const aiResponse = await llmService.generateResponseWithTools(
-      speechResult,
-      callSid,
-      {
-        department: state.selectedDepartment,
-        intent: state.intent,
-        callerInfo: {
-          phone: state.callerNumber,
-        },
-      }
-    );
+    if (attempt + 1 < chain.length) {
+      const message = status === 'busy'
+        ? 'Sorry, that line is busy. Let me try someone else.'
+        : "Sorry, they're not answering. Let me try someone else.";
+      return res.send(directTransferResponse(agent.id, attempt + 1, message, baseUrl));
+    }
 
-    // Update conversation turn count
-    ivrService.updateCallState(callSid, {
-      conversationTurns: (state.conversationTurns || 0) + 1,
-    });
+    console.log(`[Voice] No one in the ${agent.id} transfer chain took ${callSid} - offering callback or voicemail`);
+    res.send(telephonyService.createAfterHoursResponse(
+      `Sorry, no one from our ${agent.name.toLowerCase()} team can take your call right now.`,
+      baseUrl
+    ));
+  } catch (error) {
+    console.error('[Voice] Error handling dial result:', error);
+    res.status(500).send('Error processing dial result');
+  }
+});
 
-    // Continue conversation
-    const baseUrl = getBaseUrl(req);
+/**
+ * POST /voice/queue/wait
+ * Twilio wait URL for callers in a hold queue: announcements, callback offer, music
+ */
+router.post('/queue/wait', async (req, res) => {
+  try {
+    const decision = await queueService.onWait(req.body.CallSid, req.body);
+    res.type('text/xml');
+    res.send(telephonyService.createQueueWaitResponse(decision, getBaseUrl(req)));
+  } catch (error) {
+    console.error('[Voice] Error in queue wait:', error);
+    res.status(500).send('Error processing queue wait');
+  }
+});
 
-    // Generate ElevenLabs audio for AI response
-    const audioUrl = await prepareAudioUrl(
-      aiResponse,
-      callSid,
-      `conversation-${Date.now()}.mp3`,
-      baseUrl,
-      { department: state.selectedDepartment }
-    );
+/**
+ * POST /voice/queue/callback
+ * Caller pressed a key during the callback offer
+ */
+router.post('/queue/callback', async (req, res) => {
+  try {
+    // 1 = callback, any other key goes back to waiting
+    const accepted = req.body.Digits === '1' && await queueService.requestCallback(req.body.CallSid);
 
-    const twiml = telephonyService.createSpeechResponse(
-      aiResponse,
-      audioUrl,
-      `${baseUrl}/voice/conversation`,
-      { department: state.selectedDepartment }
-    );
+    res.type('text/xml');
+    res.send(telephonyService.createQueueCallbackResponse(accepted, getBaseUrl(req)));
+  } catch (error) {
+    console.error('[Voice] Error handling queue callback:', error);
+    res.status(500).send('Error processing callback request');
+  }
+});
+
+/**
+ * POST /voice/queue/leave
+ * <Enqueue> action - the caller left the queue (answered, hung up, callback, timeout,
+ * or no one in the transfer chain took the call)
+ */
+router.post('/queue/leave', async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const { outcome, caller } = await queueService.leave(callSid, req.body);
+    const state = await ivrService.getCallState(callSid);
+    let twiml;
+
+    if (outcome === 'callback') {
+      const callback = await callbackService.schedule({
+        phoneNumber: caller.callerNumber,
+        department: caller.queue,
+        summary: caller.handoff?.summary,
+        customerName: caller.handoff?.callerName,
+        urgency: caller.handoff?.urgency,
+        source: 'queue',
+        callSid,
+        baseUrl: caller.baseUrl,
+      });
+
+      await crmService.logCall({
+        callSid,
+        callerNumber: caller.callerNumber,
+        department: state?.selectedDepartment || caller.queue,
+        callbackRequested: true,
+        callbackAfter: callback.scheduledFor,
+        failedTransfers: state?.failedTransfers,
+      });
+      twiml = telephonyService.createHangupResponse(
+        "Thank you. We'll call you back on this number as soon as an agent is free. Goodbye!"
+      );
+    } else if (outcome === 'timeout' || outcome === 'error') {
+      twiml = telephonyService.createRecordingResponse(getBaseUrl(req), 'Sorry for the wait - all our agents are still busy.');
+    } else if (outcome === 'unanswered') {
+      const department = agentRegistry.get(caller.queue)?.name || caller.queue;
+      twiml = telephonyService.createAfterHoursResponse(
+        `Sorry, no one from our ${department.toLowerCase()} team can take your call right now.`,
+        getBaseUrl(req)
+      );
+    } else {
+      // Bridged call finished, or the caller hung up
+      twiml = telephonyService.createHangupResponse(null);
+    }
 
     res.type('text/xml');
     res.send(twiml);
   } catch (error) {
-    console.error('[Voice] Error in conversation:', error);
-    res.status(500).send('Error processing conversation');
+    console.error('[Voice] Error leaving queue:', error);
+    res.status(500).send('Error processing queue result');
+  }
+});
+
+/**
+ * POST /voice/queue/agent
+ * Staff member answered the queue call - whisper the next caller's handoff summary
+ * (also sent by SMS) and ask them to accept or decline
+ */
+router.post('/queue/agent', async (req, res) => {
+  try {
+    const queue = req.query.queue;
+    const caller = await queueService.nextCaller(queue);
+    res.type('text/xml');
+
+    if (!caller) {
+      return res.send(telephonyService.createHangupResponse('The caller has already left the queue. Goodbye.'));
+    }
+
+    // For the outbound staff call, To is the staff member's number
+    queueService.sendHandoffSms(caller, req.body.To);
+
+    const actionUrl = `${getBaseUrl(req)}/voice/queue/agent-answer?queue=${encodeURIComponent(queue)}&caller=${encodeURIComponent(caller.callSid)}`;
+    res.send(telephonyService.createQueueWhisperResponse(queueService.whisperText(caller), actionUrl));
+  } catch (error) {
+    console.error('[Voice] Error preparing queue whisper:', error);
+    res.status(500).send('Error processing queue call');
+  }
+});
+
+/**
+ * POST /voice/queue/agent-answer
+ * Staff member's answer to the whisper: 1 bridges the caller, anything else passes
+ * the call to the next number (or voicemail)
+ */
+router.post('/queue/agent-answer', async (req, res) => {
+  try {
+    const { queue, caller } = req.query;
+    res.type('text/xml');
+
+    if (req.body.Digits === '1') {
+      console.log('[Voice] Queue call accepted:', { queue, caller });
+      await queueService.agentAccepted(queue, req.body.CallSid);
+      return res.send(telephonyService.createQueueAgentResponse(queue));
+    }
+
+    await queueService.agentDeclined(queue, caller, req.body.To, req.body.CallSid);
+    res.send(telephonyService.createHangupResponse('Okay, passing the call on. Goodbye.'));
+  } catch (error) {
+    console.error('[Voice] Error handling queue answer:', error);
+    res.status(500).send('Error processing queue answer');
+  }
+});
+
+/**
+ * POST /voice/queue/agent-status
+ * Status callback for the staff call - busy, no-answer and failed calls are recorded
+ * as failed transfer attempts and the queue rings the next number in the chain
+ */
+router.post('/queue/agent-status', async (req, res) => {
+  try {
+    const { CallSid, CallStatus } = req.body;
+    console.log('[Voice] Queue staff call status:', { queue: req.query.queue, CallSid, CallStatus });
+
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+      await queueService.agentCallEnded(req.query.queue, CallSid, CallStatus);
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('[Voice] Error handling queue staff status:', error);
+    res.status(500).send('Error processing status');
+  }
+});
+
+/**
+ * POST /voice/callback/answer
+ * Customer answered a scheduled callback - say why we're calling and queue them
+ * for the department's staff
+ */
+router.post('/callback/answer', async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const baseUrl = getBaseUrl(req);
+    const job = await callbackService.get(req.query.id);
+    res.type('text/xml');
+
+    if (!job || job.status !== 'dialing') {
+      return res.send(telephonyService.createHangupResponse('Sorry, this call is no longer needed. Goodbye.'));
+    }
+
+    await callbackService.markAnswered(job.id);
+    const agent = agentRegistry.get(job.department);
+
+    await ivrService.initializeCall(callSid, { from: job.phoneNumber });
+    await ivrService.updateCallState(callSid, {
+      selectedDepartment: agent.name,
+      intent: 'callback',
+      urgency: job.urgency,
+    });
+    await queueService.enter(callSid, agent.id, { callerNumber: job.phoneNumber, baseUrl });
+    await queueService.setHandoff(callSid, {
+      callerName: job.customerName,
+      intent: 'scheduled callback',
+      urgency: job.urgency,
+      summary: job.summary || job.reason,
+    });
+
+    res.send(telephonyService.createCallbackAnswerResponse(callbackService.introduction(job), agent.name, baseUrl));
+  } catch (error) {
+    console.error('[Voice] Error answering callback:', error);
+    res.status(500).send('Error processing callback');
+  }
+});
+
+/**
+ * POST /voice/callback/status
+ * Status callback for a scheduled callback call - completes it, or retries later
+ */
+router.post('/callback/status', async (req, res) => {
+  try {
+    const { CallSid, CallStatus } = req.body;
+    console.log('[Voice] Callback call status:', { id: req.query.id, CallSid, CallStatus });
+
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+      await callbackService.callEnded(req.query.id, CallStatus);
+      await ivrService.cleanupCall(CallSid);
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('[Voice] Error handling callback status:', error);
+    res.status(500).send('Error processing status');
   }
 });
 
 /**
  * POST /voice/recording-complete
- * Handle completed recording
+ * Voicemail recorded - save it to the department's voicemail box
  */
 router.post('/recording-complete', async (req, res) => {
   try {
@@ -352,16 +643,27 @@ router.post('/recording-complete', async (req, res) => {
 
     console.log('[Voice] Recording complete:', { callSid, recordingSid });
 
-    // Thank the caller
-    const twiml = telephonyService.createHangupResponse(
-      'Thank you for your message. We will get back to you shortly. Goodbye!'
-    );
+    // Save the voicemail before answering, so a failure reaches Twilio's error log
+    const state = await ivrService.getCallState(callSid);
+    if (recordingSid) {
+      await voicemailService.saveRecording({
+        callSid,
+        callerNumber: state?.callerNumber || req.body.From,
+        department: state?.selectedDepartment,
+        recordingSid,
+        recordingUrl,
+        duration: req.body.RecordingDuration,
+        urgency: state?.urgency,
+      });
+    }
 
+    // Thank the caller
     res.type('text/xml');
-    res.send(twiml);
+    res.send(telephonyService.createHangupResponse(
+      'Thank you for your message. We will get back to you shortly. Goodbye!'
+    ));
 
-    // Log recording in background
-    const state = ivrService.getCallState(callSid);
+    // Log the call in background
     if (state) {
       await crmService.logCall({
         callSid,
@@ -373,23 +675,30 @@ router.post('/recording-complete', async (req, res) => {
     }
   } catch (error) {
     console.error('[Voice] Error handling recording:', error);
-    res.status(500).send('Error processing recording');
+    if (!res.headersSent) {
+      res.status(500).send('Error processing recording');
+    }
   }
 });
 
 /**
  * POST /voice/transcription
- * Handle transcription callback
+ * Voicemail transcription callback (arrives after the call ends) - attach it to
+ * the voicemail and open a support ticket
  */
 router.post('/transcription', async (req, res) => {
   try {
-    const transcriptionText = req.body.TranscriptionText;
-    const callSid = req.body.CallSid;
+    const { CallSid: callSid, RecordingSid: recordingSid, TranscriptionStatus: status } = req.body;
 
-    console.log('[Voice] Transcription received:', { callSid, transcriptionText });
+    console.log('[Voice] Transcription received:', { callSid, recordingSid, status });
 
-    // Process transcription (store in database, analyze, etc.)
-    // This is called asynchronously after the call ends
+    const voicemail = await voicemailService.addTranscription(recordingSid, {
+      text: req.body.TranscriptionText,
+      status,
+    });
+    if (!voicemail) {
+      console.warn('[Voice] Transcription for unknown recording:', recordingSid);
+    }
 
     res.status(200).send('OK');
   } catch (error) {
@@ -398,41 +707,4 @@ router.post('/transcription', async (req, res) => {
   }
 });
 
-/**
- * POST /voice/status
- * Handle call status callbacks
- */
-router.post('/status', async (req, res) => {
-  try {
-    const callSid = req.body.CallSid;
-    const callStatus = req.body.CallStatus;
-
-    console.log('[Voice] Call status:', { callSid, callStatus });
-
-    if (callStatus === 'completed') {
-      // Call ended, cleanup
-      const state = ivrService.getCallState(callSid);
-
-      if (state) {
-        // Generate final summary
-        const summary = await ivrService.generateHandoffSummary(callSid);
-
-        // Log to CRM
-        await crmService.logCall({
-          ...summary,
-          resolved: true,
-        });
-      }
-
-      // Cleanup call state
-      ivrService.cleanupCall(callSid);
-    }
-
-    res.status(200).send('OK');
-  } catch (error) {
-    console.error('[Voice] Error handling status:', error);
-    res.status(500).send('Error processing status');
-  }
-});
-
 export default router;
@@ -0,0 +1,65 @@
+import { Readable } from 'stream';
+
+/**
+ * Silent audio for the sandbox TTS stub
+ */
+
+// One MPEG-1 Layer III frame: 128 kbps, 44.1 kHz, mono, no padding (417 bytes, ~26ms)
+const MP3_FRAME_BYTES = 417;
+const MP3_FRAME_MS = 1152 / 44.1;
+
+function silentMp3Frame() {
+  const frame = Buffer.alloc(MP3_FRAME_BYTES, 0);
+  frame[0] = 0xff;
+  frame[1] = 0xfb;
+  frame[2] = 0x90;
+  frame[3] = 0xc0;
+  return frame;
+}
+
+/**
+ * Silent MP3 of roughly the given length
+ * @param {number} durationMs - Length in milliseconds
+ * @returns {Buffer}
+ */
+export function silentMp3(durationMs = 1000) {
+  const frames = Math.max(1, Math.ceil(durationMs / MP3_FRAME_MS));
+  const frame = silentMp3Frame();
+  return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+/**
+ * Silent 8kHz μ-law audio (0xFF is μ-law silence)
+ * @param {number} durationMs - Length in milliseconds
+ * @returns {Buffer}
+ */
+export function silentUlaw(durationMs = 1000) {
+  return Buffer.alloc(Math.round(durationMs * 8), 0xff);
+}
+
+/**
+ * Rough speaking time for a piece of text (~150 words per minute)
+ * @param {string} text
+ * @returns {number} - Milliseconds
+ */
+export function estimateSpeechMs(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(500, Math.round(words * 400));
+}
+
+/**
+ * Readable stream of silent audio, like ElevenLabs' streaming endpoint
+ * @param {string} text - Text being "spoken" (sets the length)
+ * @param {string} format - 'mp3' or 'ulaw_8000'
+ * @returns {Readable}
+ */
+export function silentAudioStream(text, format = 'mp3') {
+  const durationMs = estimateSpeechMs(text);
+  const audio = format === 'ulaw_8000' ? silentUlaw(durationMs) : silentMp3(durationMs);
+  const chunkSize = format === 'ulaw_8000' ? 640 : MP3_FRAME_BYTES * 4;
+  const chunks = [];
+  for (let offset = 0; offset < audio.length; offset += chunkSize) {
+    chunks.push(audio.subarray(offset, offset + chunkSize));
+  }
+  return Readable.from(chunks);
+}
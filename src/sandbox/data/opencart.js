@@ -0,0 +1,180 @@
+/**
+ * Fake OpenCart dataset for sandbox mode
+ *
+ * Dates are relative to "now" so the orders always look recent:
+ *   28630 - shipped, with a Courier Guy waybill in the ShipLogic tracking table
+ *   28641 - processing, paid yesterday
+ *   28655 - pending payment
+ *   27998 - delivered last month
+ *   28502 - refunded (Megan returned a speaker)
+ *
+ * Prices include VAT; oc_order_total carries an informational "VAT (15%) included" line.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// telephone_suffix from opencart-caller-recognition.sql: the last nine digits, separators removed
+const telephoneSuffix = row => String(row.telephone ?? '').replace(/[ \-()+]/g, '').slice(-9);
+
+export const OPENCART_SCHEMA = {
+  oc_order: { primaryKey: 'order_id', generated: { telephone_suffix: telephoneSuffix } },
+  oc_order_product: { primaryKey: 'order_product_id' },
+  oc_order_history: { primaryKey: 'order_history_id' },
+  oc_order_total: { primaryKey: 'order_total_id' },
+  oc_order_status: { primaryKey: null, uniqueKeys: [['order_status_id', 'language_id']] },
+  oc_customer: { primaryKey: 'customer_id', uniqueKeys: [['email']], generated: { telephone_suffix: telephoneSuffix } },
+  oc_order_shiplogic_tracking: { primaryKey: 'id', uniqueKeys: [['shiplogic_shipment_id']] },
+  oc_order_shiplogic_tracking_history: { primaryKey: 'id' },
+};
+
+const ORDER_STATUSES = {
+  1: 'Pending',
+  2: 'Processing',
+  3: 'Shipped',
+  5: 'Complete',
+  7: 'Canceled',
+  11: 'Refunded',
+  15: 'Processed',
+  18: 'Courier Booked',
+};
+
+const CUSTOMERS = [
+  { customer_id: 412, firstname: 'Thabo', lastname: 'Nkosi', email: 'thabo.nkosi@example.co.za', telephone: '+27821110002' },
+  { customer_id: 388, firstname: 'Megan', lastname: 'van der Merwe', email: 'megan.vdm@example.co.za', telephone: '+27831234567' },
+  { customer_id: 501, firstname: 'Sipho', lastname: 'Dlamini', email: 'sipho.dlamini@example.co.za', telephone: '+27719876543' },
+];
+
+function address(city, postcode, line1) {
+  return {
+    shipping_address_1: line1,
+    shipping_address_2: '',
+    shipping_city: city,
+    shipping_postcode: postcode,
+    shipping_zone: city === 'Cape Town' ? 'Western Cape' : 'Gauteng',
+    shipping_country: 'South Africa',
+  };
+}
+
+/**
+ * Build the seed tables
+ * @param {Date} now - Reference time
+ * @returns {object} - { tableName: [rows] }
+ */
+export function buildOpenCartSeed(now = new Date()) {
+  const ago = days => new Date(now.getTime() - days * DAY);
+  const [thabo, megan, sipho] = CUSTOMERS;
+
+  const orders = [
+    {
+      order_id: 28630, invoice_no: 1830, invoice_prefix: 'INV-2026-', ...thabo,
+      total: 15288.0, currency_code: 'ZAR', order_status_id: 3,
+      shipping_method: 'The Courier Guy - Economy', payment_method: 'PayFast',
+      ...address('Johannesburg', '2196', '14 Rivonia Road, Sandton'),
+      date_added: ago(4), date_modified: ago(1),
+    },
+    {
+      order_id: 28641, invoice_no: 1841, invoice_prefix: 'INV-2026-', ...megan,
+      total: 17999.0, currency_code: 'ZAR', order_status_id: 2,
+      shipping_method: 'The Courier Guy - Overnight', payment_method: 'EFT',
+      ...address('Cape Town', '8001', '3 Bree Street'),
+      date_added: ago(1), date_modified: ago(1),
+    },
+    {
+      order_id: 28655, invoice_no: 0, invoice_prefix: 'INV-2026-', ...sipho,
+      total: 3299.0, currency_code: 'ZAR', order_status_id: 1,
+      shipping_method: 'Collection from Audico', payment_method: 'EFT',
+      ...address('Pretoria', '0181', '22 Lynnwood Road, Brooklyn'),
+      date_added: ago(0.2), date_modified: ago(0.2),
+    },
+    {
+      order_id: 27998, invoice_no: 1198, invoice_prefix: 'INV-2026-', ...thabo,
+      total: 7999.0, currency_code: 'ZAR', order_status_id: 5,
+      shipping_method: 'The Courier Guy - Economy', payment_method: 'PayFast',
+      ...address('Johannesburg', '2196', '14 Rivonia Road, Sandton'),
+      date_added: ago(35), date_modified: ago(31),
+    },
+    {
+      order_id: 28502, invoice_no: 1702, invoice_prefix: 'INV-2026-', ...megan,
+      total: 4999.0, currency_code: 'ZAR', order_status_id: 11,
+      shipping_method: 'The Courier Guy - Economy', payment_method: 'Credit Card (PayFast)',
+      ...address('Cape Town', '8001', '3 Bree Street'),
+      date_added: ago(20), date_modified: ago(9),
+    },
+  ].map(order => ({ store_id: 0, ...order }));
+
+  const products = [
+    [28630, 5012, 'Denon AVR-X1800H 7.2 Channel 8K AV Receiver', 'AVR-X1800H', 1, 14990.0],
+    [28641, 5101, 'Sonos Arc Premium Smart Soundbar Black', 'Arc', 1, 17999.0],
+    [28655, 5310, 'JBL Charge 5 Portable Bluetooth Speaker Blue', 'Charge 5', 1, 3299.0],
+    [27998, 5300, 'Sony WH-1000XM5 Wireless Noise Cancelling Headphones Black', 'WH-1000XM5', 1, 7999.0],
+    [28502, 5120, 'Sonos Era 100 Smart Speaker Black', 'Era 100', 1, 4999.0],
+  ].map(([order_id, product_id, name, model, quantity, price], index) => ({
+    order_product_id: 90100 + index, order_id, product_id, name, model, quantity, price, total: price * quantity, tax: 0,
+  }));
+
+  let historyId = 301200;
+  const history = (order_id, order_status_id, date_added, comment = '', notify = 0) =>
+    ({ order_history_id: historyId++, order_id, order_status_id, notify, comment, date_added });
+
+  const orderHistory = [
+    history(28630, 1, ago(4), '', 0),
+    history(28630, 2, ago(3.9), 'Payment received via PayFast', 1),
+    history(28630, 18, ago(2), 'Courier booked with The Courier Guy. Tracking: TCG28630. Reference: SL7F3K9', 1),
+    history(28630, 3, ago(1), 'Your order has been shipped. Track it here: https://portal.thecourierguy.co.za/track?ref=TCG28630', 1),
+    history(28641, 1, ago(1.1), '', 0),
+    history(28641, 2, ago(1), 'EFT payment confirmed', 1),
+    history(28655, 1, ago(0.2), 'Awaiting EFT payment', 0),
+    history(27998, 2, ago(35), 'Payment received via PayFast', 1),
+    history(27998, 3, ago(33), 'Shipped. Tracking: TCG27998', 1),
+    history(27998, 5, ago(31), 'Order delivered successfully. Tracking: TCG27998.', 1),
+    history(28502, 1, ago(20), '', 0),
+    history(28502, 2, ago(20), 'Payment received via PayFast', 1),
+    history(28502, 5, ago(17), 'Order delivered successfully. Tracking: TCG28502.', 1),
+    history(28502, 2, ago(12), 'Return received - refund requested', 0),
+    history(28502, 11, ago(9), 'Refund of R4999.00 processed to your card via PayFast. Allow 5-7 working days.', 1),
+  ];
+
+  const SHIPPING = { 28630: 298 };
+  let totalId = 70100;
+  const orderTotals = orders.flatMap(order => {
+    const shipping = SHIPPING[order.order_id] || 0;
+    return [
+      { code: 'sub_total', title: 'Sub-Total', value: order.total - shipping, sort_order: 1 },
+      ...(shipping ? [{ code: 'shipping', title: order.shipping_method, value: shipping, sort_order: 3 }] : []),
+      { code: 'tax', title: 'VAT (15%) included', value: Math.round(order.total * 15 / 115 * 100) / 100, sort_order: 5 },
+      { code: 'total', title: 'Total', value: order.total, sort_order: 9 },
+    ].map(line => ({ order_total_id: totalId++, order_id: order.order_id, ...line }));
+  });
+
+  return {
+    oc_order: orders,
+    oc_order_product: products,
+    oc_order_history: orderHistory,
+    oc_order_total: orderTotals,
+    oc_order_status: Object.entries(ORDER_STATUSES).map(([id, name]) =>
+      ({ order_status_id: Number(id), language_id: 1, name })),
+    oc_customer: CUSTOMERS.map(customer => ({ ...customer, status: 1, date_added: ago(400) })),
+    oc_order_shiplogic_tracking: [
+      {
+        id: 1,
+        order_id: 28630,
+        order_number: '28630',
+        shiplogic_shipment_id: 'sl-sandbox-28630',
+        shiplogic_reference: 'SL7F3K9',
+        tcg_waybill: 'TCG28630',
+        tcg_order_reference: 'TCG28630',
+        parcel_tracking_reference: 'TCG28630-1',
+        status: 'in-transit',
+        status_message: 'tracking_event',
+        shipment_created_at: ago(2),
+        last_updated_at: ago(1),
+        webhook_received_at: ago(1),
+        webhook_payload: '{}',
+      },
+    ],
+    oc_order_shiplogic_tracking_history: [
+      { id: 1, tracking_id: 1, status: 'collection-assigned', status_message: null, changed_at: ago(2) },
+      { id: 2, tracking_id: 1, status: 'in-transit', status_message: null, changed_at: ago(1) },
+    ],
+  };
+}
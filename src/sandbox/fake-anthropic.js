@@ -0,0 +1,464 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import YAML from 'yaml';
+
+/**
+ * Scripted stand-in for the Anthropic client (sandbox mode)
+ *
+ * Answers messages.create() and messages.stream() without the network. Script rules (SANDBOX_LLM_SCRIPT,
+ * YAML or JSON) are tried first, then built-in heuristics that route the
+ * receptionist by keyword, call tools when the caller mentions an order number,
+ * a product or a support problem, and read tool results back in plain text.
+ *
+ * Script format:
+ *   rules:
+ *     - when:
+ *         system: /shipping specialist/i   # optional, regex on the system prompt
+ *         user: /order (\d+)/i            # optional, regex on the caller's last words
+ *         afterTool: track_order          # optional, only right after this tool ran
+ *       text: "Let me check that for you."
+ *       tool: { name: track_order, input: { order_id: "$1" } }
+ *       # or several at once, run in parallel:
+ *       # tools: [{ name: track_order, input: {...} }, { name: get_invoice, input: {...} }]
+ *       delayMs: 5000                     # optional, answer this much later (a slow model)
+ *       error: "Overloaded"               # optional, fail like an API error (HTTP 529) instead
+ */
+
+const DEPARTMENT_KEYWORDS = {
+  shipping: /\b(order|deliver|delivery|track|tracking|shipping|courier|parcel|waybill|package)\b/i,
+  accounts: /\b(invoice|bill|billing|payment|pay|refund|account|statement|balance)\b/i,
+  support: /\b(broken|not working|support|setup|set up|fault|faulty|technical|repair|warranty|troubleshoot|manual)\b/i,
+  sales: /\b(buy|purchase|price|product|looking for|quote|receiver|speaker|soundbar|tv|headphones|amplifier|stock)\b/i,
+};
+
+const SUPPORT_QUESTION = /\b(how do i|how to|reset|set ?up|no sound|not working|won'?t|doesn'?t|keeps|switch(es)? off|troubleshoot|manual|warranty)\b/i;
+
+const SPEC_QUESTION = /\b(does|is|can|will)\b[^?.!]*\b(have|has|support|supports|work|works|compatible|come with)\b/i;
+
+const KNOWN_BRANDS = /\b(denon|sonos|yamaha|polk|samsung|lg|sony|jbl|marantz|svs)\b/i;
+
+const PRODUCT_QUESTION = /\b(do you (have|sell|stock)|price|how much|looking for|in stock|available|recommend|need an?|want an?)\b/i;
+
+// Default tool triggers - first match wins. input(match, text, conversation) returns the
+// value of the tool's first required property, or a whole input object
+const TOOL_TRIGGERS = [
+  { tool: 'verify_identity', pattern: /\b(?:pin|code)\b\D{0,20}(\d{6})\b/i, input: match => ({ pin: match[1] }) },
+  {
+    tool: 'verify_identity',
+    pattern: /([\w.+-]+@[\w-]+\.[\w.]+)[\s\S]*?\bpost\s?code\b\D{0,10}(\d{4})\b/i,
+    input: match => ({ email: match[1], postcode: match[2] }),
+  },
+  {
+    tool: 'send_verification_pin',
+    pattern: /\b(send|text|sms)\b[^.?!]*\b(pin|code)\b/i,
+    input: (match, text, conversation) => lastReference(conversation),
+  },
+  {
+    tool: 'email_order_document',
+    pattern: /\b(e-?mail|send|resend|re-send)\b[^.?!]*\b(invoice|proof of payment)\b/i,
+    input: (match, text, conversation) => lastReference(conversation) &&
+      { order_id: lastReference(conversation), document: /proof/i.test(match[2]) ? 'proof_of_payment' : 'invoice' },
+  },
+  {
+    tool: 'create_payment_link',
+    pattern: /\b(payment link|link to pay|pay (?:online|by card|now))\b/i,
+    input: (match, text, conversation) => lastReference(conversation) &&
+      { order_id: lastReference(conversation), send_by: /\be-?mail\b/i.test(text) ? 'email' : 'sms' },
+  },
+  { tool: 'get_refund_status', pattern: /\brefund/i, input: (match, text, conversation) => lastReference(conversation) },
+  { tool: 'get_payment_status', pattern: /\b(paid|payment)\b/i, input: (match, text, conversation) => lastReference(conversation) },
+  { tool: 'get_invoice', pattern: /\b(invoice|vat)\b/i, input: (match, text, conversation) => lastReference(conversation) },
+  { tool: 'track_order', pattern: /\b(\d{4,7})\b/, input: match => match[1] },
+  { tool: 'find_orders_by_email', pattern: /([\w.+-]+@[\w-]+\.[\w.]+)/, input: match => match[1] },
+  {
+    tool: 'get_product_details',
+    pattern: SPEC_QUESTION,
+    input: (match, text, conversation) => lastModel(conversation) &&
+      { product: lastModel(conversation), question: text },
+  },
+  {
+    tool: 'search_support_knowledge',
+    pattern: SUPPORT_QUESTION,
+    input: (match, text, conversation) => ({
+      query: text.replace(/[?!.]+$/, '').trim(),
+      ...(KNOWN_BRANDS.exec(conversation) && { brand: KNOWN_BRANDS.exec(conversation)[1] }),
+    }),
+  },
+  { tool: 'search_products', pattern: PRODUCT_QUESTION, input: (match, text) => extractProductQuery(text) },
+  { tool: 'get_product_info', pattern: PRODUCT_QUESTION, input: (match, text) => extractProductQuery(text) },
+];
+
+/**
+ * Last order or invoice number the caller mentioned ("28630", "INV-2026-1830")
+ */
+function lastReference(conversation) {
+  return [...conversation.matchAll(/\b(INV-[\w-]*\d|\d{4,7})\b/gi)].pop()?.[1];
+}
+
+/**
+ * Last model number the caller mentioned ("AVR-X1800H", "WH-1000XM5")
+ */
+function lastModel(conversation) {
+  return [...conversation.matchAll(/\b([A-Z]{2,}[\w-]*\d[\w-]*)\b/g)].pop()?.[1];
+}
+
+/**
+ * Pull a product search phrase out of a caller's sentence
+ * "Do you have the Denon AVR-X1800H in stock?" → "Denon AVR-X1800H"
+ */
+export function extractProductQuery(text) {
+  return text
+    .replace(/\b(hi|hello|howzit|please|thanks|thank you|great|ok|okay)\b[,!.]?/gi, ' ')
+    .replace(/\b(do you (have|sell|stock)|i('m| am) looking for|looking for|i need|i want|can you recommend|how much (is|are|does)|what('s| is) the price of|is|are|the|a|an|any|in stock|available|cost|costs|right now|at the moment)\b/gi, ' ')
+    .replace(/[?!.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(block => block.type === 'text').map(block => block.text).join(' ');
+}
+
+function systemText(system) {
+  if (!system) return '';
+  return Array.isArray(system) ? system.map(block => block.text || '').join('\n') : String(system);
+}
+
+function toRegex(value) {
+  if (value instanceof RegExp) return value;
+  const match = /^\/(.+)\/([gimsuy]*)$/.exec(String(value));
+  return match ? new RegExp(match[1], match[2]) : new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+function substitute(value, match) {
+  if (typeof value === 'string') {
+    return value.replace(/\$(\d)/g, (_, index) => (match && match[index]) || '');
+  }
+  if (Array.isArray(value)) return value.map(item => substitute(item, match));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, match)]));
+  }
+  return value;
+}
+
+/**
+ * Turn a tool result into a short spoken answer
+ * @param {string} content - tool_result content (JSON or formatted text)
+ * @returns {string}
+ */
+export function summarizeToolResult(content) {
+  const raw = typeof content === 'string' ? content : textOf(content);
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    // Formatted text result
+  }
+
+  if (Array.isArray(parsed)) {
+    const products = parsed.filter(item => item.product_name || item.name);
+    if (products.length === 0) {
+      return parsed[0]?.message || 'I could not find anything matching that.';
+    }
+    const listed = products.slice(0, 3).map(item => {
+      const price = item.selling_price ?? item.price;
+      return `${item.product_name || item.name}${price ? ` at ${Math.round(price)} rand` : ''}`;
+    });
+    return `I found ${products.length} option${products.length === 1 ? '' : 's'}: ${listed.join(', ')}.`;
+  }
+
+  if (parsed?.has_details !== undefined) {
+    if (parsed.answer) return parsed.answer;
+    if (parsed.related_facts?.length) return `From the product details: ${parsed.related_facts.slice(0, 2).join('. ')}.`;
+    return `I don't have that detail on file for the ${parsed.name}. Let me check with a specialist.`;
+  }
+
+  if (Array.isArray(parsed?.passages)) {
+    const [passage] = parsed.passages;
+    const steps = passage.text.split(/(?<=[.!?])\s+/).slice(0, 2).join(' ');
+    return `According to the ${passage.citation}: ${steps}`;
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    return parsed.text || parsed.message || parsed.error || parsed.summary ||
+      `Here is what I found: ${JSON.stringify(parsed).substring(0, 200)}`;
+  }
+
+  const firstLines = raw.split('\n').map(line => line.trim()).filter(Boolean).slice(0, 3).join('. ');
+  return firstLines ? `Here is what I found. ${firstLines.substring(0, 300)}` : 'I could not find anything for that.';
+}
+
+/**
+ * Apply a script rule's delayMs and error before answering
+ * @param {object|null} rule - Matching script rule
+ */
+async function misbehave(rule) {
+  if (rule?.delayMs) {
+    await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+  }
+  if (rule?.error) {
+    const error = new Error(`529 ${rule.error}`);
+    error.status = 529;
+    throw error;
+  }
+}
+
+/**
+ * Stand-in for the SDK's MessageStream: replays a finished message as stream
+ * events, one word per text delta, with the same 'text' / 'streamEvent' events,
+ * finalMessage() and abort()
+ */
+export class FakeMessageStream extends EventEmitter {
+  constructor(message, options = {}) {
+    super();
+    this.aborted = false;
+    this.done = this.play(message, options);
+    this.done.catch(() => {});
+  }
+
+  async play(message, { signal, rule } = {}) {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+    const check = () => {
+      if (this.aborted || signal?.aborted) {
+        const error = new Error('Request was aborted.');
+        error.name = 'APIUserAbortError';
+        throw error;
+      }
+    };
+
+    await misbehave(rule);
+    check();
+
+    this.emit('streamEvent', { type: 'message_start', message: { ...message, content: [] } });
+
+    for (const [index, block] of message.content.entries()) {
+      if (block.type === 'text') {
+        this.emit('streamEvent', { type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+        let snapshot = '';
+        for (const word of block.text.split(/(?<=\s)/)) {
+          await tick();
+          check();
+          snapshot += word;
+          this.emit('streamEvent', { type: 'content_block_delta', index, delta: { type: 'text_delta', text: word } });
+          this.emit('text', word, snapshot);
+        }
+      } else {
+        this.emit('streamEvent', { type: 'content_block_start', index, content_block: { ...block, input: {} } });
+        this.emit('streamEvent', {
+          type: 'content_block_delta',
+          index,
+          delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) },
+        });
+      }
+      this.emit('streamEvent', { type: 'content_block_stop', index });
+    }
+
+    await tick();
+    check();
+    this.emit('streamEvent', { type: 'message_stop' });
+    return message;
+  }
+
+  abort() {
+    this.aborted = true;
+  }
+
+  finalMessage() {
+    return this.done;
+  }
+}
+
+/**
+ * Scripted Anthropic client
+ */
+export class FakeAnthropic {
+  /**
+   * @param {object} options
+   * @param {string} options.scriptPath - Optional YAML/JSON rules file
+   */
+  constructor(options = {}) {
+    this.rules = options.scriptPath ? FakeAnthropic.loadScript(options.scriptPath) : [];
+    this.counter = 0;
+    this.requests = [];
+    this.messages = {
+      create: params => this.createMessage(params),
+      stream: (params, options) => this.streamMessage(params, options),
+    };
+  }
+
+  static loadScript(scriptPath) {
+    const raw = fs.readFileSync(scriptPath, 'utf-8');
+    const script = path.extname(scriptPath).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    return (script?.rules || []).map(rule => ({
+      ...rule,
+      when: {
+        system: rule.when?.system ? toRegex(rule.when.system) : null,
+        user: rule.when?.user ? toRegex(rule.when.user) : null,
+        afterTool: rule.when?.afterTool || null,
+      },
+    }));
+  }
+
+  nextId(prefix) {
+    this.counter++;
+    return `${prefix}_sandbox_${String(this.counter).padStart(6, '0')}`;
+  }
+
+  buildMessage(params, blocks) {
+    const content = blocks.map(block => (block.type === 'tool_use'
+      ? { ...block, id: this.nextId('toolu') }
+      : block));
+    const text = content.filter(block => block.type === 'text').map(block => block.text).join(' ');
+
+    return {
+      id: this.nextId('msg'),
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content,
+      stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+      stop_sequence: null,
+      usage: {
+        input_tokens: Math.ceil(JSON.stringify(params.messages || []).length / 4),
+        output_tokens: Math.ceil(text.length / 4) + 1,
+      },
+    };
+  }
+
+  async createMessage(params) {
+    this.requests.push(params);
+    await misbehave(this.matchRule(this.conversation(params))?.rule);
+    return this.buildMessage(params, this.respond(params));
+  }
+
+  streamMessage(params, options = {}) {
+    this.requests.push(params);
+    const rule = this.matchRule(this.conversation(params))?.rule;
+    return new FakeMessageStream(this.buildMessage(params, this.respond(params)), { ...options, rule });
+  }
+
+  /**
+   * What the request is about: the caller's latest words and the tool just used
+   * @param {object} params - messages.create params
+   * @returns {object} - { messages, system, tools, toolResults, lastToolName, userTexts, userText }
+   */
+  conversation(params) {
+    const messages = params.messages || [];
+    const last = messages[messages.length - 1] || { content: '' };
+    const system = systemText(params.system);
+    const tools = (params.tools || []).map(tool => tool.name);
+
+    const toolResults = Array.isArray(last.content) ? last.content.filter(block => block.type === 'tool_result') : [];
+    const previousAssistant = messages[messages.length - 2];
+    const lastToolName = toolResults.length > 0 && Array.isArray(previousAssistant?.content)
+      ? previousAssistant.content.filter(block => block.type === 'tool_use').map(block => block.name).pop()
+      : null;
+
+    // Caller's most recent words (skipping tool_result turns)
+    const userTexts = messages
+      .filter(message => message.role === 'user')
+      .map(message => textOf(message.content))
+      .filter(text => text.trim());
+    const userText = userTexts[userTexts.length - 1] || '';
+
+    return { messages, system, tools, toolResults, lastToolName, userTexts, userText };
+  }
+
+  /**
+   * Decide what the "model" says
+   * @param {object} params - messages.create params
+   * @returns {Array<object>} - Content blocks
+   */
+  respond(params) {
+    const context = this.conversation(params);
+    const { system, tools, toolResults, userTexts, userText } = context;
+
+    const scripted = this.matchRule(context);
+    if (scripted?.blocks.length > 0) return scripted.blocks;
+
+    if (toolResults.length > 0) {
+      return [{ type: 'text', text: toolResults.map(result => summarizeToolResult(result.content)).join(' ') }];
+    }
+
+    if (/intent classifier/i.test(system)) {
+      const department = Object.entries(DEPARTMENT_KEYWORDS).find(([, pattern]) => pattern.test(userText));
+      return [{
+        type: 'text',
+        text: JSON.stringify({
+          intent: department ? department[0] : 'general_inquiry',
+          urgency: /urgent|asap|immediately|emergency/i.test(userText) ? 'high' : 'medium',
+          sentiment: /angry|frustrated|terrible|useless|not happy/i.test(userText) ? 'negative' : 'neutral',
+          entities: {},
+        }),
+      }];
+    }
+
+    if (/only "YES" or "NO"/i.test(system)) {
+      return [{ type: 'text', text: 'NO' }];
+    }
+
+    if (/text message to a customer/i.test(system)) {
+      return [{ type: 'text', text: 'You asked us to look into your enquiry and we did.' }];
+    }
+
+    if (/summari[sz]e/i.test(system)) {
+      return [{ type: 'text', text: `Customer called about: ${userText.substring(0, 160) || 'a general enquiry'}. Handled by the sandbox agent.` }];
+    }
+
+    for (const trigger of TOOL_TRIGGERS) {
+      if (!tools.includes(trigger.tool)) continue;
+      const match = trigger.pattern.exec(userText);
+      if (!match) continue;
+
+      const tool = params.tools.find(candidate => candidate.name === trigger.tool);
+      const property = tool.input_schema?.required?.[0] || Object.keys(tool.input_schema?.properties || {})[0];
+      const value = trigger.input(match, userText, userTexts.join('\n'));
+      if (!value) continue;
+
+      return [
+        { type: 'text', text: 'Let me check that for you.' },
+        { type: 'tool_use', name: trigger.tool, input: typeof value === 'object' ? value : { [property]: value } },
+      ];
+    }
+
+    if (tools.length === 0 && /receptionist/i.test(system)) {
+      const department = Object.entries(DEPARTMENT_KEYWORDS).find(([, pattern]) => pattern.test(userText));
+      if (department) {
+        return [{ type: 'text', text: `Let me connect you to our ${department[0]} team.` }];
+      }
+      return [{ type: 'text', text: 'Happy to help. Is it about sales, shipping, support or accounts?' }];
+    }
+
+    if (/\b(bye|goodbye|thanks|thank you)\b/i.test(userText)) {
+      return [{ type: 'text', text: 'Thanks for calling Audico. Cheers, have a lekker day!' }];
+    }
+
+    return [{ type: 'text', text: 'Sure, I can help with that. What else would you like to know?' }];
+  }
+
+  matchRule({ system, userText, lastToolName }) {
+    for (const rule of this.rules) {
+      const { when } = rule;
+      if (when.system && !when.system.test(system)) continue;
+      if (when.afterTool && when.afterTool !== lastToolName) continue;
+      if (!when.afterTool && lastToolName) continue;
+
+      let match = null;
+      if (when.user) {
+        match = when.user.exec(userText);
+        if (!match) continue;
+      }
+
+      const blocks = [];
+      if (rule.text) blocks.push({ type: 'text', text: substitute(rule.text, match) });
+      for (const tool of rule.tools || (rule.tool ? [rule.tool] : [])) {
+        blocks.push({ type: 'tool_use', name: tool.name, input: substitute(tool.input || {}, match) });
+      }
+      if (blocks.length > 0 || rule.error) return { rule, blocks };
+    }
+    return null;
+  }
+}
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+
+/**
+ * Offline stand-in for the email client (sandbox mode)
+ * Emails are recorded in the outbox instead of being sent.
+ */
+
+/**
+ * Create a fake email client
+ * @param {object} outbox - Shared record of everything "sent" (emails go in outbox.emails)
+ * @returns {object} - { send(message) }, like createEmailClient()
+ */
+export function createFakeEmailClient(outbox) {
+  return {
+    async send(message) {
+      const email = { id: `EM${crypto.randomBytes(12).toString('hex')}`, dateCreated: new Date(), ...message };
+      outbox.emails.push(email);
+      console.log('[Sandbox Email] To', message.to, ':', message.subject);
+      return { id: email.id };
+    },
+  };
+}
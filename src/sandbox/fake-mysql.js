@@ -0,0 +1,1092 @@
+/**
+ * In-memory stand-in for the OpenCart MySQL database (sandbox mode)
+ *
+ * Implements the small subset of MySQL the call system actually issues:
+ * SELECT (aliases, LEFT/INNER JOIN, WHERE, GROUP BY, ORDER BY, LIMIT, sub-selects),
+ * INSERT (incl. ON DUPLICATE KEY UPDATE), UPDATE and DELETE, with `?` placeholders.
+ * Generated columns (schema.generated) are kept up to date on every write.
+ * Exposes the mysql2/promise pool and connection API (execute, query, getConnection, end).
+ */
+
+const KEYWORDS = new Set([
+  'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'AS', 'LEFT', 'RIGHT', 'INNER', 'OUTER',
+  'JOIN', 'ON', 'GROUP', 'BY', 'ORDER', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'INSERT', 'INTO', 'VALUES',
+  'UPDATE', 'SET', 'DELETE', 'LIKE', 'IN', 'IS', 'NULL', 'BETWEEN', 'DUPLICATE', 'KEY', 'TRUE', 'FALSE',
+  'INTERVAL', 'HAVING', 'IGNORE',
+]);
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'MIN', 'MAX', 'AVG']);
+
+// ------------------------------------------------------------
+// Tokenizer
+// ------------------------------------------------------------
+
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+
+    // Comments, including optimizer hints (/*+ MAX_EXECUTION_TIME(2000) */)
+    if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '\\') {
+          value += sql[i + 1];
+          i += 2;
+        } else if (sql[i] === char && sql[i + 1] === char) {
+          value += char;
+          i += 2;
+        } else if (sql[i] === char) {
+          i++;
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    if (char === '`') {
+      const end = sql.indexOf('`', i + 1);
+      tokens.push({ type: 'ident', value: sql.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[i + 1]))) {
+      const match = /^[0-9]*\.?[0-9]+(e[+-]?[0-9]+)?/i.exec(sql.slice(i));
+      tokens.push({ type: 'number', value: parseFloat(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+      const upper = match[0].toUpperCase();
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: 'keyword', value: upper }
+        : { type: 'ident', value: match[0] });
+      i += match[0].length;
+      continue;
+    }
+
+    const two = sql.slice(i, i + 2);
+    if (['<=', '>=', '<>', '!='].includes(two)) {
+      tokens.push({ type: 'op', value: two });
+      i += 2;
+      continue;
+    }
+
+    if ('=<>(),.*+-/?;'.includes(char)) {
+      tokens.push({ type: char === '?' ? 'param' : 'op', value: char });
+      i++;
+      continue;
+    }
+
+    throw new Error(`[Sandbox MySQL] Unexpected character "${char}" in query`);
+  }
+
+  return tokens;
+}
+
+// ------------------------------------------------------------
+// Parser
+// ------------------------------------------------------------
+
+class Parser {
+  constructor(sql) {
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+    this.paramIndex = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token && token.type === 'keyword' && token.value === value;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token && token.type === 'op' && token.value === value;
+  }
+
+  acceptKeyword(value) {
+    if (this.isKeyword(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectKeyword(value) {
+    if (!this.acceptKeyword(value)) {
+      throw new Error(`[Sandbox MySQL] Expected ${value} near token ${this.pos}`);
+    }
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) {
+      throw new Error(`[Sandbox MySQL] Expected "${value}" near token ${this.pos}`);
+    }
+  }
+
+  identifier() {
+    const token = this.next();
+    if (!token || (token.type !== 'ident' && token.type !== 'keyword')) {
+      throw new Error('[Sandbox MySQL] Expected identifier');
+    }
+    return token.value;
+  }
+
+  parseStatement() {
+    let statement;
+    if (this.isKeyword('SELECT')) statement = this.parseSelect();
+    else if (this.isKeyword('INSERT')) statement = this.parseInsert();
+    else if (this.isKeyword('UPDATE')) statement = this.parseUpdate();
+    else if (this.isKeyword('DELETE')) statement = this.parseDelete();
+    else throw new Error('[Sandbox MySQL] Unsupported statement');
+
+    this.acceptOp(';');
+    if (this.pos < this.tokens.length) {
+      throw new Error(`[Sandbox MySQL] Unexpected trailing tokens after statement`);
+    }
+    return statement;
+  }
+
+  parseTableRef() {
+    const table = this.identifier();
+    let alias = table;
+    if (this.acceptKeyword('AS')) {
+      alias = this.identifier();
+    } else if (this.peek() && this.peek().type === 'ident') {
+      alias = this.next().value;
+    }
+    return { table, alias };
+  }
+
+  parseSelect() {
+    this.expectKeyword('SELECT');
+    const select = { type: 'select', distinct: this.acceptKeyword('DISTINCT'), columns: [], joins: [] };
+
+    do {
+      if (this.acceptOp('*')) {
+        select.columns.push({ star: true });
+      } else if (this.peek(1)?.value === '.' && this.isOp('*', 2)) {
+        const table = this.identifier();
+        this.pos += 2;
+        select.columns.push({ star: true, table });
+      } else {
+        const expr = this.parseExpression();
+        let alias = null;
+        if (this.acceptKeyword('AS')) {
+          alias = this.identifier();
+        } else if (this.peek() && this.peek().type === 'ident') {
+          alias = this.next().value;
+        }
+        select.columns.push({ expr, alias: alias || expr.name || expr.label });
+      }
+    } while (this.acceptOp(','));
+
+    if (this.acceptKeyword('FROM')) {
+      select.from = this.parseTableRef();
+
+      while (this.isKeyword('LEFT') || this.isKeyword('INNER') || this.isKeyword('JOIN') || this.isKeyword('RIGHT')) {
+        let joinType = 'inner';
+        if (this.acceptKeyword('LEFT')) joinType = 'left';
+        else if (this.acceptKeyword('RIGHT')) throw new Error('[Sandbox MySQL] RIGHT JOIN not supported');
+        else this.acceptKeyword('INNER');
+        this.acceptKeyword('OUTER');
+        this.expectKeyword('JOIN');
+        const ref = this.parseTableRef();
+        this.expectKeyword('ON');
+        select.joins.push({ ...ref, joinType, on: this.parseExpression() });
+      }
+    }
+
+    if (this.acceptKeyword('WHERE')) select.where = this.parseExpression();
+
+    if (this.acceptKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      select.groupBy = [];
+      do {
+        select.groupBy.push(this.parseExpression());
+      } while (this.acceptOp(','));
+    }
+
+    if (this.acceptKeyword('HAVING')) select.having = this.parseExpression();
+
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      select.orderBy = [];
+      do {
+        const expr = this.parseExpression();
+        let desc = false;
+        if (this.acceptKeyword('DESC')) desc = true;
+        else this.acceptKeyword('ASC');
+        select.orderBy.push({ expr, desc });
+      } while (this.acceptOp(','));
+    }
+
+    if (this.acceptKeyword('LIMIT')) {
+      select.limit = this.parsePrimary();
+      if (this.acceptOp(',')) {
+        select.offset = select.limit;
+        select.limit = this.parsePrimary();
+      } else if (this.acceptKeyword('OFFSET')) {
+        select.offset = this.parsePrimary();
+      }
+    }
+
+    return select;
+  }
+
+  parseInsert() {
+    this.expectKeyword('INSERT');
+    const ignore = this.acceptKeyword('IGNORE');
+    this.expectKeyword('INTO');
+    const table = this.identifier();
+    this.expectOp('(');
+    const columns = [];
+    do {
+      columns.push(this.identifier());
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+    this.expectKeyword('VALUES');
+
+    const rows = [];
+    do {
+      this.expectOp('(');
+      const row = [];
+      do {
+        row.push(this.parseExpression());
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+      rows.push(row);
+    } while (this.acceptOp(','));
+
+    let onDuplicate = null;
+    if (this.acceptKeyword('ON')) {
+      this.expectKeyword('DUPLICATE');
+      this.expectKeyword('KEY');
+      this.expectKeyword('UPDATE');
+      onDuplicate = this.parseAssignments();
+    }
+
+    return { type: 'insert', table, columns, rows, onDuplicate, ignore };
+  }
+
+  parseAssignments() {
+    const assignments = [];
+    do {
+      let column = this.identifier();
+      if (this.acceptOp('.')) column = this.identifier();
+      this.expectOp('=');
+      assignments.push({ column, expr: this.parseExpression() });
+    } while (this.acceptOp(','));
+    return assignments;
+  }
+
+  parseUpdate() {
+    this.expectKeyword('UPDATE');
+    const ref = this.parseTableRef();
+    this.expectKeyword('SET');
+    const set = this.parseAssignments();
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+    let limit = null;
+    if (this.acceptKeyword('LIMIT')) limit = this.parsePrimary();
+    return { type: 'update', ...ref, set, where, limit };
+  }
+
+  parseDelete() {
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    const ref = this.parseTableRef();
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+    return { type: 'delete', ...ref, where };
+  }
+
+  // Expressions -------------------------------------------------
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('OR')) {
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { kind: 'not', expr: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+
+    const token = this.peek();
+    if (token && token.type === 'op' && ['=', '!=', '<>', '<', '>', '<=', '>='].includes(token.value)) {
+      this.pos++;
+      return { kind: 'compare', op: token.value, left, right: this.parseAdditive() };
+    }
+
+    let negate = false;
+    if (this.isKeyword('NOT') && (this.isKeyword('LIKE', 1) || this.isKeyword('IN', 1) || this.isKeyword('BETWEEN', 1))) {
+      this.pos++;
+      negate = true;
+    }
+
+    if (this.acceptKeyword('LIKE')) {
+      return { kind: 'like', negate, left, right: this.parseAdditive() };
+    }
+
+    if (this.acceptKeyword('IN')) {
+      this.expectOp('(');
+      let list;
+      if (this.isKeyword('SELECT')) {
+        list = { kind: 'subquery', select: this.parseSelect() };
+      } else {
+        list = [];
+        do {
+          list.push(this.parseExpression());
+        } while (this.acceptOp(','));
+      }
+      this.expectOp(')');
+      return { kind: 'in', negate, left, list };
+    }
+
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseAdditive();
+      this.expectKeyword('AND');
+      const high = this.parseAdditive();
+      return { kind: 'between', negate, left, low, high };
+    }
+
+    if (this.acceptKeyword('IS')) {
+      const not = this.acceptKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { kind: 'isnull', negate: not, expr: left };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      left = { kind: 'arith', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOp('*') || this.isOp('/')) {
+      const op = this.next().value;
+      left = { kind: 'arith', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) {
+      return { kind: 'arith', op: '-', left: { kind: 'literal', value: 0 }, right: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) throw new Error('[Sandbox MySQL] Unexpected end of query');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { kind: 'literal', value: token.value, label: String(token.value) };
+    }
+
+    if (token.type === 'param') {
+      return { kind: 'param', index: this.paramIndex++, label: '?' };
+    }
+
+    if (token.type === 'keyword') {
+      if (token.value === 'NULL') return { kind: 'literal', value: null, label: 'NULL' };
+      if (token.value === 'TRUE') return { kind: 'literal', value: 1, label: 'TRUE' };
+      if (token.value === 'FALSE') return { kind: 'literal', value: 0, label: 'FALSE' };
+      if (token.value === 'INTERVAL') {
+        const amount = this.parseAdditive();
+        const unit = this.identifier().toUpperCase();
+        return { kind: 'interval', amount, unit };
+      }
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      if (this.isKeyword('SELECT')) {
+        const select = this.parseSelect();
+        this.expectOp(')');
+        return { kind: 'subquery', select, label: 'subquery' };
+      }
+      const expr = this.parseExpression();
+      this.expectOp(')');
+      return expr;
+    }
+
+    if (token.type === 'ident' || token.type === 'keyword') {
+      // Function call
+      if (this.isOp('(')) {
+        this.pos++;
+        const name = token.value.toUpperCase();
+        const args = [];
+        let distinct = false;
+        if (!this.isOp(')')) {
+          distinct = this.acceptKeyword('DISTINCT');
+          do {
+            if (this.acceptOp('*')) args.push({ kind: 'star' });
+            else args.push(this.parseExpression());
+          } while (this.acceptOp(','));
+        }
+        this.expectOp(')');
+        return { kind: 'func', name, args, distinct, label: `${name}(...)` };
+      }
+
+      // Column reference
+      if (this.acceptOp('.')) {
+        const column = this.identifier();
+        return { kind: 'column', table: token.value, column, name: column };
+      }
+      return { kind: 'column', table: null, column: token.value, name: token.value };
+    }
+
+    throw new Error(`[Sandbox MySQL] Unexpected token ${JSON.stringify(token)}`);
+  }
+}
+
+// ------------------------------------------------------------
+// Evaluation helpers
+// ------------------------------------------------------------
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+function compareValues(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if ((typeof a === 'number' || typeof b === 'number') && isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  const left = String(a).toLowerCase();
+  const right = String(b).toLowerCase();
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likeToRegex(pattern) {
+  const escaped = String(pattern)
+    .replace(/[.*+^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'is');
+}
+
+function addInterval(date, interval, sign) {
+  const result = new Date(date);
+  const amount = Number(interval.amount) * sign;
+  switch (interval.unit) {
+    case 'SECOND': result.setSeconds(result.getSeconds() + amount); break;
+    case 'MINUTE': result.setMinutes(result.getMinutes() + amount); break;
+    case 'HOUR': result.setHours(result.getHours() + amount); break;
+    case 'DAY': result.setDate(result.getDate() + amount); break;
+    case 'WEEK': result.setDate(result.getDate() + amount * 7); break;
+    case 'MONTH': result.setMonth(result.getMonth() + amount); break;
+    case 'YEAR': result.setFullYear(result.getFullYear() + amount); break;
+    default: throw new Error(`[Sandbox MySQL] Unsupported interval unit ${interval.unit}`);
+  }
+  return result;
+}
+
+function containsAggregate(expr) {
+  if (!expr || typeof expr !== 'object') return false;
+  if (expr.kind === 'func' && AGGREGATES.has(expr.name)) return true;
+  return ['left', 'right', 'expr', 'low', 'high'].some(key => containsAggregate(expr[key])) ||
+    (Array.isArray(expr.args) && expr.args.some(containsAggregate));
+}
+
+// ------------------------------------------------------------
+// Database
+// ------------------------------------------------------------
+
+/**
+ * In-memory database holding OpenCart-shaped tables
+ */
+export class FakeDatabase {
+  /**
+   * @param {object} seed - { tableName: [rows] }
+   * @param {object} schema - { tableName: { primaryKey, uniqueKeys: [[col, ...]], generated: { col: row => value } } }
+   */
+  constructor(seed = {}, schema = {}) {
+    this.tables = new Map();
+    this.schema = schema;
+    this.autoIncrement = new Map();
+
+    for (const [table, rows] of Object.entries(seed)) {
+      this.tables.set(table, rows.map(row => this.generate(table, FakeDatabase.reviveRow(row))));
+    }
+  }
+
+  /** Fill in a row's generated columns (STORED generated columns in MySQL) */
+  generate(table, row) {
+    for (const [column, compute] of Object.entries(this.schema[table]?.generated || {})) {
+      row[column] = compute(row);
+    }
+    return row;
+  }
+
+  /** Turn ISO date strings from JSON seed files into Date objects */
+  static reviveRow(row) {
+    const revived = {};
+    for (const [key, value] of Object.entries(row)) {
+      revived[key] = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)
+        ? new Date(value)
+        : value;
+    }
+    return revived;
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+    }
+    return this.tables.get(name);
+  }
+
+  primaryKey(table) {
+    return this.schema[table]?.primaryKey || null;
+  }
+
+  nextId(table) {
+    const key = this.primaryKey(table);
+    if (!key) return null;
+    if (!this.autoIncrement.has(table)) {
+      const max = this.table(table).reduce((highest, row) => Math.max(highest, Number(row[key]) || 0), 0);
+      this.autoIncrement.set(table, max);
+    }
+    const id = this.autoIncrement.get(table) + 1;
+    this.autoIncrement.set(table, id);
+    return id;
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL text
+   * @param {Array} params - Placeholder values
+   * @returns {Array|object} - Rows for SELECT, result header otherwise
+   */
+  run(sql, params = []) {
+    const statement = new Parser(sql).parseStatement();
+    const context = { params: params.map(value => (value === undefined ? null : value)) };
+
+    switch (statement.type) {
+      case 'select': return this.runSelect(statement, context, {});
+      case 'insert': return this.runInsert(statement, context);
+      case 'update': return this.runUpdate(statement, context);
+      case 'delete': return this.runDelete(statement, context);
+      default: throw new Error('[Sandbox MySQL] Unsupported statement');
+    }
+  }
+
+  evaluate(expr, context, scope, group = null) {
+    switch (expr.kind) {
+      case 'literal':
+        return expr.value;
+
+      case 'param':
+        if (expr.index >= context.params.length) {
+          throw new Error('[Sandbox MySQL] Not enough parameters for query');
+        }
+        return context.params[expr.index];
+
+      case 'column':
+        return this.resolveColumn(expr, scope);
+
+      case 'and': {
+        const left = this.evaluate(expr.left, context, scope, group);
+        if (left !== null && !left) return 0;
+        const right = this.evaluate(expr.right, context, scope, group);
+        if (right !== null && !right) return 0;
+        return left === null || right === null ? null : 1;
+      }
+
+      case 'or': {
+        const left = this.evaluate(expr.left, context, scope, group);
+        if (left) return 1;
+        const right = this.evaluate(expr.right, context, scope, group);
+        return right ? 1 : (left === null || right === null ? null : 0);
+      }
+
+      case 'not': {
+        const value = this.evaluate(expr.expr, context, scope, group);
+        return value === null ? null : (value ? 0 : 1);
+      }
+
+      case 'compare': {
+        const result = compareValues(
+          this.evaluate(expr.left, context, scope, group),
+          this.evaluate(expr.right, context, scope, group)
+        );
+        if (result === null) return null;
+        switch (expr.op) {
+          case '=': return result === 0 ? 1 : 0;
+          case '!=':
+          case '<>': return result !== 0 ? 1 : 0;
+          case '<': return result < 0 ? 1 : 0;
+          case '>': return result > 0 ? 1 : 0;
+          case '<=': return result <= 0 ? 1 : 0;
+          case '>=': return result >= 0 ? 1 : 0;
+          default: return null;
+        }
+      }
+
+      case 'like': {
+        const value = this.evaluate(expr.left, context, scope, group);
+        const pattern = this.evaluate(expr.right, context, scope, group);
+        if (value === null || pattern === null) return null;
+        const matches = likeToRegex(pattern).test(String(value));
+        return (expr.negate ? !matches : matches) ? 1 : 0;
+      }
+
+      case 'in': {
+        const value = this.evaluate(expr.left, context, scope, group);
+        if (value === null) return null;
+        const candidates = Array.isArray(expr.list)
+          ? expr.list.map(item => this.evaluate(item, context, scope, group))
+          : this.runSelect(expr.list.select, context, scope).map(row => Object.values(row)[0]);
+        const found = candidates.some(candidate => compareValues(value, candidate) === 0);
+        return (expr.negate ? !found : found) ? 1 : 0;
+      }
+
+      case 'between': {
+        const value = this.evaluate(expr.left, context, scope, group);
+        const low = compareValues(value, this.evaluate(expr.low, context, scope, group));
+        const high = compareValues(value, this.evaluate(expr.high, context, scope, group));
+        if (low === null || high === null) return null;
+        const inside = low >= 0 && high <= 0;
+        return (expr.negate ? !inside : inside) ? 1 : 0;
+      }
+
+      case 'isnull': {
+        const value = this.evaluate(expr.expr, context, scope, group);
+        const isNull = value === null || value === undefined;
+        return (expr.negate ? !isNull : isNull) ? 1 : 0;
+      }
+
+      case 'arith': {
+        const left = this.evaluate(expr.left, context, scope, group);
+        const right = this.evaluate(expr.right, context, scope, group);
+        if (right && right.kind === 'interval') {
+          return addInterval(left, right, expr.op === '-' ? -1 : 1);
+        }
+        if (left === null || right === null) return null;
+        switch (expr.op) {
+          case '+': return Number(left) + Number(right);
+          case '-': return Number(left) - Number(right);
+          case '*': return Number(left) * Number(right);
+          case '/': return Number(right) === 0 ? null : Number(left) / Number(right);
+          default: return null;
+        }
+      }
+
+      case 'interval':
+        return { kind: 'interval', amount: this.evaluate(expr.amount, context, scope, group), unit: expr.unit };
+
+      case 'subquery': {
+        const rows = this.runSelect(expr.select, context, scope);
+        return rows.length > 0 ? Object.values(rows[0])[0] : null;
+      }
+
+      case 'func':
+        return this.evaluateFunction(expr, context, scope, group);
+
+      default:
+        throw new Error(`[Sandbox MySQL] Cannot evaluate ${expr.kind}`);
+    }
+  }
+
+  evaluateFunction(expr, context, scope, group) {
+    const { name } = expr;
+
+    if (AGGREGATES.has(name)) {
+      const rows = group || [scope];
+      if (name === 'COUNT' && expr.args[0]?.kind === 'star') {
+        return rows.length;
+      }
+      let values = rows
+        .map(rowScope => this.evaluate(expr.args[0], context, rowScope))
+        .filter(value => value !== null && value !== undefined);
+      if (expr.distinct) {
+        values = [...new Set(values.map(value => (value instanceof Date ? value.getTime() : value)))];
+      }
+      switch (name) {
+        case 'COUNT': return values.length;
+        case 'SUM': return values.length ? values.reduce((sum, value) => sum + Number(value), 0) : null;
+        case 'AVG': return values.length ? values.reduce((sum, value) => sum + Number(value), 0) / values.length : null;
+        case 'MIN': return values.length ? values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+        case 'MAX': return values.length ? values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+        default: return null;
+      }
+    }
+
+    const args = expr.args.map(arg => this.evaluate(arg, context, scope, group));
+
+    switch (name) {
+      case 'NOW':
+      case 'CURRENT_TIMESTAMP':
+        return new Date();
+      case 'CURDATE': {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+      }
+      case 'DATE':
+        return args[0] === null ? null : new Date(new Date(args[0]).toISOString().split('T')[0]);
+      case 'DATE_SUB':
+        return addInterval(args[0], args[1], -1);
+      case 'DATE_ADD':
+        return addInterval(args[0], args[1], 1);
+      case 'LOWER':
+        return args[0] === null ? null : String(args[0]).toLowerCase();
+      case 'UPPER':
+        return args[0] === null ? null : String(args[0]).toUpperCase();
+      case 'TRIM':
+        return args[0] === null ? null : String(args[0]).trim();
+      case 'LENGTH':
+      case 'CHAR_LENGTH':
+        return args[0] === null ? null : String(args[0]).length;
+      case 'RIGHT':
+        return args[0] === null ? null : String(args[0]).slice(-Number(args[1]));
+      case 'LEFT':
+        return args[0] === null ? null : String(args[0]).slice(0, Number(args[1]));
+      case 'REPLACE':
+        return args[0] === null ? null : String(args[0]).split(String(args[1])).join(String(args[2]));
+      case 'CONCAT':
+        return args.some(arg => arg === null) ? null : args.map(String).join('');
+      case 'CONCAT_WS':
+        return args.slice(1).filter(arg => arg !== null).map(String).join(String(args[0]));
+      case 'COALESCE':
+      case 'IFNULL':
+        return args.find(arg => arg !== null && arg !== undefined) ?? null;
+      case 'IF':
+        return args[0] ? args[1] : args[2];
+      case 'ABS':
+        return args[0] === null ? null : Math.abs(Number(args[0]));
+      case 'ROUND':
+        return args[0] === null ? null : Number(Number(args[0]).toFixed(args[1] ?? 0));
+      case 'VALUES':
+        return context.insertRow ? context.insertRow[expr.args[0].column] : null;
+      default:
+        throw new Error(`[Sandbox MySQL] Unsupported function ${name}()`);
+    }
+  }
+
+  resolveColumn(expr, scope) {
+    if (expr.table) {
+      const row = scope[expr.table];
+      if (row === undefined) {
+        throw new Error(`[Sandbox MySQL] Unknown table alias ${expr.table}`);
+      }
+      return row === null ? null : (row[expr.column] ?? null);
+    }
+
+    if (scope.__select && expr.column in scope.__select) {
+      return scope.__select[expr.column];
+    }
+
+    for (const [alias, row] of Object.entries(scope)) {
+      if (alias !== '__select' && row && expr.column in row) {
+        return row[expr.column];
+      }
+    }
+    return null;
+  }
+
+  runSelect(select, context, outerScope) {
+    // Build row scopes from FROM + JOINs
+    let scopes;
+    if (select.from) {
+      scopes = this.table(select.from.table).map(row => ({ ...outerScope, [select.from.alias]: row }));
+      for (const join of select.joins) {
+        const joined = [];
+        const rightRows = this.table(join.table);
+        for (const scope of scopes) {
+          const matches = rightRows.filter(row => this.evaluate(join.on, context, { ...scope, [join.alias]: row }));
+          if (matches.length > 0) {
+            matches.forEach(row => joined.push({ ...scope, [join.alias]: row }));
+          } else if (join.joinType === 'left') {
+            joined.push({ ...scope, [join.alias]: null });
+          }
+        }
+        scopes = joined;
+      }
+    } else {
+      scopes = [{ ...outerScope }];
+    }
+
+    if (select.where) {
+      scopes = scopes.filter(scope => this.evaluate(select.where, context, scope));
+    }
+
+    const aggregate = select.groupBy || select.columns.some(column => column.expr && containsAggregate(column.expr));
+    let results;
+
+    if (aggregate) {
+      const groups = new Map();
+      for (const scope of scopes) {
+        const key = JSON.stringify((select.groupBy || []).map(expr => this.evaluate(expr, context, scope)));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(scope);
+      }
+      if (groups.size === 0 && !select.groupBy) {
+        groups.set('[]', []);
+      }
+      results = [...groups.values()].map(group => ({
+        scope: group[0] || { ...outerScope },
+        group,
+      }));
+      if (select.having) {
+        results = results.filter(({ scope, group }) => this.evaluate(select.having, context, scope, group));
+      }
+    } else {
+      results = scopes.map(scope => ({ scope, group: null }));
+    }
+
+    // Project
+    const projected = results.map(({ scope, group }) => {
+      const row = {};
+      for (const column of select.columns) {
+        if (column.star) {
+          for (const [alias, sourceRow] of Object.entries(scope)) {
+            if (alias in outerScope || alias === '__select' || !sourceRow) continue;
+            if (!column.table || column.table === alias) Object.assign(row, sourceRow);
+          }
+        } else {
+          row[column.alias] = this.evaluate(column.expr, context, scope, group);
+        }
+      }
+      return { row, scope, group };
+    });
+
+    if (select.orderBy) {
+      projected.sort((a, b) => {
+        for (const { expr, desc } of select.orderBy) {
+          const left = this.evaluate(expr, context, { ...a.scope, __select: a.row }, a.group);
+          const right = this.evaluate(expr, context, { ...b.scope, __select: b.row }, b.group);
+          let result = compareValues(left, right);
+          if (result === null) result = left === null ? (right === null ? 0 : -1) : 1;
+          if (result !== 0) return desc ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    let rows = projected.map(({ row }) => ({ ...row }));
+
+    if (select.distinct) {
+      const seen = new Set();
+      rows = rows.filter(row => {
+        const key = JSON.stringify(row);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const offset = select.offset ? Number(this.evaluate(select.offset, context, {})) : 0;
+    if (select.limit) {
+      rows = rows.slice(offset, offset + Number(this.evaluate(select.limit, context, {})));
+    } else if (offset) {
+      rows = rows.slice(offset);
+    }
+
+    return rows;
+  }
+
+  findDuplicate(table, row) {
+    const keys = [];
+    const primaryKey = this.primaryKey(table);
+    if (primaryKey) keys.push([primaryKey]);
+    keys.push(...(this.schema[table]?.uniqueKeys || []));
+
+    return this.table(table).find(existing => keys.some(columns =>
+      columns.every(column => row[column] !== undefined && row[column] !== null &&
+        compareValues(existing[column], row[column]) === 0)));
+  }
+
+  runInsert(statement, context) {
+    let affectedRows = 0;
+    let insertId = 0;
+
+    for (const values of statement.rows) {
+      const row = {};
+      statement.columns.forEach((column, index) => {
+        row[column] = this.evaluate(values[index], context, {});
+      });
+
+      const duplicate = this.findDuplicate(statement.table, row);
+      if (duplicate) {
+        if (statement.onDuplicate) {
+          const updateContext = { ...context, insertRow: row };
+          for (const { column, expr } of statement.onDuplicate) {
+            duplicate[column] = this.evaluate(expr, updateContext, { [statement.table]: duplicate });
+          }
+          this.generate(statement.table, duplicate);
+          affectedRows += 2;
+          insertId = duplicate[this.primaryKey(statement.table)] || 0;
+          continue;
+        }
+        if (statement.ignore) continue;
+        throw new Error(`[Sandbox MySQL] Duplicate entry for ${statement.table}`);
+      }
+
+      const primaryKey = this.primaryKey(statement.table);
+      if (primaryKey && (row[primaryKey] === undefined || row[primaryKey] === null)) {
+        row[primaryKey] = this.nextId(statement.table);
+      }
+      if (primaryKey) insertId = row[primaryKey];
+
+      this.table(statement.table).push(this.generate(statement.table, row));
+      affectedRows++;
+    }
+
+    return { affectedRows, insertId, warningStatus: 0 };
+  }
+
+  runUpdate(statement, context) {
+    let affectedRows = 0;
+    let changedRows = 0;
+    const limit = statement.limit ? Number(this.evaluate(statement.limit, context, {})) : Infinity;
+
+    for (const row of this.table(statement.table)) {
+      if (affectedRows >= limit) break;
+      const scope = { [statement.alias]: row };
+      if (statement.where && !this.evaluate(statement.where, context, scope)) continue;
+
+      affectedRows++;
+      let changed = false;
+      // Evaluate all assignments first so they see the original row (MySQL semantics are close enough)
+      const updates = statement.set.map(({ column, expr }) => [column, this.evaluate(expr, context, scope)]);
+      for (const [column, value] of updates) {
+        if (compareValues(row[column], value) !== 0) changed = true;
+        row[column] = value;
+      }
+      this.generate(statement.table, row);
+      if (changed) changedRows++;
+    }
+
+    return { affectedRows, changedRows, insertId: 0, warningStatus: 0 };
+  }
+
+  runDelete(statement, context) {
+    const rows = this.table(statement.table);
+    const kept = rows.filter(row => statement.where && !this.evaluate(statement.where, context, { [statement.alias]: row }));
+    const affectedRows = rows.length - kept.length;
+    this.tables.set(statement.table, kept);
+    return { affectedRows, insertId: 0, warningStatus: 0 };
+  }
+}
+
+/**
+ * mysql2/promise-compatible connection over a FakeDatabase
+ */
+class FakeConnection {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * @param {string|object} sql - SQL text, or mysql2 options { sql, timeout }
+   * @param {Array} params - Placeholder values
+   */
+  async execute(sql, params = []) {
+    const result = this.database.run(typeof sql === 'string' ? sql : sql.sql, params);
+    return Array.isArray(result) ? [result, []] : [result, undefined];
+  }
+
+  async query(sql, params = []) {
+    return this.execute(sql, params);
+  }
+
+  async beginTransaction() {}
+
+  async commit() {}
+
+  async rollback() {}
+
+  release() {}
+
+  destroy() {}
+
+  async end() {}
+}
+
+/**
+ * mysql2/promise-compatible pool over a FakeDatabase
+ */
+export class FakeMysqlPool extends FakeConnection {
+  async getConnection() {
+    return new FakeConnection(this.database);
+  }
+
+  /** Open a standalone "connection" that shares the pool's data */
+  createConnection() {
+    return new FakeConnection(this.database);
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Offline stand-in for the OpenAI client (sandbox mode)
+ * Embeddings are deterministic hashed bag-of-words vectors, so similar text
+ * still lands close together; Whisper returns an empty transcription.
+ */
+
+export const SANDBOX_EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Deterministic pseudo-embedding for a piece of text
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} - Unit-length vector
+ */
+export function pseudoEmbedding(text) {
+  const vector = new Array(SANDBOX_EMBEDDING_DIMENSIONS).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    let hash = 2166136261;
+    for (let i = 0; i < word.length; i++) {
+      hash ^= word.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    vector[Math.abs(hash) % SANDBOX_EMBEDDING_DIMENSIONS] += 1;
+  }
+
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ */
+export function cosineSimilarity(a, b) {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+export class FakeOpenAI {
+  constructor() {
+    this.embeddings = {
+      create: async ({ input }) => {
+        const inputs = Array.isArray(input) ? input : [input];
+        return {
+          object: 'list',
+          data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: pseudoEmbedding(text) })),
+          model: 'sandbox-embedding',
+        };
+      },
+    };
+
+    this.audio = {
+      transcriptions: {
+        create: async () => ({ text: '', language: 'en' }),
+      },
+    };
+
+    this.chat = {
+      completions: {
+        create: async () => ({
+          choices: [{ index: 0, message: { role: 'assistant', content: '{}' }, finish_reason: 'stop' }],
+        }),
+      },
+    };
+  }
+}
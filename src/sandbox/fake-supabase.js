@@ -0,0 +1,370 @@
+/**
+ * In-memory stand-in for the Supabase client (sandbox mode)
+ *
+ * Supports the PostgREST query-builder calls the call system uses:
+ * select (with count/head), insert, upsert, update, delete, eq/neq/gt/gte/lt/lte,
+ * like/ilike, is, in, not, or, contains, order, limit, range, single, maybeSingle,
+ * plus rpc() for registered functions (vector "similarity" search). Filters and
+ * order() follow JSON paths (value->entry->>status), and a select returns at most
+ * MAX_ROWS rows, as Supabase's PostgREST does.
+ */
+
+const MAX_ROWS = 1000;
+
+function likeToRegex(pattern) {
+  const escaped = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/[%*]/g, '.*');
+  return new RegExp(`^${escaped}$`, 'is');
+}
+
+function compare(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+function parseLiteral(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+/**
+ * A column's value, following PostgREST JSON paths: value->entry->>status
+ * (-> keeps JSON, ->> gives text)
+ * @param {object} row
+ * @param {string} column
+ * @returns {*}
+ */
+function field(row, column) {
+  const [name, ...path] = column.split(/->>?/);
+  const value = path.reduce((current, key) => (current === null || current === undefined ? null : current[key] ?? null), row[name]);
+  if (!column.includes('->>') || value === null || value === undefined) return value;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Build a predicate from a PostgREST operator
+ * @param {string} column - Column name
+ * @param {string} operator - eq, neq, gt, gte, lt, lte, like, ilike, is, in, cs
+ * @param {*} value - Operand
+ * @returns {function(object): boolean}
+ */
+function predicate(column, operator, value) {
+  const read = row => field(row, column);
+
+  switch (operator) {
+    case 'eq': return row => read(row) !== null && read(row) !== undefined && compare(read(row), value) === 0;
+    case 'neq': return row => compare(read(row), value) !== 0;
+    case 'gt': return row => read(row) !== null && compare(read(row), value) > 0;
+    case 'gte': return row => read(row) !== null && compare(read(row), value) >= 0;
+    case 'lt': return row => read(row) !== null && compare(read(row), value) < 0;
+    case 'lte': return row => read(row) !== null && compare(read(row), value) <= 0;
+    case 'like': return row => read(row) !== null && read(row) !== undefined && new RegExp(likeToRegex(value).source, 's').test(String(read(row)));
+    case 'ilike': return row => read(row) !== null && read(row) !== undefined && likeToRegex(value).test(String(read(row)));
+    case 'is': return row => (value === null ? read(row) === null || read(row) === undefined : read(row) === value);
+    case 'in': {
+      const list = Array.isArray(value) ? value : String(value).replace(/^\(|\)$/g, '').split(',').map(parseLiteral);
+      return row => list.some(item => compare(read(row), item) === 0);
+    }
+    case 'cs': {
+      const needles = Array.isArray(value) ? value : [value];
+      return row => Array.isArray(read(row)) && needles.every(needle => read(row).includes(needle));
+    }
+    default:
+      throw new Error(`[Sandbox Supabase] Unsupported filter operator ${operator}`);
+  }
+}
+
+/**
+ * Parse a PostgREST `or` filter string, e.g. "name.ilike.%x%,sku.eq.ABC"
+ */
+function parseOrFilter(filter) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of filter) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+
+  const predicates = parts.map(part => {
+    const [column, operator, ...rest] = part.split('.');
+    const value = rest.join('.');
+    return predicate(column, operator, operator === 'in' ? value : parseLiteral(value));
+  });
+
+  return row => predicates.some(test => test(row));
+}
+
+class QueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.filters = [];
+    this.operation = 'select';
+    this.columns = '*';
+    this.options = {};
+    this.orderings = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.singleMode = null;
+    this.payload = null;
+    this.returnRows = false;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.options = options;
+    } else {
+      this.returnRows = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.upsertOptions = options;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) { this.filters.push(predicate(column, 'eq', value)); return this; }
+  neq(column, value) { this.filters.push(predicate(column, 'neq', value)); return this; }
+  gt(column, value) { this.filters.push(predicate(column, 'gt', value)); return this; }
+  gte(column, value) { this.filters.push(predicate(column, 'gte', value)); return this; }
+  lt(column, value) { this.filters.push(predicate(column, 'lt', value)); return this; }
+  lte(column, value) { this.filters.push(predicate(column, 'lte', value)); return this; }
+  like(column, value) { this.filters.push(predicate(column, 'like', value)); return this; }
+  ilike(column, value) { this.filters.push(predicate(column, 'ilike', value)); return this; }
+  is(column, value) { this.filters.push(predicate(column, 'is', value)); return this; }
+  in(column, values) { this.filters.push(predicate(column, 'in', values)); return this; }
+  contains(column, values) { this.filters.push(predicate(column, 'cs', values)); return this; }
+
+  not(column, operator, value) {
+    const test = predicate(column, operator, value);
+    this.filters.push(row => !test(row));
+    return this;
+  }
+
+  or(filter) {
+    this.filters.push(parseOrFilter(filter));
+    return this;
+  }
+
+  match(criteria) {
+    Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orderings.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(test => test(row));
+  }
+
+  project(rows) {
+    if (!this.columns || this.columns.trim() === '*') {
+      return rows.map(row => ({ ...row }));
+    }
+    const columns = this.columns.split(',').map(column => column.trim()).filter(Boolean);
+    return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+  }
+
+  execute() {
+    const rows = this.store.table(this.table);
+
+    switch (this.operation) {
+      case 'insert': {
+        const inserted = this.payload.map(row => this.store.insertRow(this.table, row));
+        return this.finish(inserted);
+      }
+
+      case 'upsert': {
+        const conflictColumns = (this.upsertOptions.onConflict || 'id').split(',').map(column => column.trim());
+        const written = this.payload.map(row => {
+          const existing = rows.find(candidate => conflictColumns.every(column =>
+            row[column] !== undefined && compare(candidate[column], row[column]) === 0));
+          if (existing) {
+            // ignoreDuplicates is ON CONFLICT DO NOTHING: the row is left alone and not returned
+            if (this.upsertOptions.ignoreDuplicates) return null;
+            Object.assign(existing, row);
+            return existing;
+          }
+          return this.store.insertRow(this.table, row);
+        });
+        return this.finish(written.filter(Boolean));
+      }
+
+      case 'update': {
+        const updated = rows.filter(row => this.matches(row));
+        updated.forEach(row => Object.assign(row, this.payload));
+        return this.finish(updated);
+      }
+
+      case 'delete': {
+        const removed = rows.filter(row => this.matches(row));
+        this.store.tables.set(this.table, rows.filter(row => !this.matches(row)));
+        return this.finish(removed);
+      }
+
+      default: {
+        let result = rows.filter(row => this.matches(row));
+        const count = result.length;
+
+        for (const { column, ascending } of [...this.orderings].reverse()) {
+          result = [...result].sort((a, b) => (ascending ? 1 : -1) * compare(field(a, column), field(b, column)));
+        }
+
+        if (this.rangeFrom !== null) {
+          result = result.slice(this.rangeFrom, this.rangeTo + 1);
+        }
+        if (this.limitCount !== null) {
+          result = result.slice(0, this.limitCount);
+        }
+        result = result.slice(0, MAX_ROWS);
+
+        if (this.options.head) {
+          return { data: null, error: null, count, status: 200 };
+        }
+
+        const response = this.finish(result);
+        if (this.options.count) response.count = count;
+        return response;
+      }
+    }
+  }
+
+  finish(rows) {
+    const returnData = this.operation === 'select' || this.returnRows;
+    const data = returnData ? this.project(rows) : null;
+
+    if (this.singleMode && returnData) {
+      if (data.length === 1) return { data: data[0], error: null, status: 200 };
+      if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, status: 200 };
+      return {
+        data: null,
+        error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned` },
+        status: 406,
+      };
+    }
+
+    return { data, error: null, status: 200 };
+  }
+
+  then(resolve, reject) {
+    try {
+      return Promise.resolve(this.execute()).then(resolve, reject);
+    } catch (error) {
+      return Promise.resolve({ data: null, error: { message: error.message } }).then(resolve, reject);
+    }
+  }
+}
+
+/**
+ * In-memory Supabase client
+ */
+export class FakeSupabaseClient {
+  /**
+   * @param {object} seed - { tableName: [rows] }
+   * @param {object} functions - { rpcName: (args, client) => data }
+   */
+  constructor(seed = {}, functions = {}) {
+    this.tables = new Map(Object.entries(seed).map(([table, rows]) => [table, rows.map(row => ({ ...row }))]));
+    this.functions = functions;
+    this.sequences = new Map();
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+    }
+    return this.tables.get(name);
+  }
+
+  insertRow(table, row) {
+    const stored = { ...row };
+    if (stored.id === undefined) {
+      const next = (this.sequences.get(table) ||
+        this.table(table).reduce((max, existing) => Math.max(max, Number(existing.id) || 0), 0)) + 1;
+      this.sequences.set(table, next);
+      stored.id = next;
+    }
+    if (stored.created_at === undefined) {
+      stored.created_at = new Date().toISOString();
+    }
+    this.table(table).push(stored);
+    return stored;
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  async rpc(name, args = {}) {
+    const fn = this.functions[name];
+    if (!fn) {
+      return { data: null, error: { message: `function ${name} does not exist (sandbox)` } };
+    }
+    try {
+      return { data: await fn(args, this), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+}
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+/**
+ * Offline stand-in for the Twilio REST client (sandbox mode)
+ * Outbound calls and messages are recorded in an outbox instead of being sent.
+ */
+
+function sid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Create a fake Twilio client
+ * @param {object} outbox - { calls: [], messages: [] } shared record of everything "sent"
+ * @returns {object} - Object shaped like the twilio() client
+ */
+export function createFakeTwilioClient(outbox) {
+  const calls = sid => ({
+    fetch: async () => outbox.calls.find(call => call.sid === sid) || { sid, status: 'completed' },
+    update: async updates => {
+      const call = outbox.calls.find(candidate => candidate.sid === sid) || { sid };
+      Object.assign(call, updates);
+      console.log('[Sandbox Twilio] Call updated:', sid, updates);
+      return call;
+    },
+  });
+
+  calls.create = async params => {
+    const call = { sid: sid('CA'), status: 'queued', dateCreated: new Date(), ...params };
+    outbox.calls.push(call);
+    console.log('[Sandbox Twilio] Outbound call to', params.to, '→', params.url);
+    return call;
+  };
+  calls.list = async () => [...outbox.calls];
+
+  const messages = sid => ({
+    fetch: async () => outbox.messages.find(message => message.sid === sid) || null,
+  });
+
+  messages.create = async params => {
+    const message = { sid: sid('SM'), status: 'sent', dateCreated: new Date(), ...params };
+    outbox.messages.push(message);
+    console.log('[Sandbox Twilio] Message to', params.to, ':', String(params.body || '').substring(0, 80));
+    return message;
+  };
+  messages.list = async () => [...outbox.messages];
+
+  const recordings = recordingSid => ({
+    fetch: async () => ({ sid: recordingSid, status: 'completed', duration: '12', uri: `/sandbox/recordings/${recordingSid}` }),
+  });
+
+  return { calls, messages, recordings };
+}
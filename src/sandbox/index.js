@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FakeDatabase } from './fake-mysql.js';
+import { FakeSupabaseClient } from './fake-supabase.js';
+import { FakeAnthropic } from './fake-anthropic.js';
+import { FakeOpenAI, pseudoEmbedding, cosineSimilarity } from './fake-openai.js';
+import { buildOpenCartSeed, OPENCART_SCHEMA } from './data/opencart.js';
+import { extractSections, chunkSections } from '../utils/documents.js';
+
+/**
+ * Sandbox mode (SANDBOX=true)
+ *
+ * One shared set of in-memory fakes per process, so every service sees the same
+ * orders, products and outbox. Nothing here touches the network.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const catalogue = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'products.json'), 'utf-8'));
+
+/** Map a main-table product onto call_center_products (same shape as scripts/daily-sync.js) */
+function toCallCenterProduct(product) {
+  return {
+    id: `00000000-0000-4000-8000-${String(product.id).padStart(12, '0')}`,
+    sku: product.sku,
+    name: product.product_name,
+    description: product.description || '',
+    category: product.category_name,
+    price: product.selling_price,
+    currency: 'ZAR',
+    discount: product.retail_price > product.selling_price
+      ? Math.round((1 - product.selling_price / product.retail_price) * 100)
+      : 0,
+    on_sale: product.retail_price > product.selling_price,
+    stock_level: product.total_stock,
+    features: product.features || [],
+    specifications: {
+      original_id: product.id,
+      brand: product.brand,
+      model: product.model,
+      opencart_product_id: product.opencart_product_id,
+    },
+    enhanced_knowledge: product.enhanced_knowledge || null,
+    knowledge_updated_at: product.knowledge_updated_at || null,
+  };
+}
+
+function productText(product) {
+  return [product.name, product.category, product.description, ...(product.features || [])].join(' ');
+}
+
+const callCenterProducts = catalogue.map(toCallCenterProduct);
+
+/**
+ * Vector search over the seeded catalogue. Hashed bag-of-words vectors score far
+ * lower than real embeddings, so match_threshold is not applied - any overlap counts.
+ */
+function matchCallCenterProducts({ query_embedding, match_count = 5 }, client) {
+  return client.table('call_center_products')
+    .map(product => ({ product, similarity: cosineSimilarity(query_embedding, pseudoEmbedding(productText(product))) }))
+    .filter(({ similarity }) => similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, match_count)
+    .map(({ product, similarity }) => ({
+      id: product.id,
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      category: product.category,
+      price: product.price,
+      currency: product.currency,
+      stock_level: product.stock_level,
+      similarity,
+    }));
+}
+
+/**
+ * Sample support documents (data/knowledge), chunked and embedded the way
+ * src/services/knowledge-base.js indexes an upload
+ */
+function buildKnowledgeSeed() {
+  const directory = path.join(__dirname, 'data', 'knowledge');
+  const manifest = JSON.parse(fs.readFileSync(path.join(directory, 'index.json'), 'utf-8'));
+  const indexedAt = '2026-10-01T06:00:00.000Z';
+  const documents = [];
+  const chunks = [];
+
+  for (const { file, ...details } of manifest) {
+    const content = fs.readFileSync(path.join(directory, file), 'utf-8');
+    const documentChunks = chunkSections(extractSections(content, details.format));
+
+    documents.push({
+      ...details,
+      content,
+      status: 'indexed',
+      chunk_count: documentChunks.length,
+      index_error: null,
+      indexed_at: indexedAt,
+      created_at: indexedAt,
+      updated_at: indexedAt,
+    });
+    documentChunks.forEach((chunk, index) => chunks.push({
+      id: chunks.length + 1,
+      document_id: details.id,
+      chunk_index: index,
+      section: chunk.section || null,
+      content: chunk.content,
+      skus: details.skus,
+      brands: details.brands,
+      embedding: pseudoEmbedding([details.title, chunk.section, chunk.content].filter(Boolean).join('\n')),
+    }));
+  }
+
+  return { documents, chunks };
+}
+
+/**
+ * match_call_center_knowledge: same SKU/brand filter as the SQL function,
+ * no threshold (see matchCallCenterProducts)
+ */
+function matchCallCenterKnowledge({ query_embedding, match_count = 4, filter_sku = null, filter_brand = null }, client) {
+  const documents = new Map(client.table('call_center_knowledge_documents').map(document => [document.id, document]));
+
+  return client.table('call_center_knowledge_chunks')
+    .filter(chunk => documents.has(chunk.document_id))
+    .filter(chunk => !filter_sku || chunk.skus.includes(filter_sku) || chunk.skus.length === 0)
+    .filter(chunk => !filter_brand || chunk.brands.includes(filter_brand) || chunk.brands.length === 0 ||
+      chunk.skus.includes(filter_sku))
+    .map(chunk => ({ chunk, similarity: cosineSimilarity(query_embedding, chunk.embedding) }))
+    .filter(({ similarity }) => similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, match_count)
+    .map(({ chunk, similarity }) => {
+      const document = documents.get(chunk.document_id);
+      return {
+        document_id: document.id,
+        title: document.title,
+        type: document.type,
+        source: document.source,
+        section: chunk.section,
+        content: chunk.content,
+        similarity,
+      };
+    });
+}
+
+const knowledge = buildKnowledgeSeed();
+
+export const sandboxDatabase = new FakeDatabase(buildOpenCartSeed(), OPENCART_SCHEMA);
+
+export const sandboxSupabase = new FakeSupabaseClient(
+  {
+    products: catalogue.map(({ enhanced_knowledge, knowledge_updated_at, ...product }) => product),
+    call_center_products: callCenterProducts,
+    call_center_product_embeddings: callCenterProducts.map((product, index) => ({
+      id: index + 1,
+      product_id: product.id,
+      content: productText(product),
+      embedding: pseudoEmbedding(productText(product)),
+    })),
+    call_center_knowledge_documents: knowledge.documents,
+    call_center_knowledge_chunks: knowledge.chunks,
+  },
+  {
+    match_call_center_products: matchCallCenterProducts,
+    match_call_center_knowledge: matchCallCenterKnowledge,
+  }
+);
+
+// Everything the fake Twilio and email clients "sent"
+export const sandboxOutbox = { calls: [], messages: [], emails: [] };
+
+export const sandboxOpenAI = new FakeOpenAI();
+
+let anthropic = null;
+
+/**
+ * Shared scripted Anthropic client
+ * @param {string} scriptPath - Optional SANDBOX_LLM_SCRIPT rules file
+ * @returns {FakeAnthropic}
+ */
+export function getSandboxAnthropic(scriptPath) {
+  if (!anthropic) {
+    anthropic = new FakeAnthropic({ scriptPath });
+    console.log(`[Sandbox] Scripted LLM ready${scriptPath ? ` (rules: ${scriptPath})` : ''}`);
+  }
+  return anthropic;
+}
@@ -0,0 +1,294 @@
+import { config } from '../config/config.js';
+import { stateStore } from './state-store.js';
+import { createEmailClient, createMysqlConnection } from '../utils/clients.js';
+
+/**
+ * Accounts service
+ *
+ * Invoices, payments and refunds for the Accounts agent, read from OpenCart:
+ * invoice numbers (invoice_prefix + invoice_no), total lines from oc_order_total
+ * (sub-total, shipping, VAT, total), and payment and refund progress from the
+ * order history. Invoices and proof of payment are emailed to the address on
+ * the order, never to one given on the call.
+ *
+ * The agents reach this through the accounts tools (src/tools/accounts.js),
+ * which need a verified caller and are written to the audit log.
+ */
+
+// Statuses an order only reaches once it has been paid (Processing, Shipped,
+// Complete, Processed, Courier Booked, Refunded)
+const PAID_STATUSES = [2, 3, 5, 15, 18, 11];
+const REFUNDED_STATUS = 11;
+const REFUND_MENTION = /\brefund/i;
+
+const money = (value, currency = 'ZAR') => {
+  const amount = parseFloat(value || 0).toFixed(2);
+  return currency === 'ZAR' ? `R${amount}` : `${currency} ${amount}`;
+};
+const longDate = date => new Date(date).toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric' });
+const isoDate = date => new Date(date).toISOString().split('T')[0];
+
+/**
+ * t***@example.co.za - enough for the caller to recognise their address
+ * @param {string} email
+ * @returns {string|null}
+ */
+function maskEmail(email) {
+  if (!email || !email.includes('@')) return null;
+  const [name, domain] = email.split('@');
+  return `${name.charAt(0)}***@${domain}`;
+}
+
+export class AccountsService {
+  constructor() {
+    this.dbConfig = {
+      host: process.env.OPENCART_DB_HOST,
+      port: parseInt(process.env.OPENCART_DB_PORT) || 3306,
+      user: process.env.OPENCART_DB_USER,
+      password: process.env.OPENCART_DB_PASSWORD,
+      database: process.env.OPENCART_DB_NAME,
+    };
+    this.tablePrefix = process.env.OPENCART_TABLE_PREFIX || 'oc_';
+    this.email = createEmailClient();
+
+    // One copy of each document per call is plenty
+    this.sentDocuments = stateStore.namespace('accounts-documents', {
+      ttlMs: config.stateStore.callTtlMinutes * 60 * 1000,
+    });
+  }
+
+  async query(sql, params) {
+    let connection;
+    try {
+      connection = await createMysqlConnection(this.dbConfig);
+      const [rows] = await connection.execute(sql, params);
+      return rows;
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  }
+
+  /**
+   * Find an order by order number or invoice number
+   * @param {string} reference - "28630", "INV-2026-1830" or "1830"
+   * @returns {Promise<object|null>} - OpenCart order row with status_name and invoiceNumber
+   */
+  async findOrder(reference) {
+    const text = String(reference || '').replace(/\s/g, '').toUpperCase();
+    const number = parseInt(/(\d+)$/.exec(text)?.[1]);
+    if (!number) return null;
+
+    const rows = await this.query(
+      `SELECT o.order_id, o.invoice_no, o.invoice_prefix, o.customer_id, o.firstname, o.lastname,
+              o.email, o.telephone, o.total, o.currency_code, o.order_status_id, o.payment_method,
+              o.shipping_method, o.date_added, os.name AS status_name
+       FROM ${this.tablePrefix}order o
+       LEFT JOIN ${this.tablePrefix}order_status os ON o.order_status_id = os.order_status_id AND os.language_id = 1
+       WHERE o.order_status_id > 0 AND (o.order_id = ? OR (o.invoice_no = ? AND o.invoice_no > 0))`,
+      [number, number]
+    );
+
+    const invoiceNumberOf = row => (Number(row.invoice_no) > 0 ? `${row.invoice_prefix || ''}${row.invoice_no}` : null);
+    const hasPrefix = /^\D/.test(text);
+    const order = (hasPrefix && rows.find(row => invoiceNumberOf(row)?.toUpperCase() === text)) ||
+      rows.find(row => Number(row.order_id) === number) ||
+      rows.find(row => Number(row.invoice_no) === number) ||
+      null;
+
+    return order && { ...order, invoiceNumber: invoiceNumberOf(order) };
+  }
+
+  /**
+   * Invoice for an order: products and total lines (sub-total, shipping, VAT, total)
+   * @param {object} order - From findOrder()
+   * @returns {Promise<object>}
+   */
+  async getInvoice(order) {
+    const items = await this.query(
+      `SELECT name, model, quantity, total FROM ${this.tablePrefix}order_product WHERE order_id = ?`,
+      [order.order_id]
+    );
+    const lines = await this.query(
+      `SELECT code, title, value FROM ${this.tablePrefix}order_total WHERE order_id = ? ORDER BY sort_order`,
+      [order.order_id]
+    );
+    const vat = lines.filter(line => line.code === 'tax').reduce((sum, line) => sum + parseFloat(line.value), 0);
+
+    return {
+      orderId: String(order.order_id),
+      invoiceNumber: order.invoiceNumber,
+      issued: Boolean(order.invoiceNumber),
+      date: isoDate(order.date_added),
+      status: order.status_name || null,
+      paymentMethod: order.payment_method || null,
+      items: items.map(item => ({ name: item.name, quantity: Number(item.quantity), total: money(item.total, order.currency_code) })),
+      lines: lines.map(line => ({ title: line.title, amount: money(line.value, order.currency_code) })),
+      vat: money(vat, order.currency_code),
+      total: money(order.total, order.currency_code),
+      emailOnFile: maskEmail(order.email),
+    };
+  }
+
+  /**
+   * Status history of an order, oldest first
+   * @param {object} order - From findOrder()
+   * @returns {Promise<Array<object>>} - [{ date, statusId, status, comment }]
+   */
+  async getHistory(order) {
+    const rows = await this.query(
+      `SELECT oh.order_status_id, oh.comment, oh.date_added, os.name AS status_name
+       FROM ${this.tablePrefix}order_history oh
+       LEFT JOIN ${this.tablePrefix}order_status os ON oh.order_status_id = os.order_status_id AND os.language_id = 1
+       WHERE oh.order_id = ?
+       ORDER BY oh.date_added ASC`,
+      [order.order_id]
+    );
+
+    return rows.map(row => ({
+      date: new Date(row.date_added),
+      statusId: Number(row.order_status_id),
+      status: row.status_name || null,
+      comment: row.comment || null,
+    }));
+  }
+
+  /**
+   * Payment method, whether and when it was paid, and the status history
+   * @param {object} order - From findOrder()
+   * @returns {Promise<object>}
+   */
+  async getPaymentStatus(order) {
+    const history = await this.getHistory(order);
+    const payment = history.find(entry => PAID_STATUSES.includes(entry.statusId));
+
+    return {
+      orderId: String(order.order_id),
+      paymentMethod: order.payment_method || null,
+      amount: money(order.total, order.currency_code),
+      paid: Boolean(payment),
+      paidOn: payment ? isoDate(payment.date) : null,
+      currentStatus: order.status_name || null,
+      history: history.map(entry => ({ date: isoDate(entry.date), status: entry.status, comment: entry.comment })),
+    };
+  }
+
+  /**
+   * Refund progress, from the order history: the Refunded status, or comments
+   * that mention a refund before it was processed
+   * @param {object} order - From findOrder()
+   * @returns {Promise<object>} - { refund: 'refunded' | 'in_progress' | 'none', ... }
+   */
+  async getRefundStatus(order) {
+    const history = await this.getHistory(order);
+    const refunded = [...history].reverse().find(entry => entry.statusId === REFUNDED_STATUS);
+    const mentions = history.filter(entry => entry.comment && REFUND_MENTION.test(entry.comment));
+    const amount = /R\s?([\d\s,]+\.\d{2})/.exec(refunded?.comment || '')?.[1]?.replace(/[\s,]/g, '');
+
+    let refund = 'none';
+    if (refunded) refund = 'refunded';
+    else if (mentions.length > 0) refund = 'in_progress';
+
+    return {
+      orderId: String(order.order_id),
+      refund,
+      refundedOn: refunded ? isoDate(refunded.date) : null,
+      amount: amount ? money(amount, order.currency_code) : null,
+      orderTotal: money(order.total, order.currency_code),
+      updates: mentions.map(entry => ({ date: isoDate(entry.date), comment: entry.comment })),
+    };
+  }
+
+  /**
+   * Email an invoice or proof of payment to the address on the order
+   * @param {object} order - From findOrder()
+   * @param {string} document - 'invoice' | 'proof_of_payment'
+   * @param {string} callSid - Call or chat the request came from (one copy per call)
+   * @returns {Promise<object>} - { sent, document, to, message }
+   */
+  async emailDocument(order, document, callSid) {
+    const to = maskEmail(order.email);
+    const label = document === 'invoice' ? 'invoice' : 'proof of payment';
+
+    if (!to) {
+      return { sent: false, document, to: null, message: `There is no email address on order ${order.order_id}.` };
+    }
+    if (!this.email) {
+      return { sent: false, document, to, message: `Email isn't set up, so the ${label} can't be sent from here - staff will need to send it.` };
+    }
+
+    const key = `${callSid}:${order.order_id}:${document}`;
+    if (await this.sentDocuments.has(key)) {
+      return { sent: false, document, to, message: `The ${label} for order ${order.order_id} was already emailed to ${to} on this call.` };
+    }
+
+    let email;
+    if (document === 'invoice') {
+      if (!order.invoiceNumber) {
+        return { sent: false, document, to, message: `No invoice has been issued for order ${order.order_id} yet - OpenCart issues it once payment is confirmed.` };
+      }
+      email = this.invoiceEmail(order, await this.getInvoice(order));
+    } else {
+      const payment = await this.getPaymentStatus(order);
+      if (!payment.paid) {
+        return { sent: false, document, to, message: `Order ${order.order_id} hasn't been paid yet, so there is no proof of payment to send.` };
+      }
+      email = this.proofOfPaymentEmail(order, payment);
+    }
+
+    await this.email.send({
+      to: order.email,
+      from: config.email.from,
+      fromName: config.email.fromName,
+      ...email,
+    });
+    await this.sentDocuments.set(key, { sentAt: new Date().toISOString() });
+
+    console.log(`[Accounts] Emailed ${label} for order ${order.order_id} to ${to}`);
+    return { sent: true, document, to, message: `The ${label} for order ${order.order_id} has been emailed to ${to}.` };
+  }
+
+  invoiceEmail(order, invoice) {
+    const text = [
+      `Hi ${order.firstname || 'there'},`,
+      '',
+      'Here is your tax invoice from Audico.',
+      '',
+      `Tax invoice: ${invoice.invoiceNumber}`,
+      `Order: ${order.order_id}`,
+      `Date: ${longDate(order.date_added)}`,
+      `Payment method: ${invoice.paymentMethod || '-'}`,
+      '',
+      ...invoice.items.map(item => `${item.name} x${item.quantity}: ${item.total}`),
+      '',
+      ...invoice.lines.map(line => `${line.title}: ${line.amount}`),
+      '',
+      'Questions? Reply to this email or call us.',
+      'Audico',
+    ].join('\n');
+
+    return { subject: `Audico tax invoice ${invoice.invoiceNumber} (order ${order.order_id})`, text };
+  }
+
+  proofOfPaymentEmail(order, payment) {
+    const text = [
+      `Hi ${order.firstname || 'there'},`,
+      '',
+      `This confirms that Audico received payment for order ${order.order_id}.`,
+      '',
+      `Amount: ${payment.amount}`,
+      `Paid on: ${longDate(payment.paidOn)}`,
+      `Payment method: ${payment.paymentMethod || '-'}`,
+      `Reference: ${order.invoiceNumber || `order ${order.order_id}`}`,
+      '',
+      'Questions? Reply to this email or call us.',
+      'Audico',
+    ].join('\n');
+
+    return { subject: `Audico proof of payment - order ${order.order_id}`, text };
+  }
+}
+
+// Singleton instance
+export const accountsService = new AccountsService();
@@ -0,0 +1,131 @@
+import { config } from '../config/config.js';
+
+/**
+ * Agent loop
+ *
+ * Calls Claude, runs the tools it asks for and calls it again with the results,
+ * until it answers in text. Tool calls from one turn are independent by the API's
+ * contract, so they run in parallel. A step budget (tool rounds) and a time
+ * budget stop a model that keeps reaching for tools: the tools it still wants
+ * are answered with an error and Claude gets one last call to reply with what
+ * it has.
+ */
+
+const BUDGET_NOTE = 'TOOL BUDGET USED UP: do not call any more tools this turn. Answer the customer with what you have found so far, and say what you could not check.';
+
+// Said when even the last call asks for a tool
+const FALLBACK_REPLY = "Sorry, I couldn't finish checking that. Could you give me a moment and ask again?";
+
+/**
+ * Text blocks of a Claude message
+ * @param {object} response
+ * @returns {string}
+ */
+export function responseText(response) {
+  return (response?.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Keep the last messages of a conversation without splitting a tool round:
+ * it starts at one of the customer's own messages, never at a tool_result
+ * whose tool_use was cut off
+ * @param {Array} history
+ * @param {number} max - Most messages to keep
+ * @returns {Array}
+ */
+export function trimHistory(history, max) {
+  if (history.length <= max) return history;
+
+  const isCustomerTurn = message => message.role === 'user' &&
+    (typeof message.content === 'string' || !message.content.some(block => block.type === 'tool_result'));
+
+  let start = history.length - max;
+  while (start < history.length - 1 && !isCustomerTurn(history[start])) {
+    start++;
+  }
+  return history.slice(start);
+}
+
+/**
+ * Run tool rounds until Claude answers in text or the budget runs out.
+ * The history gets each round's tool_use and tool_result turns; the final
+ * text reply is left for the caller to add.
+ * @param {object} options
+ * @param {Function} options.createMessage - (params) => Claude message
+ * @param {object} options.params - messages.create params without messages (system is a string)
+ * @param {Array} options.history - Conversation so far, ending with the user's turn
+ * @param {Function} options.executeTool - (tool_use block) => result; a string, or anything JSON
+ * @param {object} options.response - First response, when the caller already has it
+ * @param {number} options.maxSteps - Tool rounds allowed (default config.agentLoop.maxSteps)
+ * @param {number} options.timeBudgetMs - Time for the whole loop (default config.agentLoop.timeBudgetMs)
+ * @param {AbortSignal} options.signal - Stops between rounds when aborted
+ * @param {string} options.label - For logs
+ * @returns {Promise<object>} - { response, text, steps, toolCalls, exhausted, aborted }
+ */
+export async function runAgentLoop({
+  createMessage,
+  params,
+  history,
+  executeTool,
+  response = null,
+  maxSteps = config.agentLoop.maxSteps,
+  timeBudgetMs = config.agentLoop.timeBudgetMs,
+  signal = null,
+  label = 'Agent',
+}) {
+  const started = Date.now();
+  let steps = 0;
+  let toolCalls = 0;
+  let exhausted = false;
+
+  response = response || await createMessage({ ...params, messages: history });
+
+  while (response.stop_reason === 'tool_use') {
+    if (signal?.aborted) {
+      return { response, text: '', steps, toolCalls, exhausted, aborted: true };
+    }
+
+    const elapsed = Date.now() - started;
+    exhausted = steps >= maxSteps || elapsed >= timeBudgetMs;
+    const toolUses = response.content.filter(block => block.type === 'tool_use');
+    history.push({ role: 'assistant', content: response.content });
+
+    let results;
+    if (exhausted) {
+      console.log(`[${label}] Tool budget used up after ${steps} round(s) in ${elapsed}ms - skipping ${toolUses.map(block => block.name).join(', ')}`);
+      results = toolUses.map(() => ({ error: 'Not run: out of time for tool calls this turn' }));
+    } else {
+      steps++;
+      toolCalls += toolUses.length;
+      if (toolUses.length > 1) {
+        console.log(`[${label}] Running ${toolUses.length} tools in parallel: ${toolUses.map(block => block.name).join(', ')}`);
+      }
+      results = await Promise.all(toolUses.map(block => executeTool(block)));
+    }
+
+    history.push({
+      role: 'user',
+      content: toolUses.map((block, index) => ({
+        type: 'tool_result',
+        tool_use_id: block.id,
+        content: typeof results[index] === 'string' ? results[index] : JSON.stringify(results[index], null, 2),
+        ...(exhausted && { is_error: true }),
+      })),
+    });
+
+    if (exhausted) {
+      response = await createMessage({ ...params, system: `${params.system}\n\n${BUDGET_NOTE}`, messages: history });
+      break;
+    }
+    response = await createMessage({ ...params, messages: history });
+  }
+
+  // Still asking for tools after the budget note: the caller adds the fallback
+  // reply to the history instead of a tool_use nobody will answer
+  const text = response.stop_reason === 'tool_use' ? FALLBACK_REPLY : responseText(response);
+  return { response, text, steps, toolCalls, exhausted, aborted: false };
+}
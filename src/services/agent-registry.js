@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { config } from '../config/config.js';
+import { parseOpeningHours } from '../utils/calendar.js';
+
+/**
+ * Agent registry
+ * Loads src/config/agents.yaml (or AGENT_REGISTRY_FILE) - the single definition
+ * of every department: IVR digit, keywords, voice, prompt, tools and staff numbers.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_REGISTRY_FILE = path.join(__dirname, '..', 'config', 'agents.yaml');
+
+// Tools agents.yaml may name - each is registered in src/tools
+export const KNOWN_TOOLS = [
+  'search_products',
+  'get_product_info',
+  'get_product_details',
+  'check_product_availability',
+  'get_product_recommendations',
+  'track_order',
+  'find_orders_by_email',
+  'update_delivery_address',
+  'get_invoice',
+  'get_payment_status',
+  'get_refund_status',
+  'email_order_document',
+  'create_payment_link',
+  'send_verification_pin',
+  'verify_identity',
+  'send_sms_to_caller',
+  'get_customer_info',
+  'get_order_status',
+  'create_support_ticket',
+  'schedule_callback',
+  'get_account_balance',
+  'search_support_knowledge',
+];
+
+const DIGIT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+/**
+ * Replace ${NAME} and ${NAME:-default} with environment values
+ * @param {any} value - Parsed YAML value
+ * @param {object} env - Environment
+ * @returns {any}
+ */
+function interpolate(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback) => env[name] || fallback || '');
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env)]));
+  }
+  return value;
+}
+
+/**
+ * Normalise and validate a parsed registry file
+ * @param {object} raw - Parsed YAML
+ * @param {string} source - File name for error messages
+ * @returns {object} - { entry, fallback, agents: Array }
+ */
+export function validateRegistry(raw, source = 'agent registry') {
+  const errors = [];
+  const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+  if (!raw || typeof raw !== 'object' || !raw.agents || typeof raw.agents !== 'object') {
+    throw new Error(`Invalid agent registry ${source}: "agents" must be a map of agent definitions`);
+  }
+
+  const digits = new Map();
+  const keywords = new Map();
+
+  const hoursFor = (spec, label) => {
+    try {
+      return parseOpeningHours(spec);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      return null;
+    }
+  };
+  const defaultHours = raw.hours ? hoursFor(raw.hours, 'hours') : null;
+
+  const agents = Object.entries(raw.agents).map(([id, definition = {}]) => {
+    const label = `agents.${id}`;
+    const agent = {
+      id,
+      name: definition.name,
+      digit: definition.digit === undefined || definition.digit === null ? null : String(definition.digit),
+      menuLabel: definition.menuLabel || String(definition.name || id).toLowerCase(),
+      announce: definition.announce !== false,
+      routable: definition.routable !== false && id !== raw.entry,
+      summary: definition.summary || '',
+      keywords: [].concat(definition.keywords || []).map(keyword => String(keyword).toLowerCase()),
+      voice: definition.voice || raw.defaultVoice,
+      greeting: definition.greeting,
+      prompt: definition.prompt,
+      tools: definition.tools || [],
+      humanNumbers: [].concat(definition.humanNumbers || []).map(String).filter(Boolean),
+      hours: definition.hours ? hoursFor(definition.hours, `agents.${id}.hours`) : defaultHours,
+    };
+
+    if (!/^[a-z][a-z0-9_-]*$/.test(id)) errors.push(`${label}: id must be lowercase letters, digits, - or _`);
+    if (!isText(agent.name)) errors.push(`${label}.name is required`);
+    if (!isText(agent.voice)) errors.push(`${label}.voice is required (or set defaultVoice)`);
+    if (!isText(agent.greeting)) errors.push(`${label}.greeting is required`);
+    if (!isText(agent.prompt)) errors.push(`${label}.prompt is required`);
+
+    if (agent.digit !== null) {
+      if (!/^[0-9]$/.test(agent.digit)) {
+        errors.push(`${label}.digit must be a single digit 0-9`);
+      } else if (digits.has(agent.digit)) {
+        errors.push(`${label}.digit ${agent.digit} is already used by ${digits.get(agent.digit)}`);
+      } else {
+        digits.set(agent.digit, id);
+      }
+    }
+
+    for (const keyword of agent.keywords) {
+      if (keywords.has(keyword)) {
+        errors.push(`${label}: keyword "${keyword}" is already used by ${keywords.get(keyword)}`);
+      }
+      keywords.set(keyword, id);
+    }
+
+    if (!Array.isArray(agent.tools)) {
+      errors.push(`${label}.tools must be a list`);
+    } else {
+      agent.tools
+        .filter(tool => !KNOWN_TOOLS.includes(tool))
+        .forEach(tool => errors.push(`${label}.tools: unknown tool "${tool}"`));
+    }
+
+    agent.humanNumbers
+      .filter(number => !/^\+\d{7,15}$/.test(number))
+      .forEach(number => errors.push(`${label}.humanNumbers: "${number}" is not an E.164 number`));
+
+    return agent;
+  });
+
+  if (!raw.agents[raw.entry]) errors.push(`entry: "${raw.entry}" is not a defined agent`);
+  if (!raw.agents[raw.fallback]) errors.push(`fallback: "${raw.fallback}" is not a defined agent`);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid agent registry ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { entry: raw.entry, fallback: raw.fallback, agents };
+}
+
+/**
+ * Department definitions with lookups for every part of the call system
+ */
+export class AgentRegistry {
+  /**
+   * @param {string} filePath - Registry YAML/JSON file
+   * @param {object} env - Environment for ${NAME} references
+   */
+  constructor(filePath = DEFAULT_REGISTRY_FILE, env = process.env) {
+    this.filePath = filePath;
+
+    const raw = fs.readFileSync(filePath, 'utf-8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    const registry = validateRegistry(interpolate(parsed, env), path.basename(filePath));
+
+    this.entryId = registry.entry;
+    this.fallbackId = registry.fallback;
+    this.agents = new Map(registry.agents.map(agent => [agent.id, agent]));
+  }
+
+  /** All agents, in file order */
+  all() {
+    return Array.from(this.agents.values());
+  }
+
+  /**
+   * Find an agent by id ("sales") or display name ("Sales")
+   * @param {string} idOrName
+   * @returns {object|null}
+   */
+  get(idOrName) {
+    if (!idOrName) return null;
+    const key = String(idOrName).toLowerCase();
+    return this.agents.get(key) || this.all().find(agent => agent.name.toLowerCase() === key) || null;
+  }
+
+  /** Agent that answers calls */
+  entry() {
+    return this.agents.get(this.entryId);
+  }
+
+  /** Agent for unclear intents and departments without staff numbers */
+  fallback() {
+    return this.agents.get(this.fallbackId);
+  }
+
+  /** Every agent except the entry agent */
+  departments() {
+    return this.all().filter(agent => agent.id !== this.entryId);
+  }
+
+  /** Agents the receptionist can hand a call to */
+  routable() {
+    return this.all().filter(agent => agent.routable);
+  }
+
+  /**
+   * @param {string} digit - DTMF digit
+   * @returns {object|null}
+   */
+  byDigit(digit) {
+    return this.all().find(agent => agent.digit === String(digit)) || null;
+  }
+
+  /**
+   * Match a spoken IVR selection ("sales", "two", "billing please")
+   * @param {string} speech
+   * @returns {object|null}
+   */
+  matchSpeech(speech) {
+    const text = String(speech || '').toLowerCase();
+    return this.all()
+      .filter(agent => agent.digit !== null)
+      .find(agent => [agent.name.toLowerCase(), ...agent.keywords, DIGIT_WORDS[agent.digit]]
+        .some(word => text.includes(word))) || null;
+  }
+
+  /**
+   * ElevenLabs voice for an agent (entry agent's voice if unknown)
+   * @param {string} idOrName
+   * @returns {string}
+   */
+  voiceFor(idOrName) {
+    return (this.get(idOrName) || this.entry()).voice;
+  }
+
+  /**
+   * Staff numbers for a department, falling back to the fallback agent's
+   * @param {string} idOrName
+   * @returns {Array<string>}
+   */
+  humanNumbersFor(idOrName) {
+    const numbers = this.get(idOrName)?.humanNumbers || [];
+    return numbers.length > 0 ? numbers : this.fallback().humanNumbers;
+  }
+
+  /**
+   * Numbers to try, in order, when transferring to a department: its own staff,
+   * then the fallback agent's
+   * @param {string} idOrName
+   * @returns {Array<string>}
+   */
+  transferChainFor(idOrName) {
+    const own = this.get(idOrName)?.humanNumbers || [];
+    return [...new Set([...own, ...this.fallback().humanNumbers])];
+  }
+
+  /**
+   * Tool names an agent may call
+   * @param {string} idOrName
+   * @returns {Array<string>}
+   */
+  toolsFor(idOrName) {
+    return this.get(idOrName)?.tools || [];
+  }
+
+  /**
+   * System prompt with {{departments}} filled in
+   * @param {string} idOrName
+   * @returns {string|null}
+   */
+  promptFor(idOrName) {
+    const agent = this.get(idOrName);
+    if (!agent) return null;
+
+    const departments = this.routable()
+      .map(department => `- ${department.name}: ${department.summary}`)
+      .join('\n');
+    return agent.prompt.replace(/\{\{departments\}\}/g, departments).trim();
+  }
+
+  /**
+   * IVR menu prompt, e.g. "press 1 for sales, 2 for shipping and 3 for support"
+   * @returns {string}
+   */
+  menuText() {
+    const options = this.all()
+      .filter(agent => agent.digit !== null && agent.announce)
+      .sort((a, b) => a.digit.localeCompare(b.digit))
+      .map(agent => `${agent.digit} for ${agent.menuLabel}`);
+    const list = options.length > 1
+      ? `${options.slice(0, -1).join(', ')} and ${options[options.length - 1]}`
+      : options.join('');
+    return `Welcome to Audico how may I direct your call - press ${list}.`;
+  }
+
+  /**
+   * Matches the receptionist's hand-off line; group 1 is the agent id
+   * @returns {RegExp}
+   */
+  routingPattern() {
+    const ids = this.routable().map(agent => agent.id).join('|');
+    return new RegExp(`connect you to our (${ids}) team`, 'i');
+  }
+}
+
+// Singleton instance - loading validates the file, so a bad registry stops startup
+export const agentRegistry = new AgentRegistry(config.agentRegistry.file || DEFAULT_REGISTRY_FILE);
@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { agentRegistry } from './agent-registry.js';
+import { stateStore } from './state-store.js';
+import {
+  addDays,
+  dayOfWeek,
+  formatTimeOfDay,
+  holidayOn,
+  zonedParts,
+  zonedTime,
+} from '../utils/calendar.js';
+import { clock } from '../utils/clock.js';
+
+/**
+ * Business hours service
+ * Decides whether a department's staff can take a transfer right now, using the
+ * opening hours in the agent registry, the SA public holiday calendar and ad-hoc
+ * closures (set through /admin/closures, kept in the state store).
+ */
+
+const SEARCH_DAYS = 31;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+export class BusinessHoursService {
+  constructor() {
+    this.timezone = config.businessHours.timezone;
+    this.closures = stateStore.namespace('closures');
+  }
+
+  /**
+   * Is the department open?
+   * @param {string} department - Agent id or name
+   * @param {Date} at - Instant to check (default now)
+   * @returns {Promise<object>} - { open, department, reason, holiday, closure, nextOpen, nextOpenText }
+   *   reason: null when open, otherwise 'closure', 'holiday' or 'after_hours'
+   */
+  async getStatus(department, at = clock.now()) {
+    const agent = agentRegistry.get(department) || agentRegistry.fallback();
+    const status = { open: true, department: agent.name, reason: null, holiday: null, closure: null };
+
+    if (!agent.hours) {
+      return status; // No opening hours configured - always open
+    }
+
+    const closures = (await this.listClosures()).filter(closure =>
+      closure.departments.length === 0 || closure.departments.includes(agent.id));
+
+    const local = zonedParts(at, this.timezone);
+    const holiday = holidayOn(local.date);
+    const closure = closures.find(item => new Date(item.start) <= at && at < new Date(item.end));
+    const inHours = this.intervalsOn(agent.hours, local.date)
+      .some(interval => local.minutes >= interval.open && local.minutes < interval.close);
+
+    if (inHours && !closure) {
+      return status;
+    }
+
+    const nextOpen = this.findNextOpening(agent.hours, closures, at);
+    return {
+      ...status,
+      open: false,
+      reason: closure ? 'closure' : (holiday && !inHours ? 'holiday' : 'after_hours'),
+      holiday,
+      closure: closure || null,
+      nextOpen,
+      nextOpenText: nextOpen ? this.describeOpening(nextOpen, at) : null,
+    };
+  }
+
+  /**
+   * Opening intervals on a local date (holiday hours on public holidays)
+   * @param {object} hours - Parsed opening hours
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array<object>} - [{ open, close }] in minutes
+   */
+  intervalsOn(hours, date) {
+    if (holidayOn(date)) return hours.holidays;
+    return hours.days[dayOfWeek(date)];
+  }
+
+  /**
+   * First instant after `at` when the department is open
+   * @param {object} hours - Parsed opening hours
+   * @param {Array<object>} closures - Closures that apply to the department
+   * @param {Date} at - Search from
+   * @returns {Date|null} - null if closed for the whole search window
+   */
+  findNextOpening(hours, closures, at) {
+    const today = zonedParts(at, this.timezone).date;
+
+    for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+      const date = addDays(today, offset);
+
+      for (const interval of this.intervalsOn(hours, date)) {
+        let start = zonedTime(date, interval.open, this.timezone);
+        const end = zonedTime(date, interval.close, this.timezone);
+        if (start < at) start = at;
+
+        // Skip past any closures covering the start
+        let covering;
+        while ((covering = closures.find(item => new Date(item.start) <= start && start < new Date(item.end)))) {
+          start = new Date(covering.end);
+        }
+
+        if (start < end) return start;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Speakable opening time relative to now: "tomorrow at 8 AM", "on Monday at 8:30 AM"
+   * @param {Date} instant - Opening time
+   * @param {Date} now
+   * @returns {string}
+   */
+  describeOpening(instant, now = clock.now()) {
+    const opening = zonedParts(instant, this.timezone);
+    const today = zonedParts(now, this.timezone);
+    const days = Math.round((Date.parse(opening.date) - Date.parse(today.date)) / (24 * 60 * 60 * 1000));
+    const time = formatTimeOfDay(opening.minutes);
+
+    if (days === 0) return `today at ${time}`;
+    if (days === 1) return `tomorrow at ${time}`;
+    if (days < 7) return `on ${DAY_NAMES[opening.day]} at ${time}`;
+
+    const [, month, day] = opening.date.split('-').map(Number);
+    return `on ${DAY_NAMES[opening.day]} ${day} ${MONTH_NAMES[month - 1]} at ${time}`;
+  }
+
+  /**
+   * What to tell a caller when the department is closed
+   * @param {object} status - Result of getStatus()
+   * @param {string} team - Who is closed (default "our <department> team")
+   * @returns {string}
+   */
+  closedMessage(status, team = `our ${status.department.toLowerCase()} team`) {
+    let message;
+
+    if (status.reason === 'closure') {
+      message = status.closure.reason
+        ? `Sorry, ${team} is closed for ${status.closure.reason}.`
+        : `Sorry, ${team} is closed at the moment.`;
+    } else if (status.reason === 'holiday') {
+      message = `Sorry, ${team} is closed for ${status.holiday.name.replace(' (observed)', '')}.`;
+    } else {
+      message = `Sorry, ${team} is closed right now.`;
+    }
+
+    if (status.nextOpenText) {
+      message += ` We're open again ${status.nextOpenText}.`;
+    }
+    return message;
+  }
+
+  /**
+   * Validate a closure request
+   * @param {object} input - { date, endDate } (whole local days) or { start, end } (ISO),
+   *   plus optional departments (ids or names, empty = all) and reason (read to callers)
+   * @returns {object} - Closure record (not yet saved)
+   */
+  createClosure(input = {}) {
+    let start;
+    let end;
+
+    if (input.date) {
+      const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+      const endDate = input.endDate || input.date;
+      if (!dateFormat.test(input.date) || !dateFormat.test(endDate)) {
+        throw new Error('date and endDate must be YYYY-MM-DD');
+      }
+      start = zonedTime(input.date, 0, this.timezone);
+      end = zonedTime(addDays(endDate, 1), 0, this.timezone);
+    } else {
+      start = new Date(input.start);
+      end = new Date(input.end);
+      if (isNaN(start) || isNaN(end)) {
+        throw new Error('Provide date (YYYY-MM-DD) or start and end (ISO 8601)');
+      }
+    }
+
+    if (start >= end) {
+      throw new Error('Closure must end after it starts');
+    }
+
+    const departments = [].concat(input.departments || []).map(department => {
+      const agent = agentRegistry.get(department);
+      if (!agent) {
+        throw new Error(`Unknown department "${department}"`);
+      }
+      return agent.id;
+    });
+
+    return {
+      id: crypto.randomUUID(),
+      departments,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      reason: input.reason ? String(input.reason) : null,
+      createdAt: clock.now().toISOString(),
+    };
+  }
+
+  /**
+   * Save a closure
+   * @param {object} closure - From createClosure()
+   */
+  async addClosure(closure) {
+    await this.closures.set(closure.id, closure);
+    console.log(`[BusinessHours] Closure added: ${closure.start} - ${closure.end} (${closure.departments.join(', ') || 'all departments'})`);
+    return closure;
+  }
+
+  /**
+   * Current and upcoming closures (finished ones are removed)
+   * @param {Date} now
+   * @returns {Promise<Array<object>>}
+   */
+  async listClosures(now = clock.now()) {
+    const closures = [];
+
+    for (const closure of await this.closures.values()) {
+      if (new Date(closure.end) <= now) {
+        await this.closures.delete(closure.id);
+      } else {
+        closures.push(closure);
+      }
+    }
+
+    return closures.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Remove a closure
+   * @param {string} id
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async removeClosure(id) {
+    if (!(await this.closures.has(id))) return false;
+
+    await this.closures.delete(id);
+    console.log(`[BusinessHours] Closure removed: ${id}`);
+    return true;
+  }
+}
+
+// Singleton instance
+export const businessHoursService = new BusinessHoursService();
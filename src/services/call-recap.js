@@ -0,0 +1,214 @@
+import { config } from '../config/config.js';
+import { callbackService } from './callbacks.js';
+import { llmService } from './llm.js';
+import { shipmentNotificationService } from './shipment-notifications.js';
+import { stateStore } from './state-store.js';
+import { telephonyService } from './telephony.js';
+import { voicemailService } from './voicemail.js';
+import { complianceManager, normalizePhoneNumber } from '../utils/compliance.js';
+
+/**
+ * Call recap
+ * Texts the caller what came out of the call once it ends: a short summary,
+ * the orders and waybills looked up, tickets and callbacks created and the
+ * products discussed. Also sends the messages agents write mid-call with the
+ * send_sms_to_caller tool. Numbers on the do-not-call list get nothing, and
+ * product links are left out for customers who declined SMS marketing.
+ */
+
+const OPT_OUT = 'Reply STOP to opt out.';
+const MAX_PRODUCTS = 3;
+const MAX_CALLER_MESSAGE_LENGTH = 480;
+
+// Sentinels generateCallSummary returns when it has nothing to say
+const NO_SUMMARY = ['No conversation history available.', 'Error generating call summary.'];
+
+// SA mobile ranges - landlines and 086/087 numbers can't receive SMS
+const SA_MOBILE = /^\+27(6\d|7[1-9]|8[1-4])\d{7}$/;
+
+export class CallRecapService {
+  constructor() {
+    this.enabled = config.callRecap.enabled;
+    this.storeUrl = config.callRecap.storeUrl.replace(/\/$/, '');
+    this.maxCallerMessages = config.callRecap.maxCallerMessages;
+
+    // Messages sent with send_sms_to_caller, per call
+    this.callerMessages = stateStore.namespace('caller-sms', { ttlMs: 24 * 60 * 60 * 1000 });
+  }
+
+  /**
+   * Why a number can't be texted, if it can't
+   * @param {string} phoneNumber
+   * @returns {Promise<string|null>} - Reason, null if it can
+   */
+  async cannotText(phoneNumber) {
+    const number = normalizePhoneNumber(phoneNumber);
+    if (!/^\+\d{8,15}$/.test(number)) return 'no caller number';
+    if (number.startsWith('+27') && !SA_MOBILE.test(number)) return 'not a mobile number';
+    if (!complianceManager.optOutsDurable()) return 'opt-outs are not stored durably';
+    if (await complianceManager.isOnDoNotCallList(number)) return 'number opted out';
+    return null;
+  }
+
+  /**
+   * Product search link on the web store
+   * @param {object} product - { product_name, sku }
+   * @returns {string}
+   */
+  productLink(product) {
+    const search = encodeURIComponent(product.sku || product.product_name);
+    return `${this.storeUrl}/index.php?route=product/search&search=${search}`;
+  }
+
+  /**
+   * Pull the orders, tickets and products out of a call's tool calls
+   * @param {Array<object>} toolCalls - [{ name, input, result }], result being
+   *   the tool's summary (toolRegistry.summarize)
+   * @returns {object} - { orders: [{ orderId, waybill }], tickets: [id], products: [{ name, link }] }
+   */
+  collect(toolCalls = []) {
+    const orders = new Map();
+    const tickets = new Set();
+    const products = new Map();
+
+    for (const { name, input = {}, result } of toolCalls) {
+      if (!result || result.error) continue;
+
+      if (name === 'track_order') {
+        const orderId = String(input.order_id || input.order_number || '').trim();
+        if (orderId) orders.set(orderId, { orderId, waybill: result.waybill || orders.get(orderId)?.waybill || null });
+      }
+
+      if (name === 'create_support_ticket' && result.ticketId) {
+        tickets.add(result.ticketId);
+      }
+
+      // The best match of each search is what was talked about
+      if (name === 'search_products' && result.products?.length > 0) {
+        const product = result.products[0];
+        products.set(product.sku || product.product_name, {
+          name: product.product_name,
+          link: this.productLink(product),
+        });
+      }
+    }
+
+    return {
+      orders: Array.from(orders.values()),
+      tickets: Array.from(tickets),
+      products: Array.from(products.values()).slice(-MAX_PRODUCTS),
+    };
+  }
+
+  /**
+   * Build the recap text
+   * @param {object} recap - { summary, orders, tickets, callbacks, products }
+   * @returns {string}
+   */
+  compose({ summary, orders, tickets, callbacks, products }) {
+    const lines = [`Audico: thanks for calling.${summary ? ` ${summary}` : ''}`];
+
+    for (const order of orders) {
+      lines.push(order.waybill
+        ? `Order #${order.orderId} - waybill ${order.waybill}: ${shipmentNotificationService.trackingUrlFor(order.waybill)}`
+        : `Order #${order.orderId}`);
+    }
+    tickets.forEach(ticket => lines.push(`Reference: ${ticket}`));
+    callbacks.forEach(callback => lines.push(`We'll call you back ${callback}.`));
+    products.forEach(product => lines.push(`${product.name}: ${product.link}`));
+
+    lines.push(OPT_OUT);
+    return lines.join('\n');
+  }
+
+  /**
+   * Text the caller a recap of a finished call
+   * Calls that produced nothing to look up later (no order, ticket, callback or
+   * product) get no message.
+   * @param {object} call - { callSid, phoneNumber, toolCalls: [{ name, input, result }],
+   *   conversation: [{ role, content }] }
+   * @returns {Promise<object>} - { sent, reason, message }
+   */
+  async sendRecap({ callSid, phoneNumber, toolCalls = [], conversation = [] }) {
+    if (!this.enabled) return { sent: false, reason: 'disabled' };
+
+    const blocked = await this.cannotText(phoneNumber);
+    if (blocked) {
+      console.log(`[Call Recap] ${callSid}: not sent (${blocked})`);
+      return { sent: false, reason: blocked };
+    }
+
+    const { orders, tickets, products } = this.collect(toolCalls);
+
+    for (const voicemail of await voicemailService.list()) {
+      if (voicemail.callSid === callSid && voicemail.ticketId && !tickets.includes(voicemail.ticketId)) {
+        tickets.push(voicemail.ticketId);
+      }
+    }
+
+    const callbacks = (await callbackService.list({ status: 'scheduled' }))
+      .filter(job => job.callSid === callSid)
+      .map(job => callbackService.describeTime(job));
+
+    // Product suggestions count as direct marketing (POPIA section 69)
+    const marketing = await complianceManager.getMarketingConsent(phoneNumber, 'sms');
+    const productLines = marketing === false ? [] : products;
+
+    if (orders.length + tickets.length + callbacks.length + productLines.length === 0) {
+      return { sent: false, reason: 'nothing to recap' };
+    }
+
+    let summary = conversation.length > 0
+      ? await llmService.generateCallSummary(callSid, { conversation, audience: 'customer' })
+      : '';
+    if (NO_SUMMARY.includes(summary)) summary = '';
+
+    const message = this.compose({ summary: summary.trim(), orders, tickets, callbacks, products: productLines });
+
+    try {
+      await telephonyService.sendSMS(normalizePhoneNumber(phoneNumber), message);
+      console.log(`[Call Recap] ${callSid}: recap sent`);
+      return { sent: true, message };
+    } catch (error) {
+      console.error(`[Call Recap] ${callSid}: recap failed:`, error.message);
+      return { sent: false, reason: error.message, message };
+    }
+  }
+
+  /**
+   * Send a message the agent wrote to the caller, mid-call (send_sms_to_caller)
+   * @param {object} request - { callSid, phoneNumber, message }
+   * @returns {Promise<object>} - Tool result: { sent: true } or { error }
+   */
+  async sendToCaller({ callSid, phoneNumber, message }) {
+    const text = String(message || '').trim();
+    if (!text) {
+      return { error: 'message is required' };
+    }
+    if (text.length > MAX_CALLER_MESSAGE_LENGTH) {
+      return { error: `message is too long (${text.length} characters, max ${MAX_CALLER_MESSAGE_LENGTH})` };
+    }
+
+    const blocked = await this.cannotText(phoneNumber);
+    if (blocked) {
+      return { error: `Can't text this caller: ${blocked}` };
+    }
+
+    const sent = (await this.callerMessages.get(callSid)) || 0;
+    if (sent >= this.maxCallerMessages) {
+      return { error: `Already sent ${sent} messages on this call` };
+    }
+
+    try {
+      await telephonyService.sendSMS(normalizePhoneNumber(phoneNumber), `Audico: ${text}`);
+      await this.callerMessages.set(callSid, sent + 1);
+      console.log(`[Call Recap] ${callSid}: message sent to caller`);
+      return { sent: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+}
+
+// Singleton instance
+export const callRecapService = new CallRecapService();
@@ -0,0 +1,428 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { agentRegistry } from './agent-registry.js';
+import { businessHoursService } from './business-hours.js';
+import { crmService } from './crm.js';
+import { recordStore } from './state-store.js';
+import { telephonyService } from './telephony.js';
+import { complianceManager } from '../utils/compliance.js';
+import { parseCallbackTime } from '../utils/natural-time.js';
+import { clock } from '../utils/clock.js';
+
+/**
+ * Callback scheduler
+ *
+ * Callback requests (from the hold queue, the after-hours menu or staff) become
+ * persisted jobs. Each job is slotted into the department's opening hours, with
+ * at most slotCapacity callbacks per slot so staff aren't flooded at opening time.
+ * A poller dials due jobs through Twilio into /voice/callback/answer, which tells
+ * the customer why we're calling and puts them in the department's queue. No
+ * answer is retried with backoff; numbers on the do-not-call list are never dialled.
+ *
+ * Every instance polls, so a job is claimed (scheduled -> dialing, compare-and-set)
+ * before it is dialled, and status changes never overwrite each other.
+ */
+
+const RETAIN_MS = 30 * 24 * 60 * 60 * 1000;
+const RING_TIMEOUT_SECONDS = 30;
+const OVERDUE_GRACE_MS = 5 * 60 * 1000;
+const MAX_SLOT_SEARCH = 500;
+
+export const CALLBACK_STATUSES = ['scheduled', 'dialing', 'completed', 'failed', 'blocked', 'cancelled'];
+
+export class CallbackService {
+  constructor() {
+    this.timezone = config.businessHours.timezone;
+    this.pollSeconds = config.callbacks.pollSeconds;
+    this.slotMs = config.callbacks.slotMinutes * 60 * 1000;
+    this.slotCapacity = config.callbacks.slotCapacity;
+    this.maxAttempts = config.callbacks.maxAttempts;
+    this.retryMinutes = config.callbacks.retryMinutes;
+
+    this.jobs = recordStore.namespace('callbacks', { ttlMs: RETAIN_MS });
+    this.timer = null;
+  }
+
+  /**
+   * Schedule a callback
+   * @param {object} request - { phoneNumber, department, when, reason, summary,
+   *   customerId, customerName, urgency, source, callSid, chatId, baseUrl }. `when` is a Date,
+   *   an ISO timestamp or what the caller said ("tomorrow after lunch"); default as
+   *   soon as possible. `reason` is read to the customer, `summary` to staff.
+   * @returns {Promise<object>} - Callback job
+   */
+  async schedule(request) {
+    const { phoneNumber, department, when, reason, baseUrl } = request;
+    const now = clock.now();
+
+    if (!phoneNumber) {
+      throw new Error('phoneNumber is required');
+    }
+    if (!baseUrl) {
+      throw new Error('baseUrl is required');
+    }
+
+    const agent = department ? agentRegistry.get(department) : agentRegistry.fallback();
+    if (!agent) {
+      throw new Error(`Unknown department "${department}"`);
+    }
+
+    let requestedFor = null;
+    if (when instanceof Date) {
+      requestedFor = when;
+    } else if (when) {
+      requestedFor = parseCallbackTime(when, { now, timeZone: this.timezone });
+      if (!requestedFor) {
+        throw new Error(`Could not understand the callback time "${when}"`);
+      }
+    }
+
+    const scheduledFor = await this.findSlot(agent.id, requestedFor || now);
+
+    // Keep the CRM in step
+    const crmRecord = await crmService.scheduleCallback({
+      customerId: request.customerId,
+      phoneNumber,
+      department: agent.id,
+      requestedTime: scheduledFor.toISOString(),
+      reason,
+    });
+
+    const job = {
+      id: `CB-${crypto.randomUUID()}`,
+      crmId: crmRecord?.id || null,
+      phoneNumber,
+      customerId: request.customerId || null,
+      customerName: request.customerName || null,
+      department: agent.id,
+      reason: reason || null,
+      summary: request.summary || null,
+      urgency: request.urgency || null,
+      requested: typeof when === 'string' ? when : null,
+      requestedFor: requestedFor ? requestedFor.toISOString() : null,
+      scheduledFor: scheduledFor.toISOString(),
+      status: 'scheduled',
+      attempts: [],
+      source: request.source || 'api',
+      callSid: request.callSid || null,
+      chatId: request.chatId || null,
+      baseUrl,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+
+    await this.jobs.set(job.id, job);
+    console.log(`[Callbacks] ${job.id} scheduled for ${job.scheduledFor} (${agent.id}, ${job.source})`);
+    return job;
+  }
+
+  /**
+   * When we'll call, for telling the caller: "shortly", "tomorrow at 2 PM"
+   * @param {object} job
+   * @param {Date} now
+   * @returns {string}
+   */
+  describeTime(job, now = clock.now()) {
+    const scheduledFor = new Date(job.scheduledFor);
+    if (scheduledFor - now < this.slotMs) return 'shortly';
+    return businessHoursService.describeOpening(scheduledFor, now);
+  }
+
+  /**
+   * What the customer hears when they answer the callback
+   * @param {object} job
+   * @returns {string}
+   */
+  introduction(job) {
+    const team = (agentRegistry.get(job.department)?.name || job.department).toLowerCase();
+    const greeting = job.customerName ? `Hello ${job.customerName}` : 'Hello';
+    const about = job.reason ? ` about ${job.reason}` : '';
+    return `${greeting}, this is the Audico ${team} team returning your call${about}. Please hold while I connect you.`;
+  }
+
+  /**
+   * First time at or after `desired` when the department is open and the slot
+   * still has room
+   * @param {string} department - Agent id
+   * @param {Date} desired
+   * @returns {Promise<Date>}
+   */
+  async findSlot(department, desired) {
+    const now = clock.now();
+    const booked = (await this.jobs.values({ department, status: 'scheduled' }))
+      .map(job => this.slotStart(new Date(job.scheduledFor)));
+
+    let at = desired > now ? desired : now;
+
+    for (let step = 0; step < MAX_SLOT_SEARCH; step++) {
+      const hours = await businessHoursService.getStatus(department, at);
+      if (!hours.open) {
+        if (!hours.nextOpen) break; // Closed for the foreseeable future - keep the time asked for
+        at = hours.nextOpen;
+        continue;
+      }
+
+      const slot = this.slotStart(at);
+      if (booked.filter(start => start === slot).length < this.slotCapacity) {
+        return at;
+      }
+      at = new Date(slot + this.slotMs);
+    }
+
+    return at;
+  }
+
+  /**
+   * Start of the slot an instant falls in (epoch ms)
+   * @param {Date} instant
+   * @returns {number}
+   */
+  slotStart(instant) {
+    return Math.floor(instant.getTime() / this.slotMs) * this.slotMs;
+  }
+
+  /**
+   * Start polling for due callbacks
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => console.error('[Callbacks] Poll failed:', error.message));
+    }, this.pollSeconds * 1000);
+    this.timer.unref();
+    console.log(`[Callbacks] Scheduler started (every ${this.pollSeconds}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Dial every callback that is due
+   * @param {Date} now
+   * @param {object} filters - { phoneNumber } to dial only that customer's callbacks
+   * @returns {Promise<number>} - Callbacks dialled
+   */
+  async processDue(now = clock.now(), { phoneNumber } = {}) {
+    const due = (await this.jobs.values({ status: 'scheduled', scheduledFor: { lte: now.toISOString() }, phoneNumber }))
+      .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+
+    let dialled = 0;
+    for (const job of due) {
+      if (await this.dial(job, now)) dialled++;
+    }
+    return dialled;
+  }
+
+  /**
+   * Place one callback - after checking the do-not-call list and that the
+   * department is still open (closures can be added after scheduling)
+   * @param {object} job
+   * @param {Date} now
+   * @returns {Promise<boolean>} - Whether a call was placed
+   */
+  async dial(job, now = clock.now()) {
+    const stillDue = current => current.status === 'scheduled' && new Date(current.scheduledFor) <= now;
+
+    if (await complianceManager.isOnDoNotCallList(job.phoneNumber)) {
+      console.log(`[Callbacks] ${job.id} not dialled - number is on the do-not-call list`);
+      await this.change(job.id, current => (stillDue(current) ? { ...current, status: 'blocked' } : undefined));
+      return false;
+    }
+
+    const hours = await businessHoursService.getStatus(job.department, now);
+    if (!hours.open) {
+      const scheduledFor = await this.findSlot(job.department, now);
+      console.log(`[Callbacks] ${job.department} is closed - ${job.id} moved to ${scheduledFor.toISOString()}`);
+      await this.change(job.id, current =>
+        (stillDue(current) ? { ...current, scheduledFor: scheduledFor.toISOString() } : undefined));
+      return false;
+    }
+
+    // Claim the job; another instance (or an earlier poll) may have got there first
+    const attempt = { at: now.toISOString(), callSid: null, status: 'dialing' };
+    let claimed = false;
+    const dialling = await this.change(job.id, current => {
+      claimed = stillDue(current);
+      return claimed ? { ...current, status: 'dialing', attempts: [...current.attempts, attempt] } : undefined;
+    });
+    if (!claimed) {
+      console.log(`[Callbacks] ${job.id} already claimed (${dialling?.status || 'deleted'}) - skipping`);
+      return false;
+    }
+
+    try {
+      const call = await telephonyService.makeOutboundCall(
+        job.phoneNumber,
+        `${job.baseUrl}/voice/callback/answer?id=${encodeURIComponent(job.id)}`,
+        {
+          timeout: RING_TIMEOUT_SECONDS,
+          statusCallback: `${job.baseUrl}/voice/callback/status?id=${encodeURIComponent(job.id)}`,
+        }
+      );
+      await this.updateAttempt(job.id, { callSid: call.sid });
+      console.log(`[Callbacks] Dialling ${job.id} (attempt ${dialling.attempts.length})`);
+      return true;
+    } catch (error) {
+      console.error(`[Callbacks] Could not dial ${job.id}:`, error.message);
+      await this.callEnded(job.id, 'failed');
+      return false;
+    }
+  }
+
+  /**
+   * The customer picked up
+   * @param {string} id
+   * @returns {Promise<object|null>} - Job
+   */
+  async markAnswered(id) {
+    return this.updateAttempt(id, { status: 'answered' });
+  }
+
+  /**
+   * Callback call finished (Twilio status callback)
+   * Answered calls complete the job; anything else is retried with backoff until
+   * maxAttempts, then the job fails.
+   * @param {string} id
+   * @param {string} callStatus - Twilio CallStatus
+   * @returns {Promise<object|null>} - Job
+   */
+  async callEnded(id, callStatus) {
+    let ended = false;
+    const job = await this.change(id, async current => {
+      ended = current.status === 'dialing';
+      if (!ended) return undefined;
+
+      const attempt = current.attempts[current.attempts.length - 1];
+      if (attempt?.status === 'answered') {
+        return { ...current, status: 'completed', completedAt: clock.now().toISOString() };
+      }
+
+      attempt.status = callStatus === 'completed' ? 'no-answer' : callStatus;
+
+      if (current.attempts.length >= this.maxAttempts) {
+        return { ...current, status: 'failed' };
+      }
+
+      const delayMinutes = this.retryMinutes[Math.min(current.attempts.length, this.retryMinutes.length) - 1];
+      const scheduledFor = await this.findSlot(current.department, new Date(clock.now().getTime() + delayMinutes * 60 * 1000));
+      return { ...current, status: 'scheduled', scheduledFor: scheduledFor.toISOString() };
+    });
+    if (!ended) return job;
+
+    if (job.status === 'completed') {
+      console.log(`[Callbacks] ${id} completed`);
+    } else if (job.status === 'failed') {
+      console.log(`[Callbacks] ${id} failed after ${job.attempts.length} attempts`);
+    } else {
+      console.log(`[Callbacks] ${id} ${job.attempts[job.attempts.length - 1].status} - retrying at ${job.scheduledFor}`);
+    }
+    return job;
+  }
+
+  /**
+   * Update the job's current call attempt
+   * @param {string} id
+   * @param {object} updates
+   * @returns {Promise<object|null>}
+   */
+  async updateAttempt(id, updates) {
+    return this.change(id, job => {
+      if (job.attempts.length === 0) return undefined;
+      Object.assign(job.attempts[job.attempts.length - 1], updates);
+      return job;
+    });
+  }
+
+  /**
+   * Change a stored job without overwriting a concurrent change (see
+   * StateNamespace.update - `change` may run more than once)
+   * @param {string} id
+   * @param {function} change - async job => changed job, or undefined to leave it as it is
+   * @returns {Promise<object|null>} - Job as stored, null if not found
+   */
+  async change(id, change) {
+    const job = await this.jobs.update(id, async current => {
+      if (!current) return undefined;
+      const changed = await change(current);
+      return changed && { ...changed, updatedAt: clock.now().toISOString() };
+    });
+    return job || null;
+  }
+
+  /**
+   * Save a job
+   * @param {object} job
+   * @returns {Promise<object>}
+   */
+  async save(job) {
+    job.updatedAt = clock.now().toISOString();
+    await this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * Get a callback
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    return (await this.jobs.get(id)) || null;
+  }
+
+  /**
+   * Callbacks by status, soonest first
+   * @param {object} filters - { status, department, phoneNumber }
+   * @returns {Promise<Array<object>>}
+   */
+  async list({ status, department, phoneNumber } = {}) {
+    const agentId = department ? agentRegistry.get(department)?.id || department : null;
+
+    return (await this.jobs.values({ status: status || undefined, department: agentId || undefined, phoneNumber: phoneNumber || undefined }))
+      .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+  }
+
+  /**
+   * Pending callbacks and the ones that are late (not dialled on time, or stuck
+   * dialling without a status callback)
+   * @param {Date} now
+   * @returns {Promise<object>} - { pending, overdue }
+   */
+  async overview(now = clock.now()) {
+    const pending = (await this.list()).filter(job => job.status === 'scheduled' || job.status === 'dialing');
+    const late = now.getTime() - OVERDUE_GRACE_MS;
+
+    const overdue = pending.filter(job => {
+      if (job.status === 'scheduled') return new Date(job.scheduledFor).getTime() < late;
+      const attempt = job.attempts[job.attempts.length - 1];
+      return new Date(attempt.at).getTime() < late - RING_TIMEOUT_SECONDS * 1000;
+    });
+
+    return { pending, overdue };
+  }
+
+  /**
+   * Cancel a pending callback
+   * @param {string} id
+   * @returns {Promise<object|null>} - Job, null if not found
+   */
+  async cancel(id) {
+    const job = await this.change(id, current => {
+      if (current.status !== 'scheduled' && current.status !== 'dialing') {
+        throw new Error(`Callback is already ${current.status}`);
+      }
+      return { ...current, status: 'cancelled' };
+    });
+
+    if (job) console.log(`[Callbacks] ${id} cancelled`);
+    return job;
+  }
+}
+
+// Singleton instance
+export const callbackService = new CallbackService();
@@ -0,0 +1,227 @@
+import { config } from '../config/config.js';
+import { crmService } from './crm.js';
+import { createMysqlPool } from '../utils/clients.js';
+import { normalizePhoneNumber } from '../utils/compliance.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Caller recognition
+ *
+ * Matches the caller's number against OpenCart customers (oc_customer) and
+ * orders (oc_order, which covers guest checkouts), so known customers are
+ * greeted by first name and the agents know their recent orders and open
+ * tickets. Stored numbers are free text ("082 111 0002", "+27 82-111-0002"),
+ * so rows are found on their last nine digits - the indexed telephone_suffix
+ * column from opencart-caller-recognition.sql - and then compared in E.164.
+ *
+ * POPIA: a phone number is not proof of identity. Until the caller is verified
+ * the agents only get the first name and how many orders and open tickets there
+ * are; order numbers, statuses, products, amounts, ticket subjects and contact
+ * details are added once identity is verified.
+ */
+
+const MAX_ORDERS = 5;
+const MAX_TICKETS = 3;
+
+// Incoming calls can't wait on a slow database: the whole lookup gets this long
+const LOOKUP_TIMEOUT_MS = 2000;
+
+export class CallerRecognitionService {
+  constructor() {
+    this.enabled = config.callerRecognition.enabled;
+    this.pool = createMysqlPool({
+      host: process.env.OPENCART_DB_HOST,
+      port: parseInt(process.env.OPENCART_DB_PORT) || 3306,
+      user: process.env.OPENCART_DB_USER,
+      password: process.env.OPENCART_DB_PASSWORD,
+      database: process.env.OPENCART_DB_NAME,
+      waitForConnections: true,
+      connectionLimit: 5,
+      connectTimeout: LOOKUP_TIMEOUT_MS,
+    });
+    this.tablePrefix = process.env.OPENCART_TABLE_PREFIX || 'oc_';
+  }
+
+  /**
+   * Look up a caller by phone number
+   * Numbers shared by more than one customer (a family landline, say) are not
+   * recognised - we can't tell who is calling.
+   * @param {string} phoneNumber - Twilio From
+   * @returns {Promise<object|null>} - { phoneNumber, customerId, firstName, lastName,
+   *   email, orders: [{ orderId, placed, status, total, products }], openTickets: [{ id, subject, createdAt }] }
+   */
+  async recognize(phoneNumber) {
+    if (!this.enabled) return null;
+
+    const number = normalizePhoneNumber(phoneNumber);
+    if (!/^\+\d{9,15}$/.test(number)) return null;
+
+    try {
+      return await this.lookup(number, Date.now() + LOOKUP_TIMEOUT_MS);
+    } catch (error) {
+      if (error.code === 'PROTOCOL_SEQUENCE_TIMEOUT' || error.code === 'ER_QUERY_TIMEOUT') {
+        console.warn('[Recognition] Lookup timed out');
+      } else if (error.code === 'ER_BAD_FIELD_ERROR') {
+        console.error('[Recognition] No telephone_suffix column - run opencart-caller-recognition.sql');
+      } else {
+        console.error('[Recognition] Lookup failed:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} number - E.164
+   * @param {number} deadline - Epoch ms the lookup must finish by
+   * @returns {Promise<object|null>}
+   */
+  async lookup(number, deadline) {
+    const suffix = number.replace(/\D/g, '').slice(-9);
+    const matches = row => normalizePhoneNumber(row.telephone) === number;
+    let connection;
+    let timedOut = false;
+
+    // Every query gets what is left of the lookup's time: mysql2 gives up on
+    // the query, and MAX_EXECUTION_TIME has MySQL stop running it too
+    const query = async (sql, params) => {
+      const timeout = deadline - Date.now();
+      if (timeout <= 0) {
+        throw Object.assign(new Error('Lookup timed out'), { code: 'PROTOCOL_SEQUENCE_TIMEOUT' });
+      }
+      try {
+        const [rows] = await connection.query({ sql: sql.replace(/^SELECT/, `SELECT /*+ MAX_EXECUTION_TIME(${timeout}) */`), timeout }, params);
+        return rows;
+      } catch (error) {
+        timedOut = timedOut || error.code === 'PROTOCOL_SEQUENCE_TIMEOUT';
+        throw error;
+      }
+    };
+
+    try {
+      connection = await this.pool.getConnection();
+
+      const customerRows = await query(
+        `SELECT customer_id, firstname, lastname, email, telephone
+         FROM ${this.tablePrefix}customer
+         WHERE telephone_suffix = ?`,
+        [suffix]
+      );
+      const orderRows = await query(
+        `SELECT o.order_id, o.customer_id, o.firstname, o.lastname, o.email, o.telephone,
+                o.total, o.currency_code, o.date_added, os.name AS status_name
+         FROM ${this.tablePrefix}order o
+         LEFT JOIN ${this.tablePrefix}order_status os ON o.order_status_id = os.order_status_id AND os.language_id = 1
+         WHERE o.telephone_suffix = ? AND o.order_status_id > 0
+         ORDER BY o.date_added DESC`,
+        [suffix]
+      );
+
+      const customers = customerRows.filter(matches);
+      const orders = orderRows.filter(matches);
+      if (customers.length === 0 && orders.length === 0) return null;
+
+      // One person per number: their account, and orders placed under it or
+      // under the same name (guest checkouts)
+      const nameOf = row => `${row.firstname || ''} ${row.lastname || ''}`.trim().toLowerCase();
+      const accountIds = new Set(customers.map(customer => customer.customer_id));
+      const accountNames = new Set(customers.map(nameOf));
+      const otherNames = orders
+        .filter(order => !accountIds.has(order.customer_id) && !accountNames.has(nameOf(order)))
+        .map(nameOf);
+      const people = new Set([...accountIds, ...otherNames]);
+      if (people.size > 1) {
+        console.log(`[Recognition] ${logger.maskPhoneNumber(number)} belongs to ${people.size} customers - not recognised`);
+        return null;
+      }
+
+      const person = customers[0] || orders[0];
+      const recentOrders = orders.slice(0, MAX_ORDERS);
+
+      const products = new Map();
+      if (recentOrders.length > 0) {
+        const rows = await query(
+          `SELECT order_id, name, quantity FROM ${this.tablePrefix}order_product
+           WHERE order_id IN (${recentOrders.map(() => '?').join(', ')})`,
+          recentOrders.map(order => order.order_id)
+        );
+        for (const row of rows) {
+          const list = products.get(row.order_id) || [];
+          list.push(`${row.name}${row.quantity > 1 ? ` x${row.quantity}` : ''}`);
+          products.set(row.order_id, list);
+        }
+      }
+
+      // The database is done with - hand the connection back before the CRM call
+      connection.release();
+      connection = null;
+
+      const tickets = await crmService.getOpenTickets(number, { timeoutMs: Math.max(deadline - Date.now(), 1) });
+      const openTickets = tickets.slice(0, MAX_TICKETS);
+
+      console.log(`[Recognition] ${logger.maskPhoneNumber(number)} recognised (${recentOrders.length} orders, ${openTickets.length} open tickets)`);
+      return {
+        phoneNumber: number,
+        customerId: person.customer_id || null,
+        firstName: (person.firstname || '').trim() || null,
+        lastName: (person.lastname || '').trim() || null,
+        email: person.email || null,
+        orders: recentOrders.map(order => ({
+          orderId: String(order.order_id),
+          placed: new Date(order.date_added).toISOString(),
+          status: order.status_name || 'processing',
+          total: `${order.currency_code || 'ZAR'} ${parseFloat(order.total || 0).toFixed(2)}`,
+          products: products.get(order.order_id) || [],
+        })),
+        openTickets: openTickets.map(ticket => ({
+          id: ticket.id,
+          subject: ticket.subject || null,
+          createdAt: ticket.createdAt ? new Date(ticket.createdAt).toISOString() : null,
+        })),
+      };
+    } finally {
+      // A timed-out query may still be running on the connection - don't reuse it
+      if (connection && timedOut) {
+        connection.destroy();
+      } else if (connection) {
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * Greeting for a recognised caller - first name only
+   * @param {object|null} caller - From recognize()
+   * @param {string} greeting - The entry agent's greeting
+   * @returns {string}
+   */
+  greetingFor(caller, greeting) {
+    return caller?.firstName ? `Hi ${caller.firstName}! ${greeting}` : greeting;
+  }
+
+  /**
+   * What the agents are told about a recognised caller (system prompt)
+   * @param {object} caller - From recognize()
+   * @param {object} options - { verified } - has the caller proved who they are?
+   * @returns {string}
+   */
+  contextFor(caller, { verified = false } = {}) {
+    if (!verified) {
+      const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+      return `KNOWN NUMBER (identity NOT verified): this number belongs to a customer called ${caller.firstName || 'unknown'}, but anyone could be using the phone. You may call them by first name. They have ${count(caller.orders.length, 'recent order')} and ${count(caller.openTickets.length, 'open support ticket')} on file; the details are shared once their identity is verified - ask the caller for order numbers instead.`;
+    }
+
+    const date = iso => new Date(iso).toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric' });
+    const lines = [
+      `KNOWN CALLER (identity verified): ${[caller.firstName, caller.lastName].filter(Boolean).join(' ')}${caller.email ? `, ${caller.email}` : ''}. Use what is below instead of asking for it again.`,
+    ];
+    caller.orders.forEach(order => lines.push(
+      `- Order ${order.orderId}, placed ${date(order.placed)}: ${order.status}, ${order.total}${order.products.length > 0 ? ` (${order.products.join(', ')})` : ''}`
+    ));
+    caller.openTickets.forEach(ticket => lines.push(`- Open ticket ${ticket.id}${ticket.subject ? `: ${ticket.subject}` : ''}`));
+
+    return lines.join('\n');
+  }
+}
+
+// Singleton instance
+export const callerRecognitionService = new CallerRecognitionService();
@@ -1,5 +1,8 @@
 import axios from 'axios';
 import { config } from '../config/config.js';
+import { stateStore } from './state-store.js';
+import { paymentService } from './payments.js';
+import { normalizePhoneNumber } from '../utils/compliance.js';
 
 /**
  * CRM integration service
@@ -9,7 +12,10 @@ export class CRMService {
   constructor() {
     this.apiUrl = config.crm.apiUrl;
     this.apiKey = config.crm.apiKey;
-    this.callLogs = new Map(); // In-memory storage (replace with database)
+    // Local call log (kept 30 days) - shared between instances with the redis store
+    this.callLogs = stateStore.namespace('call_logs', { ttlMs: 30 * 24 * 60 * 60 * 1000 });
+    // Tickets created here (kept 90 days) - so open tickets can be found by phone number
+    this.tickets = stateStore.namespace('tickets', { ttlMs: 90 * 24 * 60 * 60 * 1000 });
   }
 
   /**
@@ -29,10 +35,13 @@ export class CRMService {
       timestamp: new Date(),
       summary: callData.summary || '',
       resolved: callData.resolved || false,
+      callbackRequested: callData.callbackRequested || false,
+      callbackAfter: callData.callbackAfter || null,
+      failedTransfers: callData.failedTransfers || [],
     };
 
     // Store locally
-    this.callLogs.set(callData.callSid, logEntry);
+    await this.callLogs.set(callData.callSid, logEntry);
 
     // Send to external CRM if configured
     if (this.apiUrl && this.apiKey) {
@@ -131,6 +140,7 @@ export class CRMService {
     const ticket = {
       id: `TICKET-${Date.now()}`,
       customerId: ticketData.customerId,
+      phoneNumber: ticketData.phoneNumber ? normalizePhoneNumber(ticketData.phoneNumber) : null,
       subject: ticketData.subject,
       description: ticketData.description,
       priority: ticketData.priority || 'medium',
@@ -149,10 +159,12 @@ export class CRMService {
         });
 
         console.log('[CRM] Ticket created:', response.data.id);
+        await this.tickets.set(response.data.id, { ...ticket, ...response.data });
         return response.data;
       }
 
       console.log('[CRM] Mock ticket created:', ticket.id);
+      await this.tickets.set(ticket.id, ticket);
       return ticket;
     } catch (error) {
       console.error('[CRM] Error creating ticket:', error.message);
@@ -160,6 +172,36 @@ export class CRMService {
     }
   }
 
+  /**
+   * Open support tickets for a phone number, newest first
+   * @param {string} phoneNumber - Customer phone number
+   * @param {object} options - { timeoutMs } - longest to wait on the CRM API
+   * @returns {Promise<Array<object>>} - Tickets
+   */
+  async getOpenTickets(phoneNumber, { timeoutMs } = {}) {
+    const number = normalizePhoneNumber(phoneNumber);
+
+    if (this.apiUrl && this.apiKey) {
+      try {
+        const response = await axios.get(`${this.apiUrl}/tickets`, {
+          params: { phone: number, status: 'open' },
+          timeout: timeoutMs,
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+          },
+        });
+        return response.data;
+      } catch (error) {
+        console.error('[CRM] Error fetching tickets:', error.message);
+      }
+    }
+
+    // Tickets created through this system
+    return (await this.tickets.values())
+      .filter(ticket => ticket.phoneNumber === number && ticket.status === 'open')
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
   /**
    * Update customer information
    * @param {string} customerId - Customer ID
@@ -260,28 +302,20 @@ export class CRMService {
   }
 
   /**
-   * Generate payment link
-   * @param {object} paymentData - Payment information
-   * @returns {Promise<string>} - Payment link URL
+   * Generate payment link for an unpaid OpenCart order (see payments.js)
+   * @param {object} paymentData - { orderId, callSid }
+   * @returns {Promise<string|null>} - Payment link URL
    */
   async generatePaymentLink(paymentData) {
     try {
-      if (this.apiUrl && this.apiKey) {
-        const response = await axios.post(`${this.apiUrl}/payments/link`, paymentData, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        });
-
-        console.log('[CRM] Payment link generated');
-        return response.data.paymentUrl;
+      const { link, error } = await paymentService.openLink(paymentData.orderId, { callSid: paymentData.callSid, agent: 'crm' });
+      if (error) {
+        console.log('[CRM] No payment link:', error);
+        return null;
       }
 
-      // Mock payment link
-      const mockLink = `https://pay.audico.co.za/pay/${Date.now()}`;
-      console.log('[CRM] Mock payment link:', mockLink);
-      return mockLink;
+      console.log('[CRM] Payment link generated');
+      return link.url;
     } catch (error) {
       console.error('[CRM] Error generating payment link:', error.message);
       return null;
@@ -290,149 +324,11 @@ export class CRMService {
 
   /**
    * Get all call logs (for analytics)
-   * @returns {Array} - Array of call logs
-   */
-  getAllCallLogs() {
-    return Array.from(this.callLogs.values());
-  }
-
-  /**
-   * Get tools definition for LLM function calling
-   * @returns {Array} - Array of tool definitions
+   * @returns {Promise<Array>} - Array of call logs
    */
-  getToolDefinitions() {
-    return [
-      {
-        name: 'get_customer_info',
-        description: 'Retrieve customer information by phone number',
-        input_schema: {
-          type: 'object',
-          properties: {
-            phone_number: {
-              type: 'string',
-              description: 'Customer phone number',
-            },
-          },
-          required: ['phone_number'],
-        },
-      },
-      {
-        name: 'get_order_status',
-        description: 'Get the status of an order by order number',
-        input_schema: {
-          type: 'object',
-          properties: {
-            order_number: {
-              type: 'string',
-              description: 'Order number or tracking number',
-            },
-          },
-          required: ['order_number'],
-        },
-      },
-      {
-        name: 'create_support_ticket',
-        description: 'Create a support ticket for the customer',
-        input_schema: {
-          type: 'object',
-          properties: {
-            customer_id: {
-              type: 'string',
-              description: 'Customer ID',
-            },
-            subject: {
-              type: 'string',
-              description: 'Ticket subject',
-            },
-            description: {
-              type: 'string',
-              description: 'Detailed description of the issue',
-            },
-            priority: {
-              type: 'string',
-              enum: ['low', 'medium', 'high', 'critical'],
-              description: 'Ticket priority',
-            },
-          },
-          required: ['customer_id', 'subject', 'description'],
-        },
-      },
-      {
-        name: 'schedule_callback',
-        description: 'Schedule a callback for the customer',
-        input_schema: {
-          type: 'object',
-          properties: {
-            customer_id: {
-              type: 'string',
-              description: 'Customer ID',
-            },
-            phone_number: {
-              type: 'string',
-              description: 'Phone number for callback',
-            },
-            department: {
-              type: 'string',
-              description: 'Department to handle the callback',
-            },
-            requested_time: {
-              type: 'string',
-              description: 'Requested callback time',
-            },
-            reason: {
-              type: 'string',
-              description: 'Reason for callback',
-            },
-          },
-          required: ['customer_id', 'phone_number', 'department'],
-        },
-      },
-      {
-        name: 'get_account_balance',
-        description: 'Get customer account balance',
-        input_schema: {
-          type: 'object',
-          properties: {
-            customer_id: {
-              type: 'string',
-              description: 'Customer ID',
-            },
-          },
-          required: ['customer_id'],
-        },
-      },
-    ];
-  }
-
-  /**
-   * Execute a tool call
-   * @param {string} toolName - Tool name
-   * @param {object} parameters - Tool parameters
-   * @returns {Promise<any>} - Tool execution result
-   */
-  async executeTool(toolName, parameters) {
-    console.log('[CRM] Executing tool:', toolName, parameters);
-
-    switch (toolName) {
-      case 'get_customer_info':
-        return await this.getCustomerByPhone(parameters.phone_number);
-
-      case 'get_order_status':
-        return await this.getOrderStatus(parameters.order_number);
-
-      case 'create_support_ticket':
-        return await this.createSupportTicket(parameters);
-
-      case 'schedule_callback':
-        return await this.scheduleCallback(parameters);
-
-      case 'get_account_balance':
-        return await this.getAccountBalance(parameters.customer_id);
-
-      default:
-        console.error('[CRM] Unknown tool:', toolName);
-        return null;
-    }
+  async getAllCallLogs() {
+    const logs = await this.callLogs.values();
+    return logs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   }
 }
 
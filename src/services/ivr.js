@@ -1,14 +1,26 @@
 import { config } from '../config/config.js';
 import { llmService } from './llm.js';
 import { telephonyService } from './telephony.js';
+import { stateStore } from './state-store.js';
+import { agentRegistry } from './agent-registry.js';
+import { businessHoursService } from './business-hours.js';
+import { crmService } from './crm.js';
+
+// Asking for a person, in so many words or "speak to someone"
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(human|real person|live person|live agent|real agent|representative)\b/i,
+  /\b(speak|talk|chat|put me through|connect me|transfer me)\b.*\b(a person|someone|somebody|an? (agent|consultant|manager|supervisor)|staff|operator)\b/i,
+];
 
 /**
  * IVR (Interactive Voice Response) service for call routing
  */
 export class IVRService {
   constructor() {
-    this.menuOptions = config.ivr.options;
-    this.callState = new Map(); // Track state of each call
+    // Track state of each call (shared store, survives restarts with file/redis backends)
+    this.callState = stateStore.namespace('ivr', {
+      ttlMs: config.stateStore.callTtlMinutes * 60 * 1000,
+    });
   }
 
   /**
@@ -16,8 +28,8 @@ export class IVRService {
    * @param {string} callSid - Call identifier
    * @param {object} callerInfo - Caller information from Twilio
    */
-  initializeCall(callSid, callerInfo) {
-    this.callState.set(callSid, {
+  async initializeCall(callSid, callerInfo) {
+    await this.callState.set(callSid, {
       callSid,
       callerNumber: callerInfo.from,
       callerCity: callerInfo.fromCity,
@@ -28,6 +40,7 @@ export class IVRService {
       selectedDepartment: null,
       intent: null,
       transferAttempts: 0,
+      failedTransfers: [],
       conversationTurns: 0,
     });
 
@@ -37,9 +50,9 @@ export class IVRService {
   /**
    * Get call state
    * @param {string} callSid - Call identifier
-   * @returns {object} - Call state
+   * @returns {Promise<object>} - Call state
    */
-  getCallState(callSid) {
+  async getCallState(callSid) {
     return this.callState.get(callSid);
   }
 
@@ -48,11 +61,26 @@ export class IVRService {
    * @param {string} callSid - Call identifier
    * @param {object} updates - State updates
    */
-  updateCallState(callSid, updates) {
-    const state = this.callState.get(callSid);
+  async updateCallState(callSid, updates) {
+    const state = await this.callState.get(callSid);
     if (state) {
       Object.assign(state, updates);
-      this.callState.set(callSid, state);
+      await this.callState.set(callSid, state);
+    }
+    return state;
+  }
+
+  /**
+   * Record a failed transfer attempt on the call (totalled by /analytics/calls)
+   * @param {string} callSid - Call identifier
+   * @param {object} attempt - { department, number, status, at }
+   */
+  async recordFailedTransfer(callSid, attempt) {
+    const state = await this.callState.get(callSid);
+    if (state) {
+      await this.updateCallState(callSid, {
+        failedTransfers: [...(state.failedTransfers || []), attempt],
+      });
     }
   }
 
@@ -65,12 +93,12 @@ export class IVRService {
   async processMenuSelection(callSid, selection) {
     console.log('[IVR] Processing menu selection:', selection, 'for call:', callSid);
 
-    const state = this.getCallState(callSid);
-
     // Normalize selection (could be digit or spoken word)
     const normalizedSelection = this.normalizeSelection(selection);
 
-    if (!this.menuOptions[normalizedSelection]) {
+    const option = agentRegistry.byDigit(normalizedSelection);
+
+    if (!option) {
       console.log('[IVR] Invalid selection:', normalizedSelection);
       return {
         action: 'repeat_menu',
@@ -78,10 +106,8 @@ export class IVRService {
       };
     }
 
-    const option = this.menuOptions[normalizedSelection];
-
     // Update call state
-    this.updateCallState(callSid, {
+    await this.updateCallState(callSid, {
       selectedDepartment: option.name,
       currentState: 'department_selected',
     });
@@ -103,37 +129,14 @@ export class IVRService {
   normalizeSelection(selection) {
     const lowerSelection = selection.toLowerCase().trim();
 
-    // Map spoken words to digits
-    const speechMap = {
-      'sales': '1',
-      'one': '1',
-      'shipping': '2',
-      'two': '2',
-      'track': '2',
-      'support': '3',
-      'three': '3',
-      'technical': '3',
-      'accounts': '4',
-      'four': '4',
-      'billing': '4',
-      'operator': '0',
-      'zero': '0',
-      'human': '0',
-    };
-
     // Check if it's already a digit
     if (/^[0-9]$/.test(lowerSelection)) {
       return lowerSelection;
     }
 
-    // Try to map speech to digit
-    for (const [keyword, digit] of Object.entries(speechMap)) {
-      if (lowerSelection.includes(keyword)) {
-        return digit;
-      }
-    }
-
-    return null; // Invalid selection
+    // Map spoken words (department name, registry keywords, digit words) to a digit
+    const agent = agentRegistry.matchSpeech(lowerSelection);
+    return agent ? agent.digit : null; // null = invalid selection
   }
 
   /**
@@ -143,8 +146,6 @@ export class IVRService {
    * @returns {Promise<object>} - Routing decision
    */
   async determineRouting(callSid, department) {
-    const state = this.getCallState(callSid);
-
     // Check if AI can handle this based on department and call history
     const canAIHandle = await this.canAIHandle(callSid, department);
 
@@ -156,14 +157,38 @@ export class IVRService {
         message: `I'll be happy to help you with your ${department.toLowerCase()} inquiry.`,
       };
     } else {
-      console.log('[IVR] Routing to human agent for department:', department);
+      return this.routeToHuman(callSid, department);
+    }
+  }
+
+  /**
+   * Route to a human agent - unless the department is closed (after hours,
+   * public holiday or ad-hoc closure), then the caller gets a callback/voicemail offer
+   * @param {string} callSid - Call identifier
+   * @param {string} department - Department
+   * @returns {Promise<object>} - Routing decision (routeType 'human' or 'closed')
+   */
+  async routeToHuman(callSid, department) {
+    const hours = await businessHoursService.getStatus(department);
+
+    if (!hours.open) {
+      console.log(`[IVR] ${department} is closed (${hours.reason}) - offering callback/voicemail`);
+      await this.updateCallState(callSid, { closedReason: hours.reason });
       return {
-        routeType: 'human',
+        routeType: 'closed',
         department,
-        agentNumber: this.getAgentNumber(department),
-        message: `Let me connect you with a ${department.toLowerCase()} specialist.`,
+        hours,
+        message: businessHoursService.closedMessage(hours),
       };
     }
+
+    console.log('[IVR] Routing to human agent for department:', department);
+    return {
+      routeType: 'human',
+      department,
+      agentNumber: this.getAgentNumber(department),
+      message: `Let me connect you with a ${department.toLowerCase()} specialist.`,
+    };
   }
 
   /**
@@ -173,13 +198,13 @@ export class IVRService {
    * @returns {Promise<boolean>}
    */
   async canAIHandle(callSid, department) {
-    const state = this.getCallState(callSid);
+    const state = await this.getCallState(callSid);
 
     // AI handles ALL departments (Sales, Shipping, Support, Accounts)
     // Only transfer to human if explicitly requested or after AI fails
 
     // If customer already tried AI multiple times, escalate
-    if (state.transferAttempts > 2) {
+    if (state?.transferAttempts > 2) {
       return false; // After 3 AI attempts, go to human
     }
 
@@ -190,18 +215,10 @@ export class IVRService {
   /**
    * Get agent phone number for department
    * @param {string} department - Department name
-   * @returns {string} - Agent phone number
+   * @returns {string|null} - First staff number from the agent registry (operator's if none)
    */
   getAgentNumber(department) {
-    const departmentMap = {
-      'Sales': config.agents.sales,
-      'Shipping': config.agents.shipping,
-      'Support': config.agents.support,
-      'Accounts': config.agents.accounts,
-      'Operator': config.agents.operator,
-    };
-
-    return departmentMap[department] || config.agents.operator;
+    return agentRegistry.humanNumbersFor(department)[0] || null;
   }
 
   /**
@@ -213,28 +230,18 @@ export class IVRService {
   async analyzeIntent(callSid, speechInput) {
     console.log('[IVR] Analyzing intent for speech:', speechInput);
 
-    const state = this.getCallState(callSid);
-
     // Use LLM to analyze intent
     const analysis = await llmService.analyzeIntent(speechInput);
 
     // Update call state with intent
-    this.updateCallState(callSid, {
+    await this.updateCallState(callSid, {
       intent: analysis.intent,
       sentiment: analysis.sentiment,
       urgency: analysis.urgency,
     });
 
-    // Map intent to department
-    const departmentMapping = {
-      'sales': 'Sales',
-      'shipping': 'Shipping',
-      'support': 'Support',
-      'accounts': 'Accounts',
-      'general_inquiry': 'Operator',
-    };
-
-    const department = departmentMapping[analysis.intent] || 'Operator';
+    // Map intent (an agent id) to department; anything else goes to the fallback agent
+    const department = (agentRegistry.get(analysis.intent) || agentRegistry.fallback()).name;
 
     return {
       intent: analysis.intent,
@@ -253,17 +260,17 @@ export class IVRService {
    * @returns {Promise<boolean>}
    */
   async shouldEscalate(callSid, lastInput = '') {
-    const state = this.getCallState(callSid);
+    const state = await this.getCallState(callSid);
 
     // ONLY escalate if customer explicitly requested human agent
     if (this.detectsHumanRequest(lastInput)) {
       console.log('[IVR] Escalating due to explicit human request');
-      this.updateCallState(callSid, { escalationReason: 'customer_requested_human' });
+      await this.updateCallState(callSid, { escalationReason: 'customer_requested_human' });
       return true;
     }
 
     // Check if marked for escalation in state
-    if (state.requestedHuman) {
+    if (state?.requestedHuman) {
       console.log('[IVR] Escalating due to previous human request flag');
       return true;
     }
@@ -279,57 +286,42 @@ export class IVRService {
   }
 
   /**
-   * Detect if customer is requesting a human agent
+   * Detect if customer is requesting a human agent ("can I speak to a person?",
+   * "put me through to someone"). Asking for a department ("transfer me to
+   * sales") is not one - the receptionist hands that to the department's AI agent.
    * @param {string} input - Customer's speech input
    * @returns {boolean}
    */
   detectsHumanRequest(input) {
     if (!input) return false;
-
-    const lowerInput = input.toLowerCase();
-    const humanKeywords = [
-      'human',
-      'person',
-      'real person',
-      'agent',
-      'operator',
-      'representative',
-      'manager',
-      'supervisor',
-      'speak to someone',
-      'talk to someone',
-      'transfer me',
-      'transfer to',
-      'transfer',
-      'connect me',
-      'live agent',
-      'real agent',
-      'customer service',
-      'speak with',
-      'talk with',
-    ];
-
-    return humanKeywords.some(keyword => lowerInput.includes(keyword));
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(input));
   }
 
   /**
    * Generate call summary for handoff to human
    * @param {string} callSid - Call identifier
+   * @param {object} options - { conversation } when the call didn't run through llmService
+   *   ([{ role, content }], e.g. the AI call's transcript)
    * @returns {Promise<object>} - Call summary
    */
-  async generateHandoffSummary(callSid) {
-    const state = this.getCallState(callSid);
-    const conversationSummary = await llmService.generateCallSummary(callSid);
+  async generateHandoffSummary(callSid, { conversation } = {}) {
+    const state = await this.getCallState(callSid);
+    const [conversationSummary, customer] = await Promise.all([
+      llmService.generateCallSummary(callSid, { conversation }),
+      state.callerNumber ? crmService.getCustomerByPhone(state.callerNumber) : null,
+    ]);
 
     return {
       callSid,
       callerNumber: state.callerNumber,
+      callerName: customer?.name || null,
       department: state.selectedDepartment,
       intent: state.intent,
       sentiment: state.sentiment,
       urgency: state.urgency,
       conversationTurns: state.conversationTurns,
-      duration: Date.now() - state.startTime.getTime(),
+      failedTransfers: state.failedTransfers || [],
+      duration: Date.now() - new Date(state.startTime).getTime(),
       summary: conversationSummary,
     };
   }
@@ -338,21 +330,21 @@ export class IVRService {
    * Clean up call state after call ends
    * @param {string} callSid - Call identifier
    */
-  cleanupCall(callSid) {
+  async cleanupCall(callSid) {
     // Generate final summary before cleanup
-    const state = this.getCallState(callSid);
+    const state = await this.getCallState(callSid);
 
     if (state) {
       console.log('[IVR] Call ended:', {
         callSid,
         department: state.selectedDepartment,
-        duration: Date.now() - state.startTime.getTime(),
+        duration: Date.now() - new Date(state.startTime).getTime(),
         turns: state.conversationTurns,
       });
     }
 
-    this.callState.delete(callSid);
-    llmService.clearHistory(callSid);
+    await this.callState.delete(callSid);
+    await llmService.clearHistory(callSid);
   }
 }
 
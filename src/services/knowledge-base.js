@@ -0,0 +1,399 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { createSupabaseClient, createOpenAIClient } from '../utils/clients.js';
+import { DOCUMENT_FORMATS, extractSections, chunkSections } from '../utils/documents.js';
+import { productService } from './product.js';
+
+/**
+ * Support knowledge base
+ * Product manuals, setup guides and FAQs, chunked and embedded into pgvector
+ * next to the product embeddings (see the knowledge base step in
+ * supabase-setup-safe.sql). Documents are linked to product SKUs and brands;
+ * a search for a product also finds the brand-wide and general documents, so
+ * "how do I reset my Sonos" still gets the Sonos FAQ when no manual names the SKU.
+ *
+ * The original text is kept with the document, so a re-index (new chunk size,
+ * new embedding model, corrected content) needs nothing but the document id.
+ */
+
+export const DOCUMENT_TYPES = ['manual', 'setup_guide', 'faq'];
+
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+const EMBEDDING_BATCH = 64;
+
+// Listing columns - everything but the (large) original text
+const SUMMARY_COLUMNS = 'id, title, type, format, source, skus, brands, status, chunk_count, index_error, indexed_at, created_at, updated_at';
+
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html', txt: 'text', plain: 'text' };
+
+export class KnowledgeBaseService {
+  constructor() {
+    this.supabase = createSupabaseClient(
+      config.supabase.url,
+      config.supabase.serviceRoleKey || config.supabase.anonKey
+    );
+    this.openai = createOpenAIClient(config.openai.apiKey);
+
+    this.documentsTable = 'call_center_knowledge_documents';
+    this.chunksTable = 'call_center_knowledge_chunks';
+    this.matchFunction = 'match_call_center_knowledge';
+
+    this.chunkSize = config.knowledgeBase.chunkSize;
+    this.chunkOverlap = config.knowledgeBase.chunkOverlap;
+    this.matchThreshold = config.knowledgeBase.matchThreshold;
+  }
+
+  /**
+   * Check an upload and fill in defaults
+   * @param {object} input - { title, content, format, type, source, skus, brands }
+   * @returns {object} - Document fields
+   * @throws {Error} - When something required is missing or invalid
+   */
+  createDocument(input = {}) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title) {
+      throw new Error('title is required');
+    }
+    if (typeof input.content !== 'string' || !input.content.trim()) {
+      throw new Error('content is required (the document text)');
+    }
+
+    const format = FORMAT_ALIASES[input.format] || input.format || 'markdown';
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of ${DOCUMENT_FORMATS.join(', ')}`);
+    }
+    const type = input.type || 'manual';
+    if (!DOCUMENT_TYPES.includes(type)) {
+      throw new Error(`type must be one of ${DOCUMENT_TYPES.join(', ')}`);
+    }
+
+    return {
+      title,
+      content: input.content,
+      format,
+      type,
+      source: input.source ? String(input.source).trim() : null,
+      skus: this.normalizeList(input.skus, sku => sku.toUpperCase()),
+      brands: this.normalizeList(input.brands, brand => brand.toLowerCase()),
+    };
+  }
+
+  /**
+   * @param {Array|string} value - List, or comma-separated string
+   * @param {Function} normalize - Applied to each trimmed entry
+   * @returns {Array<string>}
+   */
+  normalizeList(value, normalize) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean).map(normalize))];
+  }
+
+  /**
+   * Store a document and index it
+   * @param {object} input - See createDocument
+   * @returns {Promise<object>} - Document summary (status indexed or failed)
+   */
+  async addDocument(input) {
+    const now = new Date().toISOString();
+    const document = {
+      id: crypto.randomUUID(),
+      ...this.createDocument(input),
+      status: 'pending',
+      chunk_count: 0,
+      index_error: null,
+      indexed_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    const { error } = await this.supabase.from(this.documentsTable).insert(document);
+    if (error) {
+      throw new Error(`Could not save document: ${error.message}`);
+    }
+
+    console.log(`[Knowledge] Added ${document.type} "${document.title}" (${document.id})`);
+    return this.index(document);
+  }
+
+  /**
+   * @param {object} filters - Optional { sku, brand, type }
+   * @returns {Promise<Array>} - Document summaries, newest first
+   */
+  async listDocuments({ sku, brand, type } = {}) {
+    let query = this.supabase
+      .from(this.documentsTable)
+      .select(SUMMARY_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (sku) query = query.contains('skus', [sku.toUpperCase()]);
+    if (brand) query = query.contains('brands', [brand.toLowerCase()]);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Could not list documents: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object|null>} - Document with its original text
+   */
+  async getDocument(id) {
+    const { data, error } = await this.supabase
+      .from(this.documentsTable)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Could not load document: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Chunk and embed a document again - optionally with new content or details
+   * @param {string} id
+   * @param {object} changes - Optional upload fields to replace first
+   * @returns {Promise<object|null>} - Document summary, null if unknown
+   */
+  async reindexDocument(id, changes = {}) {
+    const existing = await this.getDocument(id);
+    if (!existing) return null;
+
+    const updated = {
+      ...existing,
+      ...this.createDocument({ ...existing, ...changes }),
+      updated_at: new Date().toISOString(),
+    };
+    return this.index(updated);
+  }
+
+  /**
+   * Re-index every document (after changing the chunk size or embedding model)
+   * @returns {Promise<object>} - { indexed, failed }
+   */
+  async reindexAll() {
+    const documents = await this.listDocuments();
+    let indexed = 0;
+    let failed = 0;
+
+    // One at a time - the embeddings API rate limit is the bottleneck anyway
+    for (const { id } of documents) {
+      const document = await this.reindexDocument(id);
+      if (document?.status === 'indexed') indexed++;
+      else failed++;
+    }
+
+    console.log(`[Knowledge] Re-indexed ${indexed} document(s), ${failed} failed`);
+    return { indexed, failed };
+  }
+
+  /**
+   * Remove a document and its chunks
+   * @param {string} id
+   * @returns {Promise<boolean>} - false if there was no such document
+   */
+  async deleteDocument(id) {
+    const existing = await this.getDocument(id);
+    if (!existing) return false;
+
+    // The foreign key cascades too; deleting explicitly keeps it independent of the schema
+    await this.supabase.from(this.chunksTable).delete().eq('document_id', id);
+    const { error } = await this.supabase.from(this.documentsTable).delete().eq('id', id);
+    if (error) {
+      throw new Error(`Could not delete document: ${error.message}`);
+    }
+
+    console.log(`[Knowledge] Deleted "${existing.title}" (${id})`);
+    return true;
+  }
+
+  /**
+   * Replace a document's chunks and save its status. Indexing failures are
+   * recorded on the document rather than thrown, so a bad upload can be fixed
+   * with a re-index.
+   * @param {object} document - Full document row
+   * @returns {Promise<object>} - Document summary
+   */
+  async index(document) {
+    let status = 'indexed';
+    let indexError = null;
+    let chunkCount = 0;
+
+    try {
+      const chunks = chunkSections(extractSections(document.content, document.format), {
+        size: this.chunkSize,
+        overlap: this.chunkOverlap,
+      });
+      if (chunks.length === 0) {
+        throw new Error('No text found in the document');
+      }
+
+      // The title and section go into the embedded text, not the stored passage:
+      // "Wi-Fi setup" should match the chunk under that heading
+      const embeddings = await this.embed(chunks.map(chunk =>
+        [document.title, chunk.section, chunk.content].filter(Boolean).join('\n')));
+
+      await this.supabase.from(this.chunksTable).delete().eq('document_id', document.id);
+      const { error } = await this.supabase.from(this.chunksTable).insert(chunks.map((chunk, index) => ({
+        document_id: document.id,
+        chunk_index: index,
+        section: chunk.section || null,
+        content: chunk.content,
+        skus: document.skus,
+        brands: document.brands,
+        embedding: embeddings[index],
+      })));
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      chunkCount = chunks.length;
+      console.log(`[Knowledge] Indexed "${document.title}": ${chunkCount} chunk(s)`);
+    } catch (error) {
+      status = 'failed';
+      indexError = error.message;
+      console.error(`[Knowledge] Indexing "${document.title}" failed:`, error.message);
+    }
+
+    const row = {
+      title: document.title,
+      content: document.content,
+      format: document.format,
+      type: document.type,
+      source: document.source,
+      skus: document.skus,
+      brands: document.brands,
+      status,
+      chunk_count: chunkCount,
+      index_error: indexError,
+      indexed_at: status === 'indexed' ? new Date().toISOString() : document.indexed_at,
+      updated_at: document.updated_at,
+    };
+    const { error } = await this.supabase.from(this.documentsTable).update(row).eq('id', document.id);
+    if (error) {
+      throw new Error(`Could not save document: ${error.message}`);
+    }
+
+    const { content, ...summary } = { ...document, ...row };
+    return summary;
+  }
+
+  /**
+   * Embed texts in batches
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts) {
+    const embeddings = [];
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH) {
+      const response = await this.openai.embeddings.create({
+        model: EMBEDDING_MODEL,
+        input: texts.slice(start, start + EMBEDDING_BATCH),
+      });
+      embeddings.push(...[...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding));
+    }
+    return embeddings;
+  }
+
+  /**
+   * Find passages that answer a support question
+   * @param {string} query - The question, in the caller's words
+   * @param {object} options - { sku, brand, limit }
+   * @returns {Promise<Array>} - [{ document_id, title, type, source, section, content, similarity }]
+   */
+  async search(query, { sku, brand, limit = 4 } = {}) {
+    const filterSku = sku ? sku.toUpperCase() : null;
+    let filterBrand = brand ? brand.toLowerCase() : null;
+
+    // A SKU also pulls in its brand's general documents
+    if (filterSku && !filterBrand) {
+      const product = await productService.findProductBySKU(filterSku);
+      filterBrand = product?.specifications?.brand?.toLowerCase() || null;
+    }
+
+    try {
+      console.log(`[Knowledge] Search: "${query}"${filterSku ? ` sku ${filterSku}` : ''}${filterBrand ? ` brand ${filterBrand}` : ''}`);
+      const [embedding] = await this.embed([query]);
+
+      const { data, error } = await this.supabase.rpc(this.matchFunction, {
+        query_embedding: embedding,
+        match_threshold: this.matchThreshold,
+        match_count: limit,
+        filter_sku: filterSku,
+        filter_brand: filterBrand,
+      });
+
+      if (error) {
+        console.error('[Knowledge] Vector search error:', error.message);
+        return this.keywordSearch(query, { sku: filterSku, brand: filterBrand, limit });
+      }
+
+      console.log(`[Knowledge] Found ${data?.length || 0} passage(s)`);
+      return data || [];
+    } catch (error) {
+      console.error('[Knowledge] Search exception:', error.message);
+      return this.keywordSearch(query, { sku: filterSku, brand: filterBrand, limit });
+    }
+  }
+
+  /**
+   * Fallback when embeddings or the match function are unavailable: passages
+   * containing the longest words of the query, most words first
+   * @param {string} query
+   * @param {object} options - { sku, brand, limit } (already normalised)
+   * @returns {Promise<Array>}
+   */
+  async keywordSearch(query, { sku, brand, limit }) {
+    const words = [...new Set(String(query).toLowerCase().match(/[a-z0-9-]{4,}/g) || [])]
+      .sort((a, b) => b.length - a.length)
+      .slice(0, 4);
+    if (words.length === 0) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.chunksTable)
+        .select('document_id, section, content, skus, brands')
+        .or(words.map(word => `content.ilike.%${word}%`).join(','))
+        .limit(limit * 5);
+
+      if (error) {
+        console.error('[Knowledge] Keyword search error:', error.message);
+        return [];
+      }
+
+      const hits = chunk => words.filter(word => chunk.content.toLowerCase().includes(word)).length;
+      const chunks = (data || [])
+        .filter(chunk => !sku || chunk.skus.includes(sku) || chunk.skus.length === 0)
+        .filter(chunk => !brand || chunk.brands.includes(brand) || chunk.brands.length === 0 || chunk.skus.includes(sku))
+        .sort((a, b) => hits(b) - hits(a))
+        .slice(0, limit);
+      if (chunks.length === 0) return [];
+
+      const { data: documents } = await this.supabase
+        .from(this.documentsTable)
+        .select('id, title, type, source')
+        .in('id', [...new Set(chunks.map(chunk => chunk.document_id))]);
+      const byId = new Map((documents || []).map(document => [document.id, document]));
+
+      return chunks.map(chunk => ({
+        document_id: chunk.document_id,
+        title: byId.get(chunk.document_id)?.title || 'Untitled',
+        type: byId.get(chunk.document_id)?.type || null,
+        source: byId.get(chunk.document_id)?.source || null,
+        section: chunk.section,
+        content: chunk.content,
+        similarity: null,
+      }));
+    } catch (error) {
+      console.error('[Knowledge] Keyword search exception:', error.message);
+      return [];
+    }
+  }
+}
+
+// Singleton instance
+export const knowledgeBaseService = new KnowledgeBaseService();
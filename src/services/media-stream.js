@@ -0,0 +1,313 @@
+import { WebSocketServer } from 'ws';
+import { config } from '../config/config.js';
+import { ttsService } from './tts.js';
+import { createRecognizer } from './recognizer.js';
+import { getClientIp } from '../utils/client-ip.js';
+
+/**
+ * Twilio Media Streams session
+ *
+ * One per <Connect><Stream> call. Caller audio (8kHz μ-law) goes to a streaming
+ * recogniser; each finished utterance is handed to the call handlers, whose text
+ * is spoken sentence by sentence through ElevenLabs (ulaw_8000) and written back
+ * to Twilio as media frames. A mark follows every sentence so we know what the
+ * caller has actually heard.
+ *
+ * Barge-in: when the caller starts talking while audio is playing we send
+ * Twilio a "clear" (drops its buffered audio) and abort the current turn.
+ *
+ * Handlers (provided by the server):
+ *   onStart({ callSid, streamSid, customParameters, ip, speak }) → false to reject the stream
+ *   onUtterance({ callSid, text, signal, speak }) → { hangup }
+ * speak(text, voiceId) accepts whole replies or streamed deltas.
+ */
+
+const PLAYBACK_DRAIN_TIMEOUT_MS = 30000;
+
+// A sentence ends at . ! or ? followed by whitespace
+const SENTENCE_END = /^(.+?[.!?])\s+/s;
+
+export class MediaStreamSession {
+  /**
+   * @param {WebSocket} socket - Twilio's WebSocket connection
+   * @param {object} handlers - See above
+   * @param {string} ip - Remote address (for the security log)
+   */
+  constructor(socket, handlers, ip) {
+    this.socket = socket;
+    this.handlers = handlers;
+    this.ip = ip;
+    this.callSid = null;
+    this.streamSid = null;
+
+    // Caller audio is dropped until onStart has accepted the stream
+    this.accepted = false;
+
+    this.recognizer = createRecognizer();
+    this.recognizer.on('speech', () => this.handleCallerSpeech());
+    this.recognizer.on('utterance', text => this.handleUtterance(text));
+    this.recognizer.on('error', error => console.error('[MediaStream] Recogniser error:', error.message));
+
+    this.turns = Promise.resolve();
+    this.turnController = new AbortController();
+    this.playback = Promise.resolve();
+    this.textBuffer = '';
+    this.textVoiceId = null;
+    this.markCounter = 0;
+    this.pendingMarks = new Set();
+    this.drainWaiters = [];
+    this.closed = false;
+
+    socket.on('message', data => this.handleMessage(data));
+    socket.on('close', () => this.cleanup());
+    socket.on('error', error => console.error('[MediaStream] Socket error:', error.message));
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('[MediaStream] Ignoring non-JSON message');
+      return;
+    }
+
+    switch (message.event) {
+      case 'connected':
+        break;
+
+      case 'start':
+        this.handleStart(message.start).catch(error => {
+          console.error('[MediaStream] Start failed:', error.message);
+          this.close();
+        });
+        break;
+
+      case 'media':
+        if (this.accepted && (!message.media.track || message.media.track === 'inbound')) {
+          this.recognizer.write(Buffer.from(message.media.payload, 'base64'));
+        }
+        break;
+
+      case 'mark':
+        this.handleMark(message.mark.name);
+        break;
+
+      case 'stop':
+        this.close();
+        break;
+
+      // Sandbox only: the simulator sends text instead of audio
+      case 'sandbox_speech':
+        if (config.sandbox.enabled && this.accepted) {
+          this.handleCallerSpeech();
+          this.handleUtterance(message.text);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  async handleStart(start) {
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid;
+    console.log(`[MediaStream] Stream ${this.streamSid} started for call ${this.callSid}`);
+
+    const accepted = await this.handlers.onStart({
+      callSid: this.callSid,
+      streamSid: this.streamSid,
+      customParameters: start.customParameters || {},
+      ip: this.ip,
+      speak: (text, voiceId) => this.speak(text, voiceId, this.turnController.signal),
+    });
+
+    if (accepted === false || this.closed) {
+      this.close();
+      return;
+    }
+    this.accepted = true;
+    this.flushText(this.turnController.signal);
+  }
+
+  handleUtterance(text) {
+    console.log(`[MediaStream] ${this.callSid}: ${text}`);
+    this.turns = this.turns
+      .then(() => this.runTurn(text))
+      .catch(error => console.error('[MediaStream] Turn failed:', error.message));
+  }
+
+  async runTurn(text) {
+    if (this.closed) return;
+
+    this.turnController = new AbortController();
+    const { signal } = this.turnController;
+
+    const result = await this.handlers.onUtterance({
+      callSid: this.callSid,
+      text,
+      signal,
+      speak: (delta, voiceId) => this.speak(delta, voiceId, signal),
+    });
+    this.flushText(signal);
+
+    if (result?.hangup && !signal.aborted) {
+      await this.waitForPlayback();
+      this.close();
+    }
+  }
+
+  /**
+   * Caller started talking - stop playback if we are mid-sentence
+   */
+  handleCallerSpeech() {
+    if (this.pendingMarks.size === 0 && !this.textBuffer) return;
+
+    console.log(`[MediaStream] Barge-in on ${this.callSid}`);
+    this.send({ event: 'clear', streamSid: this.streamSid });
+    this.turnController.abort();
+    this.textBuffer = '';
+    this.pendingMarks.clear();
+    this.resolveDrainWaiters();
+  }
+
+  /**
+   * Queue text for speech, splitting it into sentences as it streams in
+   * @param {string} text - Text or a streamed delta
+   * @param {string} voiceId - ElevenLabs voice
+   * @param {AbortSignal} signal - Turn signal (barge-in)
+   */
+  speak(text, voiceId, signal) {
+    if (signal.aborted) return;
+
+    // A voice change (e.g. routing to a department) ends the previous sentence
+    if (this.textVoiceId && this.textVoiceId !== voiceId) {
+      this.flushText(signal);
+    }
+    this.textVoiceId = voiceId;
+    this.textBuffer += text;
+
+    let match;
+    while ((match = SENTENCE_END.exec(this.textBuffer))) {
+      this.textBuffer = this.textBuffer.substring(match[0].length);
+      this.enqueueSentence(match[1], voiceId, signal);
+    }
+  }
+
+  flushText(signal) {
+    const remaining = this.textBuffer.trim();
+    this.textBuffer = '';
+    if (remaining && !signal.aborted) {
+      this.enqueueSentence(remaining, this.textVoiceId, signal);
+    }
+  }
+
+  enqueueSentence(sentence, voiceId, signal) {
+    // Start synthesis straight away; playback stays in order
+    const audio = ttsService.generateSpeechStream(sentence, { voiceId, outputFormat: 'ulaw_8000', signal });
+    audio.catch(() => {});
+
+    const markName = `${this.callSid}-${++this.markCounter}`;
+    this.pendingMarks.add(markName);
+
+    this.playback = this.playback.then(async () => {
+      try {
+        const stream = await audio;
+        for await (const chunk of stream) {
+          if (signal.aborted || this.closed) break;
+          this.send({ event: 'media', streamSid: this.streamSid, media: { payload: chunk.toString('base64') } });
+        }
+      } catch (error) {
+        if (!signal.aborted) {
+          console.error('[MediaStream] TTS failed:', error.message);
+        }
+      }
+
+      if (signal.aborted || this.closed) {
+        this.handleMark(markName);
+      } else {
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: markName } });
+      }
+    });
+  }
+
+  handleMark(name) {
+    this.pendingMarks.delete(name);
+    if (this.pendingMarks.size === 0) {
+      this.resolveDrainWaiters();
+    }
+  }
+
+  resolveDrainWaiters() {
+    this.drainWaiters.forEach(resolve => resolve());
+    this.drainWaiters = [];
+  }
+
+  /**
+   * Resolve once the caller has heard everything queued (or after a timeout)
+   */
+  async waitForPlayback() {
+    await this.playback;
+    if (this.pendingMarks.size === 0) return;
+
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, PLAYBACK_DRAIN_TIMEOUT_MS);
+      this.drainWaiters.push(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  send(message) {
+    if (this.socket.readyState === this.socket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    if (this.socket.readyState === this.socket.OPEN) {
+      this.socket.close();
+    }
+    this.cleanup();
+  }
+
+  cleanup() {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.turnController.abort();
+    this.recognizer.close();
+    this.resolveDrainWaiters();
+
+    if (this.callSid) {
+      console.log(`[MediaStream] Stream ended for call ${this.callSid}`);
+    }
+  }
+}
+
+/**
+ * Accept Twilio Media Streams on the HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {object} handlers - Call handlers (see MediaStreamSession)
+ * @returns {WebSocketServer}
+ */
+export function attachMediaStreamServer(server, handlers) {
+  // Upgrades are matched by path here so other WebSocket endpoints (web chat)
+  // can share the server
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (request, socket, head) => {
+    if (new URL(request.url, 'http://localhost').pathname !== config.mediaStreams.path) return;
+    wss.handleUpgrade(request, socket, head, ws => wss.emit('connection', ws, request));
+  });
+
+  wss.on('connection', (socket, request) => {
+    const ip = getClientIp(request);
+    new MediaStreamSession(socket, handlers, ip);
+  });
+
+  console.log(`[MediaStream] Listening for streams on ${config.mediaStreams.path}`);
+  return wss;
+}
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { agentRegistry } from './agent-registry.js';
+import { businessHoursService } from './business-hours.js';
+import { recordStore, stateStore } from './state-store.js';
+import { telephonyService } from './telephony.js';
+
+/**
+ * Messaging service
+ * SMS and WhatsApp conversations. Each sender has a session (agent, history,
+ * transcript) that lapses after MESSAGING_SESSION_TIMEOUT_MINUTES of silence.
+ * Customers who ask for a person are handed to the staff inbox: their
+ * conversation is copied there, later messages go to staff instead of the AI,
+ * and staff answer with /admin/inbox/:id/reply until they close it.
+ *
+ * A sender's messages are queued in the shared state store and handled one at
+ * a time, in order, by whichever instance took the queue's lease - so two
+ * quick messages never race each other, even on different instances.
+ */
+
+export const INBOX_STATUSES = ['open', 'closed'];
+
+// Twilio concatenates long SMS up to 1600 characters
+const MAX_MESSAGE_LENGTH = 1600;
+const INBOX_RETAIN_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Another instance may take over a sender's queue if its worker goes quiet this long
+const QUEUE_LEASE_MS = 2 * 60 * 1000;
+
+// Customer asks for a human
+const HUMAN_REQUEST = /\b(human|real person|a person|consultant|staff member|someone real|(speak|talk|chat) (to|with) (someone|somebody|a real|an? agent))\b/i;
+
+export class MessagingService {
+  constructor() {
+    this.sessions = stateStore.namespace('messaging', {
+      ttlMs: config.messaging.sessionTimeoutMinutes * 60 * 1000,
+    });
+    this.inbox = recordStore.namespace('messaging-inbox', { ttlMs: INBOX_RETAIN_MS });
+
+    // Messages waiting for their turn, per sender: { messages, worker, leaseUntil }
+    this.queues = stateStore.namespace('messaging-queue', { ttlMs: QUEUE_LEASE_MS * 5 });
+  }
+
+  /**
+   * Channel and number of a Twilio address ("whatsapp:+27..." or "+27...")
+   * @param {string} address
+   * @returns {object} - { channel: 'sms' | 'whatsapp', number }
+   */
+  parseAddress(address) {
+    const text = String(address || '');
+    return text.startsWith('whatsapp:')
+      ? { channel: 'whatsapp', number: text.slice('whatsapp:'.length) }
+      : { channel: 'sms', number: text };
+  }
+
+  /**
+   * Queue a message behind the sender's earlier ones. The call that finds the
+   * queue idle takes its lease and handles every message in it - including ones
+   * other instances add meanwhile - until it is empty.
+   * @param {string} key - Session key
+   * @param {object} message - JSON-serialisable message
+   * @param {Function} handle - async (message) => any, run for each message this call handles
+   * @returns {Promise<number>} - Messages this call handled (0 if another worker has the queue)
+   */
+  async enqueue(key, message, handle) {
+    const worker = crypto.randomUUID();
+
+    const queue = await this.queues.update(key, current => {
+      const idle = !current?.worker || current.leaseUntil < Date.now();
+      return {
+        messages: [...(current?.messages || []), message],
+        worker: idle ? worker : current.worker,
+        leaseUntil: idle ? Date.now() + QUEUE_LEASE_MS : current.leaseUntil,
+      };
+    });
+    if (queue.worker !== worker) return 0;
+
+    let handled = 0;
+    for (;;) {
+      // Take the next message, or give the lease back once the queue is empty
+      let next;
+      await this.queues.update(key, current => {
+        next = undefined;
+        if (current?.worker !== worker) return undefined;
+        if (!current.messages.length) return { messages: [], worker: null, leaseUntil: 0 };
+
+        next = current.messages[0];
+        return { messages: current.messages.slice(1), worker, leaseUntil: Date.now() + QUEUE_LEASE_MS };
+      });
+      if (next === undefined) return handled;
+
+      try {
+        await handle(next);
+      } catch (error) {
+        console.error(`[Messaging] Error handling message from ${key}:`, error.message);
+      }
+      handled++;
+    }
+  }
+
+  /**
+   * Current session for a sender, or a new one with the entry agent
+   * @param {string} from - Twilio From address
+   * @param {string} to - Our number the customer messaged (Twilio To)
+   * @returns {Promise<object>} - Session (save it with saveSession)
+   */
+  async getSession(from, to) {
+    const { channel, number } = this.parseAddress(from);
+    const key = `${channel}:${number}`;
+    const existing = await this.sessions.get(key);
+    if (existing) return existing;
+
+    // Staff may still be handling an earlier conversation
+    const [open] = await this.inbox.values({ status: 'open', channel, customerNumber: number });
+
+    return {
+      id: `MS-${crypto.randomUUID()}`,
+      key,
+      channel,
+      from: number,
+      to: this.parseAddress(to).number || null,
+      agent: agentRegistry.entry().id,
+      history: [],
+      transcript: [],
+      toolCalls: [],
+      inboxId: open?.id || null,
+      startTime: new Date(),
+    };
+  }
+
+  /**
+   * Save a session (restarts its idle timeout)
+   * @param {object} session
+   */
+  async saveSession(session) {
+    await this.sessions.set(session.key, session);
+  }
+
+  /**
+   * Does the customer want a person?
+   * @param {string} text
+   * @returns {boolean}
+   */
+  wantsHuman(text) {
+    return HUMAN_REQUEST.test(text);
+  }
+
+  /**
+   * Send a message to the customer on the session's channel
+   * @param {object} session - Session or inbox conversation ({ channel, from/customerNumber, to })
+   * @param {string} text
+   * @returns {Promise<object>} - Twilio message
+   */
+  async send(session, text) {
+    const to = session.customerNumber || session.from;
+    const body = text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : text;
+
+    return session.channel === 'whatsapp'
+      ? telephonyService.sendWhatsApp(to, body, session.to || undefined)
+      : telephonyService.sendSMS(to, body, session.to || undefined);
+  }
+
+  /**
+   * Hand a session to the staff inbox
+   * @param {object} session - Mutated: inboxId is set
+   * @param {string} reason - Why (customer_request, agent_error)
+   * @returns {Promise<object>} - { conversation, reply } - reply is what to tell the customer
+   */
+  async handoff(session, reason) {
+    const agent = agentRegistry.get(session.agent);
+    const department = agent && agent.id !== agentRegistry.entry().id ? agent : agentRegistry.fallback();
+    const now = new Date();
+
+    const conversation = {
+      id: `IN-${crypto.randomUUID()}`,
+      channel: session.channel,
+      customerNumber: session.from,
+      to: session.to,
+      department: department.id,
+      reason,
+      status: 'open',
+      messages: session.transcript.map(entry => ({
+        at: new Date(entry.timestamp).toISOString(),
+        from: entry.speaker === 'Customer' ? 'customer' : 'agent',
+        text: entry.text,
+      })),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      closedAt: null,
+      closedBy: null,
+    };
+
+    await this.inbox.set(conversation.id, conversation);
+    session.inboxId = conversation.id;
+    console.log(`[Messaging] ${session.channel} conversation handed to ${department.id} inbox: ${conversation.id}`);
+
+    const hours = await businessHoursService.getStatus(department.id, now);
+    const reply = hours.open
+      ? `Thanks - I've passed this on to our ${department.name.toLowerCase()} team. Someone will reply to you here shortly.`
+      : `Thanks - I've passed this on to our ${department.name.toLowerCase()} team. ${businessHoursService.closedMessage(hours)} Someone will reply to you here then.`;
+
+    return { conversation, reply };
+  }
+
+  /**
+   * Add a customer message to their open inbox conversation
+   * @param {string} id - Inbox conversation id
+   * @param {string} text
+   * @returns {Promise<object|null>} - Conversation, null if it is gone or closed
+   */
+  async addCustomerMessage(id, text) {
+    let added = false;
+    const conversation = await this.inbox.update(id, current => {
+      added = current?.status === 'open';
+      if (!added) return undefined;
+
+      const at = new Date().toISOString();
+      return { ...current, messages: [...current.messages, { at, from: 'customer', text }], updatedAt: at };
+    });
+    return added ? conversation : null;
+  }
+
+  /**
+   * Inbox conversations, most recently active first
+   * @param {object} filters - { department, status }
+   * @returns {Promise<Array<object>>}
+   */
+  async listInbox({ department, status } = {}) {
+    const agentId = department ? agentRegistry.get(department)?.id || department : null;
+
+    return (await this.inbox.values({ department: agentId || undefined, status: status || undefined }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Get an inbox conversation
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async getConversation(id) {
+    return (await this.inbox.get(id)) || null;
+  }
+
+  /**
+   * Staff reply to a customer
+   * @param {string} id - Inbox conversation id
+   * @param {object} reply - { message, staff }
+   * @returns {Promise<object|null>} - Updated conversation, null if not found
+   */
+  async reply(id, { message, staff } = {}) {
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      throw new Error('message is required');
+    }
+
+    const conversation = await this.inbox.get(id);
+    if (!conversation) return null;
+    if (conversation.status === 'closed') {
+      throw new Error('Conversation is closed');
+    }
+
+    await this.send(conversation, message.trim());
+
+    const at = new Date().toISOString();
+    const sent = { at, from: 'staff', staff: staff || null, text: message.trim() };
+    return (await this.inbox.update(id, current => current && {
+      ...current,
+      messages: [...current.messages, sent],
+      updatedAt: at,
+    })) || null;
+  }
+
+  /**
+   * Close an inbox conversation - the customer's next message goes to the AI again
+   * @param {string} id
+   * @param {object} details - { closedBy }
+   * @returns {Promise<object|null>} - Updated conversation, null if not found
+   */
+  async close(id, { closedBy } = {}) {
+    const closedAt = new Date().toISOString();
+    const conversation = await this.inbox.update(id, current => current && {
+      ...current,
+      status: 'closed',
+      closedAt,
+      closedBy: closedBy || null,
+      updatedAt: closedAt,
+    });
+    if (!conversation) return null;
+
+    // Hand the sender back to the AI
+    const session = await this.sessions.get(`${conversation.channel}:${conversation.customerNumber}`);
+    if (session?.inboxId === id) {
+      await this.sessions.delete(session.key);
+    }
+
+    console.log(`[Messaging] Inbox conversation ${id} closed`);
+    return conversation;
+  }
+}
+
+// Singleton instance
+export const messagingService = new MessagingService();
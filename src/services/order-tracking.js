@@ -1,11 +1,15 @@
-import mysql from 'mysql2/promise';
 import { config } from '../config/config.js';
+import { createMysqlConnection } from '../utils/clients.js';
 import axios from 'axios';
 
 /**
  * Order Tracking Service
  * Connects to OpenCart database and Ship Logic API for real-time order tracking
  */
+
+// Delivery addresses can change until the courier is booked (Pending, Processing, Processed)
+const ADDRESS_CHANGE_STATUSES = [1, 2, 15];
+
 export class OrderTrackingService {
   constructor() {
     // OpenCart database connection config
@@ -27,7 +31,7 @@ export class OrderTrackingService {
    */
   async getConnection() {
     try {
-      const connection = await mysql.createConnection(this.dbConfig);
+      const connection = await createMysqlConnection(this.dbConfig);
       return connection;
     } catch (error) {
       console.error('[OrderTracking] Database connection error:', error.message);
@@ -215,12 +219,70 @@ export class OrderTrackingService {
     }
   }
 
+  /**
+   * Change the delivery address of an order that hasn't been dispatched
+   * @param {string} orderNumber - Order ID
+   * @param {object} address - { address1, address2, city, postcode }
+   * @param {string} note - Added to the order history (who changed it, how they were verified)
+   * @returns {Promise<object>} - { updated, message }
+   */
+  async updateShippingAddress(orderNumber, { address1, address2 = '', city, postcode }, note = 'Delivery address changed by phone') {
+    if (!address1 || !city || !postcode) {
+      return { updated: false, message: 'Need the street address, city and postcode' };
+    }
+
+    let connection;
+
+    try {
+      connection = await this.getConnection();
+
+      const [orders] = await connection.execute(
+        `SELECT order_id, order_status_id FROM ${this.tablePrefix}order WHERE order_id = ? LIMIT 1`,
+        [orderNumber]
+      );
+      if (orders.length === 0) {
+        return { updated: false, message: `Order ${orderNumber} not found` };
+      }
+
+      const order = orders[0];
+      if (!ADDRESS_CHANGE_STATUSES.includes(Number(order.order_status_id))) {
+        return { updated: false, message: `Order ${orderNumber} is already with the courier - the address can't be changed now. Offer to arrange re-delivery or collection instead.` };
+      }
+
+      await connection.execute(
+        `UPDATE ${this.tablePrefix}order
+         SET shipping_address_1 = ?, shipping_address_2 = ?, shipping_city = ?, shipping_postcode = ?, date_modified = NOW()
+         WHERE order_id = ?`,
+        [address1, address2, city, postcode, order.order_id]
+      );
+      await connection.execute(
+        `INSERT INTO ${this.tablePrefix}order_history (order_id, order_status_id, notify, comment, date_added)
+         VALUES (?, ?, 0, ?, NOW())`,
+        [order.order_id, order.order_status_id, note]
+      );
+
+      console.log(`[OrderTracking] Delivery address updated for order ${order.order_id}`);
+      return { updated: true, message: `Delivery address for order ${order.order_id} changed to ${[address1, address2, city, postcode].filter(Boolean).join(', ')}` };
+    } catch (error) {
+      console.error('[OrderTracking] Error updating address:', error.message);
+      throw new Error(`Address update failed: ${error.message}`);
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  }
+
   /**
    * Get Ship Logic tracking information
    * @param {string} orderNumber - Order number
    * @returns {Promise<object>} - Tracking information
    */
   async getShipLogicTracking(orderNumber) {
+    if (config.sandbox.enabled) {
+      return null;
+    }
+
     try {
       // Ship Logic API endpoint (adjust based on actual API documentation)
       const response = await axios.get(`https://api.shiplogic.com/v2/track/${orderNumber}`, {
@@ -253,9 +315,10 @@ export class OrderTrackingService {
   /**
    * Format order information for AI agent
    * @param {object} orderInfo - Order information
+   * @param {object} options - { redacted } - caller not verified: status and date only
    * @returns {string} - Formatted text
    */
-  formatOrderInfo(orderInfo) {
+  formatOrderInfo(orderInfo, { redacted = false } = {}) {
     if (!orderInfo.found) {
       return orderInfo.message;
     }
@@ -265,6 +328,12 @@ export class OrderTrackingService {
 
     formatted += `Status: ${order.status}\n`;
     formatted += `Order Date: ${new Date(order.orderDate).toLocaleDateString('en-ZA')}\n`;
+
+    if (redacted) {
+      formatted += `\nIdentity NOT verified: products, amounts, tracking, customer and address details are withheld. Verify the caller to hear them.`;
+      return formatted;
+    }
+
     formatted += `Total: ${order.total}\n\n`;
 
     formatted += `Customer: ${order.customer.name}\n`;
@@ -311,9 +380,13 @@ export class OrderTrackingService {
   /**
    * Format order list for AI agent
    * @param {object} ordersInfo - Orders information
+   * @param {object} options - { redacted } - caller not verified: nothing, not even whether there are orders
    * @returns {string} - Formatted text
    */
-  formatOrderList(ordersInfo) {
+  formatOrderList(ordersInfo, { redacted = false } = {}) {
+    if (redacted) {
+      return 'Identity NOT verified: orders for an email address are only listed once the caller is verified as its owner.';
+    }
     if (!ordersInfo.found) {
       return ordersInfo.message;
     }
@@ -0,0 +1,228 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+
+/**
+ * Payment providers
+ *
+ * A provider turns a payment link into a page the customer pays on, and turns
+ * the provider's notification (PayFast ITN, a webhook) back into a result.
+ * Adding a gateway (Yoco, Ozow) means one more class with the same shape:
+ *
+ *   name, label                                 'payfast', 'PayFast' (label goes in the order history)
+ *   createCheckout(link, urls) → { url, reference }
+ *     link: { id, orderId, amount, currency, customer: { firstName, lastName, email, phoneNumber } }
+ *     urls: { notifyUrl, returnUrl, cancelUrl }
+ *   parseNotification(body) → { linkId, status, amount, reference }
+ *     status: 'paid' | 'failed' | 'cancelled' | 'pending'. Throws if the
+ *     notification can't be trusted (bad signature, not confirmed by the provider).
+ */
+
+/**
+ * PayFast's URL encoding: like a form post, spaces as "+" and upper-case escapes
+ * @param {*} value
+ * @returns {string}
+ */
+function payfastEncode(value) {
+  return encodeURIComponent(String(value).trim()).replace(/%20/g, '+');
+}
+
+/**
+ * "key=value&key=value" in the given order
+ * @param {object} fields
+ * @param {object} options - { skipBlank } - checkout fields leave out empty values, ITNs don't
+ * @returns {string}
+ */
+function paramString(fields, { skipBlank = false } = {}) {
+  return Object.entries(fields)
+    .filter(([, value]) => !skipBlank || (value !== undefined && value !== null && String(value).trim() !== ''))
+    .map(([key, value]) => `${key}=${payfastEncode(value ?? '')}`)
+    .join('&');
+}
+
+/**
+ * Compare a signature without leaking, through timing, how much of it matched
+ * @param {string} signature - As received
+ * @param {string} expected - As computed
+ * @returns {boolean}
+ */
+function signatureMatches(signature, expected) {
+  const received = Buffer.from(String(signature || ''));
+  const wanted = Buffer.from(expected);
+  return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+}
+
+/**
+ * PayFast hosted checkout (redirect with a signed query string) and ITN
+ */
+export class PayFastProvider {
+  /**
+   * @param {object} options - { merchantId, merchantKey, passphrase, testMode }
+   */
+  constructor({ merchantId, merchantKey, passphrase, testMode }) {
+    this.name = 'payfast';
+    this.label = 'PayFast';
+    this.merchantId = merchantId;
+    this.merchantKey = merchantKey;
+    this.passphrase = passphrase;
+    this.host = testMode ? 'sandbox.payfast.co.za' : 'www.payfast.co.za';
+  }
+
+  sign(params) {
+    const text = this.passphrase ? `${params}&passphrase=${payfastEncode(this.passphrase)}` : params;
+    return crypto.createHash('md5').update(text).digest('hex');
+  }
+
+  async createCheckout(link, { notifyUrl, returnUrl, cancelUrl }) {
+    // Field order is PayFast's - the signature depends on it
+    const params = paramString({
+      merchant_id: this.merchantId,
+      merchant_key: this.merchantKey,
+      return_url: returnUrl,
+      cancel_url: cancelUrl,
+      notify_url: notifyUrl,
+      name_first: link.customer.firstName,
+      name_last: link.customer.lastName,
+      email_address: link.customer.email,
+      // Local format, e.g. 0719876543
+      cell_number: link.customer.phoneNumber?.replace(/^\+27/, '0'),
+      m_payment_id: link.id,
+      amount: link.amount.toFixed(2),
+      item_name: `Audico order ${link.orderId}`,
+    }, { skipBlank: true });
+
+    return {
+      url: `https://${this.host}/eng/process?${params}&signature=${this.sign(params)}`,
+      reference: link.id,
+    };
+  }
+
+  /**
+   * Check an ITN: our signature, then PayFast confirms it sent it
+   * @param {object} body - The posted ITN fields, in the order received
+   */
+  async parseNotification(body) {
+    const { signature, ...fields } = body;
+    const params = paramString(fields);
+
+    if (!signatureMatches(signature, this.sign(params))) {
+      throw new Error('ITN signature mismatch');
+    }
+
+    const response = await axios.post(`https://${this.host}/eng/query/validate`, params, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000,
+    });
+    if (String(response.data).trim() !== 'VALID') {
+      throw new Error('PayFast did not confirm the ITN');
+    }
+
+    const statuses = { COMPLETE: 'paid', FAILED: 'failed', CANCELLED: 'cancelled' };
+    return {
+      linkId: fields.m_payment_id,
+      status: statuses[fields.payment_status] || 'pending',
+      amount: parseFloat(fields.amount_gross),
+      reference: fields.pf_payment_id || null,
+    };
+  }
+}
+
+/**
+ * Local stand-in for a gateway (sandbox and development). The "hosted page" is
+ * /payments/mock/:id on this server; paying there sends a signed notification
+ * through the same path as a real ITN.
+ */
+export class MockPaymentProvider {
+  /**
+   * @param {object} options - { secret } - signs the mock notifications
+   */
+  constructor({ secret }) {
+    this.name = 'mock';
+    this.label = 'mock gateway';
+    this.secret = secret;
+  }
+
+  sign(linkId, status, amount) {
+    return crypto.createHmac('sha256', this.secret).update(`${linkId}:${status}:${amount}`).digest('hex');
+  }
+
+  async createCheckout(link, { returnUrl }) {
+    const baseUrl = new URL(returnUrl).origin;
+    return { url: `${baseUrl}/payments/mock/${encodeURIComponent(link.id)}`, reference: link.id };
+  }
+
+  /**
+   * The notification the mock page sends when the customer pays or cancels
+   * @param {object} link - Payment link
+   * @param {string} status - 'paid' | 'cancelled'
+   * @returns {object} - Posted to the notify URL
+   */
+  notificationFor(link, status) {
+    const amount = link.amount.toFixed(2);
+    return {
+      link_id: link.id,
+      status,
+      amount,
+      reference: `MOCK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      signature: this.sign(link.id, status, amount),
+    };
+  }
+
+  async parseNotification(body) {
+    const { link_id: linkId, status, amount, reference, signature } = body;
+    if (!signatureMatches(signature, this.sign(linkId, status, amount))) {
+      throw new Error('Mock notification signature mismatch');
+    }
+
+    return { linkId, status, amount: parseFloat(amount), reference: reference || null };
+  }
+}
+
+/**
+ * The configured provider: PAYMENT_PROVIDER, else PayFast when it has a merchant
+ * ID. The mock gateway lets customers "pay" without paying, so it is only used
+ * in sandbox mode or when PAYMENT_PROVIDER=mock asks for it; without either,
+ * payment links are off. Links also need a public URL (PUBLIC_BASE_URL) for the
+ * payment pages and notifications. Outside the sandbox the mock gateway signs
+ * with PAYMENT_MOCK_SECRET, shared by every instance, and won't start without it
+ * @param {object} options - config.payments
+ * @returns {PayFastProvider|MockPaymentProvider|null}
+ */
+export function createPaymentProvider(options = config.payments) {
+  const name = config.sandbox.enabled
+    ? 'mock'
+    : options.provider || (options.payfast.merchantId ? 'payfast' : null);
+
+  if (!name) {
+    console.warn('[Payments] No payment provider configured - payment links are off');
+    return null;
+  }
+
+  if (!options.publicUrl) {
+    console.warn('[Payments] PUBLIC_BASE_URL is not set - payment links are off');
+    return null;
+  }
+
+  if (name === 'payfast') {
+    if (!options.payfast.merchantId || !options.payfast.merchantKey) {
+      console.warn('[Payments] PayFast needs PAYFAST_MERCHANT_ID and PAYFAST_MERCHANT_KEY - payment links are off');
+      return null;
+    }
+    return new PayFastProvider(options.payfast);
+  }
+
+  if (name === 'mock') {
+    if (config.sandbox.enabled) {
+      // One process, so a secret of its own is enough
+      return new MockPaymentProvider({ secret: options.mock.secret || crypto.randomBytes(32).toString('hex') });
+    }
+    if (!options.mock.secret) {
+      throw new Error('PAYMENT_PROVIDER=mock needs PAYMENT_MOCK_SECRET (the same on every instance) to sign its notifications');
+    }
+    console.warn('[Payments] Using the mock payment gateway (PAYMENT_PROVIDER=mock) - no real payments are taken');
+    return new MockPaymentProvider({ secret: options.mock.secret });
+  }
+
+  console.warn(`[Payments] Unknown PAYMENT_PROVIDER "${name}" - payment links are off`);
+  return null;
+}
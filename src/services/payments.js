@@ -0,0 +1,423 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { recordStore } from './state-store.js';
+import { accountsService } from './accounts.js';
+import { telephonyService } from './telephony.js';
+import { createPaymentProvider } from './payment-providers.js';
+import { createEmailClient, createMysqlConnection } from '../utils/clients.js';
+import { normalizePhoneNumber } from '../utils/compliance.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Payment links
+ *
+ * Sales and Accounts can send a customer a link to pay an unpaid OpenCart order,
+ * by SMS or email to the contact details on the order (never to ones given on
+ * the call). The amount always comes from the order. The provider's
+ * notification (routes/payments.js) marks the order paid: the status moves to
+ * PAYMENT_PAID_ORDER_STATUS_ID with a history note, and the next time the
+ * customer calls or messages the agents are told the payment arrived.
+ *
+ * Link states: pending → paid, or expired once PAYMENT_LINK_EXPIRY_HOURS pass.
+ * A cancelled or failed attempt leaves the link pending so it can be tried again.
+ * Providers retry notifications, so two can arrive at once: every change to a
+ * link is a compare-and-set, and only the one that moves it from pending to
+ * paid updates the order.
+ */
+
+// Orders still waiting for payment (Pending, Failed)
+const PAYABLE_STATUSES = [1, 10];
+// Sends of the same link (the agent re-sending it to a customer who can't find it)
+const MAX_SENDS_PER_LINK = 3;
+
+const money = amount => `R${amount.toFixed(2)}`;
+const longDate = date => new Date(date).toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric' });
+const maskPhone = number => (number ? `***${number.slice(-4)}` : null);
+const maskEmail = email => (email?.includes('@') ? `${email.charAt(0)}***@${email.split('@')[1]}` : null);
+
+export class PaymentService {
+  constructor() {
+    this.dbConfig = {
+      host: process.env.OPENCART_DB_HOST,
+      port: parseInt(process.env.OPENCART_DB_PORT) || 3306,
+      user: process.env.OPENCART_DB_USER,
+      password: process.env.OPENCART_DB_PASSWORD,
+      database: process.env.OPENCART_DB_NAME,
+    };
+    this.tablePrefix = process.env.OPENCART_TABLE_PREFIX || 'oc_';
+    this.provider = createPaymentProvider();
+    this.email = createEmailClient();
+
+    const { linkExpiryHours, followUpDays } = config.payments;
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    // Links are kept past their expiry so late notifications still find them
+    this.links = recordStore.namespace('payment-links', {
+      ttlMs: linkExpiryHours * 60 * 60 * 1000 + followUpDays * dayMs,
+    });
+    // Order → its pending link, so asking twice re-sends the same one
+    this.openLinks = recordStore.namespace('payment-links-open', {
+      ttlMs: linkExpiryHours * 60 * 60 * 1000,
+    });
+    // Phone number → payments that arrived, for the next call
+    this.received = recordStore.namespace('payments-received', {
+      ttlMs: followUpDays * dayMs,
+    });
+  }
+
+  get enabled() {
+    return Boolean(this.provider);
+  }
+
+  /**
+   * Where the provider sends the customer and its notifications
+   * @param {object} link
+   * @returns {object} - { notifyUrl, returnUrl, cancelUrl }
+   */
+  urlsFor(link) {
+    const base = config.payments.publicUrl;
+    const id = encodeURIComponent(link.id);
+    return {
+      notifyUrl: `${base}/payments/notify/${this.provider.name}`,
+      returnUrl: `${base}/payments/return/${id}`,
+      cancelUrl: `${base}/payments/cancel/${id}`,
+    };
+  }
+
+  /**
+   * A payment link, marked expired once its time is up
+   * @param {string} linkId
+   * @returns {Promise<object|null>}
+   */
+  async get(linkId) {
+    const link = await this.links.get(linkId);
+    if (link?.status === 'pending' && new Date(link.expiresAt) <= new Date()) {
+      return this.links.update(linkId, current =>
+        (current?.status === 'pending' ? { ...current, status: 'expired' } : undefined));
+    }
+    return link;
+  }
+
+  /**
+   * The pending payment link for an unpaid order, created if there isn't one
+   * @param {string} orderId - Order number
+   * @param {object} createdBy - { callSid, agent, channel }
+   * @returns {Promise<object>} - { link, order } or { error, order }
+   */
+  async openLink(orderId, { callSid = null, agent = null, channel = 'voice' } = {}) {
+    if (!this.enabled) {
+      return { error: "Payment links aren't set up - ask staff to help the customer pay." };
+    }
+
+    const order = await accountsService.findOrder(orderId);
+    if (!order) {
+      return { error: `No order matching "${orderId}".` };
+    }
+    if (!PAYABLE_STATUSES.includes(Number(order.order_status_id))) {
+      return { order, error: `Order ${order.order_id} isn't waiting for payment (status: ${order.status_name || 'unknown'}), so no link is needed.` };
+    }
+    if ((order.currency_code || 'ZAR') !== 'ZAR') {
+      return { order, error: `Order ${order.order_id} is in ${order.currency_code} - payment links are only in rand. Ask staff to help.` };
+    }
+
+    const openId = await this.openLinks.get(String(order.order_id));
+    let link = openId ? await this.get(openId) : null;
+
+    if (link?.status !== 'pending' || link.amount !== parseFloat(order.total)) {
+      const now = new Date();
+      link = {
+        id: `PL-${crypto.randomUUID()}`,
+        provider: this.provider.name,
+        orderId: String(order.order_id),
+        amount: parseFloat(order.total),
+        currency: 'ZAR',
+        customer: {
+          firstName: order.firstname || null,
+          lastName: order.lastname || null,
+          email: order.email || null,
+          phoneNumber: order.telephone ? normalizePhoneNumber(order.telephone) : null,
+        },
+        status: 'pending',
+        url: null,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + config.payments.linkExpiryHours * 60 * 60 * 1000).toISOString(),
+        createdBy: { callSid, agent, channel },
+        sends: [],
+        attempts: [],
+        paidAt: null,
+        reference: null,
+      };
+
+      const checkout = await this.provider.createCheckout(link, this.urlsFor(link));
+      link.url = checkout.url;
+      link.reference = checkout.reference;
+      await this.links.set(link.id, link);
+
+      // Only one link per order: if another request opened one in the meantime, use that
+      const openNow = await this.openLinks.update(link.orderId, current =>
+        ((current ?? null) === (openId ?? null) ? link.id : undefined));
+      if (openNow !== link.id) {
+        await this.links.delete(link.id);
+        return this.openLink(orderId, { callSid, agent, channel });
+      }
+      console.log(`[Payments] Link ${link.id} created for order ${link.orderId} (${money(link.amount)}, ${this.provider.name})`);
+    }
+
+    return { link, order };
+  }
+
+  /**
+   * Send (or re-send) the payment link for an unpaid order
+   * @param {object} request - { orderId, sendBy: 'sms' | 'email' | 'both', callSid, agent, channel }
+   * @returns {Promise<object>} - { sent, linkId, orderId, sentTo, expiresAt, order, message }
+   */
+  async createLink({ orderId, sendBy = 'sms', ...createdBy }) {
+    const { link, order, error } = await this.openLink(orderId, createdBy);
+    if (error) {
+      return { sent: false, order, message: error };
+    }
+
+    if (link.sends.length >= MAX_SENDS_PER_LINK) {
+      return { sent: false, linkId: link.id, orderId: link.orderId, order, message: `The payment link for order ${link.orderId} has already been sent ${link.sends.length} times - ask staff to help if the customer still can't find it.` };
+    }
+
+    const sentTo = await this.deliver(link, sendBy);
+    if (!sentTo.sms && !sentTo.email) {
+      return { sent: false, linkId: link.id, orderId: link.orderId, order, message: `Couldn't send the payment link for order ${link.orderId} - ${sentTo.reason}.` };
+    }
+
+    const send = { at: new Date().toISOString(), callSid: createdBy.callSid || null, sms: Boolean(sentTo.sms), email: Boolean(sentTo.email) };
+    await this.links.update(link.id, current => (current ? { ...current, sends: [...current.sends, send] } : undefined));
+
+    const where = [sentTo.sms && `by SMS to ${sentTo.sms}`, sentTo.email && `by email to ${sentTo.email}`].filter(Boolean).join(' and ');
+    return {
+      sent: true,
+      linkId: link.id,
+      orderId: link.orderId,
+      sentTo,
+      expiresAt: link.expiresAt,
+      order,
+      message: `Payment link for order ${link.orderId} sent ${where}. It works until ${longDate(link.expiresAt)}; the order is marked paid as soon as the payment comes through.`,
+    };
+  }
+
+  /**
+   * Send the link to the phone number and/or email address on the order
+   * @param {object} link
+   * @param {string} sendBy - 'sms' | 'email' | 'both'
+   * @returns {Promise<object>} - { sms, email } (masked, null if not sent), reason when neither was sent
+   */
+  async deliver(link, sendBy) {
+    const sentTo = { sms: null, email: null };
+    const reasons = [];
+    const { phoneNumber, email, firstName } = link.customer;
+
+    if (sendBy === 'sms' || sendBy === 'both') {
+      if (!/^\+\d{9,15}$/.test(phoneNumber || '')) {
+        reasons.push('there is no mobile number on the order');
+      } else {
+        try {
+          await telephonyService.sendSMS(phoneNumber, `Audico: pay ${money(link.amount)} for order ${link.orderId} securely here: ${link.url} (valid until ${longDate(link.expiresAt)})`);
+          sentTo.sms = maskPhone(phoneNumber);
+        } catch (error) {
+          reasons.push('the SMS failed');
+        }
+      }
+    }
+
+    if (sendBy === 'email' || sendBy === 'both') {
+      if (!email) {
+        reasons.push('there is no email address on the order');
+      } else if (!this.email) {
+        reasons.push("email isn't set up");
+      } else {
+        try {
+          await this.email.send({
+            to: email,
+            from: config.email.from,
+            fromName: config.email.fromName,
+            subject: `Pay for your Audico order ${link.orderId}`,
+            text: [
+              `Hi ${firstName || 'there'},`,
+              '',
+              `Here is the link to pay for order ${link.orderId}:`,
+              '',
+              link.url,
+              '',
+              `Amount: ${money(link.amount)}`,
+              `Valid until: ${longDate(link.expiresAt)}`,
+              '',
+              "We'll start on your order as soon as the payment comes through.",
+              'Audico',
+            ].join('\n'),
+          });
+          sentTo.email = maskEmail(email);
+        } catch (error) {
+          console.error('[Payments] Email failed:', error.message);
+          reasons.push('the email failed');
+        }
+      }
+    }
+
+    return { ...sentTo, ...(reasons.length > 0 && { reason: reasons.join(' and ') }) };
+  }
+
+  /**
+   * A notification from the provider (PayFast ITN, the mock gateway)
+   * @param {string} providerName - From the notify URL
+   * @param {object} body - Posted fields
+   * @param {object} context - { ip }
+   * @returns {Promise<object>} - { handled, status, linkId }
+   */
+  async handleNotification(providerName, body, { ip } = {}) {
+    const security = (type, details) => logger.logSecurity({ type, path: `/payments/notify/${providerName}`, ip: ip || 'n/a', details });
+
+    if (!this.enabled || providerName !== this.provider.name) {
+      await security('payment_notification_unexpected', { provider: providerName });
+      return { handled: false };
+    }
+
+    let notification;
+    try {
+      notification = await this.provider.parseNotification(body);
+    } catch (error) {
+      await security('payment_notification_rejected', { error: error.message });
+      return { handled: false };
+    }
+
+    const link = await this.get(notification.linkId);
+    if (!link) {
+      await security('payment_notification_unknown_link', { linkId: notification.linkId || null });
+      return { handled: false };
+    }
+    if (link.status === 'paid') {
+      return { handled: true, status: 'paid', linkId: link.id };
+    }
+
+    if (notification.status !== 'paid') {
+      const attempt = { at: new Date().toISOString(), status: notification.status, reference: notification.reference };
+      const updated = await this.links.update(link.id, current =>
+        (current ? { ...current, attempts: [...current.attempts, attempt] } : undefined));
+      console.log(`[Payments] Link ${link.id}: ${notification.status}`);
+      return { handled: true, status: updated?.status || link.status, linkId: link.id };
+    }
+
+    // Paid - but only for the full amount of this link
+    if (Math.abs(notification.amount - link.amount) > 0.009) {
+      await security('payment_amount_mismatch', { linkId: link.id, expected: link.amount, received: notification.amount });
+      return { handled: false };
+    }
+
+    await this.markPaid(link, notification);
+    return { handled: true, status: 'paid', linkId: link.id };
+  }
+
+  /**
+   * Payment arrived: mark the order paid in OpenCart, the link paid, and remember
+   * it for the customer's next call. Only the notification that claims the
+   * link (pending → paid) does any of this.
+   * @param {object} pendingLink
+   * @param {object} notification - From the provider
+   * @returns {Promise<boolean>} - false when another notification got there first
+   */
+  async markPaid(pendingLink, notification) {
+    const paidAt = new Date().toISOString();
+    let claimed = false;
+    const link = await this.links.update(pendingLink.id, current => {
+      claimed = current?.status === 'pending';
+      return claimed
+        ? {
+          ...current,
+          status: 'paid',
+          paidAt,
+          reference: notification.reference || current.reference,
+          attempts: [...current.attempts, { at: paidAt, status: 'paid', reference: notification.reference }],
+        }
+        : undefined;
+    });
+    if (!claimed) {
+      console.log(`[Payments] Link ${pendingLink.id} already ${link?.status || 'gone'} - notification ignored`);
+      return false;
+    }
+    await this.openLinks.delete(link.orderId);
+
+    let connection;
+    try {
+      connection = await createMysqlConnection(this.dbConfig);
+      await connection.execute(
+        `UPDATE ${this.tablePrefix}order SET order_status_id = ?, date_modified = NOW()
+         WHERE order_id = ? AND order_status_id IN (${PAYABLE_STATUSES.join(', ')})`,
+        [config.payments.paidStatusId, Number(link.orderId)]
+      );
+      await connection.execute(
+        `INSERT INTO ${this.tablePrefix}order_history (order_id, order_status_id, notify, comment, date_added)
+         VALUES (?, ?, 1, ?, NOW())`,
+        [Number(link.orderId), config.payments.paidStatusId, `Payment of ${money(link.amount)} received via ${this.provider.label} payment link (reference ${link.reference})`]
+      );
+    } catch (error) {
+      // The money is in; staff have to update the order by hand
+      console.error(`[Payments] Order ${link.orderId} paid but not updated in OpenCart:`, error.message);
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+
+    if (link.customer.phoneNumber) {
+      const number = link.customer.phoneNumber;
+      const payment = { linkId: link.id, orderId: link.orderId, amount: link.amount, paidAt: link.paidAt };
+      await this.received.update(number, current => [...(current || []), payment]);
+
+      try {
+        await telephonyService.sendSMS(number, `Audico: thanks, we've received your payment of ${money(link.amount)} for order ${link.orderId}.`);
+      } catch (error) {
+        console.error('[Payments] Confirmation SMS failed:', error.message);
+      }
+    }
+
+    await logger.logAudit({
+      type: 'payment_link',
+      callSid: link.createdBy.callSid,
+      agent: link.createdBy.agent,
+      action: 'payment_received',
+      reference: link.orderId,
+      outcome: 'ok',
+      details: { linkId: link.id, provider: link.provider, amount: link.amount, providerReference: link.reference },
+    });
+    console.log(`[Payments] Order ${link.orderId} paid (${money(link.amount)}, ${link.reference})`);
+    return true;
+  }
+
+  /**
+   * Payments that came in from this number's links in the last PAYMENT_FOLLOW_UP_DAYS
+   * @param {string} phoneNumber
+   * @returns {Promise<Array<object>>} - [{ linkId, orderId, amount, paidAt }]
+   */
+  async paymentsFor(phoneNumber) {
+    const number = normalizePhoneNumber(phoneNumber);
+    if (!/^\+\d{9,15}$/.test(number)) return [];
+
+    const since = Date.now() - config.payments.followUpDays * 24 * 60 * 60 * 1000;
+    const payments = (await this.received.get(number)) || [];
+    return payments.filter(payment => new Date(payment.paidAt).getTime() >= since);
+  }
+
+  /**
+   * What the agents are told about payments that arrived (system prompt)
+   * @param {string} phoneNumber - Caller or sender
+   * @returns {Promise<string|null>}
+   */
+  async promptFor(phoneNumber) {
+    const payments = await this.paymentsFor(phoneNumber);
+    if (payments.length === 0) return null;
+
+    const lines = payments.map(payment => `- Order ${payment.orderId}: ${money(payment.amount)} paid ${longDate(payment.paidAt)}`);
+    return [
+      'PAYMENT RECEIVED: a payment link we sent to this number has been paid and the order is now being processed. If the caller asks about paying, tell them their payment came through. Only name the order or amount once their identity is verified.',
+      ...lines,
+    ].join('\n');
+  }
+}
+
+// Singleton instance
+export const paymentService = new PaymentService();
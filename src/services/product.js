@@ -1,6 +1,26 @@
-import { createClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
 import { config } from '../config/config.js';
+import { createSupabaseClient, createOpenAIClient } from '../utils/clients.js';
+
+// Words that say nothing about what a caller is asking ("does it have HDMI eARC?" → hdmi, earc)
+const QUESTION_STOPWORDS = new Set([
+  'a', 'an', 'the', 'it', 'its', 'this', 'that', 'they', 'them', 'i', 'my', 'me', 'you', 'we',
+  'do', 'does', 'did', 'is', 'are', 'was', 'be', 'can', 'could', 'will', 'would', 'should',
+  'have', 'has', 'had', 'with', 'to', 'of', 'for', 'on', 'in', 'and', 'or', 'if', 'what',
+  'which', 'how', 'any', 'there', 'one', 'please', 'so', 'at', 'by', 'from',
+]);
+
+// A Q&A pair counts as the caller's question from this Dice score of shared words
+const QUESTION_MATCH_SCORE = 0.5;
+
+/**
+ * Meaningful words of a question or fact
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function questionWords(text) {
+  return new Set((String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !QUESTION_STOPWORDS.has(word)));
+}
 
 /**
  * Product Knowledge Service with RAG (Retrieval-Augmented Generation)
@@ -11,15 +31,13 @@ import { config } from '../config/config.js';
 export class ProductService {
   constructor() {
     // Initialize Supabase client
-    this.supabase = createClient(
+    this.supabase = createSupabaseClient(
       config.supabase.url,
       config.supabase.serviceRoleKey || config.supabase.anonKey
     );
 
     // Initialize OpenAI for embeddings (used for semantic search)
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+    this.openai = createOpenAIClient(config.openai.apiKey);
 
     // Cache for frequently accessed products
     this.productCache = new Map();
@@ -335,6 +353,147 @@ export class ProductService {
     }
   }
 
+  /**
+   * Find one product by SKU, then name, then semantic search
+   * @param {string} reference - SKU or product name as the caller said it
+   * @returns {Promise<object|null>} - Full call_center_products row
+   */
+  async findProduct(reference) {
+    const query = String(reference || '').trim();
+    if (!query) return null;
+
+    if (/^[\w-]+$/.test(query)) {
+      const product = await this.findProductBySKU(query.toUpperCase());
+      if (product) return product;
+    }
+
+    const [byName] = await this.findProductByName(query);
+    if (byName) return byName;
+
+    // Search results only carry the listing columns
+    const [bySearch] = await this.semanticSearch(query, 1);
+    return bySearch ? this.getProductById(bySearch.id) : null;
+  }
+
+  /**
+   * How old the AI-extracted details are
+   * @param {object} product - With knowledge_updated_at
+   * @param {Date} now
+   * @returns {object|null} - { updatedAt, ageDays, stale }, null if never extracted
+   */
+  knowledgeFreshness(product, now = new Date()) {
+    if (!product?.knowledge_updated_at) return null;
+
+    const ageDays = Math.max(0, Math.floor((now - new Date(product.knowledge_updated_at)) / (24 * 60 * 60 * 1000)));
+    return {
+      updatedAt: product.knowledge_updated_at,
+      ageDays,
+      stale: ageDays > config.productKnowledge.staleDays,
+    };
+  }
+
+  /**
+   * The stored common question closest to the caller's, if it is close enough
+   * @param {object} knowledge - enhanced_knowledge
+   * @param {string} question
+   * @returns {object|null} - { q, a, score }
+   */
+  matchCommonQuestion(knowledge, question) {
+    const asked = questionWords(question);
+    if (asked.size === 0) return null;
+
+    let best = null;
+    for (const pair of knowledge?.common_questions || []) {
+      if (!pair?.q || !pair?.a) continue;
+      const stored = questionWords(pair.q);
+      const shared = [...asked].filter(word => stored.has(word)).length;
+      const score = (2 * shared) / (asked.size + stored.size);
+      if (score >= QUESTION_MATCH_SCORE && (!best || score > best.score)) {
+        best = { q: pair.q, a: pair.a, score: Math.round(score * 100) / 100 };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Specs, compatibility, features and setup notes that mention a word of the question
+   * ("works with Alexa?" → "Compatible with: Amazon Alexa")
+   * @param {object} knowledge - enhanced_knowledge
+   * @param {string} question
+   * @returns {Array<string>}
+   */
+  relatedFacts(knowledge, question) {
+    const asked = questionWords(question);
+    if (asked.size === 0 || !knowledge) return [];
+
+    const facts = [
+      ...Object.entries(knowledge.technical_specs || {}).map(([name, value]) => `${name}: ${value}`),
+      ...(knowledge.compatibility || []).map(item => `Compatible with: ${item}`),
+      ...(knowledge.key_features || []).map(item => `Feature: ${item}`),
+      ...(knowledge.setup_notes || []).map(item => `Setup: ${item}`),
+    ];
+    return facts.filter(fact => [...questionWords(fact)].some(word => asked.has(word)));
+  }
+
+  /**
+   * Everything the daily sync extracted about a product, with the answer to a
+   * caller's question when the stored Q&A or specs cover it
+   * @param {string} reference - SKU or product name
+   * @param {string} question - Optional, the caller's question
+   * @returns {Promise<object>}
+   */
+  async getProductDetails(reference, question) {
+    const product = await this.findProduct(reference);
+    if (!product) {
+      return { found: false, message: `No product found for "${reference}"` };
+    }
+
+    const details = {
+      found: true,
+      name: product.name,
+      sku: product.sku,
+      brand: product.specifications?.brand || null,
+    };
+    const knowledge = product.enhanced_knowledge;
+
+    if (!knowledge) {
+      return {
+        ...details,
+        has_details: false,
+        description: product.description || null,
+        features: product.features || [],
+        note: 'No extracted specs or Q&A for this product yet - answer only from the description and features, or offer to check with a specialist.',
+      };
+    }
+
+    const freshness = this.knowledgeFreshness(product);
+    Object.assign(details, {
+      has_details: true,
+      key_features: knowledge.key_features || [],
+      technical_specs: knowledge.technical_specs || {},
+      compatibility: knowledge.compatibility || [],
+      setup_notes: knowledge.setup_notes || [],
+      common_uses: knowledge.common_uses || [],
+      common_questions: knowledge.common_questions || [],
+      details_updated: freshness
+        ? `${freshness.updatedAt.substring(0, 10)} (${freshness.ageDays} day${freshness.ageDays === 1 ? '' : 's'} ago)`
+        : 'unknown',
+    });
+
+    if (question) {
+      const match = this.matchCommonQuestion(knowledge, question);
+      details.question = question;
+      details.matched_question = match?.q || null;
+      details.answer = match?.a || null;
+      details.related_facts = this.relatedFacts(knowledge, question);
+    }
+
+    if (!freshness || freshness.stale) {
+      details.note = `These details were last updated ${freshness ? `${freshness.ageDays} days ago` : 'at an unknown date'} and may be out of date. Tell the caller you will confirm anything important with a specialist.`;
+    }
+    return details;
+  }
+
   /**
    * Format product information for AI agent response
    * @param {object} product - Product object from database
@@ -380,6 +539,23 @@ export class ProductService {
       info += '\nKey features: ' + product.features.join(', ');
     }
 
+    // The extracted details are long - point at get_product_details instead of inlining them
+    const knowledge = product.enhanced_knowledge;
+    if (knowledge) {
+      const parts = [
+        knowledge.technical_specs && 'specs',
+        knowledge.compatibility?.length && 'compatibility',
+        knowledge.setup_notes?.length && 'setup notes',
+        knowledge.common_questions?.length &&
+          `${knowledge.common_questions.length} common question${knowledge.common_questions.length === 1 ? '' : 's'}`,
+      ].filter(Boolean);
+      const freshness = this.knowledgeFreshness(product);
+      if (parts.length > 0) {
+        info += `\nMore details on file: ${parts.join(', ')} (get_product_details)`;
+        if (freshness?.stale) info += ` - last updated ${freshness.ageDays} days ago`;
+      }
+    }
+
     return info;
   }
 
@@ -0,0 +1,494 @@
+import { config } from '../config/config.js';
+import { agentRegistry } from './agent-registry.js';
+import { ivrService } from './ivr.js';
+import { stateStore } from './state-store.js';
+import { telephonyService } from './telephony.js';
+
+/**
+ * Hold queue for human transfers
+ *
+ * Callers wait in a Twilio <Enqueue> named after their department. Twilio polls
+ * the wait URL; each poll decides what the caller hears next (position and
+ * estimated wait, a callback offer once they have waited callbackThreshold, hold
+ * music) and rings the department's transfer chain (its staff numbers, then the
+ * fallback agent's), one number at a time, until someone answers and dequeues the
+ * caller. At maxWaitTime the caller leaves the queue for voicemail.
+ *
+ * Transfers are warm: staff hear a whisper of the AI handoff summary (and get it by
+ * SMS) and press 1 to take the call or 2 to pass it on. Every failed attempt (busy,
+ * no answer, declined, ...) is recorded on the call state; once the whole chain has
+ * failed, the caller is offered a callback or voicemail.
+ */
+
+const DEFAULT_WAIT_PER_CALLER_SECONDS = 120;
+const AGENT_RING_TIMEOUT_SECONDS = 25;
+const WHISPER_SUMMARY_LENGTH = 400;
+const SMS_SUMMARY_LENGTH = 600;
+
+/**
+ * Shorten text at a sentence (or word) boundary
+ * @param {string} text
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+
+  const cut = clean.substring(0, length);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  return sentenceEnd > length / 2 ? cut.substring(0, sentenceEnd + 1) : `${cut.substring(0, cut.lastIndexOf(' '))}...`;
+}
+
+export class QueueService {
+  constructor() {
+    const callTtlMs = config.stateStore.callTtlMinutes * 60 * 1000;
+
+    this.maxWaitTime = config.queue.maxWaitTime;
+    this.callbackThreshold = config.queue.callbackThreshold;
+    this.announceInterval = config.queue.announceInterval;
+
+    // Callers currently queued, by CallSid
+    this.callers = stateStore.namespace('queue-callers', { ttlMs: callTtlMs });
+    // Staff call in progress per department (one at a time)
+    this.agentCalls = stateStore.namespace('queue-agent-calls', { ttlMs: 2 * 60 * 1000 });
+    // Running totals per department
+    this.stats = stateStore.namespace('queue-stats');
+  }
+
+  /**
+   * Queue name for a department (Twilio queue friendly name)
+   * @param {string} department - Agent id or name
+   * @returns {string}
+   */
+  queueName(department) {
+    return (agentRegistry.get(department) || agentRegistry.fallback()).id;
+  }
+
+  /**
+   * Put a caller in the department queue (call before returning <Enqueue>)
+   * @param {string} callSid - Caller's call
+   * @param {string} department - Department
+   * @param {object} details - { callerNumber, baseUrl }
+   */
+  async enter(callSid, department, { callerNumber, baseUrl }) {
+    const queue = this.queueName(department);
+
+    await this.callers.set(callSid, {
+      callSid,
+      queue,
+      callerNumber,
+      baseUrl,
+      enteredAt: new Date().toISOString(),
+      lastAnnouncedAt: null,
+      outcome: null,
+      handoff: null,
+      attempts: [],
+    });
+    await this.updateStats(queue, stats => { stats.entered++; });
+
+    console.log(`[Queue] ${callSid} joined the ${queue} queue`);
+    await this.ringAgent(queue, baseUrl);
+  }
+
+  /**
+   * Decide what a waiting caller hears next (Twilio wait URL poll)
+   * @param {string} callSid - Caller's call
+   * @param {object} params - Twilio wait params { QueuePosition, QueueTime }
+   * @returns {Promise<object>} - { leave, announcement, offerCallback }
+   */
+  async onWait(callSid, { QueuePosition, QueueTime }) {
+    const caller = await this.callers.get(callSid);
+    if (!caller) {
+      return { leave: false, announcement: null, offerCallback: false };
+    }
+
+    const waited = parseInt(QueueTime) || 0;
+    const position = parseInt(QueuePosition) || 1;
+
+    if (caller.outcome === 'unanswered') {
+      return { leave: true, announcement: null, offerCallback: false };
+    }
+
+    if (waited >= this.maxWaitTime) {
+      console.log(`[Queue] ${callSid} reached the maximum wait (${waited}s) - sending to voicemail`);
+      caller.outcome = 'timeout';
+      await this.callers.set(callSid, caller);
+      return { leave: true, announcement: null, offerCallback: false };
+    }
+
+    // Keep trying staff while callers are waiting
+    await this.ringAgent(caller.queue, caller.baseUrl);
+
+    const now = Date.now();
+    const announceDue = !caller.lastAnnouncedAt ||
+      now - new Date(caller.lastAnnouncedAt).getTime() >= this.announceInterval * 1000;
+
+    if (!announceDue) {
+      return { leave: false, announcement: null, offerCallback: false };
+    }
+
+    caller.lastAnnouncedAt = new Date(now).toISOString();
+    await this.callers.set(callSid, caller);
+
+    const estimate = await this.estimateWait(caller.queue, position);
+    return {
+      leave: false,
+      announcement: `You are number ${position} in the queue. ${this.describeWait(estimate)}`,
+      offerCallback: waited >= this.callbackThreshold,
+    };
+  }
+
+  /**
+   * Attach the AI handoff summary whispered to staff
+   * @param {string} callSid - Caller's call
+   * @param {object} handoff - From ivrService.generateHandoffSummary
+   */
+  async setHandoff(callSid, handoff) {
+    const caller = await this.callers.get(callSid);
+    if (!caller) return;
+
+    caller.handoff = handoff;
+    await this.callers.set(callSid, caller);
+  }
+
+  /**
+   * Longest-waiting caller still in a queue - the one <Dial><Queue> will connect
+   * @param {string} queue - Queue name
+   * @returns {Promise<object|null>}
+   */
+  async nextCaller(queue) {
+    const waiting = (await this.callers.values())
+      .filter(caller => caller.queue === queue && !caller.outcome)
+      .sort((a, b) => a.enteredAt.localeCompare(b.enteredAt));
+    return waiting[0] || null;
+  }
+
+  /**
+   * Numbers in the transfer chain a caller hasn't been offered to yet
+   * @param {object} caller - Queued caller
+   * @returns {Array<string>}
+   */
+  remainingNumbers(caller) {
+    const tried = caller.attempts.map(attempt => attempt.number);
+    return agentRegistry.transferChainFor(caller.queue).filter(number => !tried.includes(number));
+  }
+
+  /**
+   * Record a failed transfer attempt; once the whole chain has failed the caller
+   * leaves the queue (outcome 'unanswered') on the next wait poll
+   * @param {string} callerSid - Queued caller
+   * @param {string} number - Staff number tried
+   * @param {string} status - busy, no-answer, failed, canceled, hung-up or declined
+   */
+  async recordFailedAttempt(callerSid, number, status) {
+    const caller = await this.callers.get(callerSid);
+    if (!caller || caller.outcome) return;
+
+    const attempt = { department: caller.queue, number, status, at: new Date().toISOString() };
+    caller.attempts.push(attempt);
+
+    await ivrService.recordFailedTransfer(callerSid, attempt);
+
+    if (this.remainingNumbers(caller).length === 0) {
+      console.log(`[Queue] No one in the ${caller.queue} transfer chain took ${callerSid} - offering callback or voicemail`);
+      caller.outcome = 'unanswered';
+    } else {
+      console.log(`[Queue] Transfer attempt for ${callerSid} failed (${status}) - trying the next number`);
+    }
+    await this.callers.set(callerSid, caller);
+  }
+
+  /**
+   * Staff member pressed 1 - the call will be bridged
+   * @param {string} queue - Queue name
+   * @param {string} agentCallSid - Staff call
+   */
+  async agentAccepted(queue, agentCallSid) {
+    const current = await this.agentCalls.get(queue);
+    if (current?.callSid === agentCallSid) {
+      await this.agentCalls.set(queue, { ...current, accepted: true });
+    }
+  }
+
+  /**
+   * Staff member pressed 2 (or didn't answer the whisper): ring the next number
+   * in the chain
+   * @param {string} queue - Queue name
+   * @param {string} callerSid - Queued caller that was offered
+   * @param {string} agentNumber - Number that declined
+   * @param {string} agentCallSid - Staff call
+   */
+  async agentDeclined(queue, callerSid, agentNumber, agentCallSid) {
+    const current = await this.agentCalls.get(queue);
+    if (current?.callSid === agentCallSid) {
+      await this.agentCalls.set(queue, { ...current, callSid: null });
+    }
+
+    await this.recordFailedAttempt(callerSid, agentNumber, 'declined');
+
+    const caller = await this.callers.get(callerSid);
+    if (caller) {
+      await this.ringAgent(queue, caller.baseUrl);
+    }
+  }
+
+  /**
+   * Whisper for the staff member: who is calling and why
+   * @param {object} caller - Queued caller
+   * @returns {string}
+   */
+  whisperText(caller) {
+    const handoff = caller.handoff || {};
+    const department = agentRegistry.get(caller.queue)?.name || caller.queue;
+    const parts = [`Audico ${department} call`];
+
+    if (handoff.callerName) parts.push(`from ${handoff.callerName}`);
+    let text = `${parts.join(' ')}.`;
+    if (handoff.intent) text += ` Intent: ${handoff.intent.replace(/_/g, ' ')}.`;
+    if (handoff.urgency) text += ` Urgency: ${handoff.urgency}.`;
+    text += handoff.summary
+      ? ` Summary: ${truncate(handoff.summary, WHISPER_SUMMARY_LENGTH)}`
+      : ' No summary is available yet.';
+
+    return text;
+  }
+
+  /**
+   * Handoff summary SMS for the staff member
+   * @param {object} caller - Queued caller
+   * @returns {string}
+   */
+  handoffSms(caller) {
+    const handoff = caller.handoff || {};
+    const department = agentRegistry.get(caller.queue)?.name || caller.queue;
+    const lines = [
+      `Audico ${department} transfer`,
+      `Caller: ${[handoff.callerName, caller.callerNumber].filter(Boolean).join(' ')}`,
+    ];
+
+    if (handoff.intent) lines.push(`Intent: ${handoff.intent}`);
+    if (handoff.urgency) lines.push(`Urgency: ${handoff.urgency}`);
+    if (handoff.summary) lines.push(truncate(handoff.summary, SMS_SUMMARY_LENGTH));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Text the handoff summary to a staff member (once per caller and number)
+   * @param {object} caller - Queued caller
+   * @param {string} agentNumber - Staff phone
+   */
+  async sendHandoffSms(caller, agentNumber) {
+    const record = await this.callers.get(caller.callSid);
+    if (!record || (record.smsSentTo || []).includes(agentNumber)) return;
+
+    record.smsSentTo = [...(record.smsSentTo || []), agentNumber];
+    await this.callers.set(caller.callSid, record);
+
+    try {
+      await telephonyService.sendSMS(agentNumber, this.handoffSms(caller));
+    } catch (error) {
+      console.error('[Queue] Handoff SMS failed:', error.message);
+    }
+  }
+
+  /**
+   * Caller chose to hang up and be called back
+   * @param {string} callSid - Caller's call
+   * @returns {Promise<boolean>} - Whether the caller was queued
+   */
+  async requestCallback(callSid) {
+    const caller = await this.callers.get(callSid);
+    if (!caller) return false;
+
+    caller.outcome = 'callback';
+    await this.callers.set(callSid, caller);
+    console.log(`[Queue] ${callSid} asked for a callback from ${caller.queue}`);
+    return true;
+  }
+
+  /**
+   * Caller left the queue (Twilio <Enqueue> action)
+   * @param {string} callSid - Caller's call
+   * @param {object} params - { QueueResult, QueueTime }
+   * @returns {Promise<object>} - { outcome, caller } - outcome: bridged, callback,
+   *   timeout, unanswered, abandoned or error
+   */
+  async leave(callSid, { QueueResult, QueueTime }) {
+    const caller = await this.callers.get(callSid);
+    if (!caller) {
+      return { outcome: QueueResult === 'bridged' ? 'bridged' : 'error', caller: null };
+    }
+
+    const waited = parseInt(QueueTime) || 0;
+    let outcome;
+    if (QueueResult === 'bridged' || QueueResult === 'bridging-in-process') {
+      outcome = 'bridged';
+    } else if (QueueResult === 'hangup') {
+      outcome = 'abandoned';
+    } else if (QueueResult === 'leave' && caller.outcome) {
+      outcome = caller.outcome;
+    } else {
+      outcome = 'error';
+    }
+
+    await this.updateStats(caller.queue, stats => {
+      stats[outcome] = (stats[outcome] || 0) + 1;
+      stats.totalWaitSeconds += waited;
+      stats.longestWaitSeconds = Math.max(stats.longestWaitSeconds, waited);
+      if (outcome === 'bridged') {
+        stats.answeredWaitSeconds += waited;
+      }
+    });
+    await this.callers.delete(callSid);
+
+    console.log(`[Queue] ${callSid} left the ${caller.queue} queue: ${outcome} after ${waited}s`);
+    return { outcome, caller };
+  }
+
+  /**
+   * Ring the next number in the transfer chain for the caller at the front of the
+   * queue, unless a staff call is already ringing or talking
+   * @param {string} queue - Queue name (agent id)
+   * @param {string} baseUrl - Public base URL for the staff call's TwiML
+   */
+  async ringAgent(queue, baseUrl) {
+    const current = await this.agentCalls.get(queue);
+    if (current?.callSid) return;
+
+    const head = await this.nextCaller(queue);
+    if (!head) return;
+    const [number] = this.remainingNumbers(head);
+    if (!number) return;
+
+    const attempt = head.attempts.length + 1;
+    const slot = { number, callerSid: head.callSid, accepted: false };
+    // Hold the slot before dialling so parallel polls don't ring twice
+    await this.agentCalls.set(queue, { ...slot, callSid: 'pending' });
+
+    try {
+      const call = await telephonyService.makeOutboundCall(
+        number,
+        `${baseUrl}/voice/queue/agent?queue=${encodeURIComponent(queue)}`,
+        {
+          timeout: AGENT_RING_TIMEOUT_SECONDS,
+          statusCallback: `${baseUrl}/voice/queue/agent-status?queue=${encodeURIComponent(queue)}`,
+        }
+      );
+      await this.agentCalls.set(queue, { ...slot, callSid: call.sid });
+      console.log(`[Queue] Ringing ${queue} staff for ${head.callSid} (attempt ${attempt})`);
+    } catch (error) {
+      console.error(`[Queue] Could not ring ${queue} staff:`, error.message);
+      await this.agentCalls.set(queue, { ...slot, callSid: null });
+      await this.recordFailedAttempt(head.callSid, number, 'failed');
+    }
+  }
+
+  /**
+   * Staff call finished - free the slot and ring the next number.
+   * A call that ended without the staff member accepting (busy, no answer, hung up
+   * during the whisper) counts as a failed transfer attempt.
+   * @param {string} queue - Queue name
+   * @param {string} callSid - Staff call
+   * @param {string} status - Twilio CallStatus
+   */
+  async agentCallEnded(queue, callSid, status) {
+    const current = await this.agentCalls.get(queue);
+    if (current?.callSid !== callSid) return;
+
+    await this.agentCalls.set(queue, { ...current, callSid: null });
+    if (!current.accepted && current.callerSid) {
+      await this.recordFailedAttempt(current.callerSid, current.number, status === 'completed' ? 'hung-up' : status);
+    }
+
+    // Don't leave the next caller waiting for the next wait poll
+    const next = await this.nextCaller(queue);
+    if (next) {
+      await this.ringAgent(queue, next.baseUrl);
+    }
+  }
+
+  /**
+   * Estimated wait in seconds for a queue position
+   * @param {string} queue - Queue name
+   * @param {number} position - 1-based position
+   * @returns {Promise<number>}
+   */
+  async estimateWait(queue, position) {
+    const stats = await this.getQueueStats(queue);
+    const perCaller = stats.bridged > 0
+      ? stats.answeredWaitSeconds / stats.bridged
+      : DEFAULT_WAIT_PER_CALLER_SECONDS;
+    return Math.round(perCaller * position);
+  }
+
+  /**
+   * Speakable estimate: "Your estimated wait is about 3 minutes."
+   * @param {number} seconds
+   * @returns {string}
+   */
+  describeWait(seconds) {
+    if (seconds < 60) return 'Your estimated wait is less than a minute.';
+    const minutes = Math.round(seconds / 60);
+    return `Your estimated wait is about ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  }
+
+  /**
+   * Totals for one queue
+   * @param {string} queue - Queue name
+   * @returns {Promise<object>}
+   */
+  async getQueueStats(queue) {
+    return (await this.stats.get(queue)) || {
+      queue,
+      since: new Date().toISOString(),
+      entered: 0,
+      bridged: 0,
+      abandoned: 0,
+      callback: 0,
+      timeout: 0,
+      unanswered: 0,
+      error: 0,
+      totalWaitSeconds: 0,
+      answeredWaitSeconds: 0,
+      longestWaitSeconds: 0,
+    };
+  }
+
+  async updateStats(queue, update) {
+    const stats = await this.getQueueStats(queue);
+    update(stats);
+    await this.stats.set(queue, stats);
+  }
+
+  /**
+   * Queue statistics for analytics
+   * @returns {Promise<Array<object>>} - Per department: totals, callers waiting, averages
+   */
+  async getStats() {
+    const waiting = await this.callers.values();
+
+    const result = [];
+    for (const agent of agentRegistry.departments()) {
+      const stats = await this.getQueueStats(agent.id);
+      const left = stats.bridged + stats.abandoned + stats.callback + stats.timeout + (stats.unanswered || 0) + stats.error;
+      const queued = waiting.filter(caller => caller.queue === agent.id);
+
+      result.push({
+        ...stats,
+        department: agent.name,
+        waiting: queued.length,
+        oldestWaitingSince: queued.map(caller => caller.enteredAt).sort()[0] || null,
+        averageWaitSeconds: left > 0 ? Math.round(stats.totalWaitSeconds / left) : 0,
+        averageAnswerSeconds: stats.bridged > 0 ? Math.round(stats.answeredWaitSeconds / stats.bridged) : 0,
+        abandonRate: left > 0 ? Math.round((stats.abandoned / left) * 100) / 100 : 0,
+      });
+    }
+
+    return result;
+  }
+}
+
+// Singleton instance
+export const queueService = new QueueService();
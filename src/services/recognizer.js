@@ -0,0 +1,177 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { config } from '../config/config.js';
+import { sttService } from './stt.js';
+import { ulawEnergy, ulawToWav } from '../utils/audio.js';
+
+/**
+ * Streaming speech recognisers for Twilio Media Streams
+ *
+ * Both recognisers take 8kHz μ-law frames via write() and emit:
+ *   'speech'     - the caller started talking (used for barge-in)
+ *   'utterance'  - text of a finished caller turn
+ *   'error'      - recogniser failure
+ */
+
+/**
+ * Deepgram live transcription (preferred - interim results and endpointing)
+ */
+export class DeepgramRecognizer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.finals = [];
+    this.speaking = false;
+    this.pending = [];
+
+    const params = new URLSearchParams({
+      model: options.model || config.deepgram.model,
+      language: 'en',
+      encoding: 'mulaw',
+      sample_rate: '8000',
+      channels: '1',
+      interim_results: 'true',
+      endpointing: '300',
+      utterance_end_ms: '1000',
+      smart_format: 'true',
+    });
+
+    this.socket = new WebSocket(`wss://api.deepgram.com/v1/listen?${params}`, {
+      headers: { Authorization: `Token ${options.apiKey || config.deepgram.apiKey}` },
+    });
+
+    this.socket.on('open', () => {
+      this.pending.forEach(frame => this.socket.send(frame));
+      this.pending = [];
+    });
+    this.socket.on('message', data => this.handleMessage(data));
+    this.socket.on('error', error => this.emit('error', error));
+  }
+
+  write(ulaw) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(ulaw);
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.pending.push(ulaw);
+    }
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'Results') {
+      const transcript = message.channel?.alternatives?.[0]?.transcript?.trim() || '';
+
+      // Interim words (not just noise) mean the caller is talking over us
+      if (transcript && !this.speaking) {
+        this.speaking = true;
+        this.emit('speech');
+      }
+
+      if (message.is_final && transcript) {
+        this.finals.push(transcript);
+      }
+      if (message.speech_final) {
+        this.endUtterance();
+      }
+    } else if (message.type === 'UtteranceEnd') {
+      this.endUtterance();
+    }
+  }
+
+  endUtterance() {
+    this.speaking = false;
+    const text = this.finals.join(' ').trim();
+    this.finals = [];
+    if (text) {
+      this.emit('utterance', text);
+    }
+  }
+
+  close() {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'CloseStream' }));
+      this.socket.close();
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.socket.terminate();
+    }
+  }
+}
+
+/**
+ * Energy-based voice activity detection + Whisper per utterance
+ * Fallback when no Deepgram key is configured. Slower (Whisper runs after the
+ * caller stops talking) but needs nothing beyond the OpenAI key.
+ */
+export class VadWhisperRecognizer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.threshold = options.threshold || config.mediaStreams.vadThreshold;
+    this.silenceFrames = Math.ceil((options.silenceMs || config.mediaStreams.vadSilenceMs) / 20);
+    this.startFrames = 3; // 60ms of voice before we call it speech
+    this.maxFrames = 30 * 50; // 30 seconds
+    this.preRollFrames = 10;
+
+    this.frames = [];
+    this.voicedRun = 0;
+    this.silentRun = 0;
+    this.inSpeech = false;
+  }
+
+  write(ulaw) {
+    const voiced = ulawEnergy(ulaw) >= this.threshold;
+    this.frames.push(ulaw);
+
+    if (!this.inSpeech) {
+      // Keep a little audio from before speech started
+      if (this.frames.length > this.preRollFrames) this.frames.shift();
+
+      this.voicedRun = voiced ? this.voicedRun + 1 : 0;
+      if (this.voicedRun >= this.startFrames) {
+        this.inSpeech = true;
+        this.silentRun = 0;
+        this.emit('speech');
+      }
+      return;
+    }
+
+    this.silentRun = voiced ? 0 : this.silentRun + 1;
+    if (this.silentRun >= this.silenceFrames || this.frames.length >= this.maxFrames) {
+      const audio = Buffer.concat(this.frames);
+      this.frames = [];
+      this.inSpeech = false;
+      this.voicedRun = 0;
+      this.transcribe(audio);
+    }
+  }
+
+  async transcribe(ulaw) {
+    try {
+      const text = (await sttService.transcribe(ulawToWav(ulaw))).trim();
+      if (text) {
+        this.emit('utterance', text);
+      }
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+
+  close() {
+    this.frames = [];
+  }
+}
+
+/**
+ * Pick the best available recogniser
+ * @returns {EventEmitter} - Recogniser with write() and close()
+ */
+export function createRecognizer() {
+  if (config.deepgram.apiKey && !config.sandbox.enabled) {
+    return new DeepgramRecognizer();
+  }
+  return new VadWhisperRecognizer();
+}
@@ -0,0 +1,356 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { config } from '../config/config.js';
+import { stateStore } from './state-store.js';
+import { telephonyService } from './telephony.js';
+import { complianceManager, normalizePhoneNumber } from '../utils/compliance.js';
+import { addDays, zonedParts, zonedTime } from '../utils/calendar.js';
+
+/**
+ * Shipment notifications
+ * Tells the customer (SMS or WhatsApp) when ShipLogic reports that their order
+ * was collected, is out for delivery, was delivered or couldn't be delivered.
+ * Which statuses notify and what the messages say live in
+ * src/config/shipment-notifications.yaml. Each notification goes out once per
+ * shipment; messages during quiet hours are held until they end, and numbers on
+ * the do-not-call list are skipped. Opt-out replies (STOP) add the number to it.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_NOTIFICATIONS_FILE = path.join(__dirname, '..', 'config', 'shipment-notifications.yaml');
+
+const RETAIN_MS = 90 * 24 * 60 * 60 * 1000;
+const PLACEHOLDERS = ['firstName', 'orderId', 'waybill', 'reference', 'trackingUrl'];
+
+/**
+ * Normalise and validate a parsed notifications file
+ * @param {object} raw - Parsed YAML
+ * @param {string} source - File name for error messages
+ * @returns {object} - { optOut, optOutKeywords, optInKeywords, trackingUrl, notifications: Array }
+ */
+export function validateNotifications(raw, source = 'shipment notifications') {
+  const errors = [];
+  const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+  if (!raw || typeof raw.notifications !== 'object' || Array.isArray(raw.notifications)) {
+    throw new Error(`Invalid ${source}: "notifications" must be a map of notification definitions`);
+  }
+
+  const statuses = new Map();
+  const notifications = [];
+
+  for (const [id, definition] of Object.entries(raw.notifications)) {
+    const label = `notifications.${id}`;
+    const notification = {
+      id,
+      statuses: (definition?.statuses || []).map(status => String(status).toLowerCase()),
+      template: definition?.template,
+      enabled: definition?.enabled !== false,
+    };
+
+    if (!isText(notification.template)) errors.push(`${label}.template is required`);
+    if (notification.statuses.length === 0) errors.push(`${label}.statuses must list at least one ShipLogic status`);
+
+    for (const status of notification.statuses) {
+      if (statuses.has(status)) {
+        errors.push(`${label}: status "${status}" is already used by ${statuses.get(status)}`);
+      }
+      statuses.set(status, id);
+    }
+
+    const unknown = (notification.template || '').match(/\{(\w+)\}/g)
+      ?.map(placeholder => placeholder.slice(1, -1))
+      .filter(name => !PLACEHOLDERS.includes(name)) || [];
+    unknown.forEach(name => errors.push(`${label}.template: unknown placeholder {${name}}`));
+
+    notifications.push(notification);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    optOut: isText(raw.optOut) ? raw.optOut.trim() : '',
+    optOutKeywords: (raw.optOutKeywords || ['stop']).map(keyword => String(keyword).toLowerCase()),
+    optInKeywords: (raw.optInKeywords || ['start']).map(keyword => String(keyword).toLowerCase()),
+    trackingUrl: raw.trackingUrl || '',
+    notifications,
+  };
+}
+
+/**
+ * Parse quiet hours ("20:00-08:00", may wrap past midnight; "off" for none)
+ * @param {string} value
+ * @returns {object|null} - { start, end } in minutes since midnight
+ */
+export function parseQuietHours(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text || text === 'off') return null;
+
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match) {
+    throw new Error(`SHIPMENT_QUIET_HOURS "${value}" is not HH:MM-HH:MM or off`);
+  }
+  return {
+    start: parseInt(match[1]) * 60 + parseInt(match[2]),
+    end: parseInt(match[3]) * 60 + parseInt(match[4]),
+  };
+}
+
+export class ShipmentNotificationService {
+  /**
+   * @param {string} filePath - Notifications YAML/JSON file
+   */
+  constructor(filePath = config.shipmentNotifications.file || DEFAULT_NOTIFICATIONS_FILE) {
+    const raw = fs.readFileSync(filePath, 'utf-8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    this.settings = validateNotifications(parsed, path.basename(filePath));
+
+    this.enabled = config.shipmentNotifications.enabled;
+    this.quietHours = parseQuietHours(config.shipmentNotifications.quietHours);
+    this.timezone = config.businessHours.timezone;
+    this.pollSeconds = config.shipmentNotifications.pollSeconds;
+
+    this.channel = config.shipmentNotifications.channel === 'whatsapp' ? 'whatsapp' : 'sms';
+    if (this.channel === 'whatsapp' && !config.twilio.whatsappNumber) {
+      console.warn('[Shipment Notifications] TWILIO_WHATSAPP_NUMBER is not set - sending by SMS');
+      this.channel = 'sms';
+    }
+
+    // One record per shipment and notification - dedupe and the quiet-hours hold
+    this.sent = stateStore.namespace('shipment-notifications', { ttlMs: RETAIN_MS });
+    this.timer = null;
+  }
+
+  /**
+   * Notification for a ShipLogic status
+   * @param {string} status - e.g. "out-for-delivery"
+   * @returns {object|null}
+   */
+  notificationFor(status) {
+    const key = String(status || '').toLowerCase();
+    return this.settings.notifications.find(notification =>
+      notification.enabled && notification.statuses.includes(key)) || null;
+  }
+
+  /**
+   * Fill in a notification template
+   * @param {object} notification
+   * @param {object} values - { firstName, orderId, waybill, reference }
+   * @returns {string} - Message text, with the opt-out line
+   */
+  render(notification, values) {
+    const fill = (template, fields) => template.replace(/\{(\w+)\}/g, (_, name) => fields[name] ?? '');
+    const fields = { ...values, trackingUrl: this.trackingUrlFor(values.waybill || '') };
+
+    const message = fill(notification.template, fields).replace(/\s+/g, ' ').trim();
+    return this.settings.optOut ? `${message} ${this.settings.optOut}` : message;
+  }
+
+  /**
+   * Courier tracking page for a waybill
+   * @param {string} waybill
+   * @returns {string} - Empty if no tracking URL is configured
+   */
+  trackingUrlFor(waybill) {
+    return this.settings.trackingUrl.replace(/\{waybill\}/g, encodeURIComponent(waybill));
+  }
+
+  /**
+   * Whether an instant falls in quiet hours
+   * @param {Date} instant
+   * @returns {boolean}
+   */
+  isQuietTime(instant) {
+    if (!this.quietHours) return false;
+    const { start, end } = this.quietHours;
+    const { minutes } = zonedParts(instant, this.timezone);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }
+
+  /**
+   * When the current quiet hours end
+   * @param {Date} instant - A time inside quiet hours
+   * @returns {Date}
+   */
+  quietHoursEnd(instant) {
+    const { date, minutes } = zonedParts(instant, this.timezone);
+    const day = minutes >= this.quietHours.end ? addDays(date, 1) : date;
+    return zonedTime(day, this.quietHours.end, this.timezone);
+  }
+
+  /**
+   * Notify the customer about a ShipLogic status change
+   * @param {object} update - { shipment, orderId, customer: { firstname, telephone } }
+   * @param {Date} now
+   * @returns {Promise<object>} - { status, notification, sendAfter } - status is sent, held,
+   *   duplicate, opted-out, failed or skipped
+   */
+  async handleShipmentUpdate({ shipment, orderId, customer }, now = new Date()) {
+    const notification = this.notificationFor(shipment.status);
+    if (!this.enabled || !notification) {
+      return { status: 'skipped', notification: notification?.id || null };
+    }
+
+    // Customers type their own number into OpenCart; Twilio needs E.164
+    const phoneNumber = customer?.telephone ? normalizePhoneNumber(customer.telephone) : '';
+    if (!phoneNumber) {
+      console.log(`[Shipment Notifications] Order ${orderId} has no phone number - ${notification.id} not sent`);
+      return { status: 'skipped', notification: notification.id };
+    }
+
+    const id = `${shipment.shipment_id}:${notification.id}`;
+    const existing = await this.sent.get(id);
+    if (existing && existing.status !== 'failed') {
+      return { status: 'duplicate', notification: notification.id };
+    }
+
+    const waybill = shipment.custom_tracking_reference || shipment.short_tracking_reference || '';
+    const record = {
+      id,
+      shipmentId: shipment.shipment_id,
+      orderId,
+      notification: notification.id,
+      shipLogicStatus: shipment.status,
+      phoneNumber,
+      channel: this.channel,
+      message: this.render(notification, {
+        firstName: customer.firstname || 'there',
+        orderId,
+        waybill,
+        reference: shipment.short_tracking_reference || waybill,
+      }),
+      status: 'held',
+      sendAfter: now.toISOString(),
+      createdAt: existing?.createdAt || now.toISOString(),
+      sentAt: null,
+      messageSid: null,
+      error: null,
+    };
+
+    if (this.isQuietTime(now)) {
+      record.sendAfter = this.quietHoursEnd(now).toISOString();
+      await this.sent.set(id, record);
+      console.log(`[Shipment Notifications] ${id} held until ${record.sendAfter} (quiet hours)`);
+      return { status: 'held', notification: notification.id, sendAfter: record.sendAfter };
+    }
+
+    // Claim the record first so a repeated webhook can't send it twice
+    await this.sent.set(id, record);
+    const sent = await this.deliver(record, now);
+    return { status: sent.status, notification: notification.id };
+  }
+
+  /**
+   * Send a notification record (opted-out numbers are skipped, and nothing is
+   * sent while opt-outs are not stored durably)
+   * @param {object} record
+   * @param {Date} now
+   * @returns {Promise<object>} - Updated record
+   */
+  async deliver(record, now = new Date()) {
+    if (!complianceManager.optOutsDurable()) {
+      record.status = 'failed';
+      record.error = 'Opt-outs are not stored durably - set RECORD_STORE';
+      await this.sent.set(record.id, record);
+      console.error(`[Shipment Notifications] ${record.id} not sent - the do-not-call list would not survive a restart`);
+      return record;
+    }
+
+    if (await complianceManager.isOnDoNotCallList(record.phoneNumber)) {
+      record.status = 'opted-out';
+      await this.sent.set(record.id, record);
+      console.log(`[Shipment Notifications] ${record.id} not sent - number opted out`);
+      return record;
+    }
+
+    try {
+      const message = record.channel === 'whatsapp'
+        ? await telephonyService.sendWhatsApp(record.phoneNumber, record.message)
+        : await telephonyService.sendSMS(record.phoneNumber, record.message);
+
+      record.status = 'sent';
+      record.sentAt = now.toISOString();
+      record.messageSid = message.sid;
+      console.log(`[Shipment Notifications] ${record.id} sent by ${record.channel}`);
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      console.error(`[Shipment Notifications] ${record.id} failed:`, error.message);
+    }
+
+    await this.sent.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Send messages held over quiet hours that are now due
+   * @param {Date} now
+   * @returns {Promise<number>} - Messages sent
+   */
+  async processHeld(now = new Date()) {
+    if (this.isQuietTime(now)) return 0;
+
+    const due = (await this.sent.values({ status: 'held', sendAfter: { lte: now.toISOString() } }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    let sent = 0;
+    for (const record of due) {
+      if ((await this.deliver(record, now)).status === 'sent') sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * Start sending held messages
+   */
+  start() {
+    if (this.timer || !this.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.processHeld().catch(error => console.error('[Shipment Notifications] Poll failed:', error.message));
+    }, this.pollSeconds * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Handle an opt-out (STOP) or opt-in (START) reply
+   * @param {string} from - Sender, "+27..." or "whatsapp:+27..."
+   * @param {string} body - Message text
+   * @returns {Promise<string|null>} - Confirmation to reply with, null if the
+   *   message isn't a keyword
+   */
+  async handleKeyword(from, body) {
+    const keyword = String(body || '').trim().toLowerCase().replace(/[^a-z-]/g, '');
+    const phoneNumber = String(from || '').replace(/^whatsapp:/, '');
+    if (!phoneNumber) return null;
+
+    if (this.settings.optOutKeywords.includes(keyword)) {
+      await complianceManager.addToDoNotCallList(phoneNumber, 'sms_opt_out');
+      return 'You have been unsubscribed from Audico notifications. Reply START to subscribe again.';
+    }
+
+    if (this.settings.optInKeywords.includes(keyword)) {
+      await complianceManager.removeFromDoNotCallList(phoneNumber, 'sms_opt_in');
+      return 'You are subscribed to Audico notifications again. Reply STOP to opt out.';
+    }
+
+    return null;
+  }
+}
+
+// Singleton instance
+export const shipmentNotificationService = new ShipmentNotificationService();
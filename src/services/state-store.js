@@ -0,0 +1,687 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { config } from '../config/config.js';
+import { createSupabaseClient } from '../utils/clients.js';
+
+/**
+ * Call State Store
+ * Shared, expiring key/value storage for in-flight call state
+ *
+ * Backends (STATE_STORE):
+ *   memory - process-local, lost on restart (default, used by the simulator)
+ *   file   - JSON snapshot on disk, survives a restart on the same volume
+ *   redis  - shared between instances (needs the optional `redis` package)
+ *
+ * Business records that must outlive any call - the do-not-call list, marketing
+ * consent, voicemails, scheduled callbacks, payment links and the messaging inbox - go in recordStore instead: a Supabase table (RECORD_STORE=supabase,
+ * the default when SUPABASE_SERVICE_ROLE_KEY is set), or the call state store
+ * (RECORD_STORE=state), which is only durable with the file or redis backend.
+ *
+ * Values must be JSON-serialisable. Every backend round-trips them through JSON,
+ * so Dates come back as ISO strings and a value changed after get() must be
+ * written back with set(). When another instance or request may write the same
+ * key in between, use update() instead: it only writes if the entry is still
+ * the one it read.
+ *
+ * entries(), keys() and values() take an optional filter on the values' fields,
+ * e.g. { status: 'scheduled', scheduledFor: { lte: now.toISOString() } }. The
+ * Supabase backend runs it in the query; the others read the whole namespace.
+ */
+
+// update() gives up after this many lost races on one key
+const MAX_UPDATE_ATTEMPTS = 10;
+
+// PostgREST returns at most this many rows a request (Supabase's max_rows)
+const SUPABASE_PAGE_SIZE = 1000;
+
+function encode(value, ttlMs) {
+  const now = Date.now();
+  return JSON.stringify({
+    value,
+    updatedAt: now,
+    expiresAt: ttlMs ? now + ttlMs : null,
+  });
+}
+
+function decode(raw) {
+  return raw ? JSON.parse(raw) : null;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return Boolean(entry && entry.expiresAt && entry.expiresAt <= now);
+}
+
+/**
+ * Does a value pass an entries() filter?
+ * @param {*} value - Stored value
+ * @param {object} filter - { field: value } for equality, { field: { lt, lte, gt, gte } }
+ *   for ranges (compared as strings, e.g. ISO times); undefined conditions are ignored
+ * @returns {boolean}
+ */
+function matchesFilter(value, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    const actual = value?.[field];
+    if (condition === null || typeof condition !== 'object') return actual === condition;
+    if (actual === undefined || actual === null) return false;
+
+    const text = String(actual);
+    return (condition.lt === undefined || text < condition.lt) &&
+      (condition.lte === undefined || text <= condition.lte) &&
+      (condition.gt === undefined || text > condition.gt) &&
+      (condition.gte === undefined || text >= condition.gte);
+  });
+}
+
+/**
+ * Process-local backend
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.durable = false;
+    this.data = new Map();
+  }
+
+  async connect() {}
+
+  bucket(namespace) {
+    if (!this.data.has(namespace)) {
+      this.data.set(namespace, new Map());
+    }
+    return this.data.get(namespace);
+  }
+
+  async get(namespace, key) {
+    return this.bucket(namespace).get(key) || null;
+  }
+
+  async set(namespace, key, raw) {
+    this.bucket(namespace).set(key, raw);
+  }
+
+  async compareAndSet(namespace, key, expected, raw) {
+    // No await between the read and the write, so nothing else runs in between
+    if ((this.bucket(namespace).get(key) || null) !== expected) return false;
+    await this.set(namespace, key, raw);
+    return true;
+  }
+
+  async delete(namespace, key) {
+    return this.bucket(namespace).delete(key);
+  }
+
+  async entries(namespace) {
+    return Array.from(this.bucket(namespace).entries());
+  }
+
+  async flush() {}
+
+  async close() {}
+}
+
+/**
+ * JSON file backend - memory backend plus a debounced snapshot on disk
+ */
+class FileBackend extends MemoryBackend {
+  constructor(filePath, writeDelayMs = 1000) {
+    super();
+    this.name = 'file';
+    this.durable = true;
+    this.filePath = path.resolve(filePath);
+    this.writeDelayMs = writeDelayMs;
+    this.writeTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  async connect() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      for (const [namespace, entries] of Object.entries(snapshot)) {
+        this.data.set(namespace, new Map(Object.entries(entries)));
+      }
+      console.log(`[State] Loaded ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[State] Could not read state file, starting empty:', error.message);
+      }
+    }
+  }
+
+  async set(namespace, key, raw) {
+    await super.set(namespace, key, raw);
+    this.scheduleWrite();
+  }
+
+  async delete(namespace, key) {
+    const deleted = await super.delete(namespace, key);
+    if (deleted) this.scheduleWrite();
+    return deleted;
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush().catch(error => console.error('[State] Write failed:', error.message));
+    }, this.writeDelayMs);
+    this.writeTimer.unref();
+  }
+
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    const snapshot = {};
+    for (const [namespace, entries] of this.data) {
+      snapshot[namespace] = Object.fromEntries(entries);
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file
+    this.writing = this.writing.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(snapshot));
+      await fs.rename(tempPath, this.filePath);
+    });
+    await this.writing;
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+/**
+ * Redis backend - shared between instances
+ */
+class RedisBackend {
+  constructor(url, keyPrefix) {
+    this.name = 'redis';
+    this.durable = true;
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.client = null;
+  }
+
+  async connect() {
+    let redis;
+    try {
+      redis = await import('redis');
+    } catch (error) {
+      throw new Error('STATE_STORE=redis needs the "redis" package - run: npm install redis');
+    }
+
+    this.client = redis.createClient({ url: this.url });
+    this.client.on('error', error => console.error('[State] Redis error:', error.message));
+    await this.client.connect();
+    console.log('[State] Connected to Redis');
+  }
+
+  redisKey(namespace, key) {
+    return `${this.keyPrefix}${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    return this.client.get(this.redisKey(namespace, key));
+  }
+
+  async set(namespace, key, raw, ttlMs) {
+    // Redis expiry is a backstop; the sweeper sees expired entries first
+    const options = ttlMs ? { PX: ttlMs + 10 * 60 * 1000 } : {};
+    await this.client.set(this.redisKey(namespace, key), raw, options);
+  }
+
+  async compareAndSet(namespace, key, expected, raw, ttlMs) {
+    // Lua scripts run atomically; '' stands for "no entry" (raw values are never empty)
+    const script = `
+      if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+      if ARGV[3] == '' then redis.call('SET', KEYS[1], ARGV[2])
+      else redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) end
+      return 1`;
+    const swapped = await this.client.eval(script, {
+      keys: [this.redisKey(namespace, key)],
+      arguments: [expected || '', raw, ttlMs ? String(ttlMs + 10 * 60 * 1000) : ''],
+    });
+    return swapped === 1;
+  }
+
+  async delete(namespace, key) {
+    return (await this.client.del(this.redisKey(namespace, key))) > 0;
+  }
+
+  async entries(namespace) {
+    const prefix = this.redisKey(namespace, '');
+    const keys = [];
+    for await (const redisKey of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      keys.push(redisKey);
+    }
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mGet(keys);
+    return keys
+      .map((redisKey, index) => [redisKey.substring(prefix.length), values[index]])
+      .filter(([, raw]) => raw !== null);
+  }
+
+  async flush() {}
+
+  async close() {
+    if (this.client?.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+/**
+ * Supabase backend - one row per entry in a table (see supabase-setup-safe.sql)
+ */
+class SupabaseBackend {
+  constructor(table) {
+    this.name = 'supabase';
+    this.durable = true;
+    this.table = table;
+    this.client = null;
+  }
+
+  async connect() {
+    this.client = createSupabaseClient(
+      config.supabase.url,
+      config.supabase.serviceRoleKey || config.supabase.anonKey
+    );
+
+    const { error } = await this.client.from(this.table).select('key').limit(1);
+    if (error) {
+      throw new Error(`Record store table ${this.table} is not readable: ${error.message}`);
+    }
+    console.log(`[State] Using Supabase table ${this.table}`);
+  }
+
+  /**
+   * Stored entry with the row's revision added, so compareAndSet can tell
+   * whether the row has been written since (JSONB does not keep the text as written)
+   */
+  static raw(row) {
+    return JSON.stringify({ ...row.value, revision: row.revision });
+  }
+
+  static row(namespace, key, raw) {
+    const { revision, ...entry } = JSON.parse(raw);
+    return { namespace, key, value: entry, revision: randomUUID(), updated_at: new Date().toISOString() };
+  }
+
+  async get(namespace, key) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('value, revision')
+      .eq('namespace', namespace)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw new Error(`Record store read failed: ${error.message}`);
+    return data ? SupabaseBackend.raw(data) : null;
+  }
+
+  async set(namespace, key, raw) {
+    const { error } = await this.client
+      .from(this.table)
+      .upsert(SupabaseBackend.row(namespace, key, raw), { onConflict: 'namespace,key' });
+
+    if (error) throw new Error(`Record store write failed: ${error.message}`);
+  }
+
+  async compareAndSet(namespace, key, expected, raw) {
+    const row = SupabaseBackend.row(namespace, key, raw);
+
+    // No entry yet: insert, unless someone else inserted first
+    if (expected === null) {
+      const { data, error } = await this.client
+        .from(this.table)
+        .upsert(row, { onConflict: 'namespace,key', ignoreDuplicates: true })
+        .select('key');
+
+      if (error) throw new Error(`Record store write failed: ${error.message}`);
+      return data.length > 0;
+    }
+
+    // Rows written before the revision column existed have none
+    const { revision } = JSON.parse(expected);
+    const query = this.client
+      .from(this.table)
+      .update({ value: row.value, revision: row.revision, updated_at: row.updated_at })
+      .eq('namespace', namespace)
+      .eq('key', key);
+    const { data, error } = await (revision ? query.eq('revision', revision) : query.is('revision', null))
+      .select('key');
+
+    if (error) throw new Error(`Record store write failed: ${error.message}`);
+    return data.length > 0;
+  }
+
+  async delete(namespace, key) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .delete()
+      .eq('namespace', namespace)
+      .eq('key', key)
+      .select('key');
+
+    if (error) throw new Error(`Record store delete failed: ${error.message}`);
+    return data.length > 0;
+  }
+
+  /**
+   * A namespace's rows, a page at a time (PostgREST truncates bigger results)
+   * @param {string} namespace
+   * @param {object} query - { filter } on the values' fields (see matchesFilter),
+   *   { expiredBy } for entries that expired by then (epoch ms)
+   * @returns {Promise<Array<Array>>} - [key, raw] pairs
+   */
+  async entries(namespace, { filter = {}, expiredBy } = {}) {
+    const entries = [];
+    let after = null;
+
+    for (;;) {
+      let query = this.client
+        .from(this.table)
+        .select('key, value, revision')
+        .eq('namespace', namespace);
+
+      for (const [field, condition] of Object.entries(filter)) {
+        const column = `value->value->>${field}`;
+        if (condition === undefined) continue;
+        if (condition === null) {
+          query = query.is(column, null);
+        } else if (typeof condition === 'object') {
+          for (const [operator, operand] of Object.entries(condition)) {
+            query = query[operator](column, operand);
+          }
+        } else {
+          query = query.eq(column, String(condition));
+        }
+      }
+      // JSON null sorts below every number, hence the lower bound
+      if (expiredBy) {
+        query = query.gt('value->expiresAt', 0).lte('value->expiresAt', expiredBy);
+      }
+      // Keyset pages: rows deleted between pages (the sweeper) can't shift the next one
+      if (after !== null) {
+        query = query.gt('key', after);
+      }
+
+      const { data, error } = await query.order('key').limit(SUPABASE_PAGE_SIZE);
+      if (error) throw new Error(`Record store read failed: ${error.message}`);
+
+      entries.push(...data.map(row => [row.key, SupabaseBackend.raw(row)]));
+      if (data.length < SUPABASE_PAGE_SIZE) return entries;
+      after = data[data.length - 1].key;
+    }
+  }
+
+  async flush() {}
+
+  async close() {}
+}
+
+/**
+ * Map-like view of one namespace (all methods async)
+ */
+export class StateNamespace {
+  /**
+   * @param {StateStore} store - Owning store
+   * @param {string} name - Namespace name
+   * @param {object} options
+   * @param {number} options.ttlMs - Entry lifetime, refreshed on every set (null = forever)
+   * @param {function} options.onExpire - async (key, value) called when the sweeper removes an entry
+   */
+  constructor(store, name, options = {}) {
+    this.store = store;
+    this.name = name;
+    this.ttlMs = options.ttlMs || null;
+    this.onExpire = options.onExpire || null;
+  }
+
+  async get(key) {
+    const backend = await this.store.ready();
+    const entry = decode(await backend.get(this.name, key));
+    return entry && !isExpired(entry) ? entry.value : undefined;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== undefined;
+  }
+
+  async set(key, value) {
+    const backend = await this.store.ready();
+    await backend.set(this.name, key, encode(value, this.ttlMs), this.ttlMs);
+    return value;
+  }
+
+  /**
+   * Read-modify-write that no other writer can interleave with: the new value
+   * is only stored if the entry is still the one `change` was given, otherwise
+   * `change` runs again on the newer entry. It may run more than once, so it
+   * must not have side effects.
+   * @param {string} key
+   * @param {function} change - (current value or undefined) => new value, or undefined to leave it unchanged
+   * @returns {Promise<*>} - The value now stored (undefined if there is none)
+   */
+  async update(key, change) {
+    const backend = await this.store.ready();
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const raw = await backend.get(this.name, key);
+      const entry = decode(raw);
+      const current = entry && !isExpired(entry) ? entry.value : undefined;
+
+      const next = await change(current);
+      if (next === undefined) return current;
+
+      if (await backend.compareAndSet(this.name, key, raw, encode(next, this.ttlMs), this.ttlMs)) {
+        return next;
+      }
+    }
+
+    throw new Error(`Gave up updating ${this.name}/${key}: too many concurrent writes`);
+  }
+
+  async delete(key) {
+    const backend = await this.store.ready();
+    return backend.delete(this.name, key);
+  }
+
+  /**
+   * @param {object} filter - Only values whose fields match (see matchesFilter)
+   * @returns {Promise<Array<Array>>} - [key, value] pairs
+   */
+  async entries(filter = {}) {
+    const backend = await this.store.ready();
+    const now = Date.now();
+    return (await backend.entries(this.name, { filter }))
+      .map(([key, raw]) => [key, decode(raw)])
+      .filter(([, entry]) => entry && !isExpired(entry, now) && matchesFilter(entry.value, filter))
+      .map(([key, entry]) => [key, entry.value]);
+  }
+
+  async keys(filter = {}) {
+    return (await this.entries(filter)).map(([key]) => key);
+  }
+
+  async values(filter = {}) {
+    return (await this.entries(filter)).map(([, value]) => value);
+  }
+
+  /**
+   * Remove expired entries, calling onExpire for each one this instance removed
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async sweep() {
+    const backend = await this.store.ready();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, raw] of await backend.entries(this.name, { expiredBy: now })) {
+      const entry = decode(raw);
+      if (!isExpired(entry, now)) continue;
+
+      // Only the instance whose delete succeeds handles the expiry
+      if (!(await backend.delete(this.name, key))) continue;
+      removed++;
+
+      if (this.onExpire) {
+        try {
+          await this.onExpire(key, entry.value);
+        } catch (error) {
+          console.error(`[State] onExpire failed for ${this.name}/${key}:`, error.message);
+        }
+      }
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * State store with a pluggable backend and a background sweeper
+ */
+export class StateStore {
+  /**
+   * @param {object} options - See config.stateStore
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.backend = StateStore.createBackend(options);
+    this.namespaces = new Map();
+    this.connecting = null;
+    this.sweepTimer = null;
+  }
+
+  static createBackend(options) {
+    switch (options.backend) {
+      case 'file':
+        return new FileBackend(options.filePath);
+      case 'redis':
+        return new RedisBackend(options.redisUrl, options.keyPrefix);
+      case 'supabase':
+        return new SupabaseBackend(options.table);
+      case 'memory':
+      case undefined:
+        return new MemoryBackend();
+      default:
+        throw new Error(`Unknown STATE_STORE backend: ${options.backend}`);
+    }
+  }
+
+  /**
+   * Does the data survive a restart?
+   * @returns {boolean}
+   */
+  get durable() {
+    return this.backend.durable;
+  }
+
+  /**
+   * Connect the backend once and start the sweeper
+   * @returns {Promise<object>} - Connected backend
+   */
+  ready() {
+    if (!this.connecting) {
+      this.connecting = this.backend.connect().then(() => {
+        this.startSweeper();
+        return this.backend;
+      }, error => {
+        this.connecting = null; // try again on the next call
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Get (or create) a namespace
+   * @param {string} name - Namespace name, e.g. 'calls'
+   * @param {object} options - { ttlMs, onExpire } (applied on first call)
+   * @returns {StateNamespace}
+   */
+  namespace(name, options = {}) {
+    if (!this.namespaces.has(name)) {
+      this.namespaces.set(name, new StateNamespace(this, name, options));
+    }
+    const namespace = this.namespaces.get(name);
+    if (options.onExpire) namespace.onExpire = options.onExpire;
+    if (options.ttlMs) namespace.ttlMs = options.ttlMs;
+    return namespace;
+  }
+
+  startSweeper() {
+    const intervalMs = (this.options.sweepIntervalSeconds || 60) * 1000;
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.error('[State] Sweep failed:', error.message));
+    }, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Sweep every namespace for expired entries
+   * @returns {Promise<number>} - Entries removed
+   */
+  async sweep() {
+    let removed = 0;
+    for (const namespace of this.namespaces.values()) {
+      removed += await namespace.sweep();
+    }
+    if (removed > 0) {
+      console.log(`[State] Swept ${removed} expired entr${removed === 1 ? 'y' : 'ies'}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Write any buffered state to the backend
+   */
+  async flush() {
+    if (!this.connecting) return;
+    await this.connecting;
+    await this.backend.flush();
+  }
+
+  /**
+   * Stop the sweeper, flush and disconnect (call on SIGTERM)
+   */
+  async close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    if (!this.connecting) return;
+    await this.connecting;
+    await this.backend.close();
+    console.log(`[State] ${this.backend.name} store closed`);
+  }
+}
+
+// Singleton instances
+export const stateStore = new StateStore(config.stateStore);
+export const recordStore = createRecordStore(config.recordStore);
+
+/**
+ * Store for business records (RECORD_STORE)
+ * @param {object} options - See config.recordStore
+ * @returns {StateStore}
+ */
+function createRecordStore(options) {
+  switch (options.backend) {
+    case 'supabase':
+      return new StateStore({ ...config.stateStore, ...options });
+    case 'state':
+      return stateStore;
+    default:
+      throw new Error(`Unknown RECORD_STORE: ${options.backend} (use supabase or state)`);
+  }
+}
@@ -1,20 +1,20 @@
-import OpenAI from 'openai';
+import { toFile } from 'openai';
 import { config } from '../config/config.js';
+import { createOpenAIClient } from '../utils/clients.js';
 import fs from 'fs/promises';
+import path from 'path';
 
 /**
  * Speech-to-Text service using OpenAI Whisper
  */
 export class STTService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+    this.openai = createOpenAIClient(config.openai.apiKey);
   }
 
   /**
    * Transcribe audio to text using Whisper API
-   * @param {Buffer|string} audioInput - Audio buffer or file path
+   * @param {Buffer|string} audioInput - Audio buffer (WAV/MP3) or file path
    * @param {string} language - Language code (default: 'en')
    * @returns {Promise<string>} - Transcribed text
    */
@@ -22,11 +22,11 @@ export class STTService {
     try {
       let audioFile;
 
-      // Handle both file paths and buffers
+      // Handle both file paths and buffers (the API needs a named file)
       if (typeof audioInput === 'string') {
-        audioFile = await fs.readFile(audioInput);
+        audioFile = await toFile(await fs.readFile(audioInput), path.basename(audioInput));
       } else {
-        audioFile = audioInput;
+        audioFile = await toFile(audioInput, 'audio.wav');
       }
 
       const transcription = await this.openai.audio.transcriptions.create({
@@ -1,5 +1,7 @@
 import twilio from 'twilio';
 import { config } from '../config/config.js';
+import { createTwilioClient } from '../utils/clients.js';
+import { agentRegistry } from './agent-registry.js';
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
@@ -8,7 +10,7 @@ const VoiceResponse = twilio.twiml.VoiceResponse;
  */
 export class TelephonyService {
   constructor() {
-    this.client = twilio(
+    this.client = createTwilioClient(
       config.twilio.accountSid,
       config.twilio.authToken
     );
@@ -129,7 +131,7 @@ export class TelephonyService {
   createIVRMenu(baseUrl) {
     const twiml = new VoiceResponse();
 
-    const menuText = `Welcome to Audico how may I direct your call - press 1 for sales, 2 for shipping, 3 for technical support and 4 for accounts.`;
+    const menuText = agentRegistry.menuText();
 
     twiml.say({
       voice: 'Polly.Ayanda',
@@ -190,60 +192,250 @@ export class TelephonyService {
 
   /**
    * Create TwiML response to transfer call to human agent
+   * The caller joins the department's hold queue (see QueueService, which rings
+   * the agent and must already have the caller via queueService.enter)
    * @param {string} agentNumber - Phone number of agent
    * @param {string} department - Department name
+   * @param {string} baseUrl - Base URL for queue callbacks
    * @returns {string} - TwiML XML
    */
-  createTransferResponse(agentNumber, department) {
+  createTransferResponse(agentNumber, department, baseUrl) {
+    // No agent number configured - inform customer and take a voicemail
+    if (!agentNumber || agentNumber === 'null') {
+      return this.createRecordingResponse(
+        baseUrl,
+        `I apologize, but our ${department} team is not available at the moment. Someone will call you back shortly.`
+      );
+    }
+
     const twiml = new VoiceResponse();
 
-    // Check if agent number is configured
-    if (!agentNumber || agentNumber === 'null') {
-      // No agent number configured - inform customer and offer voicemail
-      twiml.say({
-        voice: 'Polly.Ayanda',
-        language: 'en-ZA',
-      }, `I apologize, but our ${department} team is not available at the moment. Please leave a message after the tone, and someone will call you back shortly.`);
+    twiml.say({
+      voice: 'Polly.Ayanda',
+      language: 'en-ZA',
+    }, `Transferring you to our ${department} team. Please hold.`);
 
-      twiml.record({
-        maxLength: 120,
-        transcribe: true,
-        playBeep: true,
-      });
+    this.enqueue(twiml, department, baseUrl);
+    return twiml.toString();
+  }
 
-      twiml.say({
-        voice: 'Polly.Ayanda',
-        language: 'en-ZA',
-      }, 'Thank you for your message. We will contact you soon. Goodbye.');
+  /**
+   * Create TwiML ringing one staff number directly. When the dial ends Twilio posts
+   * DialCallStatus to the action URL, which tries the next number in the chain
+   * @param {string} agentNumber - Staff number to ring
+   * @param {string} message - What the caller hears first
+   * @param {string} actionUrl - /voice/dial-complete URL
+   * @returns {string} - TwiML XML
+   */
+  createDialResponse(agentNumber, message, actionUrl) {
+    const twiml = new VoiceResponse();
+
+    twiml.say({
+      voice: 'Polly.Ayanda',
+      language: 'en-ZA',
+    }, message);
+
+    const dial = twiml.dial({
+      action: actionUrl,
+      method: 'POST',
+      timeout: config.transfers.dialTimeout,
+    });
+    dial.number(agentNumber);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Create TwiML for a scheduled callback the customer answered: say why we're
+   * calling, then queue them for the department (caller must already be in
+   * queueService)
+   * @param {string} message - Why we're calling
+   * @param {string} department - Department
+   * @param {string} baseUrl - Base URL for queue callbacks
+   * @returns {string} - TwiML XML
+   */
+  createCallbackAnswerResponse(message, department, baseUrl) {
+    const twiml = new VoiceResponse();
+
+    twiml.say({
+      voice: 'Polly.Ayanda',
+      language: 'en-ZA',
+    }, message);
+
+    this.enqueue(twiml, department, baseUrl);
+    return twiml.toString();
+  }
 
-      twiml.hangup();
+  /**
+   * Add <Enqueue> for the department's hold queue
+   * @param {object} twiml - VoiceResponse
+   * @param {string} department - Department
+   * @param {string} baseUrl - Base URL for queue callbacks
+   */
+  enqueue(twiml, department, baseUrl) {
+    const queue = agentRegistry.get(department)?.id || department;
+    twiml.enqueue({
+      waitUrl: `${baseUrl}/voice/queue/wait`,
+      waitUrlMethod: 'POST',
+      action: `${baseUrl}/voice/queue/leave`,
+      method: 'POST',
+    }, queue);
+  }
+
+  /**
+   * Create TwiML for a caller waiting in a queue (Twilio polls this repeatedly)
+   * @param {object} decision - From queueService.onWait: { leave, announcement, offerCallback }
+   * @param {string} baseUrl - Base URL for callbacks
+   * @returns {string} - TwiML XML
+   */
+  createQueueWaitResponse(decision, baseUrl) {
+    const twiml = new VoiceResponse();
+
+    if (decision.leave) {
+      twiml.leave();
+      return twiml.toString();
+    }
+
+    if (decision.announcement) {
+      const say = { voice: 'Polly.Ayanda', language: 'en-ZA' };
+
+      if (decision.offerCallback) {
+        const gather = twiml.gather({
+          input: 'dtmf',
+          numDigits: 1,
+          timeout: 3,
+          action: `${baseUrl}/voice/queue/callback`,
+          method: 'POST',
+        });
+        gather.say(say, `${decision.announcement} If you'd prefer not to wait, press 1 to hang up and we'll call you back as soon as an agent is free. Or stay on the line to keep your place.`);
+      } else {
+        twiml.say(say, `${decision.announcement} Please stay on the line.`);
+      }
+    }
+
+    // Hold music until the next poll (keep the clip about as long as the announcement interval)
+    if (config.queue.holdMusicUrl) {
+      twiml.play(config.queue.holdMusicUrl);
     } else {
-      // Agent number is configured - attempt transfer
-      twiml.say({
-        voice: 'Polly.Ayanda',
-        language: 'en-ZA',
-      }, `Transferring you to our ${department} team. Please hold.`);
+      twiml.pause({ length: config.queue.announceInterval });
+    }
+
+    return twiml.toString();
+  }
 
-      twiml.dial({
-        callerId: this.phoneNumber,
-      }, agentNumber);
+  /**
+   * Create TwiML for the callback offer keypress: leave the queue (callback
+   * accepted) or go back to waiting
+   * @param {boolean} accepted - Caller pressed 1 and is still queued
+   * @param {string} baseUrl - Base URL for callbacks
+   * @returns {string} - TwiML XML
+   */
+  createQueueCallbackResponse(accepted, baseUrl) {
+    const twiml = new VoiceResponse();
+
+    if (accepted) {
+      twiml.leave();
+    } else {
+      twiml.redirect(`${baseUrl}/voice/queue/wait`);
     }
 
     return twiml.toString();
   }
 
+  /**
+   * Create TwiML whispering the handoff summary to a staff member before bridging:
+   * 1 accepts, 2 (or no answer) declines
+   * @param {string} whisper - Handoff summary to read out
+   * @param {string} actionUrl - Where the key press is posted
+   * @returns {string} - TwiML XML
+   */
+  createQueueWhisperResponse(whisper, actionUrl) {
+    const twiml = new VoiceResponse();
+
+    const gather = twiml.gather({
+      input: 'dtmf',
+      numDigits: 1,
+      timeout: 8,
+      action: actionUrl,
+      method: 'POST',
+    });
+
+    gather.say({
+      voice: 'Polly.Ayanda',
+      language: 'en-ZA',
+    }, `${whisper} Press 1 to accept the call, or 2 to decline.`);
+
+    // No key press counts as declining
+    twiml.redirect(actionUrl);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Create TwiML for a staff member accepting a queue call - connects them to the
+   * longest-waiting caller
+   * @param {string} queue - Queue name (agent id)
+   * @returns {string} - TwiML XML
+   */
+  createQueueAgentResponse(queue) {
+    const twiml = new VoiceResponse();
+
+    twiml.say({
+      voice: 'Polly.Ayanda',
+      language: 'en-ZA',
+    }, 'Connecting you now.');
+
+    const dial = twiml.dial();
+    dial.queue(queue);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Create TwiML response for a closed department (or an unanswered transfer): say
+   * why and offer a callback (1) or voicemail (2)
+   * @param {string} message - Closed message (see BusinessHoursService.closedMessage)
+   * @param {string} baseUrl - Base URL for callbacks
+   * @returns {string} - TwiML XML
+   */
+  createAfterHoursResponse(message, baseUrl) {
+    const twiml = new VoiceResponse();
+
+    const gather = twiml.gather({
+      input: 'dtmf speech',
+      action: `${baseUrl}/voice/after-hours`,
+      method: 'POST',
+      numDigits: 1,
+      timeout: 5,
+      speechTimeout: 'auto',
+      language: 'en-ZA',
+      hints: 'call back, callback, message, voicemail, tomorrow, after lunch, just now, morning, afternoon',
+    });
+
+    gather.say({
+      voice: 'Polly.Ayanda',
+      language: 'en-ZA',
+    }, `${message} I can arrange for someone to call you back, or you can leave a voicemail. Press 1 for a callback, or tell me when suits you, like tomorrow after lunch. Or press 2 or say message to leave a voicemail.`);
+
+    // No answer - take a voicemail
+    twiml.redirect(`${baseUrl}/voice/after-hours?choice=voicemail`);
+
+    return twiml.toString();
+  }
+
   /**
    * Create TwiML response to record a message
    * @param {string} baseUrl - Base URL for callbacks
+   * @param {string} intro - Optional sentence before the instructions
    * @returns {string} - TwiML XML
    */
-  createRecordingResponse(baseUrl) {
+  createRecordingResponse(baseUrl, intro = '') {
     const twiml = new VoiceResponse();
 
     twiml.say({
       voice: 'Polly.Ayanda',
       language: 'en-ZA',
-    }, 'Please leave a message after the tone. Press any key when you are finished.');
+    }, `${intro ? `${intro} ` : ''}Please leave a message after the tone. Press any key when you are finished.`);
 
     twiml.record({
       action: `${baseUrl}/voice/recording-complete`,
@@ -260,15 +452,17 @@ export class TelephonyService {
    * Make an outbound call
    * @param {string} toNumber - Recipient phone number
    * @param {string} callbackUrl - URL for handling the call
+   * @param {object} options - Extra call options (timeout, statusCallback)
    * @returns {Promise<object>} - Call object
    */
-  async makeOutboundCall(toNumber, callbackUrl) {
+  async makeOutboundCall(toNumber, callbackUrl, options = {}) {
     try {
       const call = await this.client.calls.create({
         to: toNumber,
         from: this.phoneNumber,
         url: callbackUrl,
         method: 'POST',
+        ...options,
       });
 
       console.log('[Telephony] Outbound call initiated:', call.sid);
@@ -283,13 +477,14 @@ export class TelephonyService {
    * Send SMS message
    * @param {string} toNumber - Recipient phone number
    * @param {string} message - SMS message text
+   * @param {string} fromNumber - Sender (default TWILIO_PHONE_NUMBER)
    * @returns {Promise<object>} - Message object
    */
-  async sendSMS(toNumber, message) {
+  async sendSMS(toNumber, message, fromNumber = this.phoneNumber) {
     try {
       const sms = await this.client.messages.create({
         to: toNumber,
-        from: this.phoneNumber,
+        from: fromNumber,
         body: message,
       });
 
@@ -301,6 +496,35 @@ export class TelephonyService {
     }
   }
 
+  /**
+   * Send a WhatsApp message from TWILIO_WHATSAPP_NUMBER
+   * Outside the 24-hour customer service window WhatsApp only delivers
+   * pre-approved templates, so the text must match one.
+   * @param {string} toNumber - Recipient phone number (E.164)
+   * @param {string} message - Message text
+   * @param {string} fromNumber - Sender, E.164 (default TWILIO_WHATSAPP_NUMBER)
+   * @returns {Promise<object>} - Message object
+   */
+  async sendWhatsApp(toNumber, message, fromNumber = config.twilio.whatsappNumber) {
+    if (!fromNumber) {
+      throw new Error('Failed to send WhatsApp message: TWILIO_WHATSAPP_NUMBER is not set');
+    }
+
+    try {
+      const whatsapp = await this.client.messages.create({
+        to: `whatsapp:${toNumber}`,
+        from: `whatsapp:${fromNumber}`,
+        body: message,
+      });
+
+      console.log('[Telephony] WhatsApp message sent:', whatsapp.sid);
+      return whatsapp;
+    } catch (error) {
+      console.error('[Telephony] WhatsApp error:', error.message);
+      throw new Error(`Failed to send WhatsApp message: ${error.message}`);
+    }
+  }
+
   /**
    * Get call details
    * @param {string} callSid - Call SID
@@ -333,15 +557,18 @@ export class TelephonyService {
 
   /**
    * Create TwiML for hangup with goodbye message
+   * @param {string|null} message - Goodbye message (null = hang up silently)
    * @returns {string} - TwiML XML
    */
   createHangupResponse(message = 'Thank you for calling Audico. Goodbye!') {
     const twiml = new VoiceResponse();
 
-    twiml.say({
-      voice: 'Polly.Ayanda',
-      language: 'en-ZA',
-    }, message);
+    if (message) {
+      twiml.say({
+        voice: 'Polly.Ayanda',
+        language: 'en-ZA',
+      }, message);
+    }
 
     twiml.hangup();
 
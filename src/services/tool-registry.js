@@ -0,0 +1,254 @@
+import { verificationService, VERIFICATION_LEVELS } from './verification.js';
+import { validateSchema } from '../utils/json-schema.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Tool registry
+ *
+ * Every tool the agents can call, registered by src/tools. A tool declares:
+ *   name, description, input_schema   what Claude sees
+ *   handler(input, context)           does the work. context: { callSid, agent, channel,
+ *                                     state (the call or chat), subject, verified }
+ *   departments                       agents that may use it, or ['*']. agents.yaml
+ *                                     picks each agent's tools from these
+ *   channels                          (optional) channels it works on, e.g. ['voice']
+ *   timeoutMs                         (optional, default 10s) gives up with an error after this
+ *   verification                      (optional) level the caller needs: 'knowledge' or 'pin'
+ *   subject(input, context)           (with verification) whose data it touches - an order
+ *                                     row, { email }, { customerId } - resolved before the check
+ *                                     and passed to the handler. null (nothing found) skips the
+ *                                     check, there being nothing to protect
+ *   whenUnverified                    'deny' (default) refuses; 'redact' runs the handler
+ *                                     with context.verified false so it can hold details back
+ *   redact                            input fields kept out of logs and transcripts:
+ *                                     { field: 'email' | 'phone' | 'secret' }
+ *   outcome(result)                   (optional) outcome for the audit log, default ok/failed
+ *   details(result)                   (optional) extra audit log details, e.g. where a link went
+ *
+ * execute() checks the department, channel and input schema, then verification,
+ * runs the handler under its timeout and writes every invocation to the audit
+ * log with its outcome and duration.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const REDACTORS = {
+  email: value => {
+    const text = String(value);
+    return text.includes('@') ? `${text.charAt(0)}***@${text.split('@')[1]}` : '[redacted]';
+  },
+  phone: value => logger.maskPhoneNumber(String(value)),
+  secret: () => '[redacted]',
+};
+
+class ToolTimeoutError extends Error {}
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Add a tool
+   * @param {object} tool - See above
+   */
+  register(tool) {
+    if (!tool.name || !tool.input_schema || typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name || '(unnamed)'} needs a name, input_schema and handler`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+    if (tool.verification && !VERIFICATION_LEVELS.includes(tool.verification)) {
+      throw new Error(`Tool ${tool.name}: unknown verification level "${tool.verification}"`);
+    }
+
+    this.tools.set(tool.name, {
+      departments: ['*'],
+      timeoutMs: DEFAULT_TIMEOUT_MS,
+      verification: 'none',
+      whenUnverified: 'deny',
+      redact: {},
+      ...tool,
+    });
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  names() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * @param {object} tool
+   * @param {string} agentId
+   * @returns {boolean}
+   */
+  allows(tool, agentId) {
+    return tool.departments.includes('*') || tool.departments.includes(agentId);
+  }
+
+  /**
+   * Tool definitions for Claude: the agent's tools (agents.yaml) that exist,
+   * that its department may use, and that work on this channel
+   * @param {object} agent - From the agent registry
+   * @param {object} options - { channel }
+   * @returns {Array<object>} - [{ name, description, input_schema }]
+   */
+  definitionsFor(agent, { channel = 'voice' } = {}) {
+    return (agent?.tools || [])
+      .map(name => this.get(name))
+      .filter(tool => tool && this.allows(tool, agent.id) && (!tool.channels || tool.channels.includes(channel)))
+      .map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+  }
+
+  /**
+   * Tool input with the PII fields masked, for logs and transcripts
+   * @param {string} name - Tool name
+   * @param {object} input
+   * @returns {object}
+   */
+  redactInput(name, input) {
+    const rules = this.get(name)?.redact || {};
+    if (!input || typeof input !== 'object') return input;
+
+    return Object.fromEntries(Object.entries(input).map(([field, value]) => [
+      field,
+      rules[field] && value !== undefined && value !== null && value !== '' ? REDACTORS[rules[field]](value) : value,
+    ]));
+  }
+
+  /**
+   * What a tool call came back with, for transcripts and call state: the error,
+   * or the tool's audit details - never the customer data itself
+   * @param {string} name - Tool name
+   * @param {*} result - From execute()
+   * @returns {object|null}
+   */
+  summarize(name, result) {
+    if (result && typeof result === 'object' && result.error) {
+      return { error: result.error };
+    }
+    const tool = this.get(name);
+    return tool?.details ? tool.details(result) : null;
+  }
+
+  /**
+   * Run a tool call
+   * @param {string} name - Tool name
+   * @param {object} input - Tool input from Claude
+   * @param {object} context - { callSid, agent, channel, state }
+   * @returns {Promise<*>} - The handler's result, or { error } when it couldn't run
+   */
+  async execute(name, input, context = {}) {
+    const started = Date.now();
+    const tool = this.get(name);
+    const safeInput = this.redactInput(name, input);
+    let outcome = 'ok';
+    let error = null;
+    let details = null;
+    let result;
+
+    try {
+      if (!tool) {
+        outcome = 'unknown_tool';
+        result = { error: `Unknown tool ${name}` };
+      } else if (context.agent && !this.allows(tool, context.agent)) {
+        outcome = 'not_allowed';
+        result = { error: `${name} isn't available to the ${context.agent} agent` };
+      } else if (tool.channels && !tool.channels.includes(context.channel || 'voice')) {
+        outcome = 'not_allowed';
+        result = { error: `${name} only works on ${tool.channels.join(' or ')}` };
+      } else {
+        const validation = validateSchema(tool.input_schema, input);
+        if (!validation.valid) {
+          outcome = 'invalid_input';
+          result = { error: `Invalid input for ${name}: ${validation.errors.join('; ')}` };
+        } else {
+          ({ outcome, result, details } = await this.withTimeout(tool, () => this.run(tool, validation.value, context)));
+        }
+      }
+    } catch (caught) {
+      if (caught instanceof ToolTimeoutError) {
+        outcome = 'timeout';
+        result = { error: `${name} took too long - try again, or offer a callback` };
+      } else {
+        outcome = 'error';
+        result = { error: `Couldn't complete ${name} right now: ${caught.message}` };
+      }
+      error = caught.message;
+    }
+
+    const durationMs = Date.now() - started;
+    console.log(`[Tools] ${name}${context.agent ? ` (${context.agent})` : ''}: ${outcome} in ${durationMs}ms`, safeInput);
+    await logger.logAudit({
+      type: 'tool_call',
+      callSid: context.callSid,
+      agent: context.agent,
+      action: name,
+      // Order tools name the order; enough to find the call in the audit log
+      reference: safeInput?.order_id || safeInput?.order_number || null,
+      outcome,
+      details: { channel: context.channel || 'voice', durationMs, input: safeInput, ...details, ...(error && { error }) },
+    });
+
+    return result;
+  }
+
+  /**
+   * Verification, then the handler
+   * @returns {Promise<object>} - { outcome, result, details }
+   */
+  async run(tool, input, context) {
+    let subject = null;
+    let verified = true;
+
+    if (tool.verification !== 'none') {
+      subject = tool.subject ? await tool.subject(input, context) : null;
+      const nothingToProtect = tool.subject && !subject;
+      verified = nothingToProtect || await verificationService.isVerified(context.callSid, tool.verification, subject);
+
+      if (!verified && tool.whenUnverified === 'deny') {
+        return {
+          outcome: 'not_verified',
+          result: {
+            error: tool.verification === 'pin'
+              ? `Not done: ${tool.name} needs the caller verified by SMS PIN as the customer on this order (send_verification_pin, then verify_identity).`
+              : 'Identity not verified - verify the caller (send_verification_pin or verify_identity) before sharing these details.',
+          },
+        };
+      }
+    }
+
+    const result = await tool.handler(input, { ...context, subject, verified });
+    const failed = Boolean(result && typeof result === 'object' && result.error);
+    const outcome = (!failed && tool.outcome?.(result)) || (failed ? 'failed' : (verified ? 'ok' : 'redacted'));
+    return { outcome, result, details: !failed && tool.details ? tool.details(result) : null };
+  }
+
+  /**
+   * @param {object} tool
+   * @param {Function} work
+   */
+  async withTimeout(tool, work) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new ToolTimeoutError(`${tool.name} timed out after ${tool.timeoutMs}ms`)), tool.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([work(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Singleton instance - filled by src/tools
+export const toolRegistry = new ToolRegistry();
@@ -2,6 +2,8 @@ import axios from 'axios';
 import { config } from '../config/config.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { agentRegistry } from './agent-registry.js';
+import { silentMp3, silentAudioStream, estimateSpeechMs } from '../sandbox/audio.js';
 
 /**
  * Text-to-Speech service using ElevenLabs with South African voice
@@ -18,11 +20,10 @@ export class TTSService {
   /**
    * Get voice ID for a specific department
    * @param {string} department - Department name
-   * @returns {string} - Voice ID
+   * @returns {string} - Voice ID from the agent registry (default voice if unknown)
    */
   getVoiceForDepartment(department) {
-    const departmentVoices = config.elevenlabs.departmentVoices || {};
-    return departmentVoices[department] || this.voiceId;
+    return agentRegistry.get(department)?.voice || this.voiceId;
   }
 
   /**
@@ -47,6 +48,10 @@ export class TTSService {
 
       console.log('[TTS] Generating speech for text:', text.substring(0, 50) + '...');
 
+      if (config.sandbox.enabled) {
+        return silentMp3(estimateSpeechMs(text));
+      }
+
       const response = await axios({
         method: 'POST',
         url: `${this.baseUrl}/text-to-speech/${voiceId}`,
@@ -97,6 +102,10 @@ export class TTSService {
    * @returns {Promise<Array>} - List of available voices
    */
   async getVoices() {
+    if (config.sandbox.enabled) {
+      return [{ voice_id: this.voiceId || 'sandbox-voice', name: 'Sandbox (silent)', category: 'sandbox' }];
+    }
+
     try {
       const response = await axios({
         method: 'GET',
@@ -116,22 +125,33 @@ export class TTSService {
   /**
    * Stream speech generation (for real-time use)
    * @param {string} text - Text to convert to speech
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (voiceId, model, outputFormat, signal)
+   *   outputFormat: 'mp3_44100_128' (default) or 'ulaw_8000' for Twilio Media Streams
    * @returns {Promise<ReadableStream>} - Audio stream
    */
   async generateSpeechStream(text, options = {}) {
     try {
       const voiceId = options.voiceId || this.voiceId;
       const model = options.model || this.model;
+      const outputFormat = options.outputFormat || 'mp3_44100_128';
+
+      if (config.sandbox.enabled) {
+        return silentAudioStream(text, outputFormat === 'ulaw_8000' ? 'ulaw_8000' : 'mp3');
+      }
 
       const response = await axios({
         method: 'POST',
         url: `${this.baseUrl}/text-to-speech/${voiceId}/stream`,
+        params: {
+          output_format: outputFormat,
+          optimize_streaming_latency: 3,
+        },
         headers: {
-          'Accept': 'audio/mpeg',
+          'Accept': outputFormat.startsWith('mp3') ? 'audio/mpeg' : 'audio/basic',
           'xi-api-key': this.apiKey,
           'Content-Type': 'application/json',
         },
+        signal: options.signal,
         data: {
           text: text,
           model_id: model,
@@ -0,0 +1,386 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { stateStore } from './state-store.js';
+import { telephonyService } from './telephony.js';
+import { createMysqlConnection } from '../utils/clients.js';
+import { normalizePhoneNumber } from '../utils/compliance.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Identity verification
+ *
+ * Callers prove who they are before the agents get order details, invoices,
+ * payments and balances or can change a delivery address. Two ways in:
+ *   knowledge - the email and postcode on an order, or the total of the
+ *               customer's last order (with an order number to find them by)
+ *   pin       - a one-time PIN sent by SMS to the phone number on the order
+ *
+ * Verification belongs to one call (or chat) and one customer: passing it for
+ * order 28630 doesn't unlock somebody else's order. Failed attempts are capped
+ * and logged as security events. Each tool declares the level it needs
+ * (src/tools); the tool registry checks it.
+ *
+ * Every change to a session is a compare-and-set, and an attempt is counted
+ * before the answer is checked, so requests racing each other can't get more
+ * than VERIFICATION_MAX_ATTEMPTS guesses or MAX_PINS_PER_CALL PINs between them.
+ */
+
+// Weakest first
+export const VERIFICATION_LEVELS = ['none', 'knowledge', 'pin'];
+
+const PIN_LENGTH = 6;
+const MAX_PINS_PER_CALL = 3;
+
+// A caller saying "about fifteen thousand two hundred and eighty eight" is close enough
+const TOTAL_TOLERANCE = 1;
+
+const rank = level => Math.max(VERIFICATION_LEVELS.indexOf(level), 0);
+const hashPin = (sessionId, pin) => crypto.createHash('sha256').update(`${sessionId}:${pin}`).digest('hex');
+const postcodeOf = value => String(value || '').replace(/\s/g, '').toUpperCase();
+
+/**
+ * Who an order or caller belongs to, for comparing customers
+ * @param {object} record - OpenCart order row, trackOrder() customer, recognised caller or verified customer
+ * @returns {object} - { customerId, email, phoneNumber }
+ */
+function identityOf(record) {
+  const customerId = Number(record.customer_id ?? record.customerId) || null;
+  const email = String(record.email || '').trim().toLowerCase() || null;
+  const phone = normalizePhoneNumber(record.telephone || record.phoneNumber || record.phone || '');
+  return { customerId, email, phoneNumber: /^\+\d{9,15}$/.test(phone) ? phone : null };
+}
+
+export class VerificationService {
+  constructor() {
+    this.sessions = stateStore.namespace('verification', {
+      ttlMs: config.stateStore.callTtlMinutes * 60 * 1000,
+    });
+    this.pinExpiryMinutes = config.verification.pinExpiryMinutes;
+    this.maxAttempts = config.verification.maxAttempts;
+    this.dbConfig = {
+      host: process.env.OPENCART_DB_HOST,
+      port: parseInt(process.env.OPENCART_DB_PORT) || 3306,
+      user: process.env.OPENCART_DB_USER,
+      password: process.env.OPENCART_DB_PASSWORD,
+      database: process.env.OPENCART_DB_NAME,
+    };
+    this.tablePrefix = process.env.OPENCART_TABLE_PREFIX || 'oc_';
+  }
+
+  /**
+   * Verification state of a call or chat
+   * @param {string} sessionId - Call SID or chat session id
+   * @returns {Promise<object>} - { level, method, customer, attempts, locked, pin, pinsSent }
+   */
+  async getStatus(sessionId) {
+    return (await this.sessions.get(sessionId)) || VerificationService.emptyStatus();
+  }
+
+  static emptyStatus() {
+    return {
+      level: 'none',
+      method: null,
+      customer: null,
+      attempts: 0,
+      locked: false,
+      pin: null,
+      pinsSent: 0,
+    };
+  }
+
+  /**
+   * Compare-and-set a session's status (see StateNamespace.update)
+   * @param {string} sessionId
+   * @param {function} change - status => new status, or undefined to leave it
+   * @returns {Promise<object>} - The status now stored
+   */
+  async change(sessionId, change) {
+    return this.sessions.update(sessionId, current => change(current || VerificationService.emptyStatus()));
+  }
+
+  /**
+   * Has the caller verified at this level, as the customer the data belongs to?
+   * @param {string} sessionId
+   * @param {string} level - Required level
+   * @param {object} subject - Order row or recognised caller (optional - level only)
+   * @returns {Promise<boolean>}
+   */
+  async isVerified(sessionId, level, subject = null) {
+    if (rank(level) === 0) return true;
+    if (!sessionId) return false;
+
+    const status = await this.getStatus(sessionId);
+    if (rank(status.level) < rank(level)) return false;
+    return !subject || this.sameCustomer(status.customer, subject);
+  }
+
+  /**
+   * @param {object} customer - Verified customer
+   * @param {object} subject - Order row, recognised caller or { customerId }
+   * @returns {boolean}
+   */
+  sameCustomer(customer, subject) {
+    if (!customer || !subject) return false;
+    const a = identityOf(customer);
+    const b = identityOf(subject);
+    return Boolean((a.customerId && a.customerId === b.customerId) ||
+      (a.email && a.email === b.email) ||
+      (a.phoneNumber && a.phoneNumber === b.phoneNumber));
+  }
+
+  /**
+   * What the agent is told about verification (system prompt)
+   * @param {string} sessionId
+   * @returns {Promise<string>}
+   */
+  async promptFor(sessionId) {
+    const status = await this.getStatus(sessionId);
+
+    if (status.locked) {
+      return 'IDENTITY VERIFICATION: LOCKED after too many failed attempts. Do not share order details or make account changes on this call - offer a callback or a transfer to a person instead.';
+    }
+    if (status.level === 'none') {
+      return 'IDENTITY VERIFICATION: the caller is NOT verified. Order lookups only return the status until they are. To see full order details, balances or change an address, verify them first: send_verification_pin texts a PIN to the phone on the order, or verify_identity checks the email and postcode on the order, or the order number and the total of their last order. Never read out the details you are checking against.';
+    }
+    return `IDENTITY VERIFICATION: verified (${status.method === 'pin' ? 'SMS PIN' : 'knowledge check'}) as the customer on order ${status.customer.orderId}. Only share details of that customer's orders.${status.level === 'pin' ? '' : ' Address changes still need an SMS PIN (send_verification_pin).'}`;
+  }
+
+  /**
+   * Text a one-time PIN to the phone number on an order
+   * @param {string} sessionId
+   * @param {string} orderId
+   * @returns {Promise<object>} - { sent, message }
+   */
+  async sendPin(sessionId, orderId) {
+    const status = await this.getStatus(sessionId);
+    if (status.locked) {
+      return { sent: false, message: 'Verification is locked on this call after too many failed attempts.' };
+    }
+    if (status.pinsSent >= MAX_PINS_PER_CALL) {
+      return { sent: false, message: `Already sent ${MAX_PINS_PER_CALL} PINs on this call - ask the caller to use the latest one, or verify with the email and postcode instead.` };
+    }
+
+    const order = await this.findOrder(orderId);
+    if (!order) {
+      return { sent: false, message: `Order ${orderId} not found - check the order number.` };
+    }
+
+    const { phoneNumber } = identityOf(order);
+    if (!phoneNumber) {
+      return { sent: false, message: 'There is no usable phone number on that order - verify with the email and postcode instead.' };
+    }
+
+    const pin = String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+    const pending = {
+      hash: hashPin(sessionId, pin),
+      orderId: String(order.order_id),
+      expiresAt: new Date(Date.now() + this.pinExpiryMinutes * 60 * 1000).toISOString(),
+    };
+
+    // Take one of the call's PINs before sending it; another request may have taken the last one
+    let claimed = false;
+    const current = await this.change(sessionId, session => {
+      claimed = !session.locked && session.pinsSent < MAX_PINS_PER_CALL;
+      return claimed ? { ...session, pin: pending, pinsSent: session.pinsSent + 1 } : undefined;
+    });
+    if (!claimed) {
+      return current.locked
+        ? { sent: false, message: 'Verification is locked on this call after too many failed attempts.' }
+        : { sent: false, message: `Already sent ${MAX_PINS_PER_CALL} PINs on this call - ask the caller to use the latest one, or verify with the email and postcode instead.` };
+    }
+
+    await telephonyService.sendSMS(
+      phoneNumber,
+      `Your Audico verification PIN is ${pin}. It expires in ${this.pinExpiryMinutes} minutes. Only share it with the Audico agent you are speaking to.`
+    );
+
+    console.log(`[Verification] PIN sent to ${logger.maskPhoneNumber(phoneNumber)} for order ${order.order_id}`);
+    return {
+      sent: true,
+      message: `A ${PIN_LENGTH}-digit PIN was sent by SMS to the number on order ${order.order_id}, ending in ${phoneNumber.slice(-4)}. Ask the caller to read it out. It expires in ${this.pinExpiryMinutes} minutes.`,
+    };
+  }
+
+  /**
+   * Check what the caller told us
+   * @param {string} sessionId
+   * @param {object} answer - { orderId, pin } or { email, postcode, orderId? } or { orderId, orderTotal }
+   * @param {object} context - { callSid, ip } for the security log
+   * @returns {Promise<object>} - { verified, level, message }
+   */
+  async verify(sessionId, { orderId, pin, email, postcode, orderTotal } = {}, context = {}) {
+    const status = await this.getStatus(sessionId);
+    const locked = { verified: false, level: status.level, message: 'Verification is locked on this call after too many failed attempts.' };
+    if (status.locked) {
+      return locked;
+    }
+
+    let method;
+    if (pin) {
+      method = 'pin';
+      if (!status.pin) {
+        return { verified: false, level: status.level, message: 'No PIN is waiting on this call - send one with send_verification_pin first.' };
+      }
+      if (new Date(status.pin.expiresAt) < new Date()) {
+        const expired = status.pin.hash;
+        await this.change(sessionId, current => (current.pin?.hash === expired ? { ...current, pin: null } : undefined));
+        return { verified: false, level: status.level, message: 'That PIN has expired - send a new one.' };
+      }
+    } else if (email && postcode) {
+      method = 'knowledge';
+    } else if (orderId && orderTotal !== undefined && orderTotal !== null && orderTotal !== '') {
+      method = 'knowledge';
+    } else {
+      return { verified: false, level: status.level, message: 'Need a PIN, the email and postcode on the order, or an order number and the total of their last order.' };
+    }
+
+    // Count the attempt before checking it, so parallel guesses share the limit
+    let reserved = false;
+    const session = await this.change(sessionId, current => {
+      reserved = !current.locked && current.attempts < this.maxAttempts;
+      return reserved ? { ...current, attempts: current.attempts + 1 } : undefined;
+    });
+    if (!reserved) {
+      return locked;
+    }
+
+    let order = null;
+    if (method === 'pin') {
+      const given = Buffer.from(hashPin(sessionId, String(pin).replace(/\D/g, '')));
+      if (session.pin && crypto.timingSafeEqual(given, Buffer.from(session.pin.hash))) {
+        order = await this.findOrder(session.pin.orderId);
+      }
+    } else if (email && postcode) {
+      const candidate = orderId ? await this.findOrder(orderId) : await this.latestOrder({ email });
+      if (candidate && identityOf(candidate).email === identityOf({ email }).email &&
+          [candidate.shipping_postcode, candidate.payment_postcode].some(code => code && postcodeOf(code) === postcodeOf(postcode))) {
+        order = candidate;
+      }
+    } else {
+      const candidate = await this.findOrder(orderId);
+      const latest = candidate ? await this.latestOrder(candidate) : null;
+      const amount = parseFloat(String(orderTotal).replace(/[^\d.]/g, ''));
+      if (latest && Math.abs(parseFloat(latest.total) - amount) <= TOTAL_TOLERANCE) {
+        order = candidate;
+      }
+    }
+
+    if (!order) {
+      const failed = await this.change(sessionId, current => {
+        const lockedNow = current.locked || current.attempts >= this.maxAttempts;
+        return { ...current, locked: lockedNow, pin: method === 'pin' && lockedNow ? null : current.pin };
+      });
+
+      logger.logSecurity({
+        type: failed.locked ? 'verification_locked' : 'verification_failed',
+        path: 'verify_identity',
+        ip: context.ip || 'n/a',
+        callSid: context.callSid || sessionId,
+        details: { method, attempts: failed.attempts },
+      });
+
+      return {
+        verified: false,
+        level: failed.level,
+        message: failed.locked
+          ? 'Those details did not match and verification is now locked for this call. Offer a callback or a transfer to a person.'
+          : `Those details did not match. ${Math.max(this.maxAttempts - failed.attempts, 0)} attempt(s) left - do not say which detail was wrong.`,
+      };
+    }
+
+    const level = method === 'pin' ? 'pin' : 'knowledge';
+    const customer = {
+      orderId: String(order.order_id),
+      customerId: Number(order.customer_id) || null,
+      firstName: order.firstname || null,
+      email: order.email || null,
+      phoneNumber: identityOf(order).phoneNumber,
+    };
+
+    // Only while the session isn't locked, and a PIN only works once
+    let accepted = false;
+    const verified = await this.change(sessionId, current => {
+      accepted = !current.locked && (method !== 'pin' || current.pin?.hash === session.pin.hash);
+      if (!accepted) return undefined;
+
+      // Proof for a different customer replaces the earlier verification
+      const stronger = !this.sameCustomer(current.customer, customer) || rank(level) > rank(current.level);
+      return {
+        ...current,
+        ...(stronger && { level, method }),
+        customer,
+        attempts: 0,
+        pin: method === 'pin' ? null : current.pin,
+        verifiedAt: new Date().toISOString(),
+      };
+    });
+    if (!accepted) {
+      return verified.locked
+        ? { ...locked, level: verified.level }
+        : { verified: false, level: verified.level, message: 'That PIN is no longer valid - send a new one.' };
+    }
+
+    console.log(`[Verification] ${sessionId} verified by ${method} for order ${customer.orderId}`);
+    return {
+      verified: true,
+      level: verified.level,
+      message: `Identity verified${customer.firstName ? ` - this is ${customer.firstName}` : ''}. You can now share the details of their orders.`,
+    };
+  }
+
+  /**
+   * @param {string} orderId - Order number
+   * @returns {Promise<object|null>} - OpenCart order row
+   */
+  async findOrder(orderId) {
+    const id = parseInt(String(orderId || '').replace(/\D/g, ''));
+    if (!id) return null;
+
+    const rows = await this.query(
+      `SELECT order_id, customer_id, firstname, lastname, email, telephone, total,
+              shipping_postcode, payment_postcode, date_added
+       FROM ${this.tablePrefix}order
+       WHERE order_id = ? AND order_status_id > 0
+       LIMIT 1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * A customer's most recent order
+   * @param {object} customer - Order row or { email }
+   * @returns {Promise<object|null>}
+   */
+  async latestOrder(customer) {
+    const { customerId, email } = identityOf(customer);
+    if (!customerId && !email) return null;
+
+    const rows = await this.query(
+      `SELECT order_id, customer_id, firstname, lastname, email, telephone, total,
+              shipping_postcode, payment_postcode, date_added
+       FROM ${this.tablePrefix}order
+       WHERE order_status_id > 0 AND (customer_id = ? OR email = ?)
+       ORDER BY date_added DESC
+       LIMIT 1`,
+      [customerId || -1, email || '']
+    );
+    return rows[0] || null;
+  }
+
+  async query(sql, params) {
+    let connection;
+    try {
+      connection = await createMysqlConnection(this.dbConfig);
+      const [rows] = await connection.execute(sql, params);
+      return rows;
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  }
+}
+
+// Singleton instance
+export const verificationService = new VerificationService();
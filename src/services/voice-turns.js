@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { stateStore } from './state-store.js';
+
+/**
+ * Asynchronous voice turns
+ *
+ * Twilio gives a webhook 15 seconds, and a caller hears silence for as long as
+ * it takes. A turn that needs Claude, a few tool calls and TTS runs here in the
+ * background instead: the webhook answers with a filler and a <Redirect> to
+ * /voice/turn/:turnId, which plays the result once it is ready (or more
+ * filler while it isn't).
+ *
+ * Turns live in the state store, so the follow-up request can land on another
+ * instance. The worker and the polls write the same entry, so every change is
+ * a compare-and-set: once a turn is done or failed it never goes back to pending.
+ */
+
+const POLL_INTERVAL_MS = 150;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class VoiceTurnService {
+  constructor() {
+    this.enabled = config.asyncTurns.enabled;
+    this.waitMs = config.asyncTurns.waitMs;
+    this.pollWaitMs = config.asyncTurns.pollWaitMs;
+    this.maxMs = config.asyncTurns.maxSeconds * 1000;
+    this.turns = stateStore.namespace('voice-turns', { ttlMs: 10 * 60 * 1000 });
+  }
+
+  /**
+   * Start a turn in the background
+   * @param {string} callSid
+   * @param {Function} work - async () => TwiML for the reply
+   * @returns {Promise<object>} - { id, callSid, status: 'pending', startedAt, polls }
+   */
+  async start(callSid, work) {
+    const turn = {
+      id: crypto.randomBytes(12).toString('hex'),
+      callSid,
+      status: 'pending',
+      startedAt: new Date().toISOString(),
+      polls: 0,
+    };
+    await this.turns.set(turn.id, turn);
+
+    Promise.resolve()
+      .then(work)
+      .then(
+        twiml => this.settle(turn.id, { status: 'done', twiml }),
+        error => {
+          console.error(`[Turns] ${callSid} turn ${turn.id} failed:`, error.message);
+          return this.settle(turn.id, { status: 'failed', error: error.message });
+        }
+      )
+      .catch(error => console.error('[Turns] Could not save turn:', error.message));
+
+    return turn;
+  }
+
+  /**
+   * Store the turn's outcome - unless it is no longer pending (a turn that was
+   * given up on has been deleted and stays that way)
+   * @param {string} turnId
+   * @param {object} outcome - { status: 'done', twiml } or { status: 'failed', error }
+   * @returns {Promise<object|null>} - The turn as stored, null if gone
+   */
+  async settle(turnId, outcome) {
+    const turn = await this.turns.update(turnId, current => (current?.status === 'pending'
+      ? { ...current, ...outcome, finishedAt: new Date().toISOString() }
+      : undefined));
+    return turn || null;
+  }
+
+  /**
+   * Count a /voice/turn poll. Only a pending turn is changed, so a turn that
+   * finished since it was read comes back finished.
+   * @param {string} turnId
+   * @returns {Promise<object|null>} - The turn as stored, null if gone
+   */
+  async recordPoll(turnId) {
+    const turn = await this.turns.update(turnId, current => (current?.status === 'pending'
+      ? { ...current, polls: current.polls + 1 }
+      : undefined));
+    return turn || null;
+  }
+
+  /**
+   * Wait for a turn to finish
+   * @param {string} turnId
+   * @param {number} ms - Longest to wait
+   * @returns {Promise<object|null>} - The turn (still pending if time ran out), null if unknown
+   */
+  async wait(turnId, ms) {
+    const deadline = Date.now() + ms;
+    let turn = await this.turns.get(turnId);
+
+    while (turn?.status === 'pending' && Date.now() < deadline) {
+      await sleep(Math.min(POLL_INTERVAL_MS, deadline - Date.now()));
+      turn = await this.turns.get(turnId);
+    }
+    return turn || null;
+  }
+
+  /**
+   * Turns still running for a call
+   * @param {string} callSid
+   * @returns {Promise<Array<object>>}
+   */
+  async pending(callSid) {
+    const turns = await this.turns.values();
+    return turns.filter(turn => turn.callSid === callSid && turn.status === 'pending');
+  }
+
+  /**
+   * Has the caller been waiting too long for this turn?
+   * @param {object} turn
+   * @returns {boolean}
+   */
+  expired(turn) {
+    return Date.now() - new Date(turn.startedAt).getTime() > this.maxMs;
+  }
+
+  /**
+   * Turn played (or given up on) - forget it
+   * @param {string} turnId
+   */
+  async finish(turnId) {
+    await this.turns.delete(turnId);
+  }
+}
+
+// Singleton instance
+export const voiceTurnService = new VoiceTurnService();
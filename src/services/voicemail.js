@@ -0,0 +1,178 @@
+import axios from 'axios';
+import { config } from '../config/config.js';
+import { agentRegistry } from './agent-registry.js';
+import { crmService } from './crm.js';
+import { recordStore } from './state-store.js';
+import { silentMp3 } from '../sandbox/audio.js';
+
+/**
+ * Voicemail service
+ * One voicemail box per department. Messages are saved when Twilio finishes the
+ * recording; the transcription arrives later and creates the support ticket.
+ * Staff work through the box with /admin/voicemails (assign, mark handled).
+ */
+
+export const VOICEMAIL_STATUSES = ['new', 'assigned', 'handled'];
+
+const TICKET_PRIORITIES = ['low', 'medium', 'high'];
+
+export class VoicemailService {
+  constructor() {
+    this.messages = recordStore.namespace('voicemails');
+  }
+
+  /**
+   * Save a finished recording
+   * @param {object} recording - { callSid, callerNumber, department, recordingSid,
+   *   recordingUrl, duration, urgency }
+   * @returns {Promise<object>} - Voicemail
+   */
+  async saveRecording({ callSid, callerNumber, department, recordingSid, recordingUrl, duration, urgency }) {
+    const agent = agentRegistry.get(department) || agentRegistry.fallback();
+    const voicemail = {
+      id: recordingSid,
+      callSid,
+      callerNumber: callerNumber || null,
+      department: agent.id,
+      recordingSid,
+      recordingUrl,
+      duration: parseInt(duration) || 0,
+      urgency: urgency || null,
+      transcription: null,
+      transcriptionStatus: 'pending',
+      ticketId: null,
+      status: 'new',
+      assignedTo: null,
+      handledBy: null,
+      handledAt: null,
+      notes: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.messages.set(voicemail.id, voicemail);
+    console.log(`[Voicemail] New ${agent.id} voicemail ${voicemail.id} (${voicemail.duration}s)`);
+    return voicemail;
+  }
+
+  /**
+   * Add Twilio's transcription and open a support ticket for the message
+   * @param {string} recordingSid - Recording the transcription belongs to
+   * @param {object} transcription - { text, status } (status: completed or failed)
+   * @returns {Promise<object|null>} - Updated voicemail, null if unknown
+   */
+  async addTranscription(recordingSid, { text, status }) {
+    const voicemail = await this.messages.get(recordingSid);
+    if (!voicemail) return null;
+
+    voicemail.transcription = status === 'completed' ? (text || '').trim() : null;
+    voicemail.transcriptionStatus = status === 'completed' ? 'completed' : 'failed';
+
+    if (!voicemail.ticketId) {
+      const ticket = await crmService.createSupportTicket({
+        callSid: voicemail.callSid,
+        phoneNumber: voicemail.callerNumber,
+        subject: `Voicemail for ${agentRegistry.get(voicemail.department)?.name || voicemail.department} from ${voicemail.callerNumber || 'unknown caller'}`,
+        description: [
+          voicemail.transcription || '(No transcription available - listen to the recording.)',
+          '',
+          `Caller: ${voicemail.callerNumber || 'unknown'}`,
+          `Voicemail: ${voicemail.id} (${voicemail.duration}s)`,
+        ].join('\n'),
+        // Same scale as the call's urgency
+        priority: TICKET_PRIORITIES.includes(voicemail.urgency) ? voicemail.urgency : 'medium',
+      });
+      voicemail.ticketId = ticket?.id || null;
+    }
+
+    await this.messages.set(voicemail.id, voicemail);
+    return voicemail;
+  }
+
+  /**
+   * Voicemails, newest first
+   * @param {object} filters - { department, status }
+   * @returns {Promise<Array<object>>}
+   */
+  async list({ department, status } = {}) {
+    const agentId = department ? agentRegistry.get(department)?.id || department : null;
+
+    return (await this.messages.values({ department: agentId || undefined, status: status || undefined }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get a voicemail
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    return (await this.messages.get(id)) || null;
+  }
+
+  /**
+   * Assign a voicemail to a staff member
+   * @param {string} id
+   * @param {string} assignee - Staff name or email
+   * @returns {Promise<object|null>} - Updated voicemail, null if not found
+   */
+  async assign(id, assignee) {
+    if (!assignee || typeof assignee !== 'string') {
+      throw new Error('assignee is required');
+    }
+
+    const voicemail = await this.messages.get(id);
+    if (!voicemail) return null;
+
+    voicemail.assignedTo = assignee;
+    if (voicemail.status === 'new') {
+      voicemail.status = 'assigned';
+    }
+
+    await this.messages.set(id, voicemail);
+    console.log(`[Voicemail] ${id} assigned to ${assignee}`);
+    return voicemail;
+  }
+
+  /**
+   * Mark a voicemail handled
+   * @param {string} id
+   * @param {object} details - { handledBy, notes }
+   * @returns {Promise<object|null>} - Updated voicemail, null if not found
+   */
+  async markHandled(id, { handledBy, notes } = {}) {
+    const voicemail = await this.messages.get(id);
+    if (!voicemail) return null;
+
+    voicemail.status = 'handled';
+    voicemail.handledBy = handledBy || voicemail.assignedTo || null;
+    voicemail.handledAt = new Date().toISOString();
+    voicemail.notes = notes ? String(notes) : voicemail.notes;
+
+    await this.messages.set(id, voicemail);
+    console.log(`[Voicemail] ${id} handled`);
+    return voicemail;
+  }
+
+  /**
+   * Recording audio (MP3) - Twilio recordings need the account credentials
+   * @param {object} voicemail
+   * @returns {Promise<Buffer>}
+   */
+  async fetchRecording(voicemail) {
+    if (config.sandbox.enabled) {
+      return silentMp3(voicemail.duration * 1000);
+    }
+
+    const response = await axios.get(`${voicemail.recordingUrl}.mp3`, {
+      responseType: 'arraybuffer',
+      auth: {
+        username: config.twilio.accountSid,
+        password: config.twilio.authToken,
+      },
+    });
+    return Buffer.from(response.data);
+  }
+}
+
+// Singleton instance
+export const voicemailService = new VoicemailService();
@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { config } from '../config/config.js';
+import { agentRegistry } from './agent-registry.js';
+import { callRecapService } from './call-recap.js';
+import { callbackService } from './callbacks.js';
+import { llmService } from './llm.js';
+import { stateStore } from './state-store.js';
+import { getClientIp } from '../utils/client-ip.js';
+import { complianceManager, normalizePhoneNumber } from '../utils/compliance.js';
+import { clock } from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+import { getBaseUrl } from '../utils/url.js';
+
+/**
+ * Web chat
+ *
+ * The website widget (/web-chat/widget.js) talks to the same agents as the phone
+ * line over a WebSocket. Sessions live in the state store, so a page reload or a
+ * dropped connection picks the conversation up again; an idle session ends after
+ * WEB_CHAT_SESSION_TIMEOUT_MINUTES and its transcript is saved like a call's.
+ *
+ * "Call me" only dials South African numbers that are not on the do-not-call
+ * list, and is rationed per chat, IP address and number (config.webChat.callMeLimits).
+ *
+ * Widget → server (JSON):
+ *   { type: 'hello', sessionId }                    start, or resume a session
+ *   { type: 'message', text }
+ *   { type: 'call_me', phoneNumber, name, when }   schedule a callback with the chat context
+ * Server → widget:
+ *   { type: 'session', sessionId, agent, messages }  after hello (messages: earlier turns)
+ *   { type: 'token', text }                          reply as it is generated
+ *   { type: 'handover', agent }                      the receptionist passed the chat on
+ *   { type: 'message', agent, text, products }       finished reply; products are cards
+ *   { type: 'callback', callback, text }             call me confirmed
+ *   { type: 'error', error }
+ *
+ * Handlers (provided by the server):
+ *   onMessage({ session, text, onText, onHandover }) → reply text. Runs the agents
+ *     and updates the session (agent, history, transcript, toolCalls)
+ *   onEnd(session, reason) - the session expired; save its transcript
+ */
+
+const GREETING = 'Hi, welcome to Audico! How can we help you today?';
+const ERROR_REPLY = "Sorry, I couldn't get that done. Tap \"Call me\" and one of our team will phone you.";
+const MAX_PRODUCT_CARDS = 3;
+const SA_NUMBER = /^\+27\d{9}$/;
+const LIMIT_REPLIES = {
+  session: "You've asked us to call a few times already - please give us a little while, or phone us instead.",
+  ip: 'Too many call requests from your network - please try again later, or phone us instead.',
+  number: "We've already had a few call requests for that number - please try again later, or phone us instead.",
+};
+
+/**
+ * How the widget shows an agent
+ * @param {string} agentId
+ * @returns {object} - { id, name }
+ */
+function describeAgent(agentId) {
+  const agent = agentRegistry.get(agentId) || agentRegistry.entry();
+  return { id: agent.id, name: agent.name };
+}
+
+/**
+ * Count one "call me" against each limit, stopping at the first one that is used
+ * up. Counts are per clock hour, or per calendar day in the business time zone,
+ * and live in the state store so every instance shares them.
+ * @param {StateNamespace} counts - Counters namespace
+ * @param {Array<object>} limits - [{ scope, key, max, per: 'hour' | 'day' }]
+ * @returns {Promise<object|null>} - The limit that was reached, null if the request is allowed
+ */
+async function takeCallMeAllowance(counts, limits) {
+  const now = clock.now();
+  const periods = {
+    hour: now.toISOString().substring(0, 13),
+    day: new Intl.DateTimeFormat('en-CA', { timeZone: config.businessHours.timezone }).format(now),
+  };
+
+  for (const limit of limits) {
+    let allowed = false;
+    await counts.update(`${limit.scope}:${limit.key}:${periods[limit.per]}`, (count = 0) => {
+      allowed = count < limit.max;
+      return allowed ? count + 1 : undefined;
+    });
+    if (!allowed) return limit;
+  }
+  return null;
+}
+
+/**
+ * Product cards for the products found during a turn
+ * @param {Array<object>} toolCalls - The turn's tool calls ({ name, result: summary })
+ * @returns {Array<object>} - [{ name, brand, sku, price, inStock, link }]
+ */
+export function productCards(toolCalls = []) {
+  return toolCalls
+    .filter(call => call.name === 'search_products' && Array.isArray(call.result?.products))
+    .flatMap(call => call.result.products)
+    .slice(0, MAX_PRODUCT_CARDS)
+    .map(product => ({
+      name: product.product_name,
+      brand: product.brand || null,
+      sku: product.sku || null,
+      price: product.selling_price != null ? Number(product.selling_price) : null,
+      inStock: Number(product.total_stock) > 0,
+      link: callRecapService.productLink(product),
+    }));
+}
+
+export class WebChatConnection {
+  /**
+   * @param {WebSocket} socket - The widget's connection
+   * @param {object} handlers - See above
+   * @param {object} context - { sessions, callMeCounts, ip, baseUrl }
+   */
+  constructor(socket, handlers, { sessions, callMeCounts, ip, baseUrl }) {
+    this.socket = socket;
+    this.handlers = handlers;
+    this.sessions = sessions;
+    this.callMeCounts = callMeCounts;
+    this.ip = ip;
+    this.baseUrl = baseUrl;
+    this.sessionId = null;
+
+    // One turn at a time, in the order the customer sent them
+    this.turns = Promise.resolve();
+
+    socket.on('message', data => this.handleMessage(data));
+    socket.on('error', error => console.error('[WebChat] Socket error:', error.message));
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send({ type: 'error', error: 'Messages must be JSON' });
+    }
+
+    this.turns = this.turns
+      .then(() => this.dispatch(message))
+      .catch(error => {
+        console.error('[WebChat] Error handling message:', error.message);
+        this.send({ type: 'error', error: 'Something went wrong - please try again' });
+      });
+  }
+
+  async dispatch(message) {
+    switch (message.type) {
+      case 'hello':
+        return this.start(message.sessionId);
+      case 'message':
+        return this.chat(message.text);
+      case 'call_me':
+        return this.callMe(message);
+      default:
+        this.send({ type: 'error', error: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  /**
+   * Resume the widget's session, or start a new one with the entry agent
+   * @param {string} sessionId - From the widget's previous connection
+   */
+  async start(sessionId) {
+    let session = typeof sessionId === 'string' ? await this.sessions.get(sessionId) : null;
+
+    if (!session) {
+      session = {
+        id: `WC-${crypto.randomUUID()}`,
+        channel: 'web',
+        from: null,
+        agent: agentRegistry.entry().id,
+        history: [],
+        transcript: [{ timestamp: new Date(), speaker: `AI-${agentRegistry.entry().id}`, text: GREETING }],
+        toolCalls: [],
+        callbackId: null,
+        startTime: new Date(),
+      };
+      await this.sessions.set(session.id, session);
+      console.log(`[WebChat] Session ${session.id} started from ${this.ip}`);
+    }
+
+    this.sessionId = session.id;
+    this.send({
+      type: 'session',
+      sessionId: session.id,
+      agent: describeAgent(session.agent),
+      messages: session.transcript.map(entry => ({
+        from: entry.speaker === 'Customer' ? 'customer' : 'agent',
+        text: entry.text,
+      })),
+    });
+  }
+
+  /**
+   * Current session (starting one if the widget skipped hello)
+   * @returns {Promise<object>}
+   */
+  async session() {
+    const session = this.sessionId ? await this.sessions.get(this.sessionId) : null;
+    if (session) return session;
+
+    await this.start();
+    return this.sessions.get(this.sessionId);
+  }
+
+  /**
+   * Run one customer message through the agents, streaming the reply
+   * @param {string} text
+   */
+  async chat(text) {
+    const message = String(text || '').trim();
+    if (!message) return;
+    if (message.length > config.webChat.maxMessageLength) {
+      return this.send({ type: 'error', error: `Messages can be at most ${config.webChat.maxMessageLength} characters` });
+    }
+
+    const session = await this.session();
+    const toolCallCount = session.toolCalls.length;
+
+    let reply = await this.handlers.onMessage({
+      session,
+      text: message,
+      onText: delta => this.send({ type: 'token', text: delta }),
+      onHandover: agentId => this.send({ type: 'handover', agent: describeAgent(agentId) }),
+    });
+
+    // The agents fall back to this when something went wrong
+    const failed = !reply || /need to transfer you to a specialist/i.test(reply);
+    if (failed) reply = ERROR_REPLY;
+
+    await this.sessions.set(session.id, session);
+    this.send({
+      type: 'message',
+      agent: describeAgent(session.agent),
+      text: reply,
+      products: productCards(session.toolCalls.slice(toolCallCount)),
+      ...(failed && { offerCallback: true }),
+    });
+  }
+
+  /**
+   * "Call me": schedule a callback from the department the customer is chatting to,
+   * with a summary of the chat for staff
+   * @param {object} request - { phoneNumber, name, when }
+   */
+  async callMe({ phoneNumber, name, when }) {
+    const session = await this.session();
+    const number = normalizePhoneNumber(phoneNumber);
+    if (!SA_NUMBER.test(number)) {
+      return this.send({ type: 'error', error: 'Please enter a South African phone number, like 082 123 4567' });
+    }
+    if (await complianceManager.isOnDoNotCallList(number)) {
+      return this.send({ type: 'error', error: "This number has opted out of calls from us - please phone us instead" });
+    }
+
+    // One callback per chat
+    const existing = session.callbackId ? await callbackService.get(session.callbackId) : null;
+    if (existing?.status === 'scheduled') {
+      return this.send({
+        type: 'callback',
+        callback: { id: existing.id, scheduledFor: existing.scheduledFor },
+        text: `You're already booked - we'll call you ${callbackService.describeTime(existing)}.`,
+      });
+    }
+
+    const { perSessionHourly, perIpHourly, perNumberHourly, perNumberDaily } = config.webChat.callMeLimits;
+    const limited = await takeCallMeAllowance(this.callMeCounts, [
+      { scope: 'session', key: session.id, max: perSessionHourly, per: 'hour' },
+      { scope: 'ip', key: this.ip, max: perIpHourly, per: 'hour' },
+      { scope: 'number', key: number, max: perNumberHourly, per: 'hour' },
+      { scope: 'number', key: number, max: perNumberDaily, per: 'day' },
+    ]);
+    if (limited) {
+      logger.logSecurity({
+        type: 'web_chat_call_me_limited',
+        path: config.webChat.path,
+        ip: this.ip,
+        details: { sessionId: session.id, limit: `${limited.scope} per ${limited.per}` },
+      });
+      return this.send({ type: 'error', error: LIMIT_REPLIES[limited.scope] });
+    }
+
+    const conversation = session.transcript.map(entry => ({
+      role: entry.speaker === 'Customer' ? 'customer' : 'agent',
+      content: entry.text,
+    }));
+    const summary = session.transcript.some(entry => entry.speaker === 'Customer')
+      ? await llmService.generateCallSummary(session.id, { conversation })
+      : null;
+
+    let job;
+    try {
+      job = await callbackService.schedule({
+        phoneNumber: number,
+        department: session.agent !== agentRegistry.entry().id ? session.agent : undefined,
+        when: typeof when === 'string' && when.trim() ? when.trim() : undefined,
+        reason: 'your web chat',
+        summary: summary ? `Web chat: ${summary}` : 'Web chat - the customer asked to be called.',
+        customerName: typeof name === 'string' && name.trim() ? name.trim() : null,
+        source: 'web-chat',
+        chatId: session.id,
+        baseUrl: this.baseUrl,
+      });
+    } catch (error) {
+      return this.send({ type: 'error', error: error.message });
+    }
+
+    const text = `Thanks - we'll call you ${callbackService.describeTime(job)} on ${number}.`;
+    session.from = number;
+    session.callbackId = job.id;
+    session.transcript.push({ timestamp: new Date(), speaker: `AI-${session.agent}`, text });
+    await this.sessions.set(session.id, session);
+
+    this.send({ type: 'callback', callback: { id: job.id, scheduledFor: job.scheduledFor }, text });
+  }
+
+  send(message) {
+    if (this.socket.readyState === this.socket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+/**
+ * Accept web chat connections on the HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {object} handlers - Chat handlers (see above)
+ * @returns {WebSocketServer}
+ */
+export function attachWebChatServer(server, handlers) {
+  const { path, allowedOrigins, sessionTimeoutMinutes } = config.webChat;
+  const sessions = stateStore.namespace('web-chat', {
+    ttlMs: sessionTimeoutMinutes * 60 * 1000,
+    onExpire: (sessionId, session) => handlers.onEnd(session, 'expired'),
+  });
+  // Longest "call me" limit is a calendar day
+  const callMeCounts = stateStore.namespace('web-chat-call-me', { ttlMs: 25 * 60 * 60 * 1000 });
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+  server.on('upgrade', (request, socket, head) => {
+    if (new URL(request.url, 'http://localhost').pathname !== path) return;
+
+    // Only our own sites may embed the chat
+    const origin = request.headers.origin;
+    if (!allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) {
+      logger.logSecurity({
+        type: 'web_chat_origin_rejected',
+        path,
+        ip: getClientIp(request),
+        details: { origin: origin || null },
+      });
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, ws => wss.emit('connection', ws, request));
+  });
+
+  wss.on('connection', (socket, request) => {
+    const ip = getClientIp(request);
+    new WebChatConnection(socket, handlers, { sessions, callMeCounts, ip, baseUrl: getBaseUrl(request) });
+  });
+
+  console.log(`[WebChat] Listening for chats on ${path}`);
+  return wss;
+}
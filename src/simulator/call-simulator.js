@@ -0,0 +1,1224 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import twilio from 'twilio';
+import WebSocket from 'ws';
+import { parseTwiML, collectSpoken } from './twiml.js';
+import { textMatcher, STAFF_STATUSES } from './scenario.js';
+
+/**
+ * Offline call simulator
+ *
+ * Plays the part of Twilio: posts Twilio-style webhook payloads to the voice
+ * endpoints, follows <Gather action> and <Redirect> URLs in the returned TwiML,
+ * feeds scripted caller turns into each Gather and finally sends the
+ * /voice/status "completed" callback. Agent and tool activity is read back
+ * from /admin/transcript/:callSid.
+ *
+ * <Connect><Stream> calls are driven over the media WebSocket instead: caller
+ * turns are sent as sandbox_speech text (sandbox servers only) and marks are
+ * acknowledged as if playback finished instantly.
+ *
+ * In an <Enqueue> hold queue the caller waits the way Twilio does - the wait URL
+ * is polled and QueueTime grows by each <Pause> - while the staff calls the
+ * server places (read from the sandbox outbox) play out as the scenario's
+ * `staff` list says: unanswered, or answered with a key press after the whisper.
+ * The same list scripts a <Dial action>: a busy, unanswered or failed line is
+ * posted back as DialCallStatus, an answered one ends the call as a transfer.
+ *
+ * At a <Record> the caller hangs up, unless the scenario leaves a `voicemail`:
+ * then the recording and, after the call, its transcription are posted back.
+ */
+
+// A streamed reply is complete once the server has been quiet this long
+const STREAM_QUIET_MS = 500;
+// Staff calls rung from the hold queue (the TwiML they answer into)
+const STAFF_CALL_URL = /\/voice\/queue\/agent\b/;
+// Where asynchronous turns send the caller while the reply is prepared
+const TURN_POLL_URL = /\/voice\/turn\//;
+// Queue time assumed for hold music, which the simulator doesn't download
+const HOLD_MUSIC_SECONDS = 60;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+export class CallSimulator {
+  /**
+   * @param {object} options - Simulator options
+   * @param {string} options.baseUrl - Server to drive (e.g. http://localhost:3000)
+   * @param {string} options.incomingPath - Incoming call webhook path
+   * @param {string} options.statusPath - Status callback path
+   * @param {number} options.maxRequests - Safety limit on webhook requests per call
+   * @param {boolean} options.verbose - Log every webhook exchange
+   * @param {string} options.authToken - Twilio auth token; when set, requests carry a valid X-Twilio-Signature
+   * @param {string} options.adminToken - ADMIN_TOKEN for reading transcripts (not needed in sandbox mode)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'http://localhost:3000').replace(/\/$/, '');
+    this.incomingPath = options.incomingPath || '/voice/incoming';
+    this.statusPath = options.statusPath || '/voice/status';
+    this.maxRequests = options.maxRequests || 50;
+    this.verbose = options.verbose || false;
+    this.timeout = options.timeout || 30000;
+    this.authToken = options.authToken || null;
+    this.adminToken = options.adminToken || null;
+  }
+
+  /**
+   * Generate a Twilio-looking Call SID
+   * @returns {string}
+   */
+  static generateCallSid() {
+    return `CA${crypto.randomBytes(16).toString('hex')}`;
+  }
+
+  /**
+   * Map a TwiML URL onto the server under test
+   * Absolute URLs keep their path and query but are sent to this.baseUrl,
+   * relative URLs are resolved against the document that contained them.
+   * @param {string} url - URL from TwiML
+   * @param {string} currentUrl - URL of the current TwiML document
+   * @returns {string}
+   */
+  resolveUrl(url, currentUrl = null) {
+    const resolved = new URL(url, currentUrl || this.baseUrl);
+    return `${this.baseUrl}${resolved.pathname}${resolved.search}`;
+  }
+
+  /**
+   * POST a Twilio-style form-encoded webhook
+   * @param {string} url - Webhook URL
+   * @param {object} params - Form parameters
+   * @returns {Promise<{status: number, body: string}>}
+   */
+  async postWebhook(url, params) {
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': 'TwilioProxy/1.1 (audico-call-simulator)',
+    };
+    if (this.authToken) {
+      headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(this.authToken, url, params);
+    }
+
+    const response = await axios.post(url, new URLSearchParams(params).toString(), {
+      headers,
+      responseType: 'text',
+      transformResponse: [data => data],
+      validateStatus: () => true,
+      timeout: this.timeout,
+    });
+
+    if (this.verbose) {
+      console.log(`[Simulator] POST ${url} ${JSON.stringify(params)}`);
+      console.log(`[Simulator] ← ${response.status} ${String(response.data).substring(0, 500)}`);
+    }
+
+    return { status: response.status, body: String(response.data || '') };
+  }
+
+  /**
+   * Fetch the server-side transcript for a call (live or saved)
+   * @param {string} callSid - Call SID
+   * @returns {Promise<object|null>}
+   */
+  async fetchTranscript(callSid) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/admin/transcript/${callSid}`, {
+        headers: this.adminToken ? { Authorization: `Bearer ${this.adminToken}` } : {},
+        validateStatus: () => true,
+        timeout: this.timeout,
+      });
+
+      if (response.status !== 200 || !response.data?.transcript) {
+        return null;
+      }
+
+      return response.data.transcript;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a voicemail from the admin inbox
+   * @param {string} recordingSid - Voicemail id
+   * @returns {Promise<object|null>}
+   */
+  async fetchVoicemail(recordingSid) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/admin/voicemails/${recordingSid}`, {
+        headers: this.adminToken ? { Authorization: `Bearer ${this.adminToken}` } : {},
+        validateStatus: () => true,
+        timeout: this.timeout,
+      });
+      return response.status === 200 ? response.data.voicemail || null : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Calls the fake Twilio client has placed (sandbox servers only)
+   * @returns {Promise<Array<object>|null>} - null when the server has no sandbox outbox
+   */
+  async fetchOutboxCalls() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/sandbox/outbox`, {
+        validateStatus: () => true,
+        timeout: this.timeout,
+      });
+      return response.status === 200 ? response.data.calls || [] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * What the server holds for a call once its background turns have finished
+   * (sandbox servers only)
+   * @param {string} callSid - Call SID
+   * @returns {Promise<object|null>} - { live, pendingTurns }, null when the server has no sandbox
+   */
+  async waitForCallState(callSid) {
+    const deadline = Date.now() + this.timeout;
+
+    try {
+      for (;;) {
+        const response = await axios.get(`${this.baseUrl}/sandbox/calls/${callSid}`, {
+          validateStatus: () => true,
+          timeout: this.timeout,
+        });
+        if (response.status !== 200) return null;
+        if (response.data.pendingTurns === 0 || Date.now() >= deadline) return response.data;
+        await sleep(250);
+      }
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Set the sandbox clock (null goes back to the server's start time)
+   * @param {string|null} at - ISO 8601 time
+   * @returns {Promise<boolean>} - false when the server has no sandbox clock
+   */
+  async setClock(at) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/sandbox/clock`, { at }, {
+        validateStatus: () => true,
+        timeout: this.timeout,
+      });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Dial a customer's next due callback (sandbox servers only)
+   * @param {string} phoneNumber - Customer number
+   * @returns {Promise<Array<object>|null>} - Callback calls placed, null when the server has no sandbox
+   */
+  async runDueCallbacks(phoneNumber) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/sandbox/callbacks/run`, { phoneNumber }, {
+        validateStatus: () => true,
+        timeout: this.timeout,
+      });
+      return response.status === 200 ? response.data.calls : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The customer's most recent callback (sandbox servers only)
+   * @param {string} phoneNumber - Customer number
+   * @returns {Promise<object|null>}
+   */
+  async fetchCallback(phoneNumber) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/sandbox/callbacks`, {
+        params: { phoneNumber },
+        validateStatus: () => true,
+        timeout: this.timeout,
+      });
+      return response.status === 200 ? response.data.callbacks[0] || null : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Add an ad-hoc closure through the admin API
+   * @param {object} closure - POST /admin/closures body
+   * @returns {Promise<string>} - Closure id
+   */
+  async addClosure(closure) {
+    const response = await axios.post(`${this.baseUrl}/admin/closures`, closure, {
+      headers: this.adminToken ? { Authorization: `Bearer ${this.adminToken}` } : {},
+      validateStatus: () => true,
+      timeout: this.timeout,
+    });
+
+    if (response.status !== 201) {
+      throw new Error(`POST /admin/closures returned HTTP ${response.status}: ${response.data?.error || ''}`);
+    }
+    return response.data.closure.id;
+  }
+
+  /**
+   * Remove a closure added by addClosure()
+   * @param {string} id - Closure id
+   */
+  async removeClosure(id) {
+    await axios.delete(`${this.baseUrl}/admin/closures/${id}`, {
+      headers: this.adminToken ? { Authorization: `Bearer ${this.adminToken}` } : {},
+      validateStatus: () => true,
+      timeout: this.timeout,
+    });
+  }
+
+  /**
+   * Run a scenario end to end
+   * @param {object} scenario - Normalised scenario (see scenario.js)
+   * @returns {Promise<object>} - Simulation result with assertion failures
+   */
+  async run(scenario) {
+    const callSid = scenario.callSid || CallSimulator.generateCallSid();
+    const startedAt = Date.now();
+    const baseParams = {
+      CallSid: callSid,
+      AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulator',
+      From: scenario.from,
+      To: scenario.to,
+      Direction: 'inbound',
+      ApiVersion: '2010-04-01',
+      ...scenario.params,
+    };
+
+    const result = {
+      name: scenario.name,
+      source: scenario.source,
+      callSid,
+      turns: [],
+      ended: null,
+      agent: null,
+      tools: [],
+      staff: [],
+      callbacks: [],
+      failures: [],
+      passed: false,
+    };
+
+    if (scenario.at && !(await this.setClock(scenario.at))) {
+      result.failures.push('"at" needs a sandbox server (POST /sandbox/clock failed)');
+    }
+
+    const closureIds = [];
+    for (const closure of scenario.closures) {
+      try {
+        closureIds.push(await this.addClosure(closure));
+      } catch (error) {
+        result.failures.push(`Closure not added: ${error.message}`);
+      }
+    }
+
+    // Staff calls already in the outbox belong to earlier calls
+    const outbox = await this.fetchOutboxCalls();
+    const staff = {
+      script: [...scenario.staff],
+      seen: new Set((outbox || []).map(call => call.sid)),
+      available: outbox !== null,
+    };
+    if ((scenario.staff.length > 0 || scenario.callbacks.length > 0) && !staff.available) {
+      result.failures.push('"staff" and "callbacks" need a sandbox server (no /sandbox/outbox)');
+    }
+
+    const snapshot = { transcriptLength: 0, toolCallsLength: 0 };
+    let turn = this.startTurn(0, null, scenario.greeting);
+    let stepIndex = 0;
+    let request = { url: this.resolveUrl(this.incomingPath), params: { CallStatus: 'ringing' } };
+    let requestCount = 0;
+    let transcription = null;
+
+    while (request && !result.ended) {
+      if (++requestCount > this.maxRequests) {
+        result.ended = { reason: 'error', detail: `Exceeded ${this.maxRequests} webhook requests (redirect loop?)` };
+        break;
+      }
+
+      const currentUrl = request.url;
+      let response;
+      try {
+        response = await this.postWebhook(currentUrl, {
+          CallStatus: 'in-progress',
+          ...baseParams,
+          ...request.params,
+        });
+      } catch (error) {
+        result.ended = { reason: 'error', detail: `${currentUrl}: ${error.message}` };
+        break;
+      }
+
+      turn.requests.push({ url: currentUrl, status: response.status });
+
+      if (response.status >= 400) {
+        result.ended = { reason: 'error', detail: `${currentUrl} returned HTTP ${response.status}` };
+        break;
+      }
+
+      const verbs = parseTwiML(response.body);
+      request = null;
+
+      for (let i = 0; i < verbs.length && !request && !result.ended; i++) {
+        const node = verbs[i];
+
+        switch (node.verb) {
+          case 'Say':
+          case 'Play':
+            turn.spoken.push(...collectSpoken([node]));
+            break;
+
+          case 'Gather': {
+            turn.spoken.push(...collectSpoken(node.children));
+            const step = scenario.steps[stepIndex];
+
+            await this.finishTurn(turn, callSid, snapshot);
+            result.turns.push(turn);
+
+            if (!step) {
+              // Script exhausted - the caller hangs up while being asked for input
+              turn = null;
+              result.ended = { reason: 'caller-hangup', detail: 'Scenario has no more caller turns' };
+              break;
+            }
+
+            stepIndex++;
+            turn = this.startTurn(stepIndex, step, step.expect);
+
+            if (step.hangup !== undefined) {
+              result.ended = { reason: 'caller-hangup', detail: `Caller hung up at step ${stepIndex}` };
+              break;
+            }
+
+            const action = node.attributes.action ? this.resolveUrl(node.attributes.action, currentUrl) : currentUrl;
+
+            if (step.silence !== undefined) {
+              // Twilio falls through to the next verb when nothing is heard
+              if (node.attributes.actionOnEmptyResult === 'true') {
+                request = { url: action, params: {} };
+              }
+              break;
+            }
+
+            request = {
+              url: action,
+              params: step.press !== undefined
+                ? { Digits: String(step.press) }
+                : { SpeechResult: String(step.say), Confidence: '0.92' },
+            };
+            break;
+          }
+
+          case 'Redirect': {
+            const url = this.resolveUrl(node.text.trim(), currentUrl);
+            // hangupOnHold: the caller gives up at the filler instead of waiting for the reply
+            if (turn?.hangupOnHold && TURN_POLL_URL.test(url)) {
+              result.ended = { reason: 'caller-hangup', detail: `Caller hung up waiting for the reply to step ${turn.index}` };
+              break;
+            }
+            request = { url, params: {} };
+            break;
+          }
+
+          case 'Hangup':
+            result.ended = { reason: 'hangup' };
+            break;
+
+          case 'Dial': {
+            const dialled = node.text.trim() || node.children.map(child => child.text.trim()).filter(Boolean).join(', ');
+            // A scripted busy, unanswered or failed line goes to the <Dial action>
+            const entry = node.attributes.action ? staff.script[0] : undefined;
+
+            if (STAFF_STATUSES.includes(entry) && entry !== 'answered') {
+              staff.script.shift();
+              result.staff.push({ to: dialled, outcome: entry, heard: [] });
+              request = {
+                url: this.resolveUrl(node.attributes.action, currentUrl),
+                params: { DialCallStatus: entry, DialCallDuration: '0' },
+              };
+              break;
+            }
+
+            if (entry !== undefined) {
+              staff.script.shift();
+              result.staff.push({ to: dialled, outcome: 'answered', heard: [] });
+            }
+            result.ended = { reason: 'transfer', detail: dialled };
+            break;
+          }
+
+          case 'Record': {
+            if (!scenario.voicemail) {
+              // Caller hangs up at the tone
+              result.ended = { reason: 'voicemail' };
+              break;
+            }
+
+            const recordingSid = `RE${crypto.randomBytes(16).toString('hex')}`;
+            const recording = {
+              RecordingSid: recordingSid,
+              RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/${baseParams.AccountSid}/Recordings/${recordingSid}`,
+              RecordingDuration: String(scenario.voicemail.duration),
+            };
+            result.voicemail = { recordingSid };
+
+            // Twilio transcribes the message after the call
+            if (node.attributes.transcribeCallback) {
+              transcription = {
+                url: this.resolveUrl(node.attributes.transcribeCallback, currentUrl),
+                params: { ...recording, TranscriptionStatus: 'completed', TranscriptionText: scenario.voicemail.transcription },
+              };
+            }
+
+            request = {
+              url: node.attributes.action ? this.resolveUrl(node.attributes.action, currentUrl) : currentUrl,
+              params: { ...recording, Digits: 'hangup' },
+            };
+            break;
+          }
+
+          case 'Enqueue':
+            if (!staff.available) {
+              result.ended = { reason: 'queued', detail: node.text.trim() };
+              break;
+            }
+            request = await this.runQueue(node, { currentUrl, baseParams, turn, result, staff });
+            break;
+
+          case 'Connect': {
+            const stream = node.children.find(child => child.verb === 'Stream');
+            if (!stream) {
+              result.ended = { reason: 'error', detail: '<Connect> without <Stream>' };
+              break;
+            }
+
+            // Twilio carries on with the next verb once the stream closes
+            ({ stepIndex, turn } = await this.runStream(stream, { callSid, scenario, stepIndex, turn, snapshot, result }));
+            break;
+          }
+
+          default:
+            break; // Pause, Reject handled as no-ops
+        }
+      }
+
+      if (!request && !result.ended) {
+        // TwiML ran out of verbs - Twilio ends the call
+        result.ended = { reason: 'completed' };
+      }
+    }
+
+    if (turn) {
+      await this.finishTurn(turn, callSid, snapshot);
+      result.turns.push(turn);
+    }
+
+    if (stepIndex < scenario.steps.length) {
+      result.failures.push(`Call ended (${result.ended.reason}) before step ${stepIndex + 1} of ${scenario.steps.length}`);
+    }
+
+    if (staff.available) {
+      await this.endStaffCalls(staff, result);
+    }
+
+    // Twilio's final status callback
+    try {
+      await this.postWebhook(this.resolveUrl(this.statusPath), {
+        ...baseParams,
+        CallStatus: 'completed',
+        CallDuration: String(Math.max(1, Math.round((Date.now() - startedAt) / 1000))),
+      });
+    } catch (error) {
+      result.failures.push(`Status callback failed: ${error.message}`);
+    }
+
+    if (transcription) {
+      try {
+        await this.postWebhook(transcription.url, { ...baseParams, CallStatus: 'completed', ...transcription.params });
+      } catch (error) {
+        result.failures.push(`Transcription callback failed: ${error.message}`);
+      }
+    }
+    if (result.voicemail) {
+      result.voicemail = (await this.fetchVoicemail(result.voicemail.recordingSid)) || result.voicemail;
+    }
+
+    if (scenario.callbacks.length > 0 && staff.available) {
+      await this.runCallbacks(scenario, { staff, result });
+      await this.endStaffCalls(staff, result);
+    }
+    if (staff.script.length > 0) {
+      result.failures.push(`${staff.script.length} staff call(s) in the script were never rung`);
+    }
+
+    if (scenario.expect.stateCleared) {
+      result.callState = await this.waitForCallState(callSid);
+    }
+
+    const transcript = await this.fetchTranscript(callSid);
+    result.transcript = transcript;
+    result.agent = transcript?.agent || result.turns.map(t => t.agent).filter(Boolean).pop() || null;
+    result.tools = (transcript?.toolCalls || []).map(call => call.name);
+
+    for (const id of closureIds) {
+      await this.removeClosure(id);
+    }
+    if (scenario.at || scenario.callbacks.length > 0) {
+      await this.setClock(null);
+    }
+
+    this.checkTurns(result);
+    this.checkCall(result, scenario.expect);
+
+    result.passed = result.failures.length === 0;
+    return result;
+  }
+
+  /**
+   * Wait in an <Enqueue> hold queue until the caller is bridged to staff or told
+   * to <Leave>. Callback offers in the wait TwiML go unanswered (the caller holds on).
+   * @param {object} node - Parsed <Enqueue> verb
+   * @param {object} context - currentUrl, baseParams, turn and result from run(), staff calls
+   * @returns {Promise<object|null>} - The <Enqueue> action request, null once the call has ended
+   */
+  async runQueue(node, context) {
+    const { currentUrl, baseParams, turn, result, staff } = context;
+    const waitUrl = this.resolveUrl(node.attributes.waitUrl, currentUrl);
+    const action = node.attributes.action ? this.resolveUrl(node.attributes.action, currentUrl) : null;
+    let queueTime = 0;
+    let queueResult = null;
+    let bridgedTo = null;
+
+    for (let poll = 0; poll < this.maxRequests && !queueResult; poll++) {
+      bridgedTo = await this.answerStaffCalls(staff, result);
+      if (bridgedTo) {
+        queueResult = 'bridged';
+        break;
+      }
+
+      let response;
+      try {
+        response = await this.postWebhook(waitUrl, {
+          CallStatus: 'in-progress',
+          ...baseParams,
+          QueueSid: `QU${node.text.trim()}`,
+          QueuePosition: '1',
+          QueueTime: String(queueTime),
+          CurrentQueueSize: '1',
+        });
+      } catch (error) {
+        result.ended = { reason: 'error', detail: `${waitUrl}: ${error.message}` };
+        return null;
+      }
+      turn.requests.push({ url: waitUrl, status: response.status });
+
+      if (response.status >= 400) {
+        result.ended = { reason: 'error', detail: `${waitUrl} returned HTTP ${response.status}` };
+        return null;
+      }
+
+      for (const verb of parseTwiML(response.body)) {
+        turn.spoken.push(...collectSpoken([verb]));
+        if (verb.verb === 'Leave') {
+          queueResult = 'leave';
+          break;
+        }
+        if (verb.verb === 'Pause') queueTime += parseInt(verb.attributes.length) || 1;
+        if (verb.verb === 'Play') queueTime += HOLD_MUSIC_SECONDS;
+      }
+    }
+
+    if (!queueResult) {
+      result.ended = { reason: 'error', detail: `Still queued after ${this.maxRequests} wait polls` };
+      return null;
+    }
+
+    const request = action ? { url: action, params: { QueueResult: queueResult, QueueTime: String(queueTime) } } : null;
+    if (queueResult !== 'bridged') {
+      return request;
+    }
+
+    // Twilio posts the action once the bridged call is over; whatever it returns, the caller was connected
+    if (request) {
+      await this.postWebhook(request.url, { CallStatus: 'in-progress', ...baseParams, ...request.params });
+    }
+    result.ended = { reason: 'bridged', detail: bridgedTo.to };
+    return null;
+  }
+
+  /**
+   * Play out the staff calls placed since the last look, following the scenario's
+   * `staff` list; calls with no entry left keep ringing
+   * @param {object} staff - { script, seen, available }
+   * @param {object} result - Simulation result (staff calls are recorded on it)
+   * @returns {Promise<object|null>} - The staff call that took the caller, if one did
+   */
+  async answerStaffCalls(staff, result) {
+    for (;;) {
+      const calls = ((await this.fetchOutboxCalls()) || [])
+        .filter(call => !staff.seen.has(call.sid) && STAFF_CALL_URL.test(call.url));
+      if (calls.length === 0) return null;
+
+      for (const call of calls) {
+        staff.seen.add(call.sid);
+        const staffCall = { sid: call.sid, to: call.to, statusCallback: call.statusCallback, outcome: 'ringing', heard: [] };
+        result.staff.push(staffCall);
+
+        const entry = staff.script.shift();
+        if (entry === undefined) continue;
+
+        if (typeof entry === 'string' && entry !== 'answered') {
+          staffCall.outcome = entry;
+          await this.postStaffStatus(staffCall, entry);
+          continue;
+        }
+
+        if (await this.answerStaffCall(call, staffCall, String(entry.press ?? '1'))) {
+          return staffCall;
+        }
+      }
+    }
+  }
+
+  /**
+   * Answer a staff call: hear the whisper and press the key
+   * @param {object} call - Outbox call (url, to, from)
+   * @param {object} staffCall - Record on the result
+   * @param {string} digit - Key the staff member presses
+   * @returns {Promise<boolean>} - Whether they were connected to the caller
+   */
+  async answerStaffCall(call, staffCall, digit) {
+    const params = {
+      CallSid: call.sid,
+      AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulator',
+      From: call.from || '',
+      To: call.to,
+      Direction: 'outbound-api',
+      CallStatus: 'in-progress',
+    };
+    let request = { url: this.resolveUrl(call.url), params: {} };
+    let pressed = false;
+
+    for (let count = 0; request && count < this.maxRequests; count++) {
+      const response = await this.postWebhook(request.url, { ...params, ...request.params });
+      const verbs = parseTwiML(response.body);
+      request = null;
+
+      for (const node of verbs) {
+        staffCall.heard.push(...collectSpoken([node]).filter(item => item.type === 'say').map(item => item.text));
+
+        if (node.verb === 'Gather' && !pressed) {
+          pressed = true;
+          request = { url: this.resolveUrl(node.attributes.action, call.url), params: { Digits: digit } };
+          break;
+        }
+        if (node.verb === 'Redirect') {
+          request = { url: this.resolveUrl(node.text.trim(), call.url), params: {} };
+          break;
+        }
+        if (node.verb === 'Dial' && node.children.some(child => child.verb === 'Queue')) {
+          staffCall.outcome = 'accepted';
+          return true;
+        }
+        if (node.verb === 'Hangup') break;
+      }
+    }
+
+    staffCall.outcome = pressed ? 'declined' : 'hung-up';
+    await this.postStaffStatus(staffCall, 'completed');
+    return false;
+  }
+
+  /**
+   * Twilio's status callback for a staff call
+   * @param {object} staffCall - Record on the result
+   * @param {string} status - CallStatus
+   */
+  async postStaffStatus(staffCall, status) {
+    if (!staffCall.statusCallback) return;
+    await this.postWebhook(this.resolveUrl(staffCall.statusCallback), {
+      CallSid: staffCall.sid,
+      AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulator',
+      To: staffCall.to,
+      CallStatus: status,
+    });
+  }
+
+  /**
+   * End the staff calls still going once the caller has hung up: ringing ones go
+   * unanswered, connected ones complete
+   * @param {object} staff - { script, seen, available }
+   * @param {object} result - Simulation result
+   */
+  async endStaffCalls(staff, result) {
+    for (const call of (await this.fetchOutboxCalls()) || []) {
+      if (!staff.seen.has(call.sid) && STAFF_CALL_URL.test(call.url)) {
+        staff.seen.add(call.sid);
+        result.staff.push({ sid: call.sid, to: call.to, statusCallback: call.statusCallback, outcome: 'ringing', heard: [] });
+      }
+    }
+
+    for (const staffCall of result.staff) {
+      if (staffCall.ended) continue;
+      staffCall.ended = true;
+
+      if (staffCall.outcome === 'ringing') {
+        staffCall.outcome = 'no-answer';
+        await this.postStaffStatus(staffCall, 'no-answer');
+      } else if (staffCall.outcome === 'accepted') {
+        await this.postStaffStatus(staffCall, 'completed');
+      }
+    }
+  }
+
+  /**
+   * Play out the callback the call scheduled, one `callbacks` entry per attempt
+   * @param {object} scenario - Normalised scenario
+   * @param {object} context - staff calls and the simulation result from run()
+   */
+  async runCallbacks(scenario, { staff, result }) {
+    for (const [index, entry] of scenario.callbacks.entries()) {
+      const calls = await this.runDueCallbacks(scenario.from);
+      if (!calls) {
+        result.failures.push('"callbacks" needs a sandbox server (POST /sandbox/callbacks/run failed)');
+        return;
+      }
+      if (calls.length !== 1) {
+        result.failures.push(`callback attempt ${index + 1}: expected one call, ${calls.length} were placed`);
+        if (calls.length === 0) break;
+      }
+
+      const call = calls[0];
+      const attempt = { to: call.to, outcome: entry, heard: [] };
+      result.callbacks.push(attempt);
+      const params = {
+        CallSid: call.sid,
+        AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulator',
+        From: call.from || '',
+        To: call.to,
+        Direction: 'outbound-api',
+      };
+
+      if (entry === 'answered') {
+        attempt.outcome = await this.answerCallback(call, params, { staff, result, attempt });
+      }
+
+      // Twilio's status callback once the customer (or the line) is done
+      await this.postWebhook(this.resolveUrl(call.statusCallback), {
+        ...params,
+        CallStatus: entry === 'answered' ? 'completed' : entry,
+      });
+    }
+
+    result.callback = await this.fetchCallback(scenario.from);
+  }
+
+  /**
+   * The customer picks up a callback: hear why we're calling, then hold for staff
+   * @param {object} call - Outbox call
+   * @param {object} params - Webhook parameters for the call
+   * @param {object} context - staff calls, the simulation result and the attempt record
+   * @returns {Promise<string>} - bridged, left-queue, hung-up or error
+   */
+  async answerCallback(call, params, { staff, result, attempt }) {
+    const url = this.resolveUrl(call.url);
+    const response = await this.postWebhook(url, { ...params, CallStatus: 'in-progress' });
+
+    for (const node of parseTwiML(response.body)) {
+      attempt.heard.push(...collectSpoken([node]).filter(item => item.type === 'say').map(item => item.text));
+
+      if (node.verb === 'Hangup') return 'hung-up';
+      if (node.verb !== 'Enqueue') continue;
+
+      // The queue records staff calls on result.staff; how it ends belongs to the callback, not the call
+      const queue = { staff: result.staff, ended: null };
+      const request = await this.runQueue(node, {
+        currentUrl: url,
+        baseParams: params,
+        turn: { spoken: [], requests: [] },
+        result: queue,
+        staff,
+      });
+      if (request) {
+        await this.postWebhook(request.url, { CallStatus: 'in-progress', ...params, ...request.params });
+        return 'left-queue';
+      }
+      if (queue.ended?.reason === 'error') {
+        result.failures.push(`callback: ${queue.ended.detail}`);
+      }
+      return queue.ended?.reason || 'queued';
+    }
+    return 'hung-up';
+  }
+
+  /**
+   * Drive a <Connect><Stream> media stream through the remaining steps
+   * @param {object} node - Parsed <Stream> verb
+   * @param {object} context - Call state from run(): callSid, scenario, stepIndex, turn, snapshot, result
+   * @returns {Promise<{stepIndex: number, turn: object}>}
+   */
+  async runStream(node, context) {
+    const { callSid, scenario, snapshot, result } = context;
+    let { stepIndex, turn } = context;
+
+    const url = this.resolveUrl(node.attributes.url).replace(/^http/, 'ws');
+    const streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+    const customParameters = Object.fromEntries(node.children
+      .filter(child => child.verb === 'Parameter')
+      .map(child => [child.attributes.name, child.attributes.value]));
+
+    // holdMarks keeps audio "playing" until a barge-in step has talked over it
+    const stream = { lastActivity: Date.now(), closed: false, media: 0, clears: 0, holdMarks: false, heldMarks: [] };
+    const socket = new WebSocket(url);
+    const send = message => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ ...message, streamSid }));
+      }
+    };
+    const releaseMarks = () => {
+      stream.heldMarks.forEach(mark => send({ event: 'mark', mark }));
+      stream.heldMarks = [];
+    };
+
+    socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      stream.lastActivity = Date.now();
+
+      if (message.event === 'media') {
+        stream.media++;
+      } else if (message.event === 'mark') {
+        stream.heldMarks.push(message.mark);
+        if (!stream.holdMarks) releaseMarks();
+      } else if (message.event === 'clear') {
+        // Twilio returns every pending mark when its buffer is cleared
+        stream.clears++;
+        releaseMarks();
+      }
+
+      if (this.verbose && message.event !== 'media') {
+        console.log(`[Simulator] ⇐ ${JSON.stringify(message)}`);
+      }
+    });
+    socket.on('close', () => { stream.closed = true; });
+
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+      });
+    } catch (error) {
+      result.ended = { reason: 'error', detail: `${url}: ${error.message}` };
+      return { stepIndex, turn };
+    }
+
+    turn.requests.push({ url, status: 101 });
+    send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    send({
+      event: 'start',
+      start: {
+        streamSid,
+        callSid,
+        accountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulator',
+        tracks: ['inbound'],
+        customParameters,
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+      },
+    });
+
+    const nextBargesIn = () => {
+      stream.holdMarks = Boolean(scenario.steps[stepIndex]?.bargeIn);
+      return stream.holdMarks;
+    };
+    await this.waitForStreamReply(stream, callSid, snapshot.transcriptLength + 1, nextBargesIn());
+
+    while (!stream.closed) {
+      const step = scenario.steps[stepIndex];
+
+      await this.finishTurn(turn, callSid, snapshot);
+      result.turns.push(turn);
+
+      if (!step) {
+        turn = null;
+        result.ended = { reason: 'caller-hangup', detail: 'Scenario has no more caller turns' };
+        break;
+      }
+
+      stepIndex++;
+      turn = this.startTurn(stepIndex, step, step.expect);
+
+      if (step.hangup !== undefined) {
+        result.ended = { reason: 'caller-hangup', detail: `Caller hung up at step ${stepIndex}` };
+        break;
+      }
+
+      const clearsBefore = stream.clears;
+      stream.lastActivity = Date.now();
+
+      if (step.silence !== undefined) {
+        await this.waitForStreamReply(stream, callSid, 0, nextBargesIn());
+        continue;
+      }
+
+      if (step.press !== undefined) {
+        send({ event: 'dtmf', dtmf: { track: 'inbound_track', digit: String(step.press) } });
+      } else {
+        send({ event: 'sandbox_speech', text: String(step.say) });
+      }
+      stream.holdMarks = false;
+      releaseMarks();
+
+      await this.waitForStreamReply(stream, callSid, snapshot.transcriptLength + 2, nextBargesIn());
+
+      if (step.bargeIn && stream.clears === clearsBefore) {
+        result.failures.push(`step ${stepIndex}: expected caller speech to clear the agent's audio (barge-in)`);
+      }
+    }
+
+    // If the server closed the stream (e.g. agent hung up) the current turn stays
+    // open for the TwiML that follows <Connect>
+    if (!stream.closed) {
+      // Caller hung up: Twilio sends stop and drops the socket
+      send({ event: 'stop', stop: { callSid } });
+      socket.close();
+    }
+
+    return { stepIndex, turn };
+  }
+
+  /**
+   * Wait for the server to finish a streamed reply: enough transcript entries
+   * and no stream traffic for STREAM_QUIET_MS. With bargeIn, return as soon as
+   * the reply starts playing so the next step talks over it.
+   * @param {object} stream - Stream activity counters
+   * @param {string} callSid - Call SID
+   * @param {number} minEntries - Transcript length that marks the reply as logged
+   * @param {boolean} bargeIn - Return on the first audio frame
+   */
+  async waitForStreamReply(stream, callSid, minEntries, bargeIn = false) {
+    const deadline = Date.now() + this.timeout;
+    const mediaBefore = stream.media;
+
+    while (!stream.closed && Date.now() < deadline) {
+      await sleep(bargeIn ? 5 : 100);
+
+      if (bargeIn && stream.media > mediaBefore) return;
+      if (Date.now() - stream.lastActivity < STREAM_QUIET_MS) continue;
+
+      const transcript = await this.fetchTranscript(callSid);
+      if ((transcript?.transcript || []).length >= minEntries) return;
+    }
+  }
+
+  /**
+   * Begin recording a turn (index 0 is the greeting)
+   */
+  startTurn(index, step, expect = {}) {
+    return {
+      index,
+      input: step ? (step.say ?? (step.press !== undefined ? `[DTMF ${step.press}]` : step.silence !== undefined ? '[silence]' : '[hangup]')) : null,
+      expect: expect || {},
+      hangupOnHold: Boolean(step?.hangupOnHold),
+      requests: [],
+      spoken: [],
+      aiText: [],
+      tools: [],
+      agent: null,
+    };
+  }
+
+  /**
+   * Close a turn: attach what the server logged for it in the transcript
+   */
+  async finishTurn(turn, callSid, snapshot) {
+    const transcript = await this.fetchTranscript(callSid);
+    if (!transcript) {
+      return;
+    }
+
+    const entries = transcript.transcript || [];
+    const toolCalls = transcript.toolCalls || [];
+
+    turn.aiText = entries
+      .slice(snapshot.transcriptLength)
+      .filter(entry => String(entry.speaker).startsWith('AI'))
+      .map(entry => entry.text);
+    turn.tools = toolCalls.slice(snapshot.toolCallsLength).map(call => call.name);
+    turn.agent = transcript.agent || null;
+
+    snapshot.transcriptLength = entries.length;
+    snapshot.toolCallsLength = toolCalls.length;
+  }
+
+  /**
+   * Assert per-turn expectations
+   */
+  checkTurns(result) {
+    for (const turn of result.turns) {
+      const label = turn.index === 0 ? 'greeting' : `step ${turn.index}`;
+      const failures = this.checkExpectations(turn.expect, {
+        text: [...turn.spoken.map(item => item.text || ''), ...turn.aiText].join(' '),
+        agent: turn.agent,
+        tools: turn.tools,
+        polls: turn.requests.filter(request => TURN_POLL_URL.test(request.url)).length,
+      });
+      result.failures.push(...failures.map(failure => `${label}: ${failure}`));
+    }
+  }
+
+  /**
+   * Assert whole-call expectations
+   */
+  checkCall(result, expect = {}) {
+    const allText = result.turns
+      .flatMap(turn => [...turn.spoken.map(item => item.text || ''), ...turn.aiText])
+      .join(' ');
+
+    result.failures.push(...this.checkExpectations(expect, {
+      text: allText,
+      agent: result.agent,
+      tools: result.tools,
+      ended: result.ended?.reason,
+      staffText: result.staff.flatMap(call => call.heard).join(' '),
+    }).map(failure => `call: ${failure}`));
+
+    if (expect.voicemail) {
+      result.failures.push(...this.checkVoicemail(expect.voicemail, result.voicemail).map(failure => `voicemail: ${failure}`));
+    }
+    if (expect.callback) {
+      result.failures.push(...this.checkCallback(expect.callback, result).map(failure => `callback: ${failure}`));
+    }
+    if (expect.stateCleared) {
+      result.failures.push(...this.checkCallState(result.callState).map(failure => `call state: ${failure}`));
+    }
+  }
+
+  /**
+   * Check that the server let go of the call once it ended
+   * @param {object|null} callState - { live, pendingTurns } from the sandbox
+   * @returns {Array<string>} - Failure messages
+   */
+  checkCallState(callState) {
+    if (!callState) {
+      return ['"stateCleared" needs a sandbox server (no /sandbox/calls)'];
+    }
+    if (callState.pendingTurns > 0) {
+      return [`${callState.pendingTurns} turn(s) still running ${this.timeout / 1000}s after the call ended`];
+    }
+    return callState.live ? ['a turn that finished after the hang-up saved the call again'] : [];
+  }
+
+  /**
+   * Check the callback the call scheduled against its expectation
+   * @param {object} expect - { status, attempts, hears }
+   * @param {object} result - Simulation result (callback job and attempts played)
+   * @returns {Array<string>} - Failure messages
+   */
+  checkCallback(expect, result) {
+    const { callback } = result;
+    if (!callback) {
+      return ['none was scheduled for the caller'];
+    }
+
+    const failures = [];
+    if (expect.status && callback.status !== expect.status) {
+      failures.push(`expected ${expect.status}, got ${callback.status}`);
+    }
+    if (expect.attempts !== undefined && callback.attempts.length !== expect.attempts) {
+      failures.push(`expected ${expect.attempts} attempt(s), got ${callback.attempts.length}`);
+    }
+    const heard = result.callbacks.flatMap(attempt => attempt.heard).join(' ');
+    for (const expected of [].concat(expect.hears ?? [])) {
+      if (!textMatcher(expected)(heard)) {
+        failures.push(`expected the customer to hear ${expected}, heard "${heard}"`);
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Check the voicemail left on the call against its expectation
+   * @param {object} expect - { department, transcription, ticket }
+   * @param {object|null} voicemail - From the admin inbox
+   * @returns {Array<string>} - Failure messages
+   */
+  checkVoicemail(expect, voicemail) {
+    if (!voicemail?.id) {
+      return ['not in the admin inbox (GET /admin/voicemails/:id)'];
+    }
+
+    const failures = [];
+    if (expect.department && voicemail.department !== expect.department) {
+      failures.push(`expected the ${expect.department} box, got ${voicemail.department}`);
+    }
+    for (const expected of [].concat(expect.transcription ?? [])) {
+      if (!textMatcher(expected)(voicemail.transcription || '')) {
+        failures.push(`expected transcription ${expected}, got "${voicemail.transcription}"`);
+      }
+    }
+    if (expect.ticket !== undefined && Boolean(voicemail.ticketId) !== Boolean(expect.ticket)) {
+      failures.push(expect.ticket ? 'no support ticket was opened' : `unexpected ticket ${voicemail.ticketId}`);
+    }
+    return failures;
+  }
+
+  /**
+   * Compare an expectation block against observed values
+   * Supported keys: says, notSays, agent, tools, noTools, polls (steps), ended, staffHears (whole call)
+   * @returns {Array<string>} - Failure messages
+   */
+  checkExpectations(expect, observed) {
+    const failures = [];
+    const list = value => (Array.isArray(value) ? value : [value]);
+
+    for (const expected of list(expect.says ?? [])) {
+      if (!textMatcher(expected)(observed.text)) {
+        failures.push(`expected to hear ${expected}, heard "${observed.text.substring(0, 200)}"`);
+      }
+    }
+
+    for (const unexpected of list(expect.notSays ?? [])) {
+      if (textMatcher(unexpected)(observed.text)) {
+        failures.push(`did not expect to hear ${unexpected}`);
+      }
+    }
+
+    if (expect.agent && String(observed.agent).toLowerCase() !== String(expect.agent).toLowerCase()) {
+      failures.push(`expected agent ${expect.agent}, got ${observed.agent}`);
+    }
+
+    for (const tool of list(expect.tools ?? [])) {
+      if (!observed.tools.includes(tool)) {
+        failures.push(`expected tool ${tool} to run, ran [${observed.tools.join(', ')}]`);
+      }
+    }
+
+    if (expect.noTools && observed.tools.length > 0) {
+      failures.push(`expected no tools, ran [${observed.tools.join(', ')}]`);
+    }
+
+    if (expect.polls !== undefined && observed.polls !== undefined && observed.polls !== expect.polls) {
+      failures.push(`expected the reply after ${expect.polls} /voice/turn poll(s), got it after ${observed.polls}`);
+    }
+
+    if (expect.ended && observed.ended !== undefined && expect.ended !== observed.ended) {
+      failures.push(`expected call to end with ${expect.ended}, ended with ${observed.ended}`);
+    }
+
+    for (const expected of list(observed.staffText !== undefined ? expect.staffHears ?? [] : [])) {
+      if (!textMatcher(expected)(observed.staffText)) {
+        failures.push(`expected staff to hear ${expected}, heard "${observed.staffText.substring(0, 200)}"`);
+      }
+    }
+
+    return failures;
+  }
+}
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Scenario loader for the call simulator
+ *
+ * A scenario is a YAML or JSON file describing one scripted call:
+ *
+ *   name: Track an order
+ *   from: "+27821234567"
+ *   steps:
+ *     - say: "I want to track my order"
+ *       expect:
+ *         agent: shipping
+ *     - say: "It's order 28630"
+ *       expect:
+ *         tools: [track_order]
+ *         says: /shipped/i
+ *     - press: "1"
+ *     - silence: true
+ *     - say: "Actually, never mind"
+ *       bargeIn: true     # media streams: talk over the previous reply
+ *     - say: "Compare every soundbar you stock"
+ *       expect:
+ *         polls: 2        # reply played after a filler and two /voice/turn polls
+ *     - say: "Compare them again"
+ *       hangupOnHold: true   # hang up at the filler instead of waiting for the reply
+ *   expect:
+ *     ended: hangup
+ *     agent: shipping
+ *     tools: [track_order]
+ *
+ * Sandbox servers only:
+ *
+ *   at: "2025-12-25T10:00:00+02:00"   # sandbox clock for the call (opening hours, callbacks)
+ *   staff:                            # how each staff call (hold queue or direct <Dial>) goes
+ *     - no-answer                     # or busy, failed
+ *     - press: "2"                    # answers, hears the whisper and declines
+ *     - answered                      # takes the call (same as press: "1")
+ *   expect:
+ *     ended: bridged
+ *     staffHears: /Audico Sales call/
+ *     stateCleared: true              # no call state left once the call's turns have finished
+ *
+ * A message left at the voicemail tone (otherwise the caller hangs up there),
+ * checked in the admin inbox once Twilio's transcription has arrived:
+ *
+ *   voicemail: "Please call me back about order 28630"   # or { transcription, duration }
+ *   expect:
+ *     voicemail:
+ *       department: sales
+ *       transcription: /order 28630/
+ *       ticket: true
+ *
+ * Ad-hoc closures in force for the call (POST /admin/closures, removed afterwards):
+ *
+ *   closures:
+ *     - { date: "2025-03-04", reason: stocktake }
+ *
+ * The callback the call scheduled, one entry per attempt: each moves the clock on
+ * to when the attempt is due and dials it (POST /sandbox/callbacks/run). An
+ * answered callback holds in the queue for the next `staff` entry:
+ *
+ *   callbacks:
+ *     - no-answer                     # or busy, failed
+ *     - answered
+ *   expect:
+ *     callback:
+ *       status: completed
+ *       attempts: 2
+ *       hears: /returning your call/
+ */
+
+const STEP_ACTIONS = ['say', 'press', 'silence', 'hangup'];
+// How a staff call goes: answered takes the call (in a hold queue, by pressing 1 after the whisper).
+// Callback attempts use the same outcomes.
+export const STAFF_STATUSES = ['answered', 'busy', 'no-answer', 'failed'];
+
+/**
+ * Load and validate a scenario file
+ * @param {string} filePath - Path to .yaml, .yml or .json scenario
+ * @returns {Promise<object>} - Normalised scenario
+ */
+export async function loadScenario(filePath) {
+  const raw = await fs.readFile(filePath, 'utf-8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let scenario;
+  try {
+    scenario = extension === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid scenario ${filePath}: ${error.message}`);
+  }
+
+  return normalizeScenario(scenario, filePath);
+}
+
+/**
+ * Validate a scenario object and fill in defaults
+ * @param {object} scenario - Parsed scenario
+ * @param {string} source - Where the scenario came from (for error messages)
+ * @returns {object} - Normalised scenario
+ */
+export function normalizeScenario(scenario, source = 'scenario') {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error(`Invalid scenario ${source}: expected an object`);
+  }
+
+  const steps = scenario.steps || [];
+  if (!Array.isArray(steps)) {
+    throw new Error(`Invalid scenario ${source}: "steps" must be a list`);
+  }
+
+  steps.forEach((step, index) => {
+    const actions = STEP_ACTIONS.filter(action => step && step[action] !== undefined);
+    if (actions.length !== 1) {
+      throw new Error(`Invalid scenario ${source}: step ${index + 1} needs exactly one of ${STEP_ACTIONS.join(', ')}`);
+    }
+  });
+
+  const staff = scenario.staff || [];
+  if (!Array.isArray(staff)) {
+    throw new Error(`Invalid scenario ${source}: "staff" must be a list`);
+  }
+
+  staff.forEach((entry, index) => {
+    if (!STAFF_STATUSES.includes(entry) && entry?.press === undefined) {
+      throw new Error(`Invalid scenario ${source}: staff call ${index + 1} must be ${STAFF_STATUSES.join(', ')} or { press }`);
+    }
+  });
+
+  const closures = scenario.closures || [];
+  if (!Array.isArray(closures) || closures.some(closure => !closure || typeof closure !== 'object')) {
+    throw new Error(`Invalid scenario ${source}: "closures" must be a list of closures (see POST /admin/closures)`);
+  }
+
+  const callbacks = scenario.callbacks || [];
+  if (!Array.isArray(callbacks) || callbacks.some(entry => !STAFF_STATUSES.includes(entry))) {
+    throw new Error(`Invalid scenario ${source}: "callbacks" must be a list of ${STAFF_STATUSES.join(', ')}`);
+  }
+
+  let voicemail = scenario.voicemail ?? null;
+  if (typeof voicemail === 'string') {
+    voicemail = { transcription: voicemail };
+  }
+  if (voicemail !== null && typeof voicemail?.transcription !== 'string') {
+    throw new Error(`Invalid scenario ${source}: "voicemail" must be the message text or { transcription, duration }`);
+  }
+
+  if (scenario.at !== undefined && isNaN(new Date(scenario.at).getTime())) {
+    throw new Error(`Invalid scenario ${source}: "at" must be an ISO 8601 time`);
+  }
+
+  return {
+    name: scenario.name || path.basename(source),
+    source,
+    from: scenario.from || '+27820000000',
+    to: scenario.to || process.env.TWILIO_PHONE_NUMBER || '+27100000000',
+    callSid: scenario.callSid || null,
+    params: scenario.params || {},
+    at: scenario.at || null,
+    steps: steps.map(step => ({ ...step, expect: step.expect || {} })),
+    staff,
+    closures,
+    callbacks,
+    voicemail: voicemail && { transcription: voicemail.transcription, duration: parseInt(voicemail.duration) || 15 },
+    expect: scenario.expect || {},
+  };
+}
+
+/**
+ * Turn an expectation string into a matcher
+ * "/regex/flags" becomes a RegExp, anything else is a case-insensitive substring
+ * @param {string} expected - Expected text or /regex/
+ * @returns {function(string): boolean}
+ */
+export function textMatcher(expected) {
+  const regexMatch = /^\/(.+)\/([gimsuy]*)$/.exec(expected);
+
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return text => regex.test(text);
+  }
+
+  const needle = String(expected).toLowerCase();
+  return text => text.toLowerCase().includes(needle);
+}
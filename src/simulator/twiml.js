@@ -0,0 +1,113 @@
+/**
+ * Minimal TwiML parser for the call simulator
+ * Turns a TwiML document into a tree of verbs so the simulator can
+ * "play" it the way Twilio would (Say, Play, Gather, Redirect, Dial, ...)
+ */
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+/**
+ * Decode the XML entities Twilio's TwiML builder emits
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&(amp|lt|gt|quot|apos);/g, match => ENTITIES[match])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+/**
+ * Parse tag attributes
+ * @param {string} source - Raw attribute string (e.g. ` action="/voice/x" method="POST"`)
+ * @returns {object} - Attribute map
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([A-Za-z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse a TwiML document
+ * @param {string} xml - TwiML XML
+ * @returns {Array<object>} - Verbs inside <Response> ({ verb, attributes, text, children })
+ */
+export function parseTwiML(xml) {
+  const root = { verb: 'Document', attributes: {}, text: '', children: [] };
+  const stack = [root];
+  const pattern = /<\?[^>]*\?>|<!--[\s\S]*?-->|<(\/?)([A-Za-z][\w:.-]*)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml || '')) !== null) {
+    const [, closing, name, rawAttributes, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      if (decoded.trim()) {
+        current.text += decoded;
+      }
+      continue;
+    }
+
+    if (!name) {
+      continue; // XML declaration or comment
+    }
+
+    if (closing) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const node = {
+      verb: name,
+      attributes: parseAttributes(rawAttributes),
+      text: '',
+      children: [],
+    };
+    current.children.push(node);
+
+    if (!selfClosing) {
+      stack.push(node);
+    }
+  }
+
+  const response = root.children.find(node => node.verb === 'Response');
+  return response ? response.children : [];
+}
+
+/**
+ * Collect what the caller would hear from a list of verbs
+ * @param {Array<object>} verbs - Parsed verbs
+ * @returns {Array<object>} - Spoken items ({ type: 'say'|'play', text|url })
+ */
+export function collectSpoken(verbs) {
+  const spoken = [];
+
+  for (const node of verbs) {
+    if (node.verb === 'Say' && node.text.trim()) {
+      spoken.push({ type: 'say', text: node.text.trim() });
+    } else if (node.verb === 'Play' && node.text.trim()) {
+      spoken.push({ type: 'play', url: node.text.trim() });
+    } else if (node.verb === 'Gather') {
+      spoken.push(...collectSpoken(node.children));
+    }
+  }
+
+  return spoken;
+}
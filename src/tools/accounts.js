@@ -0,0 +1,69 @@
+import { accountsService } from '../services/accounts.js';
+
+/**
+ * Accounts tools: invoices, payments, refunds and emailed documents
+ * (OpenCart). Every lookup needs a verified caller.
+ */
+
+const orderId = {
+  type: 'string',
+  description: 'Order number or invoice number (e.g. "28630" or "INV-2026-1830")',
+};
+
+/**
+ * Accounts tool: the order (found by order or invoice number) is the subject
+ * @param {object} tool - name, description, input_schema, run(order, input, context)
+ * @returns {object} - Tool for the registry
+ */
+const accountsTool = ({ run, ...tool }) => ({
+  ...tool,
+  departments: ['accounts'],
+  verification: 'knowledge',
+  subject: ({ order_id }) => accountsService.findOrder(String(order_id).trim()),
+  async handler(input, context) {
+    if (!context.subject) {
+      return { error: `No order or invoice matching "${String(input.order_id).trim()}"` };
+    }
+    return run(context.subject, input, context);
+  },
+});
+
+export const accountsTools = [
+  accountsTool({
+    name: 'get_invoice',
+    description: 'Look up the invoice for an order: invoice number, products, sub-total, shipping, VAT and total. Only use what this returns.',
+    input_schema: { type: 'object', properties: { order_id: orderId }, required: ['order_id'] },
+    run: order => accountsService.getInvoice(order),
+  }),
+  accountsTool({
+    name: 'get_payment_status',
+    description: 'Check how an order was paid, whether payment has been received and when, and its status history.',
+    input_schema: { type: 'object', properties: { order_id: orderId }, required: ['order_id'] },
+    run: order => accountsService.getPaymentStatus(order),
+  }),
+  accountsTool({
+    name: 'get_refund_status',
+    description: 'Check whether an order has been refunded, or a refund is in progress, from the order history.',
+    input_schema: { type: 'object', properties: { order_id: orderId }, required: ['order_id'] },
+    run: order => accountsService.getRefundStatus(order),
+  }),
+  accountsTool({
+    name: 'email_order_document',
+    description: 'Email the invoice or proof of payment for an order to the email address on the order. It cannot go to any other address.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        order_id: orderId,
+        document: {
+          type: 'string',
+          enum: ['invoice', 'proof_of_payment'],
+          description: 'Which document to send',
+        },
+      },
+      required: ['order_id', 'document'],
+    },
+    outcome: result => (result.sent === false ? 'not_sent' : null),
+    details: result => ({ document: result.document }),
+    run: (order, { document }, { callSid }) => accountsService.emailDocument(order, document, callSid),
+  }),
+];
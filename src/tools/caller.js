@@ -0,0 +1,29 @@
+import { callRecapService } from '../services/call-recap.js';
+
+/**
+ * Texting the caller mid-call. Only on calls: on SMS, WhatsApp and web chat
+ * the customer is already reading the replies.
+ */
+
+export const callerTools = [
+  {
+    name: 'send_sms_to_caller',
+    description: 'Text the caller on the number they are calling from - for details that are hard to catch on the phone, like a tracking number, reference or product name. Only send what the caller asked for, and tell them it is on its way.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        message: {
+          type: 'string',
+          description: 'Message text, under 480 characters (e.g., "Your waybill is TCG28630. Track it at https://portal.thecourierguy.co.za/track?ref=TCG28630")'
+        }
+      },
+      required: ['message']
+    },
+    channels: ['voice'],
+    handler: ({ message }, { callSid, state }) => callRecapService.sendToCaller({
+      callSid,
+      phoneNumber: state?.from,
+      message,
+    }),
+  },
+];
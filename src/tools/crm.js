@@ -0,0 +1,121 @@
+import { crmService } from '../services/crm.js';
+
+/**
+ * CRM tools (see src/services/crm.js). Customer details, order status and
+ * balances need a verified caller.
+ */
+
+export const crmTools = [
+  {
+    name: 'get_customer_info',
+    description: 'Retrieve customer information by phone number',
+    input_schema: {
+      type: 'object',
+      properties: {
+        phone_number: {
+          type: 'string',
+          description: 'Customer phone number',
+        },
+      },
+      required: ['phone_number'],
+    },
+    verification: 'knowledge',
+    subject: ({ phone_number }) => ({ phoneNumber: phone_number }),
+    redact: { phone_number: 'phone' },
+    handler: ({ phone_number }) => crmService.getCustomerByPhone(phone_number),
+  },
+  {
+    name: 'get_order_status',
+    description: 'Get the status of an order by order number',
+    input_schema: {
+      type: 'object',
+      properties: {
+        order_number: {
+          type: 'string',
+          description: 'Order number or tracking number',
+        },
+      },
+      required: ['order_number'],
+    },
+    verification: 'knowledge',
+    handler: ({ order_number }) => crmService.getOrderStatus(order_number),
+  },
+  {
+    name: 'create_support_ticket',
+    description: 'Create a support ticket for the customer',
+    input_schema: {
+      type: 'object',
+      properties: {
+        customer_id: {
+          type: 'string',
+          description: 'Customer ID',
+        },
+        subject: {
+          type: 'string',
+          description: 'Ticket subject',
+        },
+        description: {
+          type: 'string',
+          description: 'Detailed description of the issue',
+        },
+        priority: {
+          type: 'string',
+          enum: ['low', 'medium', 'high', 'critical'],
+          description: 'Ticket priority',
+        },
+      },
+      required: ['customer_id', 'subject', 'description'],
+    },
+    handler: input => crmService.createSupportTicket(input),
+    details: ticket => ({ ticketId: ticket?.id || ticket?.ticketId || null }),
+  },
+  {
+    name: 'schedule_callback',
+    description: 'Schedule a callback for the customer',
+    input_schema: {
+      type: 'object',
+      properties: {
+        customer_id: {
+          type: 'string',
+          description: 'Customer ID',
+        },
+        phone_number: {
+          type: 'string',
+          description: 'Phone number for callback',
+        },
+        department: {
+          type: 'string',
+          description: 'Department to handle the callback',
+        },
+        requested_time: {
+          type: 'string',
+          description: 'Requested callback time',
+        },
+        reason: {
+          type: 'string',
+          description: 'Reason for callback',
+        },
+      },
+      required: ['customer_id', 'phone_number', 'department'],
+    },
+    redact: { phone_number: 'phone' },
+    handler: input => crmService.scheduleCallback(input),
+  },
+  {
+    name: 'get_account_balance',
+    description: 'Get customer account balance',
+    input_schema: {
+      type: 'object',
+      properties: {
+        customer_id: {
+          type: 'string',
+          description: 'Customer ID',
+        },
+      },
+      required: ['customer_id'],
+    },
+    verification: 'knowledge',
+    subject: ({ customer_id }) => ({ customerId: customer_id }),
+    handler: ({ customer_id }) => crmService.getAccountBalance(customer_id),
+  },
+];
@@ -0,0 +1,39 @@
+import { toolRegistry } from '../services/tool-registry.js';
+import { agentRegistry } from '../services/agent-registry.js';
+import { productTools } from './products.js';
+import { orderTools } from './orders.js';
+import { accountsTools } from './accounts.js';
+import { paymentTools } from './payments.js';
+import { verificationTools } from './verification.js';
+import { callerTools } from './caller.js';
+import { crmTools } from './crm.js';
+import { knowledgeTools } from './knowledge.js';
+
+/**
+ * Registers every agent tool. Import this once before calling toolRegistry.
+ */
+
+[
+  ...productTools,
+  ...orderTools,
+  ...accountsTools,
+  ...paymentTools,
+  ...verificationTools,
+  ...callerTools,
+  ...crmTools,
+  ...knowledgeTools,
+].forEach(tool => toolRegistry.register(tool));
+
+// agents.yaml can name a tool the department may not use; it just won't get it
+for (const agent of agentRegistry.all()) {
+  for (const name of agent.tools) {
+    const tool = toolRegistry.get(name);
+    if (!tool) {
+      console.warn(`[Tools] ${agent.id}: ${name} is not implemented here`);
+    } else if (!toolRegistry.allows(tool, agent.id)) {
+      console.warn(`[Tools] ${agent.id}: ${name} is only for ${tool.departments.join(', ')}`);
+    }
+  }
+}
+
+export { toolRegistry };
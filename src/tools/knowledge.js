@@ -0,0 +1,82 @@
+import { knowledgeBaseService } from '../services/knowledge-base.js';
+
+/**
+ * Support knowledge base tool (see src/services/knowledge-base.js): manual,
+ * setup guide and FAQ passages with the citation the agent should give
+ */
+
+const TYPE_LABELS = { manual: 'manual', setup_guide: 'setup guide', faq: 'FAQ' };
+
+/**
+ * "Denon AVR-X1800H Quick Setup Guide, Troubleshooting > No sound from the TV"
+ * @param {object} passage - Search result
+ * @returns {string}
+ */
+function citation(passage) {
+  // Text above the first subheading is filed under the document title
+  return passage.section && passage.section !== passage.title
+    ? `${passage.title}, ${passage.section}`
+    : passage.title;
+}
+
+export const knowledgeTools = [
+  {
+    name: 'search_support_knowledge',
+    description: 'Search Audico\'s product manuals, setup guides and support FAQs (including warranty and returns policy). Use this BEFORE giving troubleshooting or setup steps, and base the steps only on the passages returned. Pass the SKU or brand when you know the product.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The problem or question in plain words (e.g., "no sound from TV over HDMI ARC", "factory reset", "warranty period")',
+        },
+        sku: {
+          type: 'string',
+          description: 'Product SKU if known (e.g., "DEN-AVRX1800H") - finds that product\'s manuals plus general documents',
+        },
+        brand: {
+          type: 'string',
+          description: 'Brand if the SKU is not known (e.g., "Sonos")',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of passages (default 4)',
+          default: 4,
+          minimum: 1,
+          maximum: 8,
+        },
+      },
+      required: ['query'],
+    },
+    departments: ['support'],
+    timeoutMs: 8000,
+    async handler({ query, sku, brand, limit = 4 }) {
+      const passages = await knowledgeBaseService.search(query, { sku, brand, limit });
+
+      if (passages.length === 0) {
+        return {
+          found: 0,
+          message: 'No manual or FAQ passage matches that. Do not guess at steps - ask for the exact model, or offer a callback from a technician.',
+        };
+      }
+
+      return {
+        found: passages.length,
+        passages: passages.map((passage, index) => ({
+          ref: index + 1,
+          citation: citation(passage),
+          document_type: TYPE_LABELS[passage.type] || passage.type,
+          source: passage.source,
+          document_id: passage.document_id,
+          text: passage.content,
+        })),
+        note: 'Answer only from these passages and say where the steps come from (e.g., "the Denon setup guide says..."). If they do not cover the question, say so.',
+      };
+    },
+    outcome: result => (result.found === 0 ? 'no_match' : null),
+    details: result => ({
+      passages: result.found,
+      documents: [...new Set((result.passages || []).map(passage => passage.document_id))],
+    }),
+  },
+];
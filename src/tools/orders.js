@@ -0,0 +1,315 @@
+import { orderTrackingService } from '../services/order-tracking.js';
+import { createMysqlPool } from '../utils/clients.js';
+
+/**
+ * Order tools: tracking, orders by email and delivery address changes
+ * (OpenCart). Details need a verified caller; unverified callers get the
+ * status and date only.
+ */
+
+const TABLE_PREFIX = process.env.OPENCART_TABLE_PREFIX || 'oc_';
+
+const mysqlPool = createMysqlPool({
+  host: process.env.OPENCART_DB_HOST,
+  port: parseInt(process.env.OPENCART_DB_PORT || '3306'),
+  user: process.env.OPENCART_DB_USER,
+  password: process.env.OPENCART_DB_PASSWORD,
+  database: process.env.OPENCART_DB_NAME,
+  waitForConnections: true,
+  connectionLimit: 5,
+});
+
+// How the order history names the channel a change came in on
+const CHANNEL_NAMES = { voice: 'phone', sms: 'SMS', whatsapp: 'WhatsApp', web: 'web chat' };
+
+/** Look up OpenCart order by ID */
+async function lookupOrder(orderId) {
+  console.log(`[OPENCART] Looking up order ${orderId}`);
+
+  const [rows] = await mysqlPool.execute(
+    `SELECT order_id, customer_id, firstname, lastname, email, telephone,
+            order_status_id, total, currency_code, date_added, shipping_method
+     FROM ${TABLE_PREFIX}order
+     WHERE order_id = ?
+     LIMIT 1`,
+    [parseInt(orderId)]
+  );
+
+  if (rows.length === 0) {
+    console.log(`[OPENCART] Order ${orderId} not found`);
+    return null;
+  }
+
+  console.log(`[OPENCART] Order ${orderId} found`);
+  return rows[0];
+}
+
+/** Get order products */
+async function getOrderProducts(orderId) {
+  const [rows] = await mysqlPool.execute(
+    `SELECT order_product_id, product_id, name, model, quantity, price, total
+     FROM ${TABLE_PREFIX}order_product
+     WHERE order_id = ?`,
+    [parseInt(orderId)]
+  );
+
+  console.log(`[OPENCART] Found ${rows.length} products for order ${orderId}`);
+  return rows;
+}
+
+/** Get order history */
+async function getOrderHistory(orderId) {
+  const [rows] = await mysqlPool.execute(
+    `SELECT order_history_id, order_status_id, notify, comment, date_added
+     FROM ${TABLE_PREFIX}order_history
+     WHERE order_id = ?
+     ORDER BY date_added DESC`,
+    [parseInt(orderId)]
+  );
+
+  console.log(`[OPENCART] Found ${rows.length} history entries for order ${orderId}`);
+  return rows;
+}
+
+/** Extract tracking number from order history */
+function extractTrackingNumber(history) {
+  if (!history || history.length === 0) return null;
+
+  for (const entry of history) {
+    if (!entry.comment) continue;
+
+    // Check for tracking URLs
+    const urlMatch = entry.comment.match(/https?:\/\/[^\s]+/);
+    if (urlMatch) return urlMatch[0];
+
+    // Check for tracking ref numbers
+    const refMatch = entry.comment.match(/ref[=:]\s*([A-Z0-9\-]+)/i);
+    if (refMatch) return refMatch[1];
+  }
+
+  return null;
+}
+
+/** Check if order needs shipping update (>2 days old without tracking) */
+function needsShippingUpdate(order, history) {
+  if (!order || !order.date_added) return false;
+
+  const orderDate = new Date(order.date_added);
+  const now = new Date();
+  const daysDiff = (now - orderDate) / (1000 * 60 * 60 * 24);
+
+  if (daysDiff < 2) return false;
+
+  const hasTracking = extractTrackingNumber(history) !== null;
+  return !hasTracking;
+}
+
+/** Format comprehensive shipping response (status and date only when redacted) */
+function formatShippingResponse(order, products, history, { redacted = false } = {}) {
+  if (!order) {
+    return { text: 'Order not found', needsUpdate: false };
+  }
+
+  const orderId = order.order_id;
+  const orderDate = new Date(order.date_added);
+  const dateStr = orderDate.toLocaleDateString('en-ZA', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const total = `R${parseFloat(order.total || 0).toFixed(2)}`;
+
+  const trackingInfo = extractTrackingNumber(history);
+  const needsUpdate = needsShippingUpdate(order, history);
+
+  // Status
+  const statusMap = {
+    1: 'pending payment',
+    2: 'being processed',
+    3: 'shipped',
+    5: 'complete',
+    7: 'cancelled',
+    10: 'failed',
+    11: 'refunded',
+    18: 'shipped',
+    29: 'awaiting collection',
+  };
+
+  const statusName = statusMap[order.order_status_id] || 'being processed';
+
+  // Caller not verified: no products, amounts or tracking
+  if (redacted) {
+    return {
+      text: `Order ${orderId} was placed on ${dateStr}. The current status is ${statusName}.`,
+      verified: false,
+      note: 'Identity NOT verified: products, amounts, tracking and contact details are withheld until the caller is verified.',
+      needsUpdate: false,
+    };
+  }
+
+  let response = 'Let me check that for you. ';
+
+  // Confirm product
+  if (products && products.length > 0) {
+    const productNames = products.map(p => `${p.name} quantity ${p.quantity}`).join(', ');
+    response += `I can confirm your order for ${productNames}. `;
+  }
+
+  response += `This order was placed on ${dateStr} with a total of ${total}. `;
+  response += `The current status is ${statusName}. `;
+
+  // Tracking
+  if (trackingInfo) {
+    if (trackingInfo.startsWith('http')) {
+      // Extract tracking number from URL (after ref= or ref:)
+      const refMatch = trackingInfo.match(/ref[=:]([A-Z0-9\-]+)/i);
+      if (refMatch) {
+        response += `Shipped with The Courier Guy. Tracking ${refMatch[1]}. `;
+      } else {
+        response += `Your tracking information is available at: ${trackingInfo}. `;
+      }
+    } else {
+      response += `Tracking reference ${trackingInfo}. `;
+    }
+  }
+
+  // Check if needs update
+  if (needsUpdate) {
+    response += `I notice this order is more than 2 days old and doesn't have shipping information yet. I will request an immediate update from our logistics team and have them send you the tracking details as soon as possible. `;
+  }
+
+  return { text: response, needsUpdate, tracking: trackingInfo };
+}
+
+export const orderTools = [
+  {
+    name: 'track_order',
+    description: 'Look up an order in OpenCart database by order ID. Returns REAL order information including products, date, status, and tracking number. DO NOT make up information - only use what this tool returns.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        order_id: {
+          type: 'string',
+          description: 'Order ID number (e.g., "28630", "28645")'
+        }
+      },
+      required: ['order_id']
+    },
+    departments: ['shipping', 'support', 'accounts', 'operator'],
+    verification: 'knowledge',
+    whenUnverified: 'redact',
+    subject: ({ order_id }) => lookupOrder(order_id),
+    async handler({ order_id: orderId }, { subject: order, verified }) {
+      if (!order) {
+        return { error: `Order ${orderId} not found in our system` };
+      }
+
+      const products = await getOrderProducts(orderId);
+      const history = await getOrderHistory(orderId);
+
+      // Check ShipLogic tracking database first
+      const [trackingRows] = await mysqlPool.execute(
+        `SELECT tcg_waybill, shiplogic_reference, status, status_message, last_updated_at
+         FROM oc_order_shiplogic_tracking
+         WHERE order_id = ?
+         ORDER BY last_updated_at DESC
+         LIMIT 1`,
+        [parseInt(orderId)]
+      );
+
+      // If we have ShipLogic tracking, add it to the response
+      if (trackingRows.length > 0) {
+        const tracking = trackingRows[0];
+        console.log(`✅ [TRACKING] Found ShipLogic tracking for order ${orderId}: ${tracking.tcg_waybill || tracking.shiplogic_reference}`);
+
+        // Add tracking to history for the formatter
+        if (tracking.tcg_waybill) {
+          history.unshift({
+            comment: `Tracking: ${tracking.tcg_waybill} - Status: ${tracking.status || 'pending'}`,
+            date_added: tracking.last_updated_at
+          });
+        }
+      }
+
+      // Full details only for the verified customer on this order
+      return formatShippingResponse(order, products, history, { redacted: !verified });
+    },
+    // The waybill goes in the call recap SMS
+    details: result => ({
+      verified: result.verified !== false,
+      waybill: /\bTCG[\w/-]+/i.exec(result.text)?.[0] ||
+        (typeof result.tracking === 'string' && !/^https?:/.test(result.tracking) ? result.tracking : null),
+    }),
+  },
+  {
+    name: 'find_orders_by_email',
+    description: 'Find all orders associated with a customer email address. Useful when customer does not have order number.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        email: {
+          type: 'string',
+          description: 'Customer email address',
+        },
+      },
+      required: ['email'],
+    },
+    departments: ['shipping', 'support', 'accounts', 'operator'],
+    verification: 'knowledge',
+    whenUnverified: 'redact',
+    subject: ({ email }) => ({ email }),
+    redact: { email: 'email' },
+    async handler({ email }, { verified }) {
+      if (!verified) return orderTrackingService.formatOrderList(null, { redacted: true });
+      const ordersInfo = await orderTrackingService.findOrdersByEmail(email);
+      return orderTrackingService.formatOrderList(ordersInfo);
+    },
+  },
+  {
+    name: 'update_delivery_address',
+    description: 'Change the delivery address of an order that has not been handed to the courier yet. The caller must be verified by SMS PIN first. Read the new address back and get a yes before using this.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        order_id: {
+          type: 'string',
+          description: 'Order ID number'
+        },
+        address_line_1: {
+          type: 'string',
+          description: 'Street address (e.g., "14 Rivonia Road")'
+        },
+        address_line_2: {
+          type: 'string',
+          description: 'Complex, unit or suburb (optional)'
+        },
+        city: {
+          type: 'string',
+          description: 'City or town'
+        },
+        postcode: {
+          type: 'string',
+          description: 'Postal code'
+        }
+      },
+      required: ['order_id', 'address_line_1', 'city', 'postcode']
+    },
+    departments: ['shipping'],
+    verification: 'pin',
+    subject: ({ order_id }) => lookupOrder(order_id),
+    redact: { address_line_1: 'secret', address_line_2: 'secret', postcode: 'secret' },
+    outcome: result => (result.updated === false ? 'not_updated' : null),
+    async handler({ order_id: orderId, address_line_1, address_line_2, city, postcode }, { subject: order, channel = 'voice' }) {
+      if (!order) {
+        return { error: `Order ${orderId} not found in our system` };
+      }
+
+      return orderTrackingService.updateShippingAddress(order.order_id, {
+        address1: address_line_1,
+        address2: address_line_2,
+        city,
+        postcode
+      }, `Delivery address changed by ${CHANNEL_NAMES[channel] || channel} (customer verified by SMS PIN)`);
+    },
+  },
+];
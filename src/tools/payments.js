@@ -0,0 +1,51 @@
+import { accountsService } from '../services/accounts.js';
+import { paymentService } from '../services/payments.js';
+
+/**
+ * Payment link tools (see src/services/payments.js). Links only ever go to the
+ * contact details on the order, so an unverified caller can ask for one - they
+ * just aren't told the amount.
+ */
+
+export const paymentTools = [
+  {
+    name: 'create_payment_link',
+    description: 'Send the customer a secure link to pay an unpaid order (card or instant EFT). It goes to the mobile number and/or email address on the order - never to other details - and is for the order total. The order is marked paid automatically when the payment comes through.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        order_id: {
+          type: 'string',
+          description: 'Order number (e.g. "28655")',
+        },
+        send_by: {
+          type: 'string',
+          enum: ['sms', 'email', 'both'],
+          description: 'How to send the link (default sms)',
+        },
+      },
+      required: ['order_id'],
+    },
+    departments: ['sales', 'accounts'],
+    verification: 'knowledge',
+    whenUnverified: 'redact',
+    subject: ({ order_id }) => accountsService.findOrder(String(order_id).trim()),
+    outcome: result => (result.sent === false ? 'not_sent' : null),
+    details: result => ({ linkId: result.linkId || null, sentTo: result.sentTo || null }),
+    async handler({ order_id, send_by = 'sms' }, { callSid, agent, channel, verified }) {
+      const { order, ...result } = await paymentService.createLink({
+        orderId: String(order_id).trim(),
+        sendBy: send_by,
+        callSid,
+        agent,
+        channel,
+      });
+
+      // The amount is order detail - only for a verified caller
+      if (result.sent && verified) {
+        result.amount = `R${parseFloat(order.total).toFixed(2)}`;
+      }
+      return result;
+    },
+  },
+];
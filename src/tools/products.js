@@ -0,0 +1,169 @@
+import { productService } from '../services/product.js';
+import { createSupabaseClient } from '../utils/clients.js';
+
+/**
+ * Product tools: live catalogue search (products table) and the product
+ * knowledge base (call_center_products) - any department
+ */
+
+const supabase = createSupabaseClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Top matches kept with the call - web chat product cards and the recap SMS
+const SUMMARY_PRODUCTS = 3;
+
+/** Search products in database - in stock and active only */
+async function searchProducts(query, limit = 10) {
+  console.log(`[DB SEARCH] Query: "${query}"`);
+
+  const { data, error } = await supabase
+    .from('products')
+    .select('product_name, sku, brand, category_name, selling_price, total_stock')
+    .eq('active', true)
+    .gt('total_stock', 0)
+    .or(`product_name.ilike.%${query}%,brand.ilike.%${query}%,sku.ilike.%${query}%`)
+    .limit(limit);
+
+  if (error) {
+    console.error('[DB SEARCH] Error:', error);
+    return [];
+  }
+
+  console.log(`[DB SEARCH] Found ${data?.length || 0} results`);
+  return data || [];
+}
+
+export const productTools = [
+  {
+    name: 'search_products',
+    description: 'Search Audico product catalog in real-time. Use this EVERY TIME a customer asks about a product. Search by brand name, model number, product type, or SKU.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search query - brand, model, product type, or SKU (e.g., "Denon AVR-X1800H", "wireless headphones", "JBL")'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of results (default 10)',
+          default: 10,
+          minimum: 1,
+          maximum: 25
+        }
+      },
+      required: ['query']
+    },
+    timeoutMs: 8000,
+    async handler({ query, limit = 10 }) {
+      const products = await searchProducts(query, limit);
+      return products.length > 0 ? products : [{ message: 'No products found matching that search' }];
+    },
+    details: results => ({
+      products: results.filter(product => product.product_name).slice(0, SUMMARY_PRODUCTS),
+    }),
+  },
+  {
+    name: 'get_product_info',
+    description: 'Search for product information by name, SKU, or general description. Use this when customers ask about products, pricing, or availability.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Product name, SKU, or description to search for (e.g., "Sony 55-inch TV", "SKU12345", "latest Samsung phone")',
+        },
+        search_type: {
+          type: 'string',
+          enum: ['name', 'sku', 'semantic'],
+          description: 'Type of search: "name" for exact name match, "sku" for SKU lookup, "semantic" for flexible natural language search',
+        },
+      },
+      required: ['query'],
+    },
+    timeoutMs: 8000,
+    async handler({ query, search_type = 'semantic' }) {
+      if (search_type === 'sku') {
+        const product = await productService.findProductBySKU(query);
+        return product ? productService.formatProductInfo(product) : 'Product not found';
+      }
+      if (search_type === 'name') {
+        const products = await productService.findProductByName(query);
+        if (products.length === 0) return 'No products found';
+        if (products.length === 1) return productService.formatProductInfo(products[0]);
+        return `Found ${products.length} products:\n` + products.map(p => `- ${p.name} (${p.sku})`).join('\n');
+      }
+
+      const products = await productService.semanticSearch(query, 3);
+      if (products.length === 0) return 'No products found matching your query';
+      if (products.length === 1) return productService.formatProductInfo(products[0]);
+      return `Found ${products.length} products:\n` + products.map(p => productService.formatProductInfo(p)).join('\n\n');
+    },
+  },
+  {
+    name: 'get_product_details',
+    description: 'Get the specs, compatibility, setup notes and common customer questions on file for one product. Pass the caller\'s question (e.g., "does it have HDMI eARC?") to get the stored answer when there is one. Answer only from what this returns.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        product: {
+          type: 'string',
+          description: 'SKU (preferred) or product name (e.g., "DEN-AVRX1800H", "Denon AVR-X1800H")',
+        },
+        question: {
+          type: 'string',
+          description: 'The caller\'s question about the product, in their words',
+        },
+      },
+      required: ['product'],
+    },
+    timeoutMs: 8000,
+    handler: ({ product, question }) => productService.getProductDetails(product, question),
+    outcome: result => (result.found === false ? 'no_match' : null),
+    details: result => ({
+      sku: result.sku || null,
+      answered: Boolean(result.answer),
+    }),
+  },
+  {
+    name: 'check_product_availability',
+    description: 'Check if a specific product is in stock and get stock levels',
+    input_schema: {
+      type: 'object',
+      properties: {
+        product_id: {
+          type: 'string',
+          description: 'Product ID to check availability',
+        },
+      },
+      required: ['product_id'],
+    },
+    async handler({ product_id }) {
+      return productService.checkAvailability(product_id);
+    },
+  },
+  {
+    name: 'get_product_recommendations',
+    description: 'Get product recommendations similar to a given product',
+    input_schema: {
+      type: 'object',
+      properties: {
+        product_id: {
+          type: 'string',
+          description: 'Product ID to base recommendations on',
+        },
+        limit: {
+          type: 'number',
+          description: 'Number of recommendations to return (default: 3)',
+          minimum: 1,
+          maximum: 10,
+        },
+      },
+      required: ['product_id'],
+    },
+    async handler({ product_id, limit = 3 }) {
+      const recommendations = await productService.getRecommendations(product_id, limit);
+      if (recommendations.length === 0) return 'No recommendations available';
+      return 'Recommended products:\n' + recommendations.map(p => productService.formatProductInfo(p)).join('\n\n');
+    },
+  },
+];
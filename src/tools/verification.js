@@ -0,0 +1,71 @@
+import { verificationService } from '../services/verification.js';
+
+/**
+ * Verification tools: PIN by SMS and knowledge checks (see
+ * src/services/verification.js). What the caller reads out never reaches the logs.
+ */
+
+export const verificationTools = [
+  {
+    name: 'send_verification_pin',
+    description: 'Text a one-time PIN to the phone number on an order, to verify the caller before sharing order details or changing an address. Ask the caller to read the PIN back, then call verify_identity with it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        order_id: {
+          type: 'string',
+          description: 'Order number the caller gave',
+        },
+      },
+      required: ['order_id'],
+    },
+    outcome: result => (result.sent === false ? 'not_sent' : null),
+    handler: ({ order_id }, { callSid }) => verificationService.sendPin(callSid, order_id),
+  },
+  {
+    name: 'verify_identity',
+    description: 'Verify the caller with one of: the PIN they received (pin); the email and postcode on their order (email + postcode, order_id if known); or an order number and the total of their last order (order_id + order_total). Never read out the details you are checking.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        pin: {
+          type: 'string',
+          description: 'PIN the caller read out',
+        },
+        order_id: {
+          type: 'string',
+          description: 'Order number the caller gave',
+        },
+        email: {
+          type: 'string',
+          description: 'Email address the caller gave',
+        },
+        postcode: {
+          type: 'string',
+          description: 'Delivery postcode the caller gave',
+        },
+        order_total: {
+          type: 'string',
+          description: 'Total of their last order, as the caller said it (e.g. "15288")',
+        },
+      },
+    },
+    redact: { pin: 'secret', email: 'email', postcode: 'secret', order_total: 'secret' },
+    outcome: result => (result.verified === false ? 'not_verified' : null),
+    async handler({ pin, order_id, email, postcode, order_total }, context) {
+      const result = await verificationService.verify(context.callSid, {
+        orderId: order_id,
+        pin,
+        email,
+        postcode,
+        orderTotal: order_total,
+      }, context);
+
+      // Recognised caller proved it's them: the agents get their full details
+      if (result.verified && context.state?.caller) {
+        context.state.identityVerified = await verificationService.isVerified(context.callSid, 'knowledge', context.state.caller);
+      }
+      return result;
+    },
+  },
+];
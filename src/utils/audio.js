@@ -0,0 +1,77 @@
+/**
+ * μ-law (G.711) helpers for Twilio Media Streams
+ * Twilio sends and expects 8kHz mono μ-law, base64-encoded, in 20ms frames.
+ */
+
+const ULAW_BIAS = 0x84;
+
+// Decode table: μ-law byte → 16-bit linear PCM sample
+const ULAW_TO_LINEAR = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+  ULAW_TO_LINEAR[i] = sign ? -magnitude : magnitude;
+}
+
+/**
+ * Decode μ-law audio to 16-bit PCM samples
+ * @param {Buffer} ulaw - μ-law bytes
+ * @returns {Int16Array}
+ */
+export function ulawToPcm(ulaw) {
+  const samples = new Int16Array(ulaw.length);
+  for (let i = 0; i < ulaw.length; i++) {
+    samples[i] = ULAW_TO_LINEAR[ulaw[i]];
+  }
+  return samples;
+}
+
+/**
+ * RMS energy of a μ-law frame (0 - 32767), used for voice activity detection
+ * @param {Buffer} ulaw - μ-law bytes
+ * @returns {number}
+ */
+export function ulawEnergy(ulaw) {
+  if (ulaw.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < ulaw.length; i++) {
+    const sample = ULAW_TO_LINEAR[ulaw[i]];
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / ulaw.length);
+}
+
+/**
+ * Wrap μ-law audio in a 16-bit PCM WAV file (for Whisper)
+ * @param {Buffer} ulaw - μ-law bytes
+ * @param {number} sampleRate - Sample rate (Twilio: 8000)
+ * @returns {Buffer}
+ */
+export function ulawToWav(ulaw, sampleRate = 8000) {
+  const samples = ulawToPcm(ulaw);
+  const dataBytes = samples.length * 2;
+  const wav = Buffer.alloc(44 + dataBytes);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataBytes, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16); // fmt chunk size
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // mono
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  wav.writeUInt16LE(2, 32); // block align
+  wav.writeUInt16LE(16, 34); // bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataBytes, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    wav.writeInt16LE(samples[i], 44 + i * 2);
+  }
+
+  return wav;
+}
@@ -0,0 +1,231 @@
+/**
+ * Calendar helpers for business hours
+ * South African public holidays, opening-hours parsing and time zone maths
+ * (Intl only - no date library).
+ */
+
+export const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Public Holidays Act 36 of 1994 - fixed-date holidays
+const FIXED_HOLIDAYS = [
+  ['01-01', "New Year's Day"],
+  ['03-21', 'Human Rights Day'],
+  ['04-27', 'Freedom Day'],
+  ['05-01', "Workers' Day"],
+  ['06-16', 'Youth Day'],
+  ['08-09', "National Women's Day"],
+  ['09-24', 'Heritage Day'],
+  ['12-16', 'Day of Reconciliation'],
+  ['12-25', 'Christmas Day'],
+  ['12-26', 'Day of Goodwill'],
+];
+
+const pad = number => String(number).padStart(2, '0');
+
+/**
+ * Format a UTC-midnight Date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return isoDate(result);
+}
+
+/**
+ * Day of week (0 = Sunday) for a YYYY-MM-DD date
+ * @param {string} date
+ * @returns {number}
+ */
+export function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Western Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year
+ * @returns {string} - YYYY-MM-DD
+ */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * South African public holidays for a year
+ * A holiday that falls on a Sunday makes the following Monday a public holiday.
+ * @param {number} year
+ * @returns {Array<object>} - [{ date: 'YYYY-MM-DD', name, observed }] sorted by date
+ */
+export function southAfricanHolidays(year) {
+  const easter = easterSunday(year);
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(([monthDay, name]) => ({ date: `${year}-${monthDay}`, name, observed: false })),
+    { date: addDays(easter, -2), name: 'Good Friday', observed: false },
+    { date: addDays(easter, 1), name: 'Family Day', observed: false },
+  ];
+
+  const dates = new Set(holidays.map(holiday => holiday.date));
+  holidays
+    .filter(holiday => dayOfWeek(holiday.date) === 0)
+    .forEach(holiday => {
+      const monday = addDays(holiday.date, 1);
+      // Christmas on a Sunday: the Monday is already the Day of Goodwill
+      if (!dates.has(monday)) {
+        holidays.push({ date: monday, name: `${holiday.name} (observed)`, observed: true });
+        dates.add(monday);
+      }
+    });
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Public holiday on a date, if any
+ * @param {string} date - YYYY-MM-DD
+ * @returns {object|null} - { date, name, observed }
+ */
+export function holidayOn(date) {
+  return southAfricanHolidays(parseInt(date.slice(0, 4))).find(holiday => holiday.date === date) || null;
+}
+
+/**
+ * Parse "HH:MM-HH:MM" (comma-separated for split shifts) or "closed"
+ * @param {string} value
+ * @returns {Array<object>} - [{ open, close }] in minutes since midnight
+ */
+function parseIntervals(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'closed') return [];
+
+  return text.split(',').map(range => {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(range.trim());
+    if (!match) {
+      throw new Error(`"${value}" is not HH:MM-HH:MM or closed`);
+    }
+    const open = parseInt(match[1]) * 60 + parseInt(match[2]);
+    const close = parseInt(match[3]) * 60 + parseInt(match[4]);
+    if (parseInt(match[2]) > 59 || parseInt(match[4]) > 59 || close > 24 * 60 || open >= close) {
+      throw new Error(`"${value}" is not a valid time range`);
+    }
+    return { open, close };
+  });
+}
+
+/**
+ * Parse an opening hours spec
+ *
+ *   mon-fri: "08:00-17:00"
+ *   sat: "08:30-13:00"
+ *   holidays: closed        # default
+ *
+ * Days not listed are closed.
+ * @param {object} spec - Day (mon, mon-fri) → hours
+ * @returns {object} - { days: Array(7) of intervals, holidays: intervals }
+ */
+export function parseOpeningHours(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('opening hours must be a map of days to "HH:MM-HH:MM" or closed');
+  }
+
+  const hours = { days: DAY_NAMES.map(() => []), holidays: [] };
+
+  for (const [key, value] of Object.entries(spec)) {
+    const name = key.toLowerCase();
+    if (name === 'holidays') {
+      hours.holidays = parseIntervals(value);
+      continue;
+    }
+
+    const [from, to = from] = name.split('-');
+    const start = DAY_NAMES.indexOf(from);
+    const end = DAY_NAMES.indexOf(to);
+    if (start === -1 || end === -1) {
+      throw new Error(`unknown day "${key}" (use ${DAY_NAMES.join(', ')} or ranges like mon-fri)`);
+    }
+
+    const intervals = parseIntervals(value);
+    for (let day = start; ; day = (day + 1) % 7) {
+      hours.days[day] = intervals;
+      if (day === end) break;
+    }
+  }
+
+  return hours;
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} instant
+ * @param {string} timeZone - IANA zone, e.g. Africa/Johannesburg
+ * @returns {object} - { date: 'YYYY-MM-DD', minutes, day }
+ */
+export function zonedParts(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    day: dayOfWeek(date),
+  };
+}
+
+/**
+ * Instant for a wall-clock time in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTime(date, minutes, timeZone) {
+  const guess = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  const local = zonedParts(new Date(guess), timeZone);
+  const localMs = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60 * 1000;
+  return new Date(guess - (localMs - guess));
+}
+
+/**
+ * Speakable time of day: 8 AM, 8:30 AM, 1 PM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+export function formatTimeOfDay(minutes) {
+  const hour = Math.floor(minutes / 60) % 24;
+  const minute = minutes % 60;
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  const hour12 = hour % 12 || 12;
+  return minute ? `${hour12}:${pad(minute)} ${suffix}` : `${hour12} ${suffix}`;
+}
@@ -0,0 +1,27 @@
+import { config } from '../config/config.js';
+
+/**
+ * Address of the client behind our proxies
+ *
+ * X-Forwarded-For is a list the client can start itself; each proxy appends
+ * the address the request came from. With TRUST_PROXY_HOPS proxies in front of
+ * the server (Railway: 1), the entry that many places from the end was added
+ * by the outermost one and is the client; anything before it is unverified.
+ * Without trusted proxies the header is ignored. Same rule as Express's
+ * `trust proxy` setting, so this matches req.ip.
+ * @param {object} req - Express request, or a plain http request (WebSocket upgrades)
+ * @returns {string}
+ */
+export function getClientIp(req) {
+  const remote = req.socket?.remoteAddress || null;
+  const hops = config.trustProxyHops;
+  if (!hops) return remote;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  if (forwarded.length === 0) return remote;
+
+  return forwarded[Math.max(forwarded.length - hops, 0)];
+}
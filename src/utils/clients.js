@@ -0,0 +1,112 @@
+import Anthropic from '@anthropic-ai/sdk';
+import axios from 'axios';
+import OpenAI from 'openai';
+import { createClient } from '@supabase/supabase-js';
+import mysql from 'mysql2/promise';
+import twilio from 'twilio';
+import { config } from '../config/config.js';
+import {
+  sandboxDatabase,
+  sandboxSupabase,
+  sandboxOutbox,
+  sandboxOpenAI,
+  getSandboxAnthropic,
+} from '../sandbox/index.js';
+import { FakeMysqlPool } from '../sandbox/fake-mysql.js';
+import { createFakeTwilioClient } from '../sandbox/fake-twilio.js';
+import { createFakeEmailClient } from '../sandbox/fake-email.js';
+
+/**
+ * Provider client factories
+ * Return the real SDK client, or the in-memory fake when SANDBOX=true
+ */
+
+/**
+ * @param {string} apiKey - Anthropic API key
+ */
+export function createAnthropicClient(apiKey = config.anthropic.apiKey) {
+  if (config.sandbox.enabled) {
+    return getSandboxAnthropic(config.sandbox.llmScript);
+  }
+  return new Anthropic({ apiKey });
+}
+
+/**
+ * @param {string} apiKey - OpenAI API key
+ */
+export function createOpenAIClient(apiKey = config.openai.apiKey) {
+  if (config.sandbox.enabled) {
+    return sandboxOpenAI;
+  }
+  return new OpenAI({ apiKey });
+}
+
+/**
+ * @param {string} url - Supabase project URL
+ * @param {string} key - Service role or anon key
+ */
+export function createSupabaseClient(url, key) {
+  if (config.sandbox.enabled) {
+    return sandboxSupabase;
+  }
+  return createClient(url, key);
+}
+
+/**
+ * @param {object} poolConfig - mysql2 pool options
+ */
+export function createMysqlPool(poolConfig) {
+  if (config.sandbox.enabled) {
+    return new FakeMysqlPool(sandboxDatabase);
+  }
+  return mysql.createPool(poolConfig);
+}
+
+/**
+ * @param {object} connectionConfig - mysql2 connection options
+ */
+export async function createMysqlConnection(connectionConfig) {
+  if (config.sandbox.enabled) {
+    return new FakeMysqlPool(sandboxDatabase).createConnection();
+  }
+  return mysql.createConnection(connectionConfig);
+}
+
+/**
+ * @param {string} accountSid - Twilio account SID
+ * @param {string} authToken - Twilio auth token
+ */
+export function createTwilioClient(accountSid = config.twilio.accountSid, authToken = config.twilio.authToken) {
+  if (config.sandbox.enabled) {
+    return createFakeTwilioClient(sandboxOutbox);
+  }
+  return twilio(accountSid, authToken);
+}
+
+/**
+ * @param {string} apiKey - SendGrid API key
+ * @returns {object|null} - { send({ to, from, fromName, subject, text }) }, null when email isn't set up
+ */
+export function createEmailClient(apiKey = config.email.sendgridApiKey) {
+  if (config.sandbox.enabled) {
+    return createFakeEmailClient(sandboxOutbox);
+  }
+  if (!apiKey) {
+    return null;
+  }
+
+  return {
+    async send({ to, from, fromName, subject, text }) {
+      const response = await axios.post('https://api.sendgrid.com/v3/mail/send', {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: from, name: fromName },
+        subject,
+        content: [{ type: 'text/plain', value: text }],
+      }, {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: 10000,
+      });
+      return { id: response.headers['x-message-id'] || null };
+    },
+  };
+}
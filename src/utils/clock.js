@@ -0,0 +1,36 @@
+/**
+ * Current time for business hours and callback scheduling
+ *
+ * Always the system clock, except in sandbox mode: there it starts at
+ * SANDBOX_CLOCK (when set) and POST /sandbox/clock moves it, so scenarios see
+ * the same opening hours whenever they run. Time keeps running from wherever
+ * the clock was set.
+ */
+
+let offsetMs = 0;
+
+export const clock = {
+  /**
+   * @returns {Date}
+   */
+  now() {
+    return new Date(Date.now() + offsetMs);
+  },
+
+  /**
+   * Move the clock
+   * @param {Date|string|null} at - New current time; null goes back to the system clock
+   */
+  set(at) {
+    if (!at) {
+      offsetMs = 0;
+      return;
+    }
+
+    const time = new Date(at).getTime();
+    if (isNaN(time)) {
+      throw new Error(`Invalid time "${at}" (use ISO 8601, e.g. 2025-03-04T10:00:00+02:00)`);
+    }
+    offsetMs = time - Date.now();
+  },
+};
@@ -1,12 +1,41 @@
+import { config } from '../config/config.js';
 import { logger } from './logger.js';
+import { recordStore } from '../services/state-store.js';
 
 /**
  * POPIA (Protection of Personal Information Act) Compliance utilities
  */
+
+/**
+ * Compare numbers in one format: 082 123 4567 and +27821234567 are the same
+ * @param {string} phoneNumber
+ * @returns {string} - E.164 where the number is South African
+ */
+export function normalizePhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/[^\d+]/g, '');
+  if (/^0\d{9}$/.test(digits)) return `+27${digits.slice(1)}`;
+  if (/^27\d{9}$/.test(digits)) return `+${digits}`;
+  if (/^0027\d{9}$/.test(digits)) return `+${digits.slice(2)}`;
+  return digits;
+}
+
 export class ComplianceManager {
   constructor() {
     this.consentRecords = new Map();
     this.dataSubjectRequests = new Map();
+    // Internal do-not-call list, by phone number
+    this.doNotCall = recordStore.namespace('dnc');
+    // Latest marketing consent, by phone number and channel
+    this.marketingConsent = recordStore.namespace('marketing-consent');
+  }
+
+  /**
+   * Will opt-outs and consent survive a restart? Unsolicited messages
+   * (notifications, marketing) must not be sent if not - a STOP would be forgotten
+   * @returns {boolean}
+   */
+  optOutsDurable() {
+    return config.sandbox.enabled || recordStore.durable;
   }
 
   /**
@@ -178,6 +207,8 @@ export class ComplianceManager {
       timestamp: new Date().toISOString(),
     };
 
+    await this.marketingConsent.set(`${normalizePhoneNumber(phoneNumber)}:${channel}`, consentRecord);
+
     await logger.logCompliance({
       type: 'MARKETING_CONSENT',
       callSid: null,
@@ -189,16 +220,25 @@ export class ComplianceManager {
     return consentRecord;
   }
 
+  /**
+   * Marketing consent on record for a channel
+   * @param {string} phoneNumber - Customer's phone number
+   * @param {string} channel - Marketing channel (voice, sms, email)
+   * @returns {Promise<boolean|null>} - null if the customer was never asked
+   */
+  async getMarketingConsent(phoneNumber, channel) {
+    const record = await this.marketingConsent.get(`${normalizePhoneNumber(phoneNumber)}:${channel}`);
+    return record ? record.consentGiven : null;
+  }
+
   /**
    * Check do-not-call list
    * @param {string} phoneNumber - Phone number to check
-   * @returns {boolean} - Whether number is on DNC list
+   * @returns {Promise<boolean>} - Whether number is on DNC list
    */
-  isOnDoNotCallList(phoneNumber) {
-    // In production, this would check against the national DNC registry
-    // and your internal DNC list
-    console.log('[Compliance] Checking DNC list for:', phoneNumber);
-    return false; // Mock implementation
+  async isOnDoNotCallList(phoneNumber) {
+    // Internal list only - the national opt-out registry isn't checked yet
+    return this.doNotCall.has(normalizePhoneNumber(phoneNumber));
   }
 
   /**
@@ -207,6 +247,11 @@ export class ComplianceManager {
    * @param {string} reason - Reason for adding
    */
   async addToDoNotCallList(phoneNumber, reason) {
+    await this.doNotCall.set(normalizePhoneNumber(phoneNumber), {
+      reason,
+      addedAt: new Date().toISOString(),
+    });
+
     await logger.logCompliance({
       type: 'DNC_LIST_ADD',
       callSid: null,
@@ -217,7 +262,28 @@ export class ComplianceManager {
       },
     });
 
-    console.log('[Compliance] Added to DNC list:', phoneNumber);
+    console.log('[Compliance] Added to DNC list:', logger.maskPhoneNumber(phoneNumber));
+  }
+
+  /**
+   * Remove from do-not-call list (the customer opted back in)
+   * @param {string} phoneNumber - Phone number to remove
+   * @param {string} reason - Reason for removing
+   */
+  async removeFromDoNotCallList(phoneNumber, reason) {
+    await this.doNotCall.delete(normalizePhoneNumber(phoneNumber));
+
+    await logger.logCompliance({
+      type: 'DNC_LIST_REMOVE',
+      callSid: null,
+      details: {
+        phoneNumber: logger.maskPhoneNumber(phoneNumber),
+        reason,
+        timestamp: new Date().toISOString(),
+      },
+    });
+
+    console.log('[Compliance] Removed from DNC list:', logger.maskPhoneNumber(phoneNumber));
   }
 
   /**
@@ -0,0 +1,203 @@
+/**
+ * Support documents: text extraction and chunking
+ *
+ * Manuals, setup guides and FAQs arrive as Markdown, HTML or text extracted from
+ * a PDF (pdftotext output: pages separated by form feeds). Each is split into
+ * sections - by heading, or by page for PDFs - and the sections into overlapping
+ * chunks small enough to embed and to quote back to a caller. A chunk never
+ * spans two sections, so its citation ("Network Setup", "Page 14") is exact.
+ */
+
+export const DOCUMENT_FORMATS = ['markdown', 'html', 'pdf', 'text'];
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '-', mdash: '-', hellip: '...', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', deg: '°',
+};
+
+/**
+ * Normalise whitespace while keeping paragraph breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function tidy(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Sections of a Markdown document, one per heading. The section name is the
+ * heading path below the title ("Network Setup > Wi-Fi"), or the title itself
+ * for text before the first subheading.
+ * @param {string} markdown
+ * @returns {Array<object>} - [{ heading, text }]
+ */
+function markdownSections(markdown) {
+  const sections = [];
+  const path = [];
+  let current = { heading: '', lines: [] };
+
+  const flush = () => {
+    const text = tidy(current.lines.join('\n'));
+    if (text) sections.push({ heading: current.heading, text });
+  };
+
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (!heading) {
+      current.lines.push(line
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|`)/g, ''));
+      continue;
+    }
+
+    flush();
+    const level = heading[1].length;
+    path.length = level - 1;
+    path[level - 1] = heading[2].replace(/(\*\*|__|`)/g, '');
+    // Level 1 is normally the document title; keep it only when there is nothing below it
+    const below = path.slice(1).filter(Boolean);
+    current = { heading: below.length > 0 ? below.join(' > ') : path.filter(Boolean).join(' > '), lines: [] };
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * HTML to Markdown-ish text: headings become # lines, list items "- " lines,
+ * block elements paragraph breaks; the head, scripts, styles and navigation are dropped
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|script|style|nav|header|footer|noscript)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) =>
+      `\n\n${'#'.repeat(Number(level))} ${text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|ul|ol|table|tr|section|article|blockquote|pre)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Split a document into sections
+ * @param {string} content - Document body
+ * @param {string} format - markdown, html, pdf or text
+ * @returns {Array<object>} - [{ heading, text }], heading '' when the format has none
+ */
+export function extractSections(content, format) {
+  const body = String(content || '');
+
+  switch (format) {
+    case 'markdown':
+      return markdownSections(body);
+
+    case 'html':
+      return markdownSections(htmlToText(body));
+
+    case 'pdf':
+      // pdftotext separates pages with form feeds; hyphenated line breaks are rejoined
+      return body.split('\f')
+        .map((page, index) => ({
+          heading: `Page ${index + 1}`,
+          text: tidy(page.replace(/(\w)-\n(\w)/g, '$1$2')),
+        }))
+        .filter(section => section.text);
+
+    case 'text': {
+      const text = tidy(body);
+      return text ? [{ heading: '', text }] : [];
+    }
+
+    default:
+      throw new Error(`format must be one of ${DOCUMENT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Break text that is too long for one chunk at sentence ends, or word
+ * boundaries when a single sentence is longer than the limit
+ * @param {string} text
+ * @param {number} size
+ * @returns {Array<string>}
+ */
+function splitLong(text, size) {
+  if (text.length <= size) return [text];
+
+  const pieces = [];
+  for (const sentence of text.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [text]) {
+    if (sentence.length <= size) {
+      pieces.push(sentence.trim());
+      continue;
+    }
+    let rest = sentence.trim();
+    while (rest.length > size) {
+      const cut = rest.lastIndexOf(' ', size) > size / 2 ? rest.lastIndexOf(' ', size) : size;
+      pieces.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+  }
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Last `overlap` characters of a chunk, starting at a word boundary
+ * @param {string} text
+ * @param {number} overlap
+ * @returns {string}
+ */
+function tail(text, overlap) {
+  if (overlap <= 0 || text.length <= overlap) return overlap > 0 ? text : '';
+  const start = text.indexOf(' ', text.length - overlap);
+  return start === -1 ? '' : text.slice(start + 1);
+}
+
+/**
+ * Chunk sections for embedding. Paragraphs are packed together up to `size`
+ * characters; each chunk repeats the end of the one before it (same section
+ * only) so an answer split across the boundary is still found.
+ * @param {Array<object>} sections - From extractSections
+ * @param {object} options
+ * @param {number} options.size - Target chunk length in characters
+ * @param {number} options.overlap - Characters carried over from the previous chunk
+ * @returns {Array<object>} - [{ section, content }]
+ */
+export function chunkSections(sections, { size = 1200, overlap = 200 } = {}) {
+  const chunks = [];
+
+  for (const { heading, text } of sections) {
+    const pieces = text.split(/\n{2,}/).flatMap(paragraph => splitLong(paragraph.trim(), size)).filter(Boolean);
+    let current = '';
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > size) {
+        chunks.push({ section: heading, content: current });
+        const carried = tail(current, overlap);
+        current = carried && carried.length + piece.length + 2 <= size ? carried : '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+    if (current) {
+      chunks.push({ section: heading, content: current });
+    }
+  }
+
+  return chunks;
+}
@@ -0,0 +1,124 @@
+/**
+ * JSON Schema checks for tool input
+ *
+ * Covers the part of JSON Schema our tool definitions use: type, properties,
+ * required, enum, items, additionalProperties, minLength/maxLength, pattern and
+ * minimum/maximum. Like most validators in "coerce" mode, a number is accepted
+ * where a string is expected ("order_id": 28630) and a numeric string where a
+ * number is, because Claude isn't always strict about it.
+ */
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Convert a value to the schema's type where that loses nothing
+ * @param {object} schema
+ * @param {*} value
+ * @returns {*}
+ */
+function coerce(schema, value) {
+  const type = schema.type;
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} path - Where we are, for messages ("input.order_id")
+ * @param {Array<string>} errors - Collected messages
+ * @returns {*} - The value, coerced
+ */
+function check(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  const coerced = coerce(schema, value);
+  const actual = typeOf(coerced);
+
+  if (schema.type) {
+    const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = expected.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matches) {
+      errors.push(`${path} should be ${expected.join(' or ')}, got ${actual}`);
+      return coerced;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof coerced === 'string') {
+    if (schema.minLength !== undefined && coerced.length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && coerced.length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(coerced)) {
+      errors.push(`${path} is not in the expected format`);
+    }
+  }
+
+  if (typeof coerced === 'number') {
+    if (schema.minimum !== undefined && coerced < schema.minimum) {
+      errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && coerced > schema.maximum) {
+      errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    return coerced.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const name of schema.required || []) {
+      if (coerced[name] === undefined || coerced[name] === null || coerced[name] === '') {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+
+    for (const [name, item] of Object.entries(coerced)) {
+      if (properties[name]) {
+        result[name] = item === undefined || item === null ? item : check(properties[name], item, `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      } else {
+        result[name] = item;
+      }
+    }
+    return result;
+  }
+
+  return coerced;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema (a tool's input_schema)
+ * @param {*} value - Tool input
+ * @returns {object} - { valid, value (coerced), errors: [message] }
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  const coerced = check(schema, value ?? {}, 'input', errors);
+  return { valid: errors.length === 0, value: coerced, errors };
+}
@@ -111,6 +111,41 @@ class Logger {
     await this.writeLog(JSON.stringify(logEntry), 'COMPLIANCE', 'compliance');
   }
 
+  /**
+   * Log security event (forged webhooks, failed auth)
+   */
+  async logSecurity(event) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      eventType: event.type,
+      path: event.path,
+      ip: event.ip,
+      callSid: event.callSid,
+      details: event.details,
+    };
+
+    console.warn(`[Security] ${event.type}: ${event.path} from ${event.ip}`);
+    await this.writeLog(JSON.stringify(logEntry), 'SECURITY', 'security');
+  }
+
+  /**
+   * Log audit event (who looked up or sent customer records, and the outcome)
+   */
+  async logAudit(event) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      eventType: event.type,
+      callSid: event.callSid,
+      agent: event.agent,
+      action: event.action,
+      reference: event.reference,
+      outcome: event.outcome,
+      details: event.details,
+    };
+
+    await this.writeLog(JSON.stringify(logEntry), 'AUDIT', 'audit');
+  }
+
   /**
    * Get logs for date range
    */
@@ -0,0 +1,205 @@
+import { addDays, dayOfWeek, zonedParts, zonedTime } from './calendar.js';
+
+/**
+ * Natural-language callback times
+ * Turns what callers say ("tomorrow after lunch", "just now", "Friday at half past
+ * two", "in 20 minutes") into a timestamp in the business time zone. South
+ * African idioms are understood: "now now" is in a few minutes, "just now" is in
+ * a while (an hour or so).
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+// Multi-word entries first, so "forty five" isn't read as "forty 5"
+const NUMBER_WORDS = {
+  'forty five': 45, 'forty-five': 45, 'a couple of': 2, 'a couple': 2, 'a few': 3,
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30,
+};
+
+// Minutes from now for the SA "now" idioms
+const NOW_NOW_MINUTES = 15;
+const JUST_NOW_MINUTES = 60;
+
+// Times of day callers refer to loosely (minutes since midnight)
+const PARTS_OF_DAY = [
+  [/\bfirst thing\b|\bearly\b/, 8 * 60],
+  [/\bbefore lunch\b/, 11 * 60],
+  [/\bafter lunch\b/, 14 * 60],
+  [/\blunch ?time\b|\bat lunch\b|\bover lunch\b/, 13 * 60],
+  [/\bnoon\b|\bmidday\b/, 12 * 60],
+  [/\bend of (the )?day\b|\bclose of business\b|\bbefore (you )?close\b/, 16 * 60],
+  [/\bafter work\b|\bevening\b|\btonight\b/, 17 * 60 + 30],
+  [/\bafternoon\b/, 14 * 60],
+  [/\bmorning\b/, 9 * 60],
+];
+
+// When a day is given without a time
+const DEFAULT_MINUTES = 9 * 60;
+
+/**
+ * Lower-case, digits for number words, no punctuation except ":"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalise(text) {
+  let result = ` ${String(text).toLowerCase().replace(/[^a-z0-9:\s-]/g, ' ')} `;
+  for (const [word, number] of Object.entries(NUMBER_WORDS)) {
+    result = result.replace(new RegExp(`\\b${word}\\b`, 'g'), String(number));
+  }
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "in 20 minutes", "in an hour", "in half an hour", "just now", "later today"
+ * @param {string} text - Normalised text
+ * @returns {number|null} - Minutes from now
+ */
+function relativeMinutes(text) {
+  if (/\bnow now\b/.test(text)) return NOW_NOW_MINUTES;
+  if (/\bjust now\b/.test(text)) return JUST_NOW_MINUTES;
+  if (/\bin half an? hour\b/.test(text)) return 30;
+  if (/\blater today\b|\blater on\b/.test(text)) return 120;
+
+  const match = /\bin (an?|\d+) (minute|min|hour|hr)s?\b/.exec(text);
+  if (match) {
+    const amount = /^an?$/.test(match[1]) ? 1 : parseInt(match[1]);
+    return match[2].startsWith('h') ? amount * 60 : amount;
+  }
+
+  return null;
+}
+
+/**
+ * Local date the caller means, if they said one
+ * @param {string} text - Normalised text
+ * @param {string} today - YYYY-MM-DD in the business time zone
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function parseDay(text, today) {
+  const iso = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text);
+  if (iso) return iso[0];
+
+  if (/\bday after tomorrow\b/.test(text)) return addDays(today, 2);
+  if (/\btomorrow\b/.test(text)) return addDays(today, 1);
+  if (/\btoday\b|\bthis (morning|afternoon|evening)\b|\btonight\b/.test(text)) return today;
+
+  const weekday = /\b(next |this |on )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/.exec(text);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[2]);
+    const ahead = (target - dayOfWeek(today) + 7) % 7 || 7;
+    return addDays(today, ahead);
+  }
+
+  if (/\bnext week\b/.test(text)) {
+    return addDays(today, (1 - dayOfWeek(today) + 7) % 7 || 7);
+  }
+
+  // "21 october", "october 21", "the 21st of october"
+  const monthNames = MONTHS.join('|');
+  const dayMonth = new RegExp(`\\b(\\d{1,2})(st|nd|rd|th)? (of )?(${monthNames})\\b`).exec(text);
+  const monthDay = new RegExp(`\\b(${monthNames}) (the )?(\\d{1,2})(st|nd|rd|th)?\\b`).exec(text);
+  if (dayMonth || monthDay) {
+    const day = parseInt(dayMonth ? dayMonth[1] : monthDay[3]);
+    const month = MONTHS.indexOf(dayMonth ? dayMonth[4] : monthDay[1]) + 1;
+    let year = parseInt(today.slice(0, 4));
+    const pad = number => String(number).padStart(2, '0');
+    if (`${year}-${pad(month)}-${pad(day)}` < today) year++;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Hour for a clock time said without am/pm: 1-6 is afternoon (business hours)
+ * @param {number} hour
+ * @returns {number}
+ */
+function businessHour(hour) {
+  return hour >= 1 && hour <= 6 ? hour + 12 : hour;
+}
+
+/**
+ * Time of day the caller means, if they said one
+ * @param {string} text - Normalised text
+ * @returns {number|null} - Minutes since midnight
+ */
+function parseTimeOfDay(text) {
+  const toHour = (hour, meridiem) => {
+    if (meridiem === 'pm' && hour < 12) return hour + 12;
+    if (meridiem === 'am' && hour === 12) return 0;
+    return meridiem ? hour : businessHour(hour);
+  };
+
+  const half = /\bhalf past (\d{1,2})\b/.exec(text);
+  if (half) return toHour(parseInt(half[1])) * 60 + 30;
+
+  const quarter = /\bquarter (past|to) (\d{1,2})\b/.exec(text);
+  if (quarter) {
+    const hour = toHour(parseInt(quarter[2])) * 60;
+    return quarter[1] === 'past' ? hour + 15 : hour - 15;
+  }
+
+  const clock = /\b(\d{1,2})(?::|h)(\d{2})\s*(am|pm)?\b/.exec(text);
+  if (clock && parseInt(clock[1]) < 24 && parseInt(clock[2]) < 60) {
+    const hour = parseInt(clock[1]);
+    return (hour > 12 ? hour : toHour(hour, clock[3])) * 60 + parseInt(clock[2]);
+  }
+
+  const meridiem = /\b(\d{1,2})\s*(am|pm|o ?clock)\b/.exec(text);
+  if (meridiem && parseInt(meridiem[1]) <= 12) {
+    return toHour(parseInt(meridiem[1]), meridiem[2].startsWith('o') ? null : meridiem[2]) * 60;
+  }
+
+  const at = /\b(at|around|about|after|before) (\d{1,2})\b/.exec(text);
+  if (at && parseInt(at[2]) <= 12) {
+    return toHour(parseInt(at[2])) * 60;
+  }
+
+  for (const [pattern, minutes] of PARTS_OF_DAY) {
+    if (pattern.test(text)) return minutes;
+  }
+  return null;
+}
+
+/**
+ * Parse a spoken or typed callback time
+ * A time without a day is today, or tomorrow once it has passed; a day without a
+ * time is 9 AM. Opening hours are not applied here (see CallbackService).
+ * @param {string} text - e.g. "after lunch tomorrow", "just now", "2026-11-03T10:00:00+02:00"
+ * @param {object} options - { now, timeZone }
+ * @returns {Date|null} - null if no time could be understood
+ */
+export function parseCallbackTime(text, { now = new Date(), timeZone }) {
+  if (!text) return null;
+
+  // Machine-readable timestamps (admin API, tools)
+  if (/^\d{4}-\d{2}-\d{2}T/.test(String(text).trim())) {
+    const instant = new Date(String(text).trim());
+    return isNaN(instant) ? null : instant;
+  }
+
+  const normalised = normalise(text);
+  const relative = relativeMinutes(normalised);
+  if (relative !== null) {
+    return new Date(now.getTime() + relative * 60 * 1000);
+  }
+
+  const local = zonedParts(now, timeZone);
+  const day = parseDay(normalised, local.date);
+  const minutes = parseTimeOfDay(normalised);
+
+  if (!day && minutes === null) {
+    return /\b(right now|asap|as soon as possible|immediately|straight away|now)\b/.test(normalised) ? now : null;
+  }
+
+  if (day) {
+    return zonedTime(day, minutes ?? DEFAULT_MINUTES, timeZone);
+  }
+
+  const today = zonedTime(local.date, minutes, timeZone);
+  return today > now ? today : zonedTime(addDays(local.date, 1), minutes, timeZone);
+}
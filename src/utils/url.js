@@ -0,0 +1,21 @@
+/**
+ * Public base URL for webhooks and audio links
+ *
+ * Twilio signs the URL it was configured with, so behind Railway's proxy we
+ * rebuild it from the x-forwarded-* headers. PUBLIC_BASE_URL overrides both
+ * when the proxy headers can't be trusted (custom domains, tunnels).
+ * @param {object} req - Express request, or a plain http request (WebSocket upgrades)
+ * @returns {string} - e.g. https://audico-call-system.up.railway.app
+ */
+export function getBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  }
+
+  const header = name => (typeof req.get === 'function' ? req.get(name) : req.headers[name]);
+
+  // Railway/Vercel/other proxies set x-forwarded-proto header
+  const protocol = (header('x-forwarded-proto') || req.protocol || 'https').split(',')[0].trim();
+  const host = (header('x-forwarded-host') || header('host')).split(',')[0].trim();
+  return `${protocol}://${host}`;
+}
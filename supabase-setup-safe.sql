@@ -25,6 +25,10 @@ CREATE TABLE IF NOT EXISTS call_center_products (
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- AI-extracted specs, compatibility, setup notes and Q&A (scripts/daily-sync.js)
+ALTER TABLE call_center_products ADD COLUMN IF NOT EXISTS enhanced_knowledge JSONB;
+ALTER TABLE call_center_products ADD COLUMN IF NOT EXISTS knowledge_updated_at TIMESTAMPTZ;
+
 -- Create indexes for faster searches
 CREATE INDEX IF NOT EXISTS idx_call_center_products_name ON call_center_products USING GIN (to_tsvector('english', name));
 CREATE INDEX IF NOT EXISTS idx_call_center_products_category ON call_center_products(category);
@@ -193,6 +197,138 @@ INSERT INTO call_center_products (sku, name, description, category, price, curre
   )
 ON CONFLICT (sku) DO NOTHING;
 
+-- Step 7: Support knowledge base (manuals, setup guides, FAQs)
+-- =====================================================
+-- Documents keep their original text so they can be re-indexed; chunks carry the
+-- document's SKUs and brands so the match function can filter without a join
+CREATE TABLE IF NOT EXISTS call_center_knowledge_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual, setup_guide, faq
+  format VARCHAR(20) NOT NULL DEFAULT 'markdown', -- markdown, html, pdf, text
+  source TEXT, -- File name or URL, quoted in citations
+  content TEXT NOT NULL,
+  skus TEXT[] NOT NULL DEFAULT '{}', -- Upper case
+  brands TEXT[] NOT NULL DEFAULT '{}', -- Lower case
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, indexed, failed
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  index_error TEXT,
+  indexed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS call_center_knowledge_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id UUID REFERENCES call_center_knowledge_documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  section TEXT, -- Heading path or "Page N"
+  content TEXT NOT NULL,
+  skus TEXT[] NOT NULL DEFAULT '{}',
+  brands TEXT[] NOT NULL DEFAULT '{}',
+  embedding vector(1536), -- OpenAI text-embedding-3-small dimension
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_center_knowledge_documents_skus ON call_center_knowledge_documents USING GIN (skus);
+CREATE INDEX IF NOT EXISTS idx_call_center_knowledge_documents_brands ON call_center_knowledge_documents USING GIN (brands);
+CREATE INDEX IF NOT EXISTS idx_call_center_knowledge_chunks_document ON call_center_knowledge_chunks(document_id);
+
+DROP INDEX IF EXISTS call_center_knowledge_chunks_embedding_idx;
+CREATE INDEX call_center_knowledge_chunks_embedding_idx ON call_center_knowledge_chunks
+USING ivfflat (embedding vector_cosine_ops)
+WITH (lists = 100);
+
+-- Passages for a question. With filter_sku: that product's documents plus any
+-- not tied to a SKU; with filter_brand: that brand's documents plus general ones
+CREATE OR REPLACE FUNCTION match_call_center_knowledge(
+  query_embedding vector(1536),
+  match_threshold float DEFAULT 0.5,
+  match_count int DEFAULT 4,
+  filter_sku text DEFAULT NULL,
+  filter_brand text DEFAULT NULL
+)
+RETURNS TABLE (
+  document_id UUID,
+  title TEXT,
+  type VARCHAR,
+  source TEXT,
+  section TEXT,
+  content TEXT,
+  similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    d.id,
+    d.title,
+    d.type,
+    d.source,
+    c.section,
+    c.content,
+    1 - (c.embedding <=> query_embedding) AS similarity
+  FROM call_center_knowledge_chunks c
+  JOIN call_center_knowledge_documents d ON c.document_id = d.id
+  WHERE 1 - (c.embedding <=> query_embedding) > match_threshold
+    AND (filter_sku IS NULL OR filter_sku = ANY(c.skus) OR cardinality(c.skus) = 0)
+    AND (filter_brand IS NULL OR filter_brand = ANY(c.brands) OR cardinality(c.brands) = 0
+      OR filter_sku = ANY(c.skus))
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
+
+-- Service role only: internal FAQs are not for the public API
+ALTER TABLE call_center_knowledge_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_center_knowledge_chunks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow service role full access on call_center_knowledge_documents" ON call_center_knowledge_documents;
+DROP POLICY IF EXISTS "Allow service role full access on call_center_knowledge_chunks" ON call_center_knowledge_chunks;
+
+CREATE POLICY "Allow service role full access on call_center_knowledge_documents"
+  ON call_center_knowledge_documents FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow service role full access on call_center_knowledge_chunks"
+  ON call_center_knowledge_chunks FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Step 8: Business records (src/services/state-store.js, RECORD_STORE=supabase)
+-- =====================================================
+-- Do-not-call list, marketing consent, voicemails, scheduled callbacks and payment
+-- links: one row per key in each namespace,
+-- value is the stored entry ({ value, updatedAt, expiresAt }); revision changes on
+-- every write so compare-and-set updates can tell whether someone else wrote first
+CREATE TABLE IF NOT EXISTS call_center_records (
+  namespace TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value JSONB NOT NULL,
+  revision TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (namespace, key)
+);
+
+-- Tables created before revision was added
+ALTER TABLE call_center_records ADD COLUMN IF NOT EXISTS revision TEXT;
+
+-- Service role only: phone numbers, opt-outs and voicemail transcriptions
+ALTER TABLE call_center_records ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow service role full access on call_center_records" ON call_center_records;
+
+CREATE POLICY "Allow service role full access on call_center_records"
+  ON call_center_records FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
 -- =====================================================
 -- Setup Complete!
 -- =====================================================